@@ -0,0 +1,56 @@
+// Action Badge - What the toolbar icon shows for a tab's stored state
+// Lets the user see a transcript is ready (or still being worked on) without opening the popup
+
+class ActionBadge {
+  static get COLORS() {
+    return {
+      ready: '#00aa66',
+      weak: '#ff9900',
+      working: '#3366cc',
+      error: '#cc3333'
+    };
+  }
+
+  // { text, color, title } for a tab state; url is the tab's current URL, when known, so a
+  // state left over from the previous video in the tab shows nothing
+  static describe(tabState, url = null) {
+    const empty = { text: '', color: null, title: '' };
+    if (!tabState) return empty;
+    if (url && tabState.url && !YouTubeUrl.isSameVideo(tabState.url, url)) return empty;
+
+    if (tabState.isProcessing) {
+      return { text: '…', color: ActionBadge.COLORS.working, title: `Working: ${tabState.processingStep || 'processing'}` };
+    }
+
+    // A failed step (e.g. key points) matters more than the transcript it started from
+    if (tabState.error) {
+      return { text: '×', color: ActionBadge.COLORS.error, title: tabState.error };
+    }
+
+    const transcript = tabState.transcript;
+    if (transcript?.segments?.length > 0 && !transcript.isRecording) {
+      const count = transcript.segments.length;
+      const source = TranscriptQuality.describe(transcript.source);
+      const title = `Transcript ready: ${count} segments${source ? ` (${source})` : ''}`;
+      return TranscriptQuality.isWeak(transcript.source)
+        ? { text: '!', color: ActionBadge.COLORS.weak, title: `${title} - weak source` }
+        : { text: '✓', color: ActionBadge.COLORS.ready, title };
+    }
+
+    return empty;
+  }
+
+  // Two states show the same badge, so there's nothing to update
+  static isSame(a, b) {
+    return a.text === b.text && a.color === b.color && a.title === b.title;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.ActionBadge = ActionBadge;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ActionBadge };
+}
@@ -1,10 +1,21 @@
 // Anthropic Claude API Integration for Chrome Extension
+// Prompts, steps and usage live here; requests go through the provider selected in settings
+// (AnthropicProvider, or OpenAICompatibleProvider for local servers), and every answer comes
+// back as { text, model, usage, stopReason } whichever one sent it
 class AnthropicAPI {
   constructor() {
-    this.apiKey = null;
-    this.baseURL = 'https://api.anthropic.com/v1/messages';
-    this.model = 'claude-sonnet-4-20250514';
-    this.maxTokens = 8000;
+    this.apiKey = null; // Key of the selected provider (each keeps its own in storage)
+    this.provider = AnthropicAPI.createProvider();
+    // Model and generation settings (Settings → Model & Generation), see updateSettings
+    const defaults = AnthropicAPI.DEFAULT_GENERATION;
+    this.model = defaults.model;
+    this.stepMaxTokens = { ...defaults.maxTokens };
+    this.maxTokens = this.stepMaxTokens.keyPoints;
+    this.temperature = defaults.temperature;
+    this.stopSequences = [...defaults.stopSequences];
+    this.transcriptSource = 'cleaned'; // 'cleaned' or 'raw' transcript text is sent to the model
+    this.lastUsage = null; // { input_tokens, output_tokens, model, cost, requests } of the last step (see summarizeUsage)
+    this.onRetry = null; // ({ attempt, attempts }) before an overloaded or rate-limited request is retried
     
     // Initialize logger
     if (typeof DebugLogger !== 'undefined') {
@@ -12,7 +23,8 @@ class AnthropicAPI {
       this.logger.info('AnthropicAPI initialized', {
         model: this.model,
         maxTokens: this.maxTokens,
-        baseURL: this.baseURL
+        provider: this.provider.id,
+        baseURL: this.provider.baseURL
       });
     } else {
       this.logger = {
@@ -25,16 +37,199 @@ class AnthropicAPI {
       };
     }
     
-    // Load API key from storage
-    this.loadApiKey();
+    // Load API key, provider and generation settings from storage; ready settles once
+    // they are applied
+    this.ready = Promise.all([this.loadApiKey(), this.loadSettings()]);
+  }
+
+  // Providers that can be selected in settings, by id
+  static get PROVIDERS() {
+    return {
+      anthropic: AnthropicProvider,
+      'openai-compatible': OpenAICompatibleProvider
+    };
+  }
+
+  // Provider for settings.provider ({ id, baseURL, headers }); Anthropic when none is set.
+  // An empty or unusable base URL leaves the provider's default
+  static createProvider(config = null) {
+    const Provider = AnthropicAPI.PROVIDERS[config?.id] || AnthropicProvider;
+    return new Provider({ ...config, baseURL: AnthropicAPI.normalizeBaseURL(config?.baseURL) });
+  }
+
+  // "https://host:port/path" without a trailing slash, or null when it isn't an http(s) URL
+  static normalizeBaseURL(url) {
+    if (!url || typeof url !== 'string') return null;
+    try {
+      const parsed = new URL(url.trim());
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+      return parsed.href.replace(/\/+$/, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Match pattern for the host permission the extension needs to reach a server or gateway
+  // (match patterns leave out the port)
+  static getPermissionPattern(url) {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.hostname}/*`;
+  }
+
+  // { headers, errors } from "Name: value" lines as typed in settings; blank lines are skipped.
+  // Values are limited to printable ASCII, which fetch accepts in any header
+  static parseHeaders(text) {
+    const headers = {};
+    const errors = [];
+
+    for (const line of (text || '').split('\n')) {
+      if (!line.trim()) continue;
+      const colon = line.indexOf(':');
+      const name = colon === -1 ? '' : line.slice(0, colon).trim();
+      const value = colon === -1 ? '' : line.slice(colon + 1).trim();
+
+      if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+        errors.push(`Headers must be written as "Name: value": ${line.trim()}`);
+      } else if (/[^\x20-\x7e]/.test(value)) {
+        errors.push(`The ${name} header may only contain plain ASCII characters`);
+      } else {
+        headers[name] = value;
+      }
+    }
+
+    return { headers, errors };
+  }
+
+  static formatHeaders(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+
+  // Steps with their own answer length, as named in settings
+  static get STEP_LABELS() {
+    return {
+      keyPoints: 'Key points',
+      article: 'Article',
+      chapterSummary: 'Chapter summaries',
+      chapterGeneration: 'Chapter generation',
+      passageExplanation: 'Passage explanations'
+    };
+  }
+
+  // Temperature null leaves it to the API; the model is Anthropic's default (other providers
+  // have their own, see validateGeneration)
+  static get DEFAULT_GENERATION() {
+    return {
+      model: 'claude-sonnet-4-20250514',
+      maxTokens: {
+        keyPoints: 8000,
+        article: 4000,
+        chapterSummary: 1000,
+        chapterGeneration: 2000,
+        passageExplanation: 1500
+      },
+      temperature: null,
+      stopSequences: []
+    };
+  }
+
+  // { generation, errors }: the settings with defaults filled in for anything missing, and
+  // a message for each value the provider's API would reject
+  static validateGeneration(input = {}, provider = AnthropicAPI.createProvider()) {
+    const defaults = AnthropicAPI.DEFAULT_GENERATION;
+    const errors = [];
+
+    const model = input?.model || provider.defaultModel;
+    if (!provider.isKnownModel(model)) {
+      errors.push(`Unknown model: ${model}`);
+    }
+    // null when the provider can't know the model's limit
+    const limit = provider.getMaxOutputTokens(model);
+
+    const maxTokens = {};
+    for (const [step, fallback] of Object.entries(defaults.maxTokens)) {
+      const value = input?.maxTokens?.[step] ?? fallback;
+      if (!Number.isInteger(value) || value < 1 || (limit && value > limit)) {
+        errors.push(limit
+          ? `${AnthropicAPI.STEP_LABELS[step]} max tokens must be a whole number from 1 to ${limit.toLocaleString()}`
+          : `${AnthropicAPI.STEP_LABELS[step]} max tokens must be a whole number of at least 1`);
+      }
+      maxTokens[step] = value;
+    }
+
+    const temperature = input?.temperature ?? null;
+    if (temperature !== null && (!Number.isFinite(temperature) || temperature < 0 || temperature > provider.maxTemperature)) {
+      errors.push(`Temperature must be between 0 and ${provider.maxTemperature}`);
+    }
+
+    const stopSequences = input?.stopSequences || [];
+    if (!Array.isArray(stopSequences) || stopSequences.some(sequence => typeof sequence !== 'string' || !sequence.trim())) {
+      errors.push('Stop sequences must each contain some text other than spaces');
+    } else if (stopSequences.length > provider.maxStopSequences) {
+      errors.push(`Use at most ${provider.maxStopSequences} stop sequences`);
+    }
+
+    return { generation: { model, maxTokens, temperature, stopSequences }, errors };
   }
 
-  // Load API key from Chrome storage
+  // Model for default settings from the provider's list: its own default when it offers it,
+  // otherwise the first one listed, since a local server may not have the default installed
+  static getDefaultModel(provider, models = []) {
+    if (models.length === 0 || models.some(model => model.id === provider.defaultModel)) {
+      return provider.defaultModel;
+    }
+    return models[0].id;
+  }
+
+  // Provider and generation settings saved by the popup (settings.provider, settings.generation)
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      if (result.settings?.provider) {
+        await this.useProvider(result.settings.provider);
+      }
+      if (result.settings?.generation) {
+        this.updateSettings(result.settings.generation);
+      }
+    } catch (error) {
+      this.logger.error('Error loading generation settings', error);
+    }
+  }
+
+  // Switch to the provider in settings.provider ({ id, baseURL, headers }) with its own key; the
+  // generation settings go back to its defaults until updateSettings is called
+  async useProvider(config = null) {
+    this.provider = AnthropicAPI.createProvider(config);
+    this.apiKey = null;
+    this.updateSettings(null);
+    await this.loadApiKey();
+    this.logger.debug('Provider selected', { provider: this.provider.id, baseURL: this.provider.baseURL });
+  }
+
+  // Models the selected provider offers ({ id, label, maxOutputTokens }); a local server is
+  // asked for the ones it has installed
+  async listModels() {
+    return this.provider.listModels(this.apiKey);
+  }
+
+  // Shown when isConfigured() is false; the provider may be keyless, or not Anthropic
+  static get NOT_CONFIGURED_MESSAGE() {
+    return 'Configure your AI provider in settings first';
+  }
+
+  // Whether requests can be sent: a key, unless the provider works without one
+  isConfigured() {
+    return !!this.apiKey || !this.provider.requiresApiKey;
+  }
+
+  // Load the selected provider's API key from Chrome storage
   async loadApiKey() {
+    const { keyStorageKey } = this.provider;
     try {
-      const result = await chrome.storage.local.get(['anthropic_api_key']);
-      this.apiKey = result.anthropic_api_key || null;
-      this.logger.debug('API key loaded', { hasKey: !!this.apiKey });
+      const result = await chrome.storage.local.get([keyStorageKey]);
+      // Ignore a key that arrives after the provider was switched
+      if (keyStorageKey !== this.provider.keyStorageKey) return;
+      this.apiKey = result[keyStorageKey] || null;
+      this.logger.debug('API key loaded', { provider: this.provider.id, hasKey: !!this.apiKey });
     } catch (error) {
       this.logger.error('Error loading API key', error);
     }
@@ -43,7 +238,7 @@ class AnthropicAPI {
   // Save API key to Chrome storage
   async saveApiKey(apiKey) {
     try {
-      await chrome.storage.local.set({ anthropic_api_key: apiKey });
+      await chrome.storage.local.set({ [this.provider.keyStorageKey]: apiKey });
       this.apiKey = apiKey;
       return true;
     } catch (error) {
@@ -55,7 +250,7 @@ class AnthropicAPI {
   // Clear API key from storage
   async clearApiKey() {
     try {
-      await chrome.storage.local.remove(['anthropic_api_key']);
+      await chrome.storage.local.remove([this.provider.keyStorageKey]);
       this.apiKey = null;
       return true;
     } catch (error) {
@@ -64,9 +259,9 @@ class AnthropicAPI {
     }
   }
 
-  // Validate API key format
+  // Validate API key format for the selected provider
   isValidApiKey(apiKey) {
-    return apiKey && apiKey.startsWith('sk-ant-') && apiKey.length > 20;
+    return this.provider.isValidApiKey(apiKey);
   }
 
   // Test API key by making a simple request
@@ -84,7 +279,7 @@ class AnthropicAPI {
         }
       ], 50);
 
-      if (response && response.content && response.content[0]?.text) {
+      if (response && response.text) {
         return true;
       } else {
         throw new Error('Unexpected response format');
@@ -109,85 +304,191 @@ class AnthropicAPI {
       maxTokens: maxTokens || this.maxTokens,
       retryCount
     });
-    
-    if (!this.isValidApiKey(apiKey)) {
-      this.logger.error('Invalid API key provided to makeRequest');
-      throw new Error('Invalid API key');
+
+    const response = await this.sendRequest(apiKey, this.buildRequestBody(messages, maxTokens), retryCount);
+
+    const result = this.provider.parseResponse(await response.json());
+    this.recordUsage(result);
+    return result;
+  }
+
+  // Same request with the answer streamed as server-sent events; onText(delta, text) sees it
+  // as it is written. Resolves to the same { text, model, usage, stopReason } as makeRequest
+  async makeStreamingRequest(apiKey, messages, maxTokens = null, onText = null) {
+    this.logger.debug('Making streaming API request', {
+      messageCount: messages.length,
+      maxTokens: maxTokens || this.maxTokens
+    });
+
+    const response = await this.sendRequest(apiKey, this.buildRequestBody(messages, maxTokens, true));
+
+    const stream = this.provider.createStream(onText);
+    try {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        stream.push(decoder.decode(value, { stream: true }));
+      }
+      stream.push(decoder.decode());
+    } catch (error) {
+      if (error instanceof TypeError) {
+        throw new Error('Network error: the connection dropped while the answer was being written. Please try again.');
+      }
+      throw error;
     }
 
-    const requestBody = {
+    const result = stream.finish();
+    this.recordUsage(result);
+    return result;
+  }
+
+  // The provider's request body with the generation settings
+  buildRequestBody(messages, maxTokens = null, stream = false) {
+    return this.provider.buildBody({
       model: this.model,
-      max_tokens: maxTokens || this.maxTokens,
-      messages: messages
+      messages,
+      maxTokens: maxTokens || this.maxTokens,
+      temperature: this.temperature,
+      stopSequences: this.stopSequences,
+      stream
+    });
+  }
+
+  // Token counts of the last answer, kept with the result it produced
+  recordUsage(result) {
+    this.lastUsage = this.summarizeUsage([result?.usage], result?.model || this.model);
+  }
+
+  // One step's usage: token totals and their cost, with the usage block of each response
+  // behind them (several for a transcript read in parts)
+  summarizeUsage(usages, model = this.model) {
+    const requests = usages.filter(Boolean);
+    if (requests.length === 0) return null;
+
+    const inputTokens = requests.reduce((sum, usage) => sum + (usage.input_tokens || 0), 0);
+    const outputTokens = requests.reduce((sum, usage) => sum + (usage.output_tokens || 0), 0);
+    return {
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      model,
+      cost: this.provider.getCost(model, inputTokens, outputTokens),
+      requests
     };
+  }
+
+  // What a step would cost, before it's sent: { model, requests, inputTokens, maxOutputTokens,
+  // inputCost, maxCost }. Input is estimated from the prompts themselves; answers can be
+  // anything up to max_tokens, so maxCost is an upper bound (costs are null for unknown models)
+  estimateKeyPoints(transcript) {
+    const fullText = this.getTranscriptText(transcript);
+    if (!this.isTooLong(fullText)) {
+      return this.toEstimate(1, this.estimateTokens(this.getKeyPointsPrompt(transcript, fullText)), this.maxTokens);
+    }
+
+    const { maxTranscriptTokens, partTokens } = this.getChunkLimits();
+    const parts = TranscriptChunker.split(transcript, this.transcriptSource, partTokens);
+    let requests = parts.length;
+    let inputTokens = parts.reduce((sum, part) => sum + this.estimateTokens(this.getKeyPointsPartPrompt(transcript, part, parts.length)), 0);
+
+    // Merges read every answer they're given; answers are taken to be as long as max_tokens,
+    // so the rounds are planned as extractKeyPointsInParts would for the longest ones
+    const mergePromptTokens = this.estimateTokens(this.getKeyPointsMergePrompt(transcript, []));
+    let answers = parts.map(() => this.maxTokens);
+    while (answers.length > 1 && answers.reduce((sum, tokens) => sum + tokens, 0) > maxTranscriptTokens) {
+      const groups = TranscriptChunker.groupForMerge(answers, tokens => tokens, maxTranscriptTokens);
+      for (const group of groups.filter(group => group.length > 1)) {
+        requests++;
+        inputTokens += mergePromptTokens + group.reduce((sum, tokens) => sum + tokens, 0);
+      }
+      answers = groups.map(group => (group.length > 1 ? this.maxTokens : group[0]));
+    }
+    requests++;
+    inputTokens += mergePromptTokens + answers.reduce((sum, tokens) => sum + tokens, 0);
+
+    return this.toEstimate(requests, inputTokens, requests * this.maxTokens);
+  }
+
+  estimateArticle(keyPoints, transcript) {
+    return this.toEstimate(1, this.estimateTokens(this.getArticlePrompt(keyPoints, transcript)), this.stepMaxTokens.article);
+  }
+
+  toEstimate(requests, inputTokens, maxOutputTokens) {
+    return {
+      model: this.model,
+      requests,
+      inputTokens,
+      maxOutputTokens,
+      inputCost: this.provider.getCost(this.model, inputTokens, 0),
+      maxCost: this.provider.getCost(this.model, inputTokens, maxOutputTokens)
+    };
+  }
+
+  estimateTokens(text) {
+    return typeof TranscriptChunker !== 'undefined'
+      ? TranscriptChunker.estimateTokens(text)
+      : Math.ceil((text || '').length / 4);
+  }
+
+  // Transcript and part sizes that fit the selected model's context next to a key points answer
+  getChunkLimits() {
+    return TranscriptChunker.getLimits(this.provider.getContextTokens(this.model), this.maxTokens);
+  }
+
+  // Whether a transcript has to be read in parts
+  isTooLong(fullText) {
+    return typeof TranscriptChunker !== 'undefined' &&
+      TranscriptChunker.isTooLong(fullText, this.getChunkLimits().maxTranscriptTokens);
+  }
+
+  // POST to the selected provider; overloaded and rate-limited requests are retried with
+  // backoff. Resolves to the successful fetch Response
+  async sendRequest(apiKey, requestBody, retryCount = 0) {
+    if (!this.isValidApiKey(apiKey)) {
+      this.logger.error('Invalid API key provided to makeRequest');
+      throw new Error('Invalid API key');
+    }
 
     const maxRetries = 3;
     const baseDelay = 2000; // 2 seconds
 
+    const { url, headers } = this.provider.buildRequest(apiKey);
+
     try {
-      const response = await fetch(this.baseURL, {
+      const response = await fetch(url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
+        headers,
         body: JSON.stringify(requestBody)
       });
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         
-        // Handle specific error cases
-        if (response.status === 529 && retryCount < maxRetries) {
-          // API overloaded - retry with exponential backoff
-          const delay = baseDelay * Math.pow(2, retryCount);
-          console.log(`API overloaded, retrying in ${delay}ms (attempt ${retryCount + 1}/${maxRetries + 1})`);
-          
-          await new Promise(resolve => setTimeout(resolve, delay));
-          return this.makeRequest(apiKey, messages, maxTokens, retryCount + 1);
-        }
-        
-        if (response.status === 429 && retryCount < maxRetries) {
-          // Rate limited - retry with longer delay
-          const delay = baseDelay * Math.pow(2, retryCount + 1);
-          console.log(`Rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${maxRetries + 1})`);
+        if (this.provider.isRetryable(response.status) && retryCount < maxRetries) {
+          // Overloaded or still loading - retry with exponential backoff; rate limits wait longer
+          const delay = baseDelay * Math.pow(2, response.status === 429 ? retryCount + 1 : retryCount);
+          console.log(`API returned ${response.status}, retrying in ${delay}ms (attempt ${retryCount + 1}/${maxRetries + 1})`);
           
           await new Promise(resolve => setTimeout(resolve, delay));
-          return this.makeRequest(apiKey, messages, maxTokens, retryCount + 1);
-        }
-
-        // Create user-friendly error messages
-        let userMessage = `API request failed: ${response.status} ${response.statusText}`;
-        
-        if (response.status === 529) {
-          userMessage = 'Anthropic API is currently overloaded. Please try again in a few minutes.';
-        } else if (response.status === 429) {
-          userMessage = 'Rate limit exceeded. Please wait a moment and try again.';
-        } else if (response.status === 401) {
-          userMessage = 'Invalid API key. Please check your Anthropic API key in settings.';
-        } else if (response.status === 403) {
-          userMessage = 'API access denied. Please check your API key permissions.';
-        } else if (response.status >= 500) {
-          userMessage = 'Anthropic API server error. Please try again later.';
-        } else if (errorData.error?.message) {
-          userMessage = errorData.error.message;
+          if (this.onRetry) this.onRetry({ attempt: retryCount + 2, attempts: maxRetries + 1 });
+          return this.sendRequest(apiKey, requestBody, retryCount + 1);
         }
 
-        const error = new Error(userMessage);
+        // User-friendly error messages, in the provider's terms
+        const error = new Error(this.provider.getErrorMessage(response.status, response.statusText, errorData));
         error.status = response.status;
         error.details = errorData;
         error.retryCount = retryCount;
         throw error;
       }
 
-      return await response.json();
+      return response;
       
     } catch (error) {
       // Handle network errors
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('Network error: Please check your internet connection and try again.');
+        throw new Error(this.provider.getNetworkErrorMessage());
       }
       
       // Re-throw API errors as-is
@@ -195,14 +496,15 @@ class AnthropicAPI {
     }
   }
 
-  // Extract key points from transcript
-  async extractKeyPoints(transcript) {
+  // Extract key points from transcript; with onText the answer is streamed to it as written.
+  // Transcripts too long for one request are read in parts, with onProgress told how far along
+  async extractKeyPoints(transcript, onText = null, onProgress = null) {
     this.logger.info('Starting key points extraction', {
       hasApiKey: !!this.apiKey,
       segmentCount: transcript?.segments?.length || 0
     });
     
-    if (!this.apiKey) {
+    if (!this.isConfigured()) {
       this.logger.error('API key not configured for key points extraction');
       throw new Error('API key not configured');
     }
@@ -213,18 +515,18 @@ class AnthropicAPI {
     }
 
     // Combine transcript segments into full text
-    const fullText = transcript.segments.map(segment => segment.text).join(' ');
+    const fullText = this.getTranscriptText(transcript);
     
     // Check if prompts are loaded
-    if (!window.KEY_POINTS_PROMPT) {
+    if (!globalThis.KEY_POINTS_PROMPT) {
       throw new Error('KEY_POINTS_PROMPT is not loaded. Please ensure prompts.js is included and loaded.');
     }
 
-    // Use prompt template with variable replacement
-    const prompt = this.replaceTemplateVariables(window.KEY_POINTS_PROMPT, {
-      VIDEO_TITLE: transcript.title || 'YouTube Video',
-      TRANSCRIPT: fullText
-    });
+    if (this.isTooLong(fullText)) {
+      return this.extractKeyPointsInParts(transcript, onText, onProgress);
+    }
+
+    const prompt = this.getKeyPointsPrompt(transcript, fullText);
 
     const messages = [
       {
@@ -235,10 +537,12 @@ class AnthropicAPI {
 
     try {
       this.logger.time('Key Points API Request');
-      const response = await this.makeRequest(this.apiKey, messages);
+      const response = onText
+        ? await this.makeStreamingRequest(this.apiKey, messages, null, onText)
+        : await this.makeRequest(this.apiKey, messages);
       this.logger.timeEnd('Key Points API Request');
       
-      const result = response.content[0]?.text || 'No key points extracted';
+      const result = response.text || 'No key points extracted';
       this.logger.info('Key points extraction completed', {
         responseLength: result.length
       });
@@ -249,15 +553,123 @@ class AnthropicAPI {
     }
   }
 
-  // Generate article from key points
-  async generateArticle(keyPoints, transcript) {
+  // Map-reduce for transcripts too long for the model's context: key points for
+  // each part (a few requests at a time), then one request merging them. Key points too long
+  // to merge at once are first merged in groups of neighbouring parts, round after round, until
+  // they fit. Only the last merge is streamed; lastUsage is the total over every request
+  async extractKeyPointsInParts(transcript, onText = null, onProgress = null) {
+    if (!globalThis.KEY_POINTS_PART_PROMPT || !globalThis.KEY_POINTS_MERGE_PROMPT) {
+      throw new Error('KEY_POINTS_PART_PROMPT is not loaded. Please ensure prompts.js is included and loaded.');
+    }
+
+    const { maxTranscriptTokens, partTokens } = this.getChunkLimits();
+    const parts = TranscriptChunker.split(transcript, this.transcriptSource, partTokens);
+    const total = parts.length;
+    const report = progress => {
+      if (onProgress) onProgress(progress);
+    };
+    this.logger.info('Transcript too long for one request, extracting key points in parts', {
+      parts: total,
+      tokens: parts.map(part => part.tokens)
+    });
+
+    const usages = [];
+    let done = 0;
+
+    try {
+      this.logger.time('Key Points In Parts');
+      report({ stage: 'parts', done, total });
+
+      const partKeyPoints = await this.mapConcurrently(parts, TranscriptChunker.CONCURRENCY, async part => {
+        const prompt = this.getKeyPointsPartPrompt(transcript, part, total);
+        const response = await this.makeRequest(this.apiKey, [{ role: 'user', content: prompt }]);
+        usages[part.index] = response.usage;
+        report({ stage: 'parts', done: ++done, total });
+        return response.text || '';
+      });
+
+      // { startSeconds, endSeconds, keyPoints } for each part, then for each merged group
+      let sections = parts.map((part, index) => ({
+        startSeconds: part.startSeconds,
+        endSeconds: part.endSeconds,
+        keyPoints: partKeyPoints[index]
+      }));
+      const countTokens = section => this.estimateTokens(section.keyPoints);
+      while (sections.length > 1 && sections.reduce((sum, section) => sum + countTokens(section), 0) > maxTranscriptTokens) {
+        report({ stage: 'merge', total: sections.length });
+        const groups = TranscriptChunker.groupForMerge(sections, countTokens, maxTranscriptTokens);
+        this.logger.info('Key points too long to merge at once, merging them in groups', {
+          sections: sections.length,
+          groups: groups.length
+        });
+
+        sections = await this.mapConcurrently(groups, TranscriptChunker.CONCURRENCY, async group => {
+          if (group.length === 1) return group[0];
+          const prompt = this.getKeyPointsMergePrompt(transcript, group, false);
+          const response = await this.makeRequest(this.apiKey, [{ role: 'user', content: prompt }]);
+          usages.push(response.usage);
+          return {
+            startSeconds: group[0].startSeconds,
+            endSeconds: group[group.length - 1].endSeconds,
+            keyPoints: response.text || ''
+          };
+        });
+      }
+
+      report({ stage: 'merge', total: sections.length });
+      const prompt = this.getKeyPointsMergePrompt(transcript, sections);
+      const messages = [{ role: 'user', content: prompt }];
+      const response = onText
+        ? await this.makeStreamingRequest(this.apiKey, messages, null, onText)
+        : await this.makeRequest(this.apiKey, messages);
+      this.logger.timeEnd('Key Points In Parts');
+
+      this.lastUsage = this.summarizeUsage([...usages, response.usage], response.model || this.model);
+
+      const result = response.text || 'No key points extracted';
+      this.logger.info('Key points extraction in parts completed', {
+        parts: total,
+        responseLength: result.length
+      });
+      return result;
+    } catch (error) {
+      this.logger.error('Error extracting key points in parts', error);
+      throw error;
+    }
+  }
+
+  // work(item, index) over every item with at most `limit` running at once; results keep the
+  // items' order. The first failure is thrown and stops further items from starting
+  async mapConcurrently(items, limit, work) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    const worker = async () => {
+      while (next < items.length && !failed) {
+        const index = next++;
+        try {
+          results[index] = await work(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  // Generate article from key points; with onText the answer is streamed to it as written
+  async generateArticle(keyPoints, transcript, onText = null) {
     this.logger.info('Starting article generation', {
       hasApiKey: !!this.apiKey,
       keyPointsLength: keyPoints?.length || 0,
       segmentCount: transcript?.segments?.length || 0
     });
     
-    if (!this.apiKey) {
+    if (!this.isConfigured()) {
       this.logger.error('API key not configured for article generation');
       throw new Error('API key not configured');
     }
@@ -268,16 +680,11 @@ class AnthropicAPI {
     }
 
     // Check if prompts are loaded
-    if (!window.ARTICLE_GENERATION_PROMPT) {
+    if (!globalThis.ARTICLE_GENERATION_PROMPT) {
       throw new Error('ARTICLE_GENERATION_PROMPT is not loaded. Please ensure prompts.js is included and loaded.');
     }
 
-    // Use prompt template with variable replacement
-    const prompt = this.replaceTemplateVariables(window.ARTICLE_GENERATION_PROMPT, {
-      VIDEO_TITLE: transcript.title || 'YouTube Video',
-      KEY_POINTS: keyPoints,
-      TRANSCRIPT: transcript.segments.map(segment => segment.text).join(' ')
-    });
+    const prompt = this.getArticlePrompt(keyPoints, transcript);
 
     const messages = [
       {
@@ -288,10 +695,12 @@ class AnthropicAPI {
 
     try {
       this.logger.time('Article Generation API Request');
-      const response = await this.makeRequest(this.apiKey, messages, 4000);
+      const response = onText
+        ? await this.makeStreamingRequest(this.apiKey, messages, this.stepMaxTokens.article, onText)
+        : await this.makeRequest(this.apiKey, messages, this.stepMaxTokens.article);
       this.logger.timeEnd('Article Generation API Request');
       
-      const result = response.content[0]?.text || 'No article generated';
+      const result = response.text || 'No article generated';
       this.logger.info('Article generation completed', {
         responseLength: result.length
       });
@@ -302,6 +711,280 @@ class AnthropicAPI {
     }
   }
 
+  // Chapter summaries mode: one short summary per chapter, in playback order.
+  // onProgress({ index, total, chapter }) fires before each chapter's request; lastUsage
+  // is the total over every chapter
+  async summarizeChapters(transcript, onProgress = null) {
+    const chapters = typeof Chapters !== 'undefined' ? Chapters.get(transcript) : [];
+    this.logger.info('Starting chapter summaries', {
+      hasApiKey: !!this.apiKey,
+      chapterCount: chapters.length
+    });
+
+    if (!this.isConfigured()) {
+      this.logger.error('API key not configured for chapter summaries');
+      throw new Error('API key not configured');
+    }
+
+    if (!transcript || !transcript.segments || transcript.segments.length === 0) {
+      this.logger.error('No transcript data provided for chapter summaries');
+      throw new Error('No transcript data provided');
+    }
+
+    if (chapters.length === 0) {
+      throw new Error('This video has no chapters');
+    }
+
+    if (!globalThis.CHAPTER_SUMMARY_PROMPT) {
+      throw new Error('CHAPTER_SUMMARY_PROMPT is not loaded. Please ensure prompts.js is included and loaded.');
+    }
+
+    const summaries = [];
+    const usages = [];
+    for (const [index, chapter] of chapters.entries()) {
+      if (onProgress) {
+        onProgress({ index, total: chapters.length, chapter });
+      }
+
+      const text = this.getTranscriptText(Chapters.getChapterTranscript(transcript, index));
+      let summary = '';
+      // Chapters without speech (intros, music) get no request
+      if (text.trim()) {
+        const prompt = this.replaceTemplateVariables(globalThis.CHAPTER_SUMMARY_PROMPT, {
+          VIDEO_TITLE: transcript.title || 'YouTube Video',
+          ...this.getMetadataVariables(transcript),
+          CHAPTER_TITLE: chapter.title,
+          CHAPTER_START: SegmentTiming.formatTimestamp(chapter.startSeconds),
+          CHAPTER_END: SegmentTiming.formatTimestamp(chapter.endSeconds) || 'end',
+          TRANSCRIPT: text
+        });
+
+        try {
+          const response = await this.makeRequest(this.apiKey, [{ role: 'user', content: prompt }], this.stepMaxTokens.chapterSummary);
+          summary = response.text || '';
+          usages.push(response.usage);
+        } catch (error) {
+          this.logger.error('Error summarizing chapter', { index, title: chapter.title, error: error.message });
+          throw error;
+        }
+      }
+
+      summaries.push({
+        index,
+        startSeconds: chapter.startSeconds,
+        endSeconds: chapter.endSeconds,
+        title: chapter.title,
+        summary
+      });
+    }
+
+    this.lastUsage = this.summarizeUsage(usages);
+    this.logger.info('Chapter summaries completed', { chapterCount: summaries.length });
+    return summaries;
+  }
+
+  // Propose chapters for a video without any. The model's list is checked against
+  // YouTube's rules locally; a list that fails gets one correction round before giving up
+  async generateChapters(transcript) {
+    this.logger.info('Starting chapter generation', {
+      hasApiKey: !!this.apiKey,
+      segmentCount: transcript?.segments?.length || 0
+    });
+
+    if (!this.isConfigured()) {
+      this.logger.error('API key not configured for chapter generation');
+      throw new Error('API key not configured');
+    }
+
+    if (!transcript || !transcript.segments || transcript.segments.length === 0) {
+      this.logger.error('No transcript data provided for chapter generation');
+      throw new Error('No transcript data provided');
+    }
+
+    if (!globalThis.CHAPTER_GENERATION_PROMPT) {
+      throw new Error('CHAPTER_GENERATION_PROMPT is not loaded. Please ensure prompts.js is included and loaded.');
+    }
+
+    const segments = TranscriptCleaner.getSegments(transcript, this.transcriptSource)
+      .filter(segment => Number.isFinite(segment.startSeconds));
+    if (segments.length === 0) {
+      throw new Error('Transcript has no timestamps to place chapters on');
+    }
+
+    const lastSegment = segments[segments.length - 1];
+    const durationSeconds = transcript.metadata?.durationSeconds || lastSegment.endSeconds || lastSegment.startSeconds;
+    const prompt = this.replaceTemplateVariables(globalThis.CHAPTER_GENERATION_PROMPT, {
+      VIDEO_TITLE: transcript.title || 'YouTube Video',
+      ...this.getMetadataVariables(transcript),
+      MIN_CHAPTER_LENGTH: String(Chapters.MIN_LENGTH),
+      TRANSCRIPT: segments.map(segment => `[${SegmentTiming.label(segment)}] ${segment.text}`).join('\n')
+    });
+
+    const messages = [{ role: 'user', content: prompt }];
+    const usages = [];
+
+    try {
+      this.logger.time('Chapter Generation API Request');
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        const response = await this.makeRequest(this.apiKey, messages, this.stepMaxTokens.chapterGeneration);
+        usages.push(response.usage);
+        const reply = response.text || '';
+        const { chapters, errors } = Chapters.fromProposal(reply, segments, durationSeconds);
+
+        if (errors.length === 0) {
+          // A corrected list cost both rounds
+          this.lastUsage = this.summarizeUsage(usages);
+          this.logger.timeEnd('Chapter Generation API Request');
+          this.logger.info('Chapter generation completed', { chapterCount: chapters.length, attempt });
+          return chapters;
+        }
+
+        this.logger.warn('Generated chapters failed validation', { attempt, errors });
+        if (attempt === 2) {
+          throw new Error(`Generated chapters failed validation: ${errors.join('; ')}`);
+        }
+        messages.push(
+          { role: 'assistant', content: reply },
+          { role: 'user', content: `These chapters break YouTube's chapter rules:\n- ${errors.join('\n- ')}\n\nReply with a corrected JSON array only.` }
+        );
+      }
+    } catch (error) {
+      this.logger.error('Error generating chapters', error);
+      throw error;
+    }
+  }
+
+  // Explain a passage the user selected on the video page, with the transcript around it
+  // as context. Returns { explanation, startSeconds } (null when the passage wasn't found)
+  async explainPassage(transcript, selection) {
+    this.logger.info('Starting passage explanation', {
+      hasApiKey: !!this.apiKey,
+      selectionLength: selection?.length || 0
+    });
+
+    if (!this.isConfigured()) {
+      this.logger.error('API key not configured for passage explanation');
+      throw new Error('API key not configured');
+    }
+
+    if (!selection || !selection.trim()) {
+      throw new Error('No passage selected');
+    }
+
+    if (!transcript || !transcript.segments || transcript.segments.length === 0) {
+      this.logger.error('No transcript data provided for passage explanation');
+      throw new Error('No transcript data provided');
+    }
+
+    if (!globalThis.PASSAGE_EXPLANATION_PROMPT) {
+      throw new Error('PASSAGE_EXPLANATION_PROMPT is not loaded. Please ensure prompts.js is included and loaded.');
+    }
+
+    const context = PassageContext.find(transcript, selection);
+    if (!context.found) {
+      this.logger.warn('Passage not found in the transcript, sending the whole transcript');
+    }
+
+    const prompt = this.replaceTemplateVariables(globalThis.PASSAGE_EXPLANATION_PROMPT, {
+      VIDEO_TITLE: transcript.title || 'YouTube Video',
+      ...this.getMetadataVariables(transcript),
+      PASSAGE: selection.trim(),
+      PASSAGE_TIME: context.startSeconds !== null ? `at ${SegmentTiming.formatTimestamp(context.startSeconds)}` : 'position in the video unknown',
+      TRANSCRIPT: context.segments
+        .map(segment => Number.isFinite(segment.startSeconds) ? `[${SegmentTiming.label(segment)}] ${segment.text}` : segment.text)
+        .join('\n')
+    });
+
+    try {
+      this.logger.time('Passage Explanation API Request');
+      const response = await this.makeRequest(this.apiKey, [{ role: 'user', content: prompt }], this.stepMaxTokens.passageExplanation);
+      this.logger.timeEnd('Passage Explanation API Request');
+
+      const explanation = response.text || 'No explanation generated';
+      this.logger.info('Passage explanation completed', { responseLength: explanation.length, found: context.found });
+      return { explanation, startSeconds: context.startSeconds };
+    } catch (error) {
+      this.logger.error('Error explaining passage', error);
+      throw error;
+    }
+  }
+
+  // Ask the article to follow the creator's chapters when the video has them
+  getChapterStructure(transcript) {
+    const chapters = typeof Chapters !== 'undefined' ? Chapters.get(transcript) : [];
+    if (chapters.length === 0) return '';
+
+    const intro = transcript.metadata?.chapters?.length > 0
+      ? "The video's creator divided it into these chapters"
+      : 'The video is divided into these chapters';
+    return `\n${intro}. Use them, in this order, as the main content sections instead of inventing your own:\n${Chapters.toOutline(chapters)}\n`;
+  }
+
+  // Prompts for the key points and article steps, shared by the requests and their estimates
+  getKeyPointsPrompt(transcript, fullText = this.getTranscriptText(transcript)) {
+    return this.replaceTemplateVariables(globalThis.KEY_POINTS_PROMPT, {
+      VIDEO_TITLE: transcript.title || 'YouTube Video',
+      ...this.getMetadataVariables(transcript),
+      TRANSCRIPT: fullText
+    });
+  }
+
+  getKeyPointsPartPrompt(transcript, part, partCount) {
+    return this.replaceTemplateVariables(globalThis.KEY_POINTS_PART_PROMPT, {
+      VIDEO_TITLE: transcript.title || 'YouTube Video',
+      ...this.getMetadataVariables(transcript),
+      PART_COUNT: String(partCount),
+      PART_NUMBER: String(part.index + 1),
+      PART_RANGE: TranscriptChunker.formatRange(part),
+      TRANSCRIPT: part.text
+    });
+  }
+
+  // sections are [{ startSeconds, endSeconds, keyPoints }] of consecutive parts; a group of
+  // them that isn't the whole video is merged for the stretch it covers
+  getKeyPointsMergePrompt(transcript, sections, isWholeVideo = true) {
+    const range = sections.length > 0
+      ? TranscriptChunker.formatRange({ startSeconds: sections[0].startSeconds, endSeconds: sections[sections.length - 1].endSeconds })
+      : '';
+    return this.replaceTemplateVariables(globalThis.KEY_POINTS_MERGE_PROMPT, {
+      VIDEO_TITLE: transcript.title || 'YouTube Video',
+      ...this.getMetadataVariables(transcript),
+      PART_COUNT: String(sections.length),
+      MERGE_SCOPE: isWholeVideo ? 'the whole video' : `the stretch of the video they cover${range}`,
+      PART_KEY_POINTS: sections
+        .map((section, index) => `### Part ${index + 1}${TranscriptChunker.formatRange(section)}\n${section.keyPoints}`)
+        .join('\n\n')
+    });
+  }
+
+  // A transcript that had to be read in parts won't fit next to the key points either
+  getArticlePrompt(keyPoints, transcript) {
+    const fullText = this.getTranscriptText(transcript);
+    const isTooLong = this.isTooLong(fullText);
+
+    return this.replaceTemplateVariables(globalThis.ARTICLE_GENERATION_PROMPT, {
+      VIDEO_TITLE: transcript.title || 'YouTube Video',
+      ...this.getMetadataVariables(transcript),
+      KEY_POINTS: keyPoints,
+      TRANSCRIPT: isTooLong ? globalThis.LONG_TRANSCRIPT_NOTE : fullText,
+      CHAPTER_STRUCTURE: this.getChapterStructure(transcript)
+    });
+  }
+
+  // Cleaned paragraphs or raw caption text, per the user's transcript source setting
+  getTranscriptText(transcript) {
+    if (typeof TranscriptCleaner !== 'undefined') {
+      return TranscriptCleaner.getText(transcript, this.transcriptSource);
+    }
+    return transcript.segments.map(segment => segment.text).join(' ');
+  }
+
+  // Channel, publish date, chapters etc. for the prompt templates (see VideoMetadata)
+  getMetadataVariables(transcript) {
+    if (typeof VideoMetadata === 'undefined') return {};
+    return VideoMetadata.toPromptVariables(transcript.metadata);
+  }
+
   // Combined method to extract key points and generate article
   async processTranscript(transcript) {
     try {
@@ -333,7 +1016,8 @@ class AnthropicAPI {
     // Replace each variable in the template
     for (const [key, value] of Object.entries(variables)) {
       const placeholder = `{${key}}`;
-      result = result.replace(new RegExp(placeholder, 'g'), value || '');
+      // Replacer function so "$&" or "$1" in a description is inserted literally
+      result = result.replace(new RegExp(placeholder, 'g'), () => value || '');
     }
     
     return result;
@@ -342,6 +1026,7 @@ class AnthropicAPI {
   // Get current model info
   getModelInfo() {
     return {
+      provider: this.provider.id,
       model: this.model,
       maxTokens: this.maxTokens,
       hasApiKey: !!this.apiKey,
@@ -349,12 +1034,31 @@ class AnthropicAPI {
     };
   }
 
-  // Update model settings
-  updateSettings(model = null, maxTokens = null) {
-    if (model) this.model = model;
-    if (maxTokens) this.maxTokens = maxTokens;
+  // Apply generation settings ({ model, maxTokens: { keyPoints, article, ... }, temperature,
+  // stopSequences }); null goes back to the defaults. Invalid settings are rejected whole
+  // and the errors returned
+  updateSettings(generation = null) {
+    const { generation: validated, errors } = AnthropicAPI.validateGeneration(generation || {}, this.provider);
+    if (errors.length > 0) {
+      this.logger.warn('Generation settings rejected', { errors });
+      return errors;
+    }
+
+    this.model = validated.model;
+    this.stepMaxTokens = validated.maxTokens;
+    this.maxTokens = validated.maxTokens.keyPoints;
+    this.temperature = validated.temperature;
+    this.stopSequences = validated.stopSequences;
+    this.logger.debug('Generation settings applied', validated);
+    return [];
   }
 }
 
-// Export for use in other files
-window.AnthropicAPI = AnthropicAPI;
\ No newline at end of file
+// Export for use in other files (the popup, and the background service worker's batch queue)
+if (typeof window !== 'undefined') {
+  window.AnthropicAPI = AnthropicAPI;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AnthropicAPI };
+}
\ No newline at end of file
@@ -0,0 +1,178 @@
+// Anthropic Provider - Messages API requests, responses and errors for AnthropicAPI
+// Each provider turns the same generation settings into its own request and its answers
+// into one shape, { text, model, usage: { input_tokens, output_tokens }, stopReason }, so
+// the steps in AnthropicAPI don't depend on which one is selected (see
+// OpenAICompatibleProvider for the other)
+
+class AnthropicProvider {
+  constructor(config = {}) {
+    this.id = 'anthropic';
+    this.name = 'Anthropic';
+    this.defaultBaseURL = AnthropicProvider.DEFAULT_BASE_URL;
+    this.baseURL = config.baseURL || this.defaultBaseURL;
+    // A corporate gateway in front of the API, with its own host and keys
+    this.usesGateway = this.baseURL !== this.defaultBaseURL;
+    this.headers = config.headers || {}; // Sent with every request, e.g. a gateway's auth header
+    this.keyStorageKey = 'anthropic_api_key';
+    this.requiresApiKey = true;
+    this.keyPlaceholder = 'sk-ant-...';
+    this.defaultModel = 'claude-sonnet-4-20250514';
+    this.maxTemperature = 1;
+    this.maxStopSequences = 8;
+  }
+
+  // Requests go to {baseURL}/v1/messages, so a gateway URL is the API root it stands in for
+  static get DEFAULT_BASE_URL() {
+    return 'https://api.anthropic.com';
+  }
+
+  // Models offered in settings, with the most output tokens each can write and their
+  // context window
+  static get MODELS() {
+    return [
+      { id: 'claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5', maxOutputTokens: 64000, contextTokens: 200000 },
+      { id: 'claude-sonnet-4-20250514', label: 'Claude Sonnet 4', maxOutputTokens: 64000, contextTokens: 200000 },
+      { id: 'claude-opus-4-5-20251101', label: 'Claude Opus 4.5', maxOutputTokens: 64000, contextTokens: 200000 },
+      { id: 'claude-opus-4-1-20250805', label: 'Claude Opus 4.1', maxOutputTokens: 32000, contextTokens: 200000 },
+      { id: 'claude-haiku-4-5-20251001', label: 'Claude Haiku 4.5', maxOutputTokens: 64000, contextTokens: 200000 },
+      { id: 'claude-3-5-haiku-20241022', label: 'Claude Haiku 3.5', maxOutputTokens: 8192, contextTokens: 200000 }
+    ];
+  }
+
+  // USD per million tokens (anthropic.com/pricing), matched on the start of the model name;
+  // models not listed here get no cost
+  static get PRICING() {
+    return {
+      'claude-opus-4-5': { input: 5, output: 25 },
+      'claude-opus-4': { input: 15, output: 75 },
+      'claude-sonnet-4': { input: 3, output: 15 },
+      'claude-3-7-sonnet': { input: 3, output: 15 },
+      'claude-3-5-sonnet': { input: 3, output: 15 },
+      'claude-haiku-4-5': { input: 1, output: 5 },
+      'claude-3-5-haiku': { input: 0.8, output: 4 }
+    };
+  }
+
+  static getPricing(model) {
+    const prefix = Object.keys(AnthropicProvider.PRICING)
+      .filter(name => (model || '').startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? AnthropicProvider.PRICING[prefix] : null;
+  }
+
+  // Gateways hand out keys of their own, so only Anthropic's are checked for their prefix
+  isValidApiKey(apiKey) {
+    if (this.usesGateway) return !!apiKey && !/\s/.test(apiKey);
+    return !!apiKey && apiKey.startsWith('sk-ant-') && apiKey.length > 20;
+  }
+
+  // The model list is fixed, so this never needs the network
+  async listModels() {
+    return AnthropicProvider.MODELS;
+  }
+
+  // Models the settings can choose from; anything else is refused
+  isKnownModel(model) {
+    return AnthropicProvider.MODELS.some(candidate => candidate.id === model);
+  }
+
+  getMaxOutputTokens(model) {
+    return AnthropicProvider.MODELS.find(candidate => candidate.id === model)?.maxOutputTokens || 8192;
+  }
+
+  getContextTokens(model) {
+    return AnthropicProvider.MODELS.find(candidate => candidate.id === model)?.contextTokens || 200000;
+  }
+
+  // Cost in USD, or null when the model's prices aren't known
+  getCost(model, inputTokens, outputTokens) {
+    const pricing = AnthropicProvider.getPricing(model);
+    if (!pricing) return null;
+    return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+  }
+
+  // Messages API body; temperature and stop sequences are only sent when set
+  buildBody({ model, messages, maxTokens, temperature, stopSequences, stream }) {
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      messages
+    };
+    if (temperature !== null) body.temperature = temperature;
+    if (stopSequences.length > 0) body.stop_sequences = stopSequences;
+    if (stream) body.stream = true;
+    return body;
+  }
+
+  // { url, headers } for a request with this key; custom headers come last, so a gateway
+  // can replace any of the others
+  buildRequest(apiKey) {
+    return {
+      url: `${this.baseURL}/v1/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true',
+        ...this.headers
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return {
+      text: (data?.content || []).map(block => block.text || '').join(''),
+      model: data?.model || null,
+      usage: data?.usage ? { input_tokens: data.usage.input_tokens || 0, output_tokens: data.usage.output_tokens || 0 } : null,
+      stopReason: data?.stop_reason || null
+    };
+  }
+
+  // Parser for a streamed answer; finish() gives the same shape as parseResponse
+  createStream(onText) {
+    const stream = new MessageStream(onText);
+    return {
+      push: chunk => stream.push(chunk),
+      finish: () => this.parseResponse(stream.finish())
+    };
+  }
+
+  // Overloaded and rate-limited requests are worth retrying
+  isRetryable(status) {
+    return status === 529 || status === 429;
+  }
+
+  // User-facing message for a failed request
+  getErrorMessage(status, statusText, errorData) {
+    if (status === 529) {
+      return 'Anthropic API is currently overloaded. Please try again in a few minutes.';
+    } else if (status === 429) {
+      return 'Rate limit exceeded. Please wait a moment and try again.';
+    } else if (status === 401) {
+      return 'Invalid API key. Please check your Anthropic API key in settings.';
+    } else if (status === 403) {
+      return 'API access denied. Please check your API key permissions.';
+    } else if (status >= 500) {
+      return 'Anthropic API server error. Please try again later.';
+    } else if (errorData?.error?.message) {
+      return errorData.error.message;
+    }
+    return `API request failed: ${status} ${statusText}`;
+  }
+
+  getNetworkErrorMessage() {
+    if (this.usesGateway) {
+      return `Network error: could not reach the gateway at ${this.baseURL}. Check the gateway URL in settings and your connection.`;
+    }
+    return 'Network error: Please check your internet connection and try again.';
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.AnthropicProvider = AnthropicProvider;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AnthropicProvider };
+}
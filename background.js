@@ -1,5 +1,17 @@
 // Background service worker for YouTube AI Article Generator
 
+// Shared YouTube URL parser (same file the popup and content scripts load)
+importScripts('youtube-url.js');
+
+// Playlist batch jobs extract transcripts and call the API from here, with the popup's modules
+importScripts('segment-timing.js', 'transcript-quality.js', 'transcript-cleaner.js', 'caption-tracks.js', 'video-metadata.js', 'chapters.js', 'transcript-chunker.js', 'prompts.js', 'message-stream.js', 'chat-completion-stream.js', 'anthropic-provider.js', 'openai-compatible-provider.js', 'anthropic-api.js', 'batch-queue.js');
+
+// Toolbar badge for each tab's stored state
+importScripts('action-badge.js');
+
+// Context menu results: passages located in transcripts, saved to the library
+importScripts('passage-context.js', 'library.js');
+
 // Initialize debug logger and tab manager
 let logger = null;
 let tabManager = null;
@@ -27,38 +39,20 @@ async function getTabManager() {
     tabManager = {
       // Simplified tab manager methods for service worker context
       
-      // Extract YouTube video ID from URL  
+      // Extract YouTube video ID from URL
       extractVideoId(url) {
-        if (!url) return null;
-        
-        const patterns = [
-          /(?:youtube\.com\/watch\?v=)([a-zA-Z0-9_-]{11})/,
-          /(?:youtu\.be\/)([a-zA-Z0-9_-]{11})/,
-          /(?:youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
-          /(?:youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/
-        ];
-        
-        for (const pattern of patterns) {
-          const match = url.match(pattern);
-          if (match && match[1]) {
-            return match[1];
-          }
-        }
-        return null;
+        return YouTubeUrl.extractVideoId(url);
       },
 
       // Normalize YouTube URL
       normalizeYouTubeUrl(url) {
-        const videoId = this.extractVideoId(url);
-        return videoId ? `https://www.youtube.com/watch?v=${videoId}` : url;
+        return YouTubeUrl.normalize(url);
       },
 
       // Check if two URLs are the same video
       isSameYouTubeVideo(url1, url2) {
         if (!url1 || !url2) return false;
-        const videoId1 = this.extractVideoId(url1);
-        const videoId2 = this.extractVideoId(url2);
-        return videoId1 && videoId2 && videoId1 === videoId2;
+        return YouTubeUrl.isSameVideo(url1, url2);
       },
 
       async updateTabInfo(tabId, url, title) {
@@ -78,6 +72,7 @@ async function getTabManager() {
               title: title || 'YouTube Video',
               transcript: null,
               keyPoints: null,
+              chapterSummaries: null,
               article: null,
               isProcessing: false,
               processingStep: null,
@@ -124,6 +119,88 @@ async function getTabManager() {
         }
       },
 
+      // Empty state for a video in a tab (same fields as TabManager.createEmptyTabState)
+      createTabState(tabId, url, title) {
+        return {
+          tabId: tabId,
+          url: this.normalizeYouTubeUrl(url || ''),
+          title: title || 'YouTube Video',
+          transcript: null,
+          keyPoints: null,
+          chapterSummaries: null,
+          article: null,
+          isProcessing: false,
+          processingStep: null,
+          error: null,
+          lastUpdated: Date.now(),
+          createdAt: Date.now()
+        };
+      },
+
+      // The tab's stored state when it belongs to the video at url, otherwise a fresh one
+      async getVideoState(tabId, url, title) {
+        const result = await chrome.storage.local.get(['youtubeTabs']);
+        const existing = (result.youtubeTabs || {})[tabId];
+        if (existing && (this.isSameYouTubeVideo(existing.url, url) || existing.url === url)) {
+          return existing;
+        }
+        return this.createTabState(tabId, url, title);
+      },
+
+      async saveTabState(tabId, tabState) {
+        const result = await chrome.storage.local.get(['youtubeTabs']);
+        const allTabs = result.youtubeTabs || {};
+        allTabs[tabId] = { ...tabState, tabId: tabId, lastUpdated: Date.now() };
+        await chrome.storage.local.set({ youtubeTabs: allTabs });
+      },
+
+      async updateTabState(tabId, updates) {
+        const result = await chrome.storage.local.get(['youtubeTabs']);
+        const current = (result.youtubeTabs || {})[tabId] || this.createTabState(tabId, updates.url, updates.title);
+        await this.saveTabState(tabId, { ...current, ...updates });
+      },
+
+      // Store a transcript the content script extracted on its own. Tab state belongs to one
+      // video: a transcript for a new video replaces the old video's state, while one the user
+      // already has (or is extracting) for this video is left alone
+      async saveExtractedTranscript(tabId, tabUrl, tabTitle, transcript) {
+        if (!logger) initializeLogger();
+
+        if (!this.isSameYouTubeVideo(transcript.url, tabUrl)) {
+          return { saved: false, reason: 'tab moved on to another video' };
+        }
+
+        const result = await chrome.storage.local.get(['youtubeTabs']);
+        const allTabs = result.youtubeTabs || {};
+        const existing = allTabs[tabId];
+        const isSameVideo = !!existing && this.isSameYouTubeVideo(existing.url, transcript.url);
+
+        if (isSameVideo && existing.isProcessing) {
+          return { saved: false, reason: 'tab is processing' };
+        }
+        if (isSameVideo && existing.transcript?.segments?.length > 0) {
+          return { saved: false, reason: 'transcript already stored' };
+        }
+
+        const base = isSameVideo ? existing : this.createTabState(tabId, transcript.url, tabTitle);
+        allTabs[tabId] = {
+          ...base,
+          url: this.normalizeYouTubeUrl(transcript.url),
+          title: transcript.title || base.title || tabTitle || 'YouTube Video',
+          transcript,
+          error: null,
+          lastUpdated: Date.now()
+        };
+
+        await chrome.storage.local.set({ youtubeTabs: allTabs });
+        logger.info('Auto-extracted transcript saved to tab state', {
+          tabId,
+          segments: transcript.segments.length,
+          replacedOtherVideo: !!existing && !isSameVideo
+        });
+        return { saved: true };
+      },
+
       async removeTab(tabId) {
         if (!logger) initializeLogger();
         
@@ -152,7 +229,7 @@ async function getTabManager() {
       },
 
       isYouTubeUrl(url) {
-        return url && (url.includes('youtube.com/watch') || url.includes('youtu.be/'));
+        return YouTubeUrl.isVideoUrl(url);
       }
     };
   }
@@ -181,6 +258,8 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     // await manager.cleanupOldTabs(); // Will implement when needed
   }
   
+  createContextMenus();
+
   // Just initialize tab tracking for existing YouTube tabs
   try {
     const tabs = await chrome.tabs.query({});
@@ -215,6 +294,36 @@ chrome.runtime.onStartup.addListener(async () => {
   } catch (error) {
     logger.error('Error during startup cleanup', error);
   }
+
+  // Batch jobs left unfinished when the browser closed
+  runBatchQueue();
+});
+
+// Show a tab's stored state on the toolbar icon; url leaves the badge blank once the tab has
+// moved on from the video the state belongs to
+async function updateActionBadge(tabId, tabState, url = null) {
+  const badge = ActionBadge.describe(tabState, url);
+  try {
+    await chrome.action.setBadgeText({ tabId, text: badge.text });
+    if (badge.color) {
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+    }
+    await chrome.action.setTitle({ tabId, title: badge.title || chrome.runtime.getManifest().action.default_title });
+  } catch (error) {
+    // The tab closed since its state was written
+  }
+}
+
+// The popup and the background both write tab state; badges follow whichever changed it
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.youtubeTabs) return;
+
+  const oldTabs = changes.youtubeTabs.oldValue || {};
+  const newTabs = changes.youtubeTabs.newValue || {};
+  for (const [tabId, tabState] of Object.entries(newTabs)) {
+    if (ActionBadge.isSame(ActionBadge.describe(oldTabs[tabId]), ActionBadge.describe(tabState))) continue;
+    updateActionBadge(Number(tabId), tabState);
+  }
 });
 
 // Tab update handler - track YouTube tab changes
@@ -223,9 +332,15 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   
   try {
     const manager = await getTabManager();
+
+    // YouTube changes videos without reloading; the badge shouldn't outlive its video
+    if (changeInfo.url && !batchTabIds.has(tabId)) {
+      const { youtubeTabs = {} } = await chrome.storage.local.get(['youtubeTabs']);
+      await updateActionBadge(tabId, youtubeTabs[tabId], changeInfo.url);
+    }
     
     // Only track YouTube tabs that have finished loading
-    if (changeInfo.status === 'complete' && tab.url && manager.isYouTubeUrl(tab.url)) {
+    if (changeInfo.status === 'complete' && tab.url && manager.isYouTubeUrl(tab.url) && !batchTabIds.has(tabId)) {
       logger.debug('YouTube tab updated', { tabId, url: tab.url, title: tab.title });
       await manager.updateTabInfo(tabId, tab.url, tab.title);
       
@@ -271,6 +386,601 @@ chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
   }
 });
 
+// Playlist batch jobs: queued videos are processed here, one at a time, with no tab needed
+const batchQueue = new BatchQueue({ processItem: processBatchVideo });
+
+// Hidden tabs opened for batch extraction aren't the user's tabs, so they get no tab state
+const batchTabIds = new Set();
+
+const BATCH_QUEUE_ALARM = 'batchQueue';
+
+// Start or resume the queue without holding up whoever asked. While videos are waiting an
+// alarm resumes them, in case Chrome stops the service worker mid-job; it goes once they're done
+async function runBatchQueue() {
+  if (!logger) initializeLogger();
+  try {
+    if (!BatchQueue.hasPending(await batchQueue.getJobs())) {
+      await chrome.alarms.clear(BATCH_QUEUE_ALARM);
+      return;
+    }
+
+    await chrome.alarms.create(BATCH_QUEUE_ALARM, { periodInMinutes: 1 });
+    // A job added as a run finished is left for the alarm
+    if (await batchQueue.run() && !BatchQueue.hasPending(await batchQueue.getJobs())) {
+      await chrome.alarms.clear(BATCH_QUEUE_ALARM);
+    }
+  } catch (error) {
+    logger.error('Batch queue stopped', error);
+  }
+}
+
+// Extract one video's transcript and generate its key points; the result is kept on the job
+async function processBatchVideo(item, job, setStep) {
+  const { settings = {} } = await chrome.storage.local.get(['settings']);
+  // A context menu job has no panel open to show its failure, so it gets a notification
+  const reportFailure = error => {
+    if (job.options?.saveToLibrary) notify('❌ Could not summarize video', error.message);
+    throw error;
+  };
+
+  await setStep('extracting transcript');
+  const transcript = await extractBatchTranscript(item.videoId, settings).catch(reportFailure);
+
+  await setStep('extracting key points');
+  const api = await createAnthropicApi(settings);
+  const keyPoints = await api.extractKeyPoints(transcript).catch(reportFailure);
+
+  // Videos summarized from a link's context menu are kept in the library as well
+  if (job.options?.saveToLibrary) {
+    await library.add({
+      type: 'video-summary',
+      videoId: item.videoId,
+      url: transcript.url,
+      title: transcript.title,
+      channelName: transcript.metadata?.channelName || null,
+      content: keyPoints,
+      source: transcript.source
+    });
+    notify('✅ Summary saved to the library', transcript.title);
+  }
+
+  return {
+    title: transcript.title,
+    url: transcript.url,
+    channelName: transcript.metadata?.channelName || null,
+    segmentCount: transcript.segments.length,
+    coverage: transcript.coverage,
+    source: transcript.source,
+    keyPoints
+  };
+}
+
+// API client with the user's provider, key and transcript choice, as the popup sets it up
+async function createAnthropicApi(settings) {
+  const api = new AnthropicAPI();
+  await api.ready;
+  await api.useProvider(settings.provider || null);
+  api.updateSettings(settings.generation || null);
+  api.transcriptSource = settings.transcriptSource === 'raw' ? 'raw' : 'cleaned';
+  return api;
+}
+
+// A content script's EXTRACT_TRANSCRIPT response as a stored transcript, cleaned like the popup does
+function buildTabTranscript(response, tabTitle, settings) {
+  return TranscriptCleaner.withCleaned({
+    url: response.url,
+    timestamp: new Date().toISOString(),
+    segments: response.transcript,
+    title: response.metadata?.title || tabTitle || 'YouTube Video',
+    languageCode: response.track?.languageCode || null,
+    captionTrack: response.track || null,
+    coverage: response.coverage || null,
+    source: response.source || null,
+    metadata: response.metadata || null
+  }, settings.cleanup || {});
+}
+
+// Caption tracks fetched straight from the worker, or a hidden tab running the content script
+async function extractBatchTranscript(videoId, settings) {
+  const url = YouTubeUrl.toWatchUrl(videoId);
+  let extracted = null;
+
+  try {
+    const captionTracks = new CaptionTracks();
+    const result = await captionTracks.extract(videoId, { languageCode: settings.captionLanguage || null });
+    if (result?.segments.length > 0) {
+      const metadata = VideoMetadata.fromPlayerResponse(captionTracks.fetchedPlayerResponse);
+      const segments = SegmentTiming.fillEndTimes(result.segments, metadata?.durationSeconds);
+      const coverage = SegmentTiming.coverage(segments, metadata?.durationSeconds);
+      extracted = {
+        segments: Chapters.assign(segments, metadata?.chapters),
+        track: CaptionTracks.describeTrack(result.track),
+        coverage,
+        source: TranscriptQuality.assess({ method: 'caption-track' }, segments, coverage),
+        metadata
+      };
+    }
+  } catch (error) {
+    logger.warn('Caption tracks unavailable in the service worker', { videoId, error: error.message });
+  }
+
+  if (!extracted) {
+    logger.info('Extracting batch video in a background tab', { videoId });
+    const response = await extractInBackgroundTab(url, settings);
+    if (!response?.transcript || response.transcript.length === 0) {
+      throw new Error(response?.error || 'No transcript available for this video');
+    }
+    extracted = {
+      segments: response.transcript,
+      track: response.track || null,
+      coverage: response.coverage || null,
+      source: response.source || null,
+      metadata: response.metadata || null
+    };
+  }
+
+  return TranscriptCleaner.withCleaned({
+    url,
+    timestamp: new Date().toISOString(),
+    segments: extracted.segments,
+    title: extracted.metadata?.title || 'YouTube Video',
+    languageCode: extracted.track?.languageCode || null,
+    captionTrack: extracted.track,
+    coverage: extracted.coverage,
+    source: extracted.source,
+    metadata: extracted.metadata
+  }, settings.cleanup || {});
+}
+
+// Open the video in an inactive tab, ask its content script for the transcript, close it
+async function extractInBackgroundTab(url, settings) {
+  const tab = await chrome.tabs.create({ url, active: false });
+  batchTabIds.add(tab.id);
+
+  try {
+    await waitForTabComplete(tab.id, 30000);
+
+    // The content script may still be starting up after the page finished loading
+    let lastError = null;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        return await chrome.tabs.sendMessage(tab.id, {
+          type: 'EXTRACT_TRANSCRIPT',
+          languageCode: settings.captionLanguage || null
+        });
+      } catch (error) {
+        lastError = error;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    throw new Error(`Content script did not respond: ${lastError?.message}`);
+  } finally {
+    batchTabIds.delete(tab.id);
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+function waitForTabComplete(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Timed out loading the video page'));
+    }, timeout);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// Keyboard shortcuts (manifest "commands", changed at chrome://extensions/shortcuts) run the
+// popup's flows on the active tab without opening it; the badge follows the tab state and a
+// notification reports the result
+const COMMAND_FLOWS = {
+  'extract-transcript': runExtractCommand,
+  'run-pipeline': runPipelineCommand,
+  'copy-article': runCopyArticleCommand
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!logger) initializeLogger();
+  const flow = COMMAND_FLOWS[command];
+  if (!flow) return;
+
+  const [activeTab] = tab?.id ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+  logger.info('Keyboard shortcut', { command, tabId: activeTab?.id });
+
+  if (!activeTab?.id || !/^(https?|file):/.test(activeTab.url || '')) {
+    notify('Nothing to do on this page', 'Open a YouTube video or a page with a captioned video first');
+    return;
+  }
+
+  try {
+    await flow(activeTab);
+  } catch (error) {
+    logger.error('Keyboard shortcut failed', { command, tabId: activeTab.id, error: error.message });
+    notify('❌ Shortcut failed', error.message);
+  }
+});
+
+function notify(title, message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icon128.png',
+    title,
+    message: message || ''
+  }).catch(error => logger.warn('Could not show notification', { error: error.message }));
+}
+
+// Run one step of the pipeline against the tab's state for its current video, marking the
+// tab as processing (the badge shows it) and storing the step's updates or its error
+async function runTabStep(tab, step, work) {
+  const manager = await getTabManager();
+  const state = await manager.getVideoState(tab.id, tab.url, tab.title);
+  if (state.isProcessing) {
+    throw new Error(`Already busy with this video (${state.processingStep || 'processing'})`);
+  }
+
+  await manager.saveTabState(tab.id, { ...state, isProcessing: true, processingStep: step, error: null });
+  try {
+    const updates = await work(state);
+    await manager.updateTabState(tab.id, { ...updates, isProcessing: false, processingStep: null });
+    return { ...state, ...updates };
+  } catch (error) {
+    await manager.updateTabState(tab.id, { isProcessing: false, processingStep: null, error: error.message });
+    throw error;
+  }
+}
+
+// The popup's AI steps run here, streamed into the tab state: the answer survives the popup
+// closing, and a reopened popup picks up the text written so far. describeProgress turns a
+// step's onProgress report into words (long transcripts' parts by default); store turns the
+// result into tab state updates (the step's own field by default)
+const AI_STEPS = {
+  keyPoints: {
+    step: 'extracting key points',
+    run: (api, state, onText, onProgress) => api.extractKeyPoints(state.transcript, onText, onProgress)
+  },
+  article: {
+    step: 'generating article',
+    run: (api, state, onText) => {
+      if (!state.keyPoints) throw new Error('Please extract key points first');
+      return api.generateArticle(state.keyPoints, state.transcript, onText);
+    }
+  },
+  // One request per chapter, nothing streamed
+  chapterSummaries: {
+    step: 'summarizing chapters',
+    run: (api, state, onText, onProgress) => api.summarizeChapters(state.transcript, onProgress),
+    describeProgress: ({ index, total, chapter }) => `chapter ${index + 1}/${total}: ${chapter.title}`
+  },
+  // Kept on the transcript, where the outline, summaries and article look for chapters;
+  // summaries of the chapters they replace no longer apply
+  generatedChapters: {
+    step: 'generating chapters',
+    run: (api, state) => api.generateChapters(state.transcript),
+    store: (chapters, state) => ({
+      transcript: { ...state.transcript, generatedChapters: chapters },
+      chapterSummaries: null
+    })
+  }
+};
+
+// How often streamed text goes to the popup, and to storage for a popup opened later (ms)
+const STREAM_SEND_INTERVAL = 100;
+const STREAM_SAVE_INTERVAL = 2000;
+
+async function runStreamedStep(tab, field, api) {
+  const { step, run, describeProgress = TranscriptChunker.describeProgress, store } = AI_STEPS[field];
+  const manager = await getTabManager();
+  const relay = createStreamRelay(tab.id, field, manager, step, describeProgress);
+  api.onRetry = ({ attempt, attempts }) => relay.retry(attempt, attempts);
+
+  try {
+    const state = await runTabStep(tab, step, async current => {
+      if (!current.transcript) throw new Error('No transcript available');
+      try {
+        const result = await run(api, current, relay.onText, relay.progress);
+        await relay.flush();
+        // Token counts are kept per step, for the popup to show what each answer cost
+        const updates = store ? store(result, current) : { [field]: result };
+        return { ...updates, usage: { ...current.usage, [field]: api.lastUsage } };
+      } catch (error) {
+        // Partial text saved while streaming would pass for a finished answer
+        await relay.flush();
+        if (!store) {
+          await manager.updateTabState(tab.id, { [field]: current[field] ?? null });
+        }
+        throw error;
+      }
+    });
+    relay.finish({ usage: api.lastUsage });
+    return state;
+  } catch (error) {
+    relay.finish({ error: error.message });
+    throw error;
+  } finally {
+    api.onRetry = null;
+  }
+}
+
+// Passes streamed text on as AI_STEP_UPDATE messages and partial tab state saves, throttled
+// so a fast stream doesn't flood either. Progress, described by the step, goes to the popup
+// and into the processing step, which a reopened popup and the badge show
+function createStreamRelay(tabId, field, manager, step, describeProgress) {
+  let text = '';
+  let lastSent = 0;
+  let lastSaved = 0;
+  let saving = Promise.resolve();
+
+  const send = (update) => {
+    chrome.runtime.sendMessage({ type: 'AI_STEP_UPDATE', tabId, field, ...update }).catch(() => {
+      // Popup isn't open; it reads the partial text from the tab state when it is
+    });
+  };
+
+  return {
+    onText: (delta, fullText) => {
+      text = fullText;
+      const now = Date.now();
+      if (now - lastSent >= STREAM_SEND_INTERVAL) {
+        lastSent = now;
+        send({ text, done: false });
+      }
+      if (now - lastSaved >= STREAM_SAVE_INTERVAL) {
+        lastSaved = now;
+        const partial = text;
+        saving = saving
+          .then(() => manager.updateTabState(tabId, { [field]: partial }))
+          .catch(error => logger.warn('Could not save streamed text', { tabId, field, error: error.message }));
+      }
+    },
+    progress: (progress) => {
+      const description = describeProgress(progress);
+      send({ progress: description, done: false });
+      const processingStep = `${step} (${description})`;
+      saving = saving
+        .then(() => manager.updateTabState(tabId, { processingStep }))
+        .catch(error => logger.warn('Could not save step progress', { tabId, field, error: error.message }));
+    },
+    retry: (attempt, attempts) => send({ retry: { attempt, attempts }, done: false }),
+    // Partial saves still in flight, so none lands after the final text
+    flush: () => saving,
+    finish: (result) => send({ text, done: true, ...result })
+  };
+}
+
+// manifest.json only runs the content scripts on YouTube; other pages get the same files
+// when the popup or a shortcut asks, and only if they have a video for the HTML5 adapter
+const CONTENT_SCRIPT_FILES = chrome.runtime.getManifest().content_scripts[0].js;
+
+// Whether the page has a video, injecting the content scripts into it if so
+async function injectPageExtractor(tabId) {
+  const [probe] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => ({ loaded: !!window.youtubeTranscriptExtractorLoaded, hasVideo: !!document.querySelector('video') })
+  });
+  if (!probe?.result?.hasVideo) return false;
+
+  if (!probe.result.loaded) {
+    await chrome.scripting.executeScript({ target: { tabId }, files: CONTENT_SCRIPT_FILES });
+  }
+  return true;
+}
+
+// Same request the popup's Extract Transcript button sends to the content script
+async function extractTabTranscript(tab, settings) {
+  if (!YouTubeUrl.isYouTubeUrl(tab.url) && !(await injectPageExtractor(tab.id))) {
+    throw new Error('No video on this page to extract a transcript from');
+  }
+
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tab.id, {
+      type: 'EXTRACT_TRANSCRIPT',
+      languageCode: settings.captionLanguage || null
+    });
+  } catch (error) {
+    throw new Error('The page is not ready - reload it and try again');
+  }
+
+  if (!response?.transcript || response.transcript.length === 0) {
+    throw new Error(response?.error || 'No transcript found - try enabling captions first');
+  }
+  // Chapter summaries belong to the previous transcript's chapters
+  return { transcript: buildTabTranscript(response, tab.title, settings), chapterSummaries: null };
+}
+
+async function runExtractCommand(tab) {
+  const { settings = {} } = await chrome.storage.local.get(['settings']);
+  const { transcript } = await runTabStep(tab, 'extracting transcript', () => extractTabTranscript(tab, settings));
+
+  const source = TranscriptQuality.describe(transcript.source);
+  notify(
+    TranscriptQuality.isWeak(transcript.source) ? '⚠️ Weak transcript extracted' : '✅ Transcript extracted',
+    `${transcript.title}: ${transcript.segments.length} segments${source ? ` (${source})` : ''}`
+  );
+}
+
+// Transcript (the stored one if the video has it), key points, then the article
+async function runPipelineCommand(tab) {
+  const { settings = {} } = await chrome.storage.local.get(['settings']);
+  const api = await createAnthropicApi(settings);
+  if (!api.isConfigured()) {
+    throw new Error(AnthropicAPI.NOT_CONFIGURED_MESSAGE);
+  }
+
+  const manager = await getTabManager();
+  let state = await manager.getVideoState(tab.id, tab.url, tab.title);
+  if (state.transcript?.isRecording) {
+    throw new Error('Stop the caption recording first');
+  }
+  if (!state.transcript) {
+    state = await runTabStep(tab, 'extracting transcript', () => extractTabTranscript(tab, settings));
+  }
+
+  // The popup asks before sending a weak transcript to the AI; a shortcut can't ask
+  if (TranscriptQuality.isWeak(state.transcript.source)) {
+    throw new Error(`Weak transcript source (${TranscriptQuality.describe(state.transcript.source)}) - use the popup to send it to the AI anyway`);
+  }
+
+  state = await runStreamedStep(tab, 'keyPoints', api);
+  state = await runStreamedStep(tab, 'article', api);
+
+  notify('✅ Article ready', `${state.transcript.title} - copy it with the Copy Article shortcut or open the popup`);
+}
+
+async function runCopyArticleCommand(tab) {
+  const manager = await getTabManager();
+  const state = await manager.getVideoState(tab.id, tab.url, tab.title);
+  if (!state.article) {
+    throw new Error('No article for this video yet - run the pipeline shortcut first');
+  }
+
+  await copyInTab(tab.id, state.article);
+  notify('📋 Article copied', state.transcript?.title || state.title);
+}
+
+// The service worker has no clipboard; the shortcut gives the extension access to the page
+async function copyInTab(tabId, text) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    args: [text],
+    func: async (value) => {
+      try {
+        await navigator.clipboard.writeText(value);
+        return true;
+      } catch (error) {
+        // Older pages and unfocused documents refuse the Clipboard API
+        const textarea = document.createElement('textarea');
+        textarea.value = value;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        return copied;
+      }
+    }
+  });
+
+  if (!injection?.result) {
+    throw new Error('Could not copy - click the page and try again');
+  }
+}
+
+// Context menus: "Summarize this video" on YouTube links anywhere, "Explain this passage"
+// on text selected on a video page. Both save their result to the library
+const library = new Library();
+
+const VIDEO_LINK_PATTERNS = [
+  '*://*.youtube.com/watch*',
+  '*://*.youtube.com/shorts/*',
+  '*://*.youtube.com/live/*',
+  '*://*.youtube.com/embed/*',
+  '*://youtu.be/*',
+  '*://*.youtube-nocookie.com/embed/*'
+];
+
+const VIDEO_PAGE_PATTERNS = [
+  '*://*.youtube.com/watch*',
+  '*://*.youtube.com/shorts/*',
+  '*://*.youtube.com/live/*'
+];
+
+// Menus outlive the service worker; they're (re)created when the extension is installed or updated
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'summarize-video',
+      title: 'Summarize this video',
+      contexts: ['link'],
+      targetUrlPatterns: VIDEO_LINK_PATTERNS
+    });
+    chrome.contextMenus.create({
+      id: 'explain-passage',
+      title: 'Explain this passage',
+      contexts: ['selection'],
+      documentUrlPatterns: VIDEO_PAGE_PATTERNS
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!logger) initializeLogger();
+  logger.info('Context menu clicked', { menuItemId: info.menuItemId, tabId: tab?.id });
+
+  try {
+    if (info.menuItemId === 'summarize-video') {
+      await summarizeLinkedVideo(info.linkUrl);
+    } else if (info.menuItemId === 'explain-passage') {
+      await explainSelectedPassage(tab, info.selectionText);
+    }
+  } catch (error) {
+    logger.error('Context menu action failed', { menuItemId: info.menuItemId, error: error.message });
+    notify('❌ Could not finish', error.message);
+  }
+});
+
+// The video isn't open in a tab, so it goes through the batch queue like a playlist video
+async function summarizeLinkedVideo(linkUrl) {
+  const videoId = YouTubeUrl.extractVideoId(linkUrl);
+  if (!videoId) {
+    throw new Error('That link is not a YouTube video');
+  }
+
+  await batchQueue.addJob({
+    title: 'Summarize this video',
+    videos: [{ videoId }],
+    options: { saveToLibrary: true }
+  });
+  runBatchQueue();
+  notify('🎬 Summarizing video', 'The summary will be saved to the library');
+}
+
+// The tab's stored transcript when it is for this video, otherwise a fresh extraction
+async function explainSelectedPassage(tab, selectionText) {
+  if (!tab?.id || !selectionText?.trim()) {
+    throw new Error('Select some text on the video page first');
+  }
+
+  const { settings = {} } = await chrome.storage.local.get(['settings']);
+  const api = await createAnthropicApi(settings);
+  if (!api.isConfigured()) {
+    throw new Error(AnthropicAPI.NOT_CONFIGURED_MESSAGE);
+  }
+
+  const manager = await getTabManager();
+  let state = await manager.getVideoState(tab.id, tab.url, tab.title);
+  if (!state.transcript || state.transcript.isRecording) {
+    state = await runTabStep(tab, 'extracting transcript', () => extractTabTranscript(tab, settings));
+  }
+
+  // Same rule as the pipeline shortcut: no asking, so no AI on a weak transcript
+  if (TranscriptQuality.isWeak(state.transcript.source)) {
+    throw new Error(`Weak transcript source (${TranscriptQuality.describe(state.transcript.source)}) - extract the transcript again from a better source first`);
+  }
+
+  const { explanation, startSeconds } = await api.explainPassage(state.transcript, selectionText);
+  await library.add({
+    type: 'passage-explanation',
+    videoId: YouTubeUrl.extractVideoId(tab.url),
+    url: state.transcript.url,
+    title: state.transcript.title,
+    channelName: state.transcript.metadata?.channelName || null,
+    content: explanation,
+    passage: { text: selectionText.trim(), startSeconds },
+    source: state.transcript.source
+  });
+  notify('💡 Explanation saved to the library', explanation.slice(0, 200));
+}
+
 // Handle messages from content scripts or popup
 chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
   if (!logger) initializeLogger();
@@ -344,6 +1054,138 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         }
         break;
 
+      case 'CAPTION_RECORDING_UPDATE':
+        // Stream a live caption recording from the content script into its tab state
+        const recordingTabId = sender.tab?.id;
+        const recordingResult = await chrome.storage.local.get(['youtubeTabs']);
+        const recordingAllTabs = recordingResult.youtubeTabs || {};
+
+        if (recordingTabId && recordingAllTabs[recordingTabId]) {
+          const recordingState = recordingAllTabs[recordingTabId];
+          recordingAllTabs[recordingTabId] = {
+            ...recordingState,
+            transcript: {
+              url: message.url,
+              timestamp: message.startedAt,
+              segments: message.segments,
+              title: recordingState.title || 'YouTube Video',
+              languageCode: null,
+              captionTrack: null,
+              source: TranscriptQuality.assess({ method: 'caption-recording' }, message.segments),
+              isRecording: !message.isFinal
+            },
+            lastUpdated: Date.now()
+          };
+
+          await chrome.storage.local.set({ youtubeTabs: recordingAllTabs });
+          logger.debug('Caption recording saved to tab state', {
+            tabId: recordingTabId,
+            segments: message.segments.length,
+            isFinal: message.isFinal
+          });
+          sendResponse({ success: true });
+        } else {
+          logger.warn('Tab not found for caption recording', { tabId: recordingTabId });
+          sendResponse({ success: false, error: 'Tab not found' });
+        }
+        break;
+
+      case 'TRANSCRIPT_EXTRACTED':
+        // The content script auto-extracted a transcript on a video page; keep it in the tab
+        // state so the popup shows it as soon as it opens
+        const extractedTab = sender.tab;
+        if (!extractedTab?.id || !message.transcript?.length) {
+          sendResponse({ success: false, error: 'No transcript or tab' });
+          break;
+        }
+
+        const { settings: extractSettings = {} } = await chrome.storage.local.get(['settings']);
+        const extractedTranscript = buildTabTranscript(message, extractedTab.title, extractSettings);
+
+        const extractManager = await getTabManager();
+        const saveResult = await extractManager.saveExtractedTranscript(
+          extractedTab.id, extractedTab.url, extractedTab.title, extractedTranscript
+        );
+        if (saveResult.saved) {
+          chrome.runtime.sendMessage({ type: 'TRANSCRIPT_AUTO_EXTRACTED', tabId: extractedTab.id }).catch(() => {
+            // Popup isn't open; it reads the tab state when it is
+          });
+        } else {
+          logger.debug('Auto-extracted transcript not saved', { tabId: extractedTab.id, reason: saveResult.reason });
+        }
+        sendResponse({ success: saveResult.saved, reason: saveResult.reason || null });
+        break;
+
+      case 'GET_TAB_STATE':
+        // Content scripts don't know their tab ID; answer with the sender tab's stored state
+        const stateTabId = sender.tab?.id;
+        const stateResult = await chrome.storage.local.get(['youtubeTabs']);
+        const stateAllTabs = stateResult.youtubeTabs || {};
+
+        sendResponse({
+          tabId: stateTabId || null,
+          tabState: (stateTabId && stateAllTabs[stateTabId]) || null
+        });
+        break;
+
+      case 'START_AI_STEP':
+        // Key points, article or chapters for the popup; progress and the result come back
+        // as AI_STEP_UPDATE messages and in the tab state
+        if (!AI_STEPS[message.field]) {
+          sendResponse({ success: false, error: `Unknown AI step: ${message.field}` });
+          break;
+        }
+
+        const { settings: stepSettings = {} } = await chrome.storage.local.get(['settings']);
+        const stepApi = await createAnthropicApi(stepSettings);
+        if (!stepApi.isConfigured()) {
+          sendResponse({ success: false, error: AnthropicAPI.NOT_CONFIGURED_MESSAGE });
+          break;
+        }
+
+        const stepTab = await chrome.tabs.get(message.tabId);
+        runStreamedStep(stepTab, message.field, stepApi).catch(error => {
+          logger.warn('AI step failed', { tabId: message.tabId, field: message.field, error: error.message });
+        });
+        sendResponse({ success: true });
+        break;
+
+      case 'START_BATCH_JOB':
+        // Queue a playlist's videos (listed by the popup from the page) and start working
+        const batchJob = await batchQueue.addJob({
+          playlistId: message.playlistId,
+          title: message.title,
+          videos: message.videos
+        });
+        runBatchQueue();
+        sendResponse({ success: true, job: batchJob });
+        break;
+
+      case 'GET_BATCH_JOBS':
+        sendResponse({ jobs: await batchQueue.getJobs() });
+        break;
+
+      case 'CANCEL_BATCH_JOB':
+        sendResponse({ success: await batchQueue.cancelJob(message.jobId) });
+        break;
+
+      case 'REMOVE_BATCH_JOB':
+        sendResponse({ success: await batchQueue.removeJob(message.jobId) });
+        break;
+
+      case 'REMOVE_LIBRARY_ENTRY':
+        sendResponse({ success: await library.remove(message.entryId) });
+        break;
+
+      case 'INJECT_PAGE_EXTRACTOR':
+        try {
+          sendResponse({ success: true, hasVideo: await injectPageExtractor(message.tabId) });
+        } catch (error) {
+          // No access to the page (e.g. the Web Store) or it went away
+          sendResponse({ success: false, hasVideo: false, error: error.message });
+        }
+        break;
+
       case 'CLEANUP_TABS':
         // Manual cleanup trigger
         const cleanupManager = await getTabManager();
@@ -382,12 +1224,12 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
             windowId: tab.windowId
           });
           
-          // Check if it's a valid YouTube page
-          if (!tab.url || !tab.url.includes('youtube.com')) {
-            logger.warn('Not a YouTube tab', { tabId, url: tab.url });
+          // YouTube, or any web page a site adapter may handle (HTML5 video captions)
+          if (!YouTubeUrl.isYouTubeUrl(tab.url) && !/^(https?|file):/.test(tab.url || '')) {
+            logger.warn('Not a web page', { tabId, url: tab.url });
             sendResponse({ 
               success: false, 
-              error: 'Not a YouTube page' 
+              error: 'Not a web page' 
             });
             return;
           }
@@ -446,7 +1288,7 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
             
             await chrome.scripting.executeScript({
               target: { tabId: tabId },
-              files: ['debug-utils.js', 'content.js']
+              files: CONTENT_SCRIPT_FILES
             });
             
             logger.info('Content script files injected successfully', { tabId });
@@ -586,6 +1428,8 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     } catch (error) {
       console.error('Error during periodic cleanup:', error);
     }
+  } else if (alarm.name === BATCH_QUEUE_ALARM) {
+    runBatchQueue();
   }
 });
 
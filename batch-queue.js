@@ -0,0 +1,215 @@
+// Batch Queue - Jobs of videos (e.g. a whole playlist) processed one at a time
+// Jobs live in chrome.storage.local.batchJobs rather than on a tab, so a job keeps going
+// after its tab closes and run() picks up where a stopped service worker left off
+
+class BatchQueue {
+  constructor(options = {}) {
+    this.storageKey = 'batchJobs';
+    // async (item, job, setStep) => result stored on the item
+    this.processItem = options.processItem || null;
+    this.isRunning = false;
+    // Writes are chained so a cancel can't be lost between a read and a write of progress
+    this.pendingWrite = Promise.resolve();
+
+    // Initialize logger
+    if (typeof DebugLogger !== 'undefined') {
+      this.logger = new DebugLogger('BatchQueue');
+    } else {
+      this.logger = {
+        info: (msg, data) => console.log(`[BatchQueue] ${msg}`, data),
+        debug: (msg, data) => console.log(`[BatchQueue DEBUG] ${msg}`, data),
+        warn: (msg, data) => console.warn(`[BatchQueue WARN] ${msg}`, data),
+        error: (msg, error) => console.error(`[BatchQueue ERROR] ${msg}`, error)
+      };
+    }
+  }
+
+  async getJobs() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  // Read, change and save the jobs; returns whatever change() returns
+  mutate(change) {
+    const write = this.pendingWrite.then(async () => {
+      const jobs = await this.getJobs();
+      const value = change(jobs);
+      await chrome.storage.local.set({ [this.storageKey]: jobs });
+      return value;
+    });
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  // Queue videos ([{ videoId, title }]); repeated videos are only processed once
+  async addJob({ playlistId = null, title = null, videos = [], options = {} }) {
+    const seen = new Set();
+    const items = videos
+      .filter(video => YouTubeUrl.isVideoId(video?.videoId) && !seen.has(video.videoId) && seen.add(video.videoId))
+      .map(video => BatchQueue.createItem(video));
+
+    if (items.length === 0) {
+      throw new Error('No videos to process');
+    }
+
+    const now = Date.now();
+    const job = {
+      id: `batch-${now}`,
+      playlistId,
+      title: title || (playlistId ? `Playlist ${playlistId}` : 'Batch'),
+      options,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      items
+    };
+
+    await this.mutate(jobs => {
+      jobs[job.id] = job;
+    });
+    this.logger.info('Batch job added', { jobId: job.id, playlistId, videos: items.length });
+    return job;
+  }
+
+  async updateItem(jobId, videoId, updates) {
+    return this.mutate(jobs => {
+      const job = jobs[jobId];
+      const item = job?.items.find(candidate => candidate.videoId === videoId);
+      if (!item) return null;
+
+      Object.assign(item, updates);
+      job.status = BatchQueue.getStatus(job);
+      job.updatedAt = Date.now();
+      return item;
+    });
+  }
+
+  // Stop a job after the video currently being processed
+  async cancelJob(jobId) {
+    return this.mutate(jobs => {
+      const job = jobs[jobId];
+      if (!job) return false;
+
+      for (const item of job.items) {
+        if (item.status === 'queued') item.status = 'cancelled';
+      }
+      job.status = BatchQueue.getStatus(job);
+      job.updatedAt = Date.now();
+      return true;
+    });
+  }
+
+  async removeJob(jobId) {
+    return this.mutate(jobs => {
+      if (!jobs[jobId]) return false;
+      delete jobs[jobId];
+      return true;
+    });
+  }
+
+  // Work through every queued video, oldest job first. Returns false if already running
+  async run() {
+    if (this.isRunning) return false;
+    if (!this.processItem) throw new Error('BatchQueue needs a processItem function');
+    this.isRunning = true;
+
+    try {
+      await this.requeueInterrupted();
+
+      let next;
+      while ((next = BatchQueue.findNext(await this.getJobs()))) {
+        await this.processNext(next.job, next.item);
+      }
+      return true;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Nothing can be working before run() starts, so those items died with a previous worker
+  async requeueInterrupted() {
+    const count = await this.mutate(jobs => {
+      let requeued = 0;
+      for (const job of Object.values(jobs)) {
+        for (const item of job.items) {
+          if (item.status !== 'working') continue;
+          Object.assign(item, { status: 'queued', step: null, startedAt: null });
+          requeued++;
+        }
+        job.status = BatchQueue.getStatus(job);
+      }
+      return requeued;
+    });
+
+    if (count > 0) {
+      this.logger.warn('Requeued videos interrupted by a service worker restart', { count });
+    }
+  }
+
+  async processNext(job, item) {
+    this.logger.info('Processing batch video', { jobId: job.id, videoId: item.videoId });
+    await this.updateItem(job.id, item.videoId, { status: 'working', step: 'starting', error: null, startedAt: Date.now() });
+    const setStep = step => this.updateItem(job.id, item.videoId, { step });
+
+    try {
+      const result = await this.processItem(item, job, setStep);
+      await this.updateItem(job.id, item.videoId, { status: 'done', step: null, result, finishedAt: Date.now() });
+    } catch (error) {
+      this.logger.error('Batch video failed', { jobId: job.id, videoId: item.videoId, error: error.message });
+      await this.updateItem(job.id, item.videoId, { status: 'error', step: null, error: error.message, finishedAt: Date.now() });
+    }
+  }
+
+  static createItem(video) {
+    return {
+      videoId: video.videoId,
+      title: video.title || null,
+      status: 'queued', // 'queued' | 'working' | 'done' | 'error' | 'cancelled'
+      step: null,
+      error: null,
+      result: null,
+      startedAt: null,
+      finishedAt: null
+    };
+  }
+
+  static findNext(jobs) {
+    const ordered = Object.values(jobs).sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of ordered) {
+      const item = job.items.find(candidate => candidate.status === 'queued');
+      if (item) return { job, item };
+    }
+    return null;
+  }
+
+  // Videos still to process, counting ones a stopped service worker left working
+  static hasPending(jobs) {
+    return Object.values(jobs).some(job => job.items.some(item => item.status === 'queued' || item.status === 'working'));
+  }
+
+  // Item counts per status, plus how many are finished either way
+  static summarize(job) {
+    const counts = { total: job.items.length, queued: 0, working: 0, done: 0, error: 0, cancelled: 0 };
+    for (const item of job.items) {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    }
+    counts.finished = counts.done + counts.error + counts.cancelled;
+    return counts;
+  }
+
+  static getStatus(job) {
+    const counts = BatchQueue.summarize(job);
+    if (counts.working > 0) return 'running';
+    if (counts.queued > 0) return counts.finished > 0 ? 'running' : 'queued';
+    return counts.cancelled > 0 ? 'cancelled' : 'done';
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.BatchQueue = BatchQueue;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BatchQueue };
+}
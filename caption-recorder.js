@@ -0,0 +1,155 @@
+// Caption Recorder - Build a transcript from live captions while the video plays
+// For live streams and videos whose transcript panel and caption tracks are unavailable
+
+class CaptionRecorder {
+  constructor(options = {}) {
+    this.onUpdate = options.onUpdate || null;
+    this.updateInterval = options.updateInterval ?? 2000; // Throttle for streaming updates
+    this.recentWindow = options.recentWindow ?? 4; // Segments checked for repeated rolling lines
+
+    this.segments = [];
+    this.observer = null;
+    this.video = null;
+    this.container = null;
+    this.startedAt = null;
+    this.updateTimer = null;
+
+    // Initialize logger
+    if (typeof DebugLogger !== 'undefined') {
+      this.logger = new DebugLogger('CaptionRecorder');
+    } else {
+      this.logger = {
+        info: (msg, data) => console.log(`[CaptionRecorder] ${msg}`, data),
+        debug: (msg, data) => console.log(`[CaptionRecorder DEBUG] ${msg}`, data),
+        warn: (msg, data) => console.warn(`[CaptionRecorder WARN] ${msg}`, data),
+        error: (msg, error) => console.error(`[CaptionRecorder ERROR] ${msg}`, error)
+      };
+    }
+  }
+
+  get isRecording() {
+    return !!this.observer;
+  }
+
+  // Watch the caption window; `container` is the element YouTube renders caption lines into
+  start(video, container) {
+    if (this.isRecording) return false;
+    if (!video || !container) {
+      throw new Error('Video and caption container are required to record captions');
+    }
+
+    this.video = video;
+    this.container = container;
+    this.startedAt = new Date().toISOString();
+
+    this.observer = new MutationObserver(() => this.capture());
+    this.observer.observe(container, { childList: true, subtree: true, characterData: true });
+    this.capture();
+
+    this.logger.info('Caption recording started', { currentTime: video.currentTime });
+    return true;
+  }
+
+  stop() {
+    if (!this.isRecording) return this.getSegments();
+
+    this.observer.disconnect();
+    this.observer = null;
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+
+    this.logger.info('Caption recording stopped', { segments: this.segments.length });
+    this.notify(true);
+    return this.getSegments();
+  }
+
+  // Read the lines currently on screen and record them at the current playback time
+  capture() {
+    if (!this.container || !this.video) return;
+
+    const lineElements = this.container.querySelectorAll('.caption-visual-line');
+    const lines = lineElements.length > 0
+      ? Array.from(lineElements).map(line => line.textContent)
+      : Array.from(this.container.querySelectorAll('.ytp-caption-segment')).map(segment => segment.textContent);
+
+    if (this.addLines(lines, this.video.currentTime)) {
+      this.scheduleUpdate();
+    }
+  }
+
+  // Merge on-screen lines into the transcript. Rolling captions grow word by word
+  // on the bottom line and then scroll up, so a line that extends the last segment
+  // replaces it, and a line already seen in a recent segment is a repeat.
+  // Returns true when the transcript changed.
+  addLines(lines, currentTime) {
+    let changed = false;
+
+    for (const rawLine of lines) {
+      const line = CaptionRecorder.normalize(rawLine);
+      if (!line) continue;
+
+      const last = this.segments[this.segments.length - 1];
+      const recent = this.segments.slice(-this.recentWindow);
+
+      if (recent.some(segment => segment.text === line) || (last && last.text.startsWith(line))) {
+        continue;
+      }
+
+      if (last && line.startsWith(last.text)) {
+        last.text = line;
+        last.endSeconds = Math.max(last.endSeconds, currentTime);
+        changed = true;
+        continue;
+      }
+
+      if (last) {
+        last.endSeconds = Math.max(last.endSeconds, Math.min(currentTime, last.startSeconds + 30));
+      }
+
+      this.segments.push({ startSeconds: currentTime, endSeconds: currentTime, text: line });
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  // Segments in the shared model, ordered by playback time (seeking can record out of order)
+  getSegments() {
+    return this.segments
+      .slice()
+      .sort((a, b) => a.startSeconds - b.startSeconds)
+      .map(segment => SegmentTiming.createSegment(segment.startSeconds, segment.endSeconds, segment.text));
+  }
+
+  scheduleUpdate() {
+    if (!this.onUpdate || this.updateTimer) return;
+
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.notify(false);
+    }, this.updateInterval);
+  }
+
+  notify(isFinal) {
+    if (!this.onUpdate) return;
+
+    try {
+      this.onUpdate(this.getSegments(), { isFinal, startedAt: this.startedAt });
+    } catch (error) {
+      this.logger.error('Caption recording update failed', error);
+    }
+  }
+
+  static normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.CaptionRecorder = CaptionRecorder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CaptionRecorder };
+}
@@ -0,0 +1,352 @@
+// Caption Tracks - Read YouTube's player caption tracks and parse timedtext files
+// Primary transcript source; the transcript panel scraper in content.js is the fallback
+
+class CaptionTracks {
+  constructor(options = {}) {
+    // Watch pages and caption files are fetched from the page's own YouTube origin
+    this.origin = options.origin || 'https://www.youtube.com';
+
+    // Last fetched player response, so tracks and metadata for one video share a request
+    this.fetchedPlayerResponse = null;
+
+    // Initialize logger
+    if (typeof DebugLogger !== 'undefined') {
+      this.logger = new DebugLogger('CaptionTracks');
+    } else {
+      this.logger = {
+        info: (msg, data) => console.log(`[CaptionTracks] ${msg}`, data),
+        debug: (msg, data) => console.log(`[CaptionTracks DEBUG] ${msg}`, data),
+        warn: (msg, data) => console.warn(`[CaptionTracks WARN] ${msg}`, data),
+        error: (msg, error) => console.error(`[CaptionTracks ERROR] ${msg}`, error)
+      };
+    }
+  }
+
+  // Find the player response for a video, first in the page's inline scripts,
+  // then by fetching the watch page (inline scripts go stale after SPA navigation)
+  async getPlayerResponse(videoId) {
+    // The background service worker has no page, only the fetch below
+    const scripts = typeof document !== 'undefined' ? document.querySelectorAll('script') : [];
+    for (const script of scripts) {
+      const source = script.textContent || '';
+      if (!source.includes('ytInitialPlayerResponse')) continue;
+
+      const playerResponse = CaptionTracks.extractJsonObject(source, 'ytInitialPlayerResponse');
+      if (playerResponse && (!videoId || playerResponse.videoDetails?.videoId === videoId)) {
+        this.logger.debug('Player response found in inline script', { videoId });
+        return playerResponse;
+      }
+    }
+
+    if (!videoId) {
+      this.logger.warn('No inline player response and no video ID to fetch one');
+      return null;
+    }
+
+    if (this.fetchedPlayerResponse?.videoDetails?.videoId === videoId) {
+      return this.fetchedPlayerResponse;
+    }
+
+    try {
+      this.logger.debug('Fetching watch page for player response', { videoId });
+      const response = await fetch(`${this.origin}/watch?v=${encodeURIComponent(videoId)}`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`Watch page request failed: ${response.status}`);
+      }
+      const html = await response.text();
+      this.fetchedPlayerResponse = CaptionTracks.extractJsonObject(html, 'ytInitialPlayerResponse');
+      return this.fetchedPlayerResponse;
+    } catch (error) {
+      this.logger.error('Could not load player response', error);
+      return null;
+    }
+  }
+
+  // List the tracks a video offers, plus the languages YouTube can machine-translate into
+  async listTracks(videoId) {
+    const playerResponse = await this.getPlayerResponse(videoId);
+    return {
+      tracks: CaptionTracks.getTracks(playerResponse),
+      translationLanguages: CaptionTracks.getTranslationLanguages(playerResponse)
+    };
+  }
+
+  // Resolve a selection to a track. An exact vssId wins; otherwise a manual track
+  // beats an auto-generated one, a track in the requested language beats both, and
+  // a requested language with no track of its own is served as a translation
+  selectTrack(tracks, selection = {}, translationLanguages = []) {
+    if (!tracks || tracks.length === 0) return null;
+
+    const { languageCode, vssId } = typeof selection === 'string'
+      ? { languageCode: selection }
+      : (selection || {});
+
+    if (vssId) {
+      const exact = tracks.find(track => track.vssId === vssId);
+      if (exact) return exact;
+    }
+
+    if (languageCode) {
+      const inLanguage = tracks.filter(track => track.languageCode === languageCode);
+      const manual = inLanguage.find(track => !track.isAutoGenerated);
+      if (manual || inLanguage.length > 0) return manual || inLanguage[0];
+
+      const target = translationLanguages.find(language => language.languageCode === languageCode);
+      const source = tracks.find(track => track.isTranslatable && !track.isAutoGenerated) ||
+        tracks.find(track => track.isTranslatable);
+      if (target && source) {
+        return CaptionTracks.translateTrack(source, target);
+      }
+    }
+
+    return tracks.find(track => !track.isAutoGenerated) || tracks[0];
+  }
+
+  // Download a track and parse it, trying json3 first and the XML format second
+  async fetchTrack(track) {
+    this.logger.debug('Fetching caption track', {
+      languageCode: track.languageCode,
+      isAutoGenerated: track.isAutoGenerated
+    });
+
+    const baseUrl = this.resolveUrl(track.baseUrl);
+    const json3Response = await fetch(CaptionTracks.withFormat(baseUrl, 'json3'));
+    if (json3Response.ok) {
+      const body = await json3Response.text();
+      if (body.trim()) {
+        // A consent page, or XML when fmt is ignored, still comes back as 200
+        try {
+          return CaptionTracks.parseJson3(JSON.parse(body));
+        } catch (error) {
+          this.logger.warn('json3 track was not JSON', { error: error.message, start: body.trim().slice(0, 40) });
+        }
+      }
+    }
+
+    this.logger.debug('json3 unavailable, falling back to timedtext XML');
+    const xmlResponse = await fetch(baseUrl);
+    if (!xmlResponse.ok) {
+      throw new Error(`Caption track request failed: ${xmlResponse.status}`);
+    }
+    const xml = await xmlResponse.text();
+    if (!xml.trim()) {
+      throw new Error('Caption track response was empty');
+    }
+    return CaptionTracks.parseTimedTextXml(xml);
+  }
+
+  // Point YouTube-hosted caption URLs at our origin (player responses use www)
+  resolveUrl(baseUrl) {
+    const url = new URL(baseUrl, this.origin);
+    if (url.hostname.endsWith('youtube.com')) {
+      url.host = new URL(this.origin).host;
+    }
+    return url.toString();
+  }
+
+  // Full flow: player response -> track list -> selected track -> segments
+  async extract(videoId, selection = {}) {
+    const { tracks, translationLanguages } = await this.listTracks(videoId);
+    this.logger.info('Caption tracks available', { videoId, count: tracks.length });
+
+    const track = this.selectTrack(tracks, selection, translationLanguages);
+    if (!track) return null;
+
+    const segments = await this.fetchTrack(track);
+    this.logger.info('Caption track parsed', {
+      languageCode: track.languageCode,
+      translatedFrom: track.translatedFrom,
+      segments: segments.length
+    });
+
+    return { track, segments };
+  }
+
+  // Normalize the player response's captionTracks into a flat list
+  static getTracks(playerResponse) {
+    const renderer = playerResponse?.captions?.playerCaptionsTracklistRenderer;
+    const captionTracks = renderer?.captionTracks || [];
+
+    return captionTracks
+      .filter(track => track.baseUrl)
+      .map(track => ({
+        baseUrl: track.baseUrl,
+        languageCode: track.languageCode,
+        name: CaptionTracks.readText(track.name) || track.languageCode,
+        isAutoGenerated: track.kind === 'asr',
+        isTranslatable: !!track.isTranslatable,
+        vssId: track.vssId || null,
+        translatedFrom: null
+      }));
+  }
+
+  static getTranslationLanguages(playerResponse) {
+    const renderer = playerResponse?.captions?.playerCaptionsTracklistRenderer;
+    return (renderer?.translationLanguages || []).map(language => ({
+      languageCode: language.languageCode,
+      name: CaptionTracks.readText(language.languageName) || language.languageCode
+    }));
+  }
+
+  // Derive a machine-translated track from a translatable source track
+  static translateTrack(source, target) {
+    const url = new URL(source.baseUrl, 'https://www.youtube.com');
+    url.searchParams.set('tlang', target.languageCode);
+
+    return {
+      ...source,
+      baseUrl: url.toString(),
+      languageCode: target.languageCode,
+      name: `${target.name} (translated from ${source.name})`,
+      isTranslatable: false,
+      vssId: null,
+      translatedFrom: source.languageCode
+    };
+  }
+
+  // Strip the download URL so the list can travel through extension messaging
+  static describeTrack(track) {
+    if (!track) return null;
+    const { baseUrl, ...description } = track;
+    return description;
+  }
+
+  // Parse the json3 timedtext format (events with tStartMs/dDurationMs and segs)
+  static parseJson3(data) {
+    const segments = [];
+
+    for (const event of data?.events || []) {
+      if (!event.segs) continue;
+
+      const text = CaptionTracks.normalizeText(event.segs.map(seg => seg.utf8 || '').join(''));
+      if (!text) continue;
+
+      const start = (event.tStartMs || 0) / 1000;
+      const duration = (event.dDurationMs || 0) / 1000;
+      segments.push(SegmentTiming.createSegment(start, start + duration, text));
+    }
+
+    return segments;
+  }
+
+  // Parse both timedtext XML flavours:
+  //   format 1: <transcript><text start="1.2" dur="3.4">...</text></transcript>
+  //   format 3: <timedtext><body><p t="1200" d="3400"><s>...</s></p></body></timedtext>
+  static parseTimedTextXml(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'text/xml');
+    const segments = [];
+
+    const textNodes = doc.getElementsByTagName('text');
+    if (textNodes.length > 0) {
+      for (const node of textNodes) {
+        const text = CaptionTracks.normalizeText(CaptionTracks.decodeEntities(node.textContent));
+        if (!text) continue;
+
+        const start = parseFloat(node.getAttribute('start')) || 0;
+        const duration = parseFloat(node.getAttribute('dur')) || 0;
+        segments.push(SegmentTiming.createSegment(start, start + duration, text));
+      }
+      return segments;
+    }
+
+    for (const node of doc.getElementsByTagName('p')) {
+      const text = CaptionTracks.normalizeText(CaptionTracks.decodeEntities(node.textContent));
+      if (!text) continue;
+
+      const start = (parseInt(node.getAttribute('t'), 10) || 0) / 1000;
+      const duration = (parseInt(node.getAttribute('d'), 10) || 0) / 1000;
+      segments.push(SegmentTiming.createSegment(start, start + duration, text));
+    }
+
+    return segments;
+  }
+
+  // Pull a JSON object literal assigned to `marker` out of script or HTML source
+  static extractJsonObject(source, marker) {
+    const markerIndex = source.indexOf(marker);
+    if (markerIndex === -1) return null;
+
+    const start = source.indexOf('{', markerIndex);
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          try {
+            return JSON.parse(source.slice(start, i + 1));
+          } catch (error) {
+            return null;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  static withFormat(baseUrl, format) {
+    const url = new URL(baseUrl, 'https://www.youtube.com');
+    url.searchParams.set('fmt', format);
+    return url.toString();
+  }
+
+  // Read YouTube's { simpleText } / { runs: [{ text }] } text objects
+  static readText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    if (value.simpleText) return value.simpleText;
+    if (Array.isArray(value.runs)) return value.runs.map(run => run.text).join('');
+    return '';
+  }
+
+  static normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Format 1 XML double-escapes its text, so entities survive the XML parser
+  static decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return (text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+        return Number.isNaN(code) ? match : String.fromCodePoint(code);
+      }
+      return named[entity.toLowerCase()] ?? match;
+    });
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.CaptionTracks = CaptionTracks;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CaptionTracks };
+}
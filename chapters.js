@@ -0,0 +1,171 @@
+// Chapters - Assign transcript segments to the video's chapters
+// Chapters are { startSeconds, endSeconds, title } in playback order, from
+// transcript.metadata.chapters (creator chapters, see VideoMetadata) or, for videos
+// without any, transcript.generatedChapters proposed by the AI and validated here
+
+class Chapters {
+  // Creator chapters win over generated ones
+  static get(transcript) {
+    const chapters = transcript?.metadata?.chapters;
+    if (Array.isArray(chapters) && chapters.length > 0) return chapters;
+    return Array.isArray(transcript?.generatedChapters) ? transcript.generatedChapters : [];
+  }
+
+  // Index of the chapter playing at a time; anything before the first chapter belongs to it
+  static findIndex(chapters, seconds) {
+    if (!chapters || chapters.length === 0) return null;
+    if (!Number.isFinite(seconds)) return null;
+
+    let found = 0;
+    for (let index = 1; index < chapters.length; index++) {
+      if (chapters[index].startSeconds > seconds) break;
+      found = index;
+    }
+    return found;
+  }
+
+  // Copy segments with a chapterIndex. Untimed segments stay with the segment before them
+  static assign(segments, chapters) {
+    if (!chapters || chapters.length === 0) return segments;
+
+    let previous = 0;
+    return segments.map(segment => {
+      const index = Chapters.findIndex(chapters, segment.startSeconds);
+      if (index !== null) previous = index;
+      return { ...segment, chapterIndex: index ?? previous };
+    });
+  }
+
+  // [{ index, chapter, segments }] for every chapter, including ones without speech
+  static group(segments, chapters) {
+    const groups = chapters.map((chapter, index) => ({ index, chapter, segments: [] }));
+    Chapters.assign(segments, chapters).forEach((segment, position) => {
+      groups[segment.chapterIndex]?.segments.push(segments[position]);
+    });
+    return groups;
+  }
+
+  // The part of a transcript inside one chapter, raw and cleaned, in the transcript's own shape
+  static getChapterTranscript(transcript, index) {
+    const chapters = Chapters.get(transcript);
+    const inChapter = segments => Chapters.group(segments || [], chapters)[index]?.segments || [];
+
+    return {
+      ...transcript,
+      segments: inChapter(transcript.segments),
+      cleaned: transcript.cleaned
+        ? { ...transcript.cleaned, segments: inChapter(transcript.cleaned.segments) }
+        : undefined
+    };
+  }
+
+  // Read the model's chapter list: a JSON array of { start, title } (start as "1:23" or
+  // seconds), or "0:00 Title" lines when the model ignored the requested format
+  static parse(text) {
+    if (!text) return [];
+
+    const jsonStart = text.indexOf('[');
+    const jsonEnd = text.lastIndexOf(']');
+    if (jsonStart !== -1 && jsonEnd > jsonStart) {
+      try {
+        const items = JSON.parse(text.slice(jsonStart, jsonEnd + 1));
+        if (Array.isArray(items)) {
+          return items
+            .map(item => ({
+              startSeconds: typeof item?.start === 'number' ? item.start : SegmentTiming.parseTimestamp(String(item?.start ?? '')),
+              title: String(item?.title ?? '').trim()
+            }))
+            .filter(chapter => chapter.startSeconds !== null && chapter.title);
+        }
+      } catch (error) {
+        // Not JSON after all; fall through to the line format
+      }
+    }
+
+    return text.split('\n')
+      .map(line => /^\s*(?:[-*•]\s*)?((?:\d{1,2}:)?\d{1,2}:[0-5]\d)\s*[-–—:]?\s*(.+)$/.exec(line))
+      .filter(Boolean)
+      .map(([, label, title]) => ({ startSeconds: SegmentTiming.parseTimestamp(label), title: title.trim() }));
+  }
+
+  // Move each start back to the start of the segment it falls in (whole seconds, as
+  // exported), so every chapter begins on a spoken line rather than mid-sentence
+  static snapToSegments(chapters, segments) {
+    const starts = (segments || [])
+      .map(segment => segment.startSeconds)
+      .filter(start => start !== null && start !== undefined);
+
+    return chapters.map(chapter => {
+      let snapped = chapter.startSeconds;
+      for (const start of starts) {
+        if (start > chapter.startSeconds) break;
+        snapped = Math.floor(start);
+      }
+      return { ...chapter, startSeconds: snapped };
+    });
+  }
+
+  // YouTube's rules for description chapters; returns a list of problems (empty when valid)
+  static validate(chapters, options = {}) {
+    const minLength = options.minLength ?? Chapters.MIN_LENGTH;
+    const minCount = options.minCount ?? VideoMetadata.MIN_CHAPTERS;
+    const durationSeconds = options.durationSeconds ?? null;
+    const errors = [];
+
+    if (!chapters || chapters.length < minCount) {
+      errors.push(`Needs at least ${minCount} chapters, got ${chapters?.length || 0}`);
+      return errors;
+    }
+    if (chapters[0].startSeconds !== 0) {
+      errors.push(`First chapter must start at 0:00, not ${SegmentTiming.formatTimestamp(chapters[0].startSeconds)}`);
+    }
+
+    chapters.forEach((chapter, index) => {
+      const label = `"${chapter.title}" (${SegmentTiming.formatTimestamp(chapter.startSeconds)})`;
+      if (!chapter.title || !chapter.title.trim()) {
+        errors.push(`Chapter ${index + 1} has no title`);
+      }
+      const next = chapters[index + 1];
+      const end = next ? next.startSeconds : durationSeconds;
+      if (next && next.startSeconds <= chapter.startSeconds) {
+        errors.push(`${label} is not followed by a later chapter`);
+      } else if (end !== null && end - chapter.startSeconds < minLength) {
+        errors.push(`${label} is shorter than ${minLength} seconds`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Parse, snap and validate a model proposal. Returns { chapters, errors }; chapters
+  // carry end times and are only usable when errors is empty
+  static fromProposal(text, segments, durationSeconds = null) {
+    const snapped = Chapters.snapToSegments(Chapters.parse(text), segments);
+    const errors = Chapters.validate(snapped, { durationSeconds });
+    return {
+      chapters: errors.length === 0 ? VideoMetadata.withEndTimes(snapped, durationSeconds) : [],
+      errors
+    };
+  }
+
+  // "0:00 Intro" per line, the format YouTube reads from descriptions
+  static toOutline(chapters) {
+    return (chapters || [])
+      .map(chapter => `${SegmentTiming.formatTimestamp(chapter.startSeconds)} ${chapter.title}`)
+      .join('\n');
+  }
+
+  // YouTube ignores chapters shorter than this
+  static get MIN_LENGTH() {
+    return 10;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.Chapters = Chapters;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Chapters };
+}
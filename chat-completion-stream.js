@@ -0,0 +1,84 @@
+// Chat Completion Stream - Builds an OpenAI-style chat completion from its server-sent events
+// The result has the same shape as a non-streamed completion ({ model, choices, usage }), as
+// MessageStream does for the Messages API. Used by OpenAICompatibleProvider
+
+class ChatCompletionStream {
+  // onText(delta, text) is called for every piece of text, with everything written so far
+  constructor(onText = null) {
+    this.onText = onText;
+    this.buffer = '';
+    this.text = '';
+    this.isDone = false;
+    this.completion = {
+      id: null,
+      object: 'chat.completion',
+      model: null,
+      choices: [{ index: 0, message: { role: 'assistant', content: '' }, finish_reason: null }],
+      usage: null
+    };
+  }
+
+  // Raw stream text as it arrives; complete events are applied, a partial one waits
+  push(chunk) {
+    const { blocks, rest } = MessageStream.splitEvents(this.buffer + chunk);
+    blocks.forEach(block => this.apply(block));
+    this.buffer = rest;
+  }
+
+  // The finished completion. Servers end with "data: [DONE]", though some only send the
+  // finish reason; a stream with neither was cut off
+  finish() {
+    this.apply(this.buffer);
+    this.buffer = '';
+
+    const choice = this.completion.choices[0];
+    if (!this.isDone && !choice.finish_reason) {
+      throw new Error('The response stream ended before the answer was complete. Please try again.');
+    }
+    choice.message.content = this.text;
+    return this.completion;
+  }
+
+  apply(block) {
+    const { data } = MessageStream.readFields(block);
+    if (data === null) return;
+    if (data.trim() === '[DONE]') {
+      this.isDone = true;
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      throw new Error('Malformed chunk in the response stream');
+    }
+
+    if (chunk.error) {
+      throw new Error(chunk.error.message || String(chunk.error));
+    }
+
+    this.completion.id = this.completion.id || chunk.id || null;
+    this.completion.model = this.completion.model || chunk.model || null;
+    // Sent on a last chunk without choices when stream_options.include_usage is set
+    if (chunk.usage) this.completion.usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta?.content;
+    if (delta) {
+      this.text += delta;
+      if (this.onText) this.onText(delta, this.text);
+    }
+    if (choice.finish_reason) this.completion.choices[0].finish_reason = choice.finish_reason;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.ChatCompletionStream = ChatCompletionStream;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ChatCompletionStream };
+}
@@ -3,13 +3,24 @@
 
   // Mark content script as loaded immediately
   window.youtubeTranscriptExtractorLoaded = true;
-  console.log('🚀 Content script started loading', { 
-    url: window.location.href, 
-    time: new Date().toISOString(),
-    readyState: document.readyState 
-  });
 
-  // Initialize debug logger for content script
+  // Runs on YouTube from the manifest, and on other pages with a video when the popup or a
+  // shortcut injects it for the HTML5 adapter. Off YouTube it only listens for popup messages;
+  // loggers, adapters and navigation tracking wait until needed
+  const isYouTubePage = YouTubeUrl.isYouTubeUrl(window.location.href);
+
+  // Embeds in other sites' pages answer the popup but never extract by themselves
+  const isEmbeddedFrame = window.top !== window;
+
+  if (isYouTubePage) {
+    console.log('🚀 Content script started loading', { 
+      url: window.location.href, 
+      time: new Date().toISOString(),
+      readyState: document.readyState 
+    });
+  }
+
+  // Initialize debug logger for content script (DebugLogger persists every entry to storage)
   let logger = null;
   
   function initializeContentLogger() {
@@ -30,10 +41,13 @@
   }
 
   // Initialize logger
-  initializeContentLogger();
+  if (isYouTubePage) {
+    initializeContentLogger();
+  }
 
   // Legacy debug logging helper for compatibility
   function debugLog(message, data = null) {
+    if (!logger) initializeContentLogger();
     if (logger) {
       logger.debug(message, data);
     } else {
@@ -117,7 +131,7 @@
       
       const checkForTranscript = () => {
         const transcriptElements = document.querySelectorAll(
-          'ytd-transcript-segment-renderer, .ytd-transcript-segment-renderer, [class*="transcript-segment"]'
+          'ytd-transcript-segment-renderer, .ytd-transcript-segment-renderer, ytm-transcript-segment-renderer, [class*="transcript-segment"]'
         );
         
         if (transcriptElements.length > 0) {
@@ -135,13 +149,26 @@
     });
   }
 
+  // The panel renders long transcripts in batches as it scrolls; the first batch is not
+  // the whole transcript. Scroll it to the end until the segment count settles
+  async function loadFullTranscriptPanel(selector) {
+    const panelLoader = new PanelLoader({
+      isLoading: () => !!document.querySelector(
+        'ytd-transcript-segment-list-renderer ytd-continuation-item-renderer, ytm-transcript-segment-list-renderer ytm-continuation-item-renderer'
+      )
+    });
+    const result = await panelLoader.load(() => document.querySelectorAll(selector));
+    lastPanelLoad = { complete: result.complete, rounds: result.rounds };
+    debugLog(`  📜 Panel load ${result.complete ? 'settled' : 'did not settle'} with ${result.items.length} segments after ${result.rounds} rounds`);
+    return result.items;
+  }
+
   // Helper function to extract transcript from elements synchronously
-  function extractTranscriptSync(transcriptItems) {
+  function extractTranscriptSync(transcriptItems, selector = null) {
     const transcript = [];
     debugLog(`  📝 Processing ${transcriptItems.length} transcript items`);
     let validSegments = 0;
     let rejectedEmpty = 0;
-    let rejectedShort = 0;
     
     transcriptItems.forEach((item, index) => {
       const timeSelectors = ['.segment-timestamp', '[class*="timestamp"]', '.ytd-transcript-segment-renderer .timestamp'];
@@ -162,24 +189,82 @@
         if (textElement) break;
       }
       
-      const timestamp = timeElement ? timeElement.textContent.trim() : `${index}`;
+      const timestamp = timeElement ? timeElement.textContent.trim() : '';
       const text = textElement ? textElement.textContent.trim() : '';
       
+      // Short segments ("OK", "No.") are real speech; noise is handled by the cleanup stage
       if (!text) {
         rejectedEmpty++;
         debugLog(`    → Segment ${index}: empty text (rejected)`);
-      } else if (text.length < 3) {
-        rejectedShort++;
-        debugLog(`    → Segment ${index}: "${text}" too short (rejected)`);
       } else {
         validSegments++;
-        transcript.push({ timestamp, text });
+        transcript.push(SegmentTiming.createSegment(SegmentTiming.parseTimestamp(timestamp), null, text));
         debugLog(`    → Segment ${index}: [${timestamp}] "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}" (accepted)`);
       }
     });
     
-    debugLog(`  📊 Results: ${validSegments} valid, ${rejectedEmpty} empty, ${rejectedShort} too short`);
-    return transcript;
+    debugLog(`  📊 Results: ${validSegments} valid, ${rejectedEmpty} empty`);
+    lastExtractionSource = { method: 'transcript-panel', selector, rejectedEmpty, rejectedShort: 0 };
+    return SegmentTiming.fillEndTimes(transcript, getVideoDuration());
+  }
+
+  // Page layout from the URL: watch, shorts, mobile (m.youtube.com) or music
+  function getPageLayout() {
+    const page = YouTubeUrl.parse(window.location.href);
+    if (!page) return null;
+    if (page.type === 'shorts') return 'shorts';
+    if (page.isMobile) return 'mobile';
+    if (page.isMusic) return 'music';
+    return 'watch';
+  }
+
+  // Shorts keeps neighbouring reels loaded, so the active reel's player comes first there
+  function getPlayer() {
+    if (getPageLayout() === 'shorts') {
+      return document.querySelector('ytd-reel-video-renderer[is-active] #shorts-player, #shorts-player') ||
+        document.querySelector('.html5-video-player');
+    }
+    return document.querySelector('#movie_player, .html5-video-player');
+  }
+
+  function getVideo() {
+    return getPlayer()?.querySelector('video') ||
+      document.querySelector('video.html5-main-video, video');
+  }
+
+  function getVideoTitle() {
+    return document.querySelector(
+      'h1.ytd-watch-metadata yt-formatted-string, #title h1, ' +
+      'ytd-reel-video-renderer[is-active] .ytShortsVideoTitleViewModelShortsVideoTitle, yt-shorts-video-title-view-model h2, ' +
+      '.slim-video-information-title, .slim-video-metadata-header h2, ' +
+      'ytmusic-player-bar .title, h1.title, .watch-title'
+    );
+  }
+
+  // Jump the player to a moment and start playing from there
+  function seekTo(seconds) {
+    const video = getVideo();
+    if (!video) {
+      throw new Error('Video player not found on this page');
+    }
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new Error(`Invalid seek time: ${seconds}`);
+    }
+
+    const duration = getVideoDuration();
+    video.currentTime = duration !== null ? Math.min(seconds, duration) : seconds;
+    const playback = video.play();
+    if (playback && typeof playback.catch === 'function') {
+      // Autoplay rules can refuse play(); the seek itself still happened
+      playback.catch(error => debugLog('⚠️ Playback after seek was blocked:', error.message));
+    }
+    return video.currentTime;
+  }
+
+  // Video length in seconds, or null before metadata has loaded
+  function getVideoDuration() {
+    const duration = getVideo()?.duration;
+    return Number.isFinite(duration) ? duration : null;
   }
 
   // Fallback extraction methods
@@ -196,11 +281,13 @@
     ];
     
     let captionElements = [];
+    let captionSelector = null;
     for (const selector of captionSelectors) {
       const elements = document.querySelectorAll(selector);
       debugLog(`  → Trying selector: '${selector}' - found ${elements.length} elements`);
       if (elements.length > 0) {
         captionElements = Array.from(elements);
+        captionSelector = selector;
         debugLog(`  ✅ Using selector: '${selector}'`);
         break;
       }
@@ -209,14 +296,19 @@
     if (captionElements.length > 0) {
       debugLog(`  📝 Processing ${captionElements.length} caption elements`);
       let validCaptions = 0;
+      let rejectedEmpty = 0;
+      let rejectedShort = 0;
+      // Captions on screen right now all belong to the current playback position
+      const currentTime = getVideo()?.currentTime ?? null;
       
       captionElements.forEach((element, index) => {
         const text = element.textContent.trim();
         if (text && text.length >= 3) {
           validCaptions++;
-          transcript.push({ timestamp: `${index}`, text });
+          transcript.push(SegmentTiming.createSegment(currentTime, currentTime, text));
           debugLog(`    → Caption ${index}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}" (accepted)`);
         } else {
+          if (text) rejectedShort++; else rejectedEmpty++;
           debugLog(`    → Caption ${index}: "${text}" (rejected - empty/short)`);
         }
       });
@@ -224,6 +316,7 @@
       debugLog(`  📊 Results: ${validCaptions} valid captions`);
       
       if (transcript.length > 0) {
+        lastExtractionSource = { method: 'on-screen-captions', selector: captionSelector, rejectedEmpty, rejectedShort };
         return transcript;
       }
     }
@@ -239,11 +332,13 @@
     ];
     
     let possibleElements = [];
+    let generalSelector = null;
     for (const selector of generalSelectors) {
       const elements = document.querySelectorAll(selector);
       debugLog(`  → Trying selector: '${selector}' - found ${elements.length} elements`);
       if (elements.length > 0) {
         possibleElements = Array.from(elements);
+        generalSelector = selector;
         break;
       }
     }
@@ -251,26 +346,243 @@
     if (possibleElements.length > 0) {
       debugLog(`  📝 Processing ${possibleElements.length} general elements`);
       let validElements = 0;
+      let rejectedEmpty = 0;
+      let rejectedShort = 0;
       
       possibleElements.forEach((element, index) => {
         const text = element.textContent.trim();
         if (text && text.length > 10) {
           validElements++;
-          transcript.push({ timestamp: `${index}`, text });
+          // Generic page text has no timing
+          transcript.push(SegmentTiming.createSegment(null, null, text));
           debugLog(`    → Element ${index}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}" (accepted)`);
         } else {
+          if (text) rejectedShort++; else rejectedEmpty++;
           debugLog(`    → Element ${index}: "${text}" (rejected - too short)`);
         }
       });
       
       debugLog(`  📊 Results: ${validElements} valid elements`);
+      if (transcript.length > 0) {
+        lastExtractionSource = { method: 'page-text', selector: generalSelector, rejectedEmpty, rejectedShort };
+      }
     }
     
     return transcript;
   }
 
-  // Main transcript extraction functionality with debug logging
-  async function extractTranscript() {
+  // Caption track reader (caption-tracks.js is injected before this script)
+  const captionTracks = isYouTubePage && typeof CaptionTracks !== 'undefined'
+    ? new CaptionTracks({ origin: YouTubeUrl.getWatchOrigin(window.location.href) })
+    : null;
+
+  // Track used by the most recent extraction (null when a DOM method won)
+  let lastCaptionTrack = null;
+
+  // Transcript panel load of the most recent extraction (null when the panel wasn't used)
+  let lastPanelLoad = null;
+
+  // Method, selector and rejected counts behind the most recent extraction (see TranscriptQuality)
+  let lastExtractionSource = null;
+
+  function getCurrentVideoId() {
+    return YouTubeUrl.extractVideoId(window.location.href);
+  }
+
+  // Channel, publish date, duration, description, tags and chapters from the player response
+  async function getYouTubeMetadata() {
+    if (!captionTracks) return null;
+
+    const playerResponse = await captionTracks.getPlayerResponse(getCurrentVideoId());
+    return VideoMetadata.fromPlayerResponse(playerResponse, findInitialData());
+  }
+
+  // ytInitialData from the inline scripts. It goes stale after SPA navigation;
+  // VideoMetadata only reads chapters from it when its video ID matches
+  function findInitialData() {
+    for (const script of document.querySelectorAll('script')) {
+      const source = script.textContent || '';
+      if (!source.includes('ytInitialData')) continue;
+
+      const initialData = CaptionTracks.extractJsonObject(source, 'ytInitialData');
+      if (initialData) return initialData;
+    }
+    return null;
+  }
+
+  // Playlist rows: the /playlist page list, or the side panel of a watch page playing a list
+  const PLAYLIST_ITEM_SELECTOR = 'ytd-playlist-video-list-renderer ytd-playlist-video-renderer, ytd-playlist-panel-renderer ytd-playlist-panel-video-renderer';
+
+  // Every video of the playlist on this page, in playlist order. The /playlist page renders
+  // ~100 rows at a time, so it is scrolled to the end first
+  async function getPlaylistVideos() {
+    const playlistId = YouTubeUrl.getPlaylistId(window.location.href);
+    if (!playlistId) {
+      throw new Error('This page is not a playlist');
+    }
+
+    let videos = [];
+    if (document.querySelector(PLAYLIST_ITEM_SELECTOR)) {
+      const panelLoader = new PanelLoader({
+        isLoading: () => !!document.querySelector('ytd-playlist-video-list-renderer ytd-continuation-item-renderer')
+      });
+      const result = await panelLoader.load(() => document.querySelectorAll(PLAYLIST_ITEM_SELECTOR));
+      debugLog(`📚 Playlist ${result.complete ? 'fully loaded' : 'did not settle'} with ${result.items.length} rows`);
+      videos = readPlaylistRows(result.items);
+    }
+
+    if (videos.length === 0) {
+      videos = readPlaylistInitialData(findInitialData(), playlistId);
+      debugLog(`📚 Playlist rows from initial data: ${videos.length}`);
+    }
+
+    const title = document.querySelector(
+      'ytd-playlist-header-renderer .yt-core-attributed-string, ytd-playlist-panel-renderer #header-description h3 a'
+    )?.textContent?.trim() || null;
+
+    return { playlistId, title, videos };
+  }
+
+  function readPlaylistRows(rows) {
+    return Array.from(rows)
+      .map(row => {
+        const link = row.querySelector('a#video-title, a#wc-endpoint, a[href*="watch?v="]');
+        return {
+          videoId: YouTubeUrl.extractVideoId(link?.href),
+          title: row.querySelector('#video-title')?.textContent?.trim() || null
+        };
+      })
+      .filter(video => video.videoId);
+  }
+
+  // Rows in ytInitialData, kept only when they belong to this playlist (the inline
+  // data still describes the first page after SPA navigation)
+  function readPlaylistInitialData(initialData, playlistId) {
+    const videos = [];
+    const visit = node => {
+      if (!node || typeof node !== 'object') return;
+      const renderer = node.playlistVideoRenderer || node.playlistPanelVideoRenderer;
+      if (renderer) {
+        const watchEndpoint = renderer.navigationEndpoint?.watchEndpoint;
+        if (renderer.videoId && watchEndpoint?.playlistId === playlistId) {
+          videos.push({ videoId: renderer.videoId, title: VideoMetadata.readText(renderer.title) || null });
+        }
+        return;
+      }
+      Object.values(node).forEach(visit);
+    };
+    visit(initialData);
+    return videos;
+  }
+
+  // List caption tracks and translation targets for the popup's language picker
+  async function listCaptionTracks() {
+    if (!captionTracks) {
+      return { tracks: [], translationLanguages: [] };
+    }
+
+    const { tracks, translationLanguages } = await captionTracks.listTracks(getCurrentVideoId());
+    return {
+      tracks: tracks.map(track => CaptionTracks.describeTrack(track)),
+      translationLanguages
+    };
+  }
+
+  // Method 0: Download the selected caption track from the player response
+  async function extractFromCaptionTracks(selection = {}) {
+    if (!captionTracks) {
+      debugLog('  → CaptionTracks not loaded, skipping');
+      return [];
+    }
+
+    try {
+      const result = await captionTracks.extract(getCurrentVideoId(), selection);
+      if (!result) {
+        debugLog('  → No caption tracks listed in player response');
+        return [];
+      }
+
+      debugLog(`  📊 Results: ${result.segments.length} segments from ${result.track.languageCode} track`, {
+        name: result.track.name,
+        isAutoGenerated: result.track.isAutoGenerated
+      });
+      lastCaptionTrack = CaptionTracks.describeTrack(result.track);
+      lastExtractionSource = { method: 'caption-track', selector: null, rejectedEmpty: 0, rejectedShort: 0 };
+      return result.segments;
+    } catch (error) {
+      debugLog('  ❌ Caption track extraction failed:', error.message);
+      return [];
+    }
+  }
+
+  // Live caption recording (caption-recorder.js is injected before this script)
+  let captionRecorder = null;
+  let enabledCaptionsForRecording = false;
+
+  function getCaptionsButton() {
+    return document.querySelector('.ytp-subtitles-button, .ytp-cc-button');
+  }
+
+  function startCaptionRecording() {
+    if (typeof CaptionRecorder === 'undefined') {
+      throw new Error('Caption recorder is not loaded');
+    }
+    if (captionRecorder?.isRecording) {
+      debugLog('⏺️ Caption recording already running');
+      return;
+    }
+
+    const video = getVideo();
+    const container = getPlayer()?.querySelector('.ytp-caption-window-container, #ytp-caption-window-container') ||
+      getPlayer();
+    if (!video || !container) {
+      throw new Error('Video player not found on this page');
+    }
+
+    // Captions must be on screen to be recorded
+    const captionsButton = getCaptionsButton();
+    enabledCaptionsForRecording = false;
+    if (captionsButton && captionsButton.getAttribute('aria-pressed') !== 'true') {
+      debugLog('💬 Turning on captions for recording');
+      captionsButton.click();
+      enabledCaptionsForRecording = true;
+    }
+
+    const recordingUrl = window.location.href;
+    captionRecorder = new CaptionRecorder({
+      onUpdate: (segments, { isFinal, startedAt }) => {
+        debugLog(`⏺️ Caption recording update: ${segments.length} segments`, { isFinal });
+        chrome.runtime.sendMessage({
+          type: 'CAPTION_RECORDING_UPDATE',
+          url: recordingUrl,
+          startedAt,
+          segments,
+          isFinal
+        }).catch(() => {
+          // Background may be restarting; the next update carries the full transcript
+        });
+      }
+    });
+    captionRecorder.start(video, container);
+  }
+
+  function stopCaptionRecording() {
+    if (!captionRecorder) return null;
+
+    const segments = captionRecorder.stop();
+    captionRecorder = null;
+
+    if (enabledCaptionsForRecording) {
+      getCaptionsButton()?.click();
+      enabledCaptionsForRecording = false;
+    }
+
+    debugLog(`⏹️ Caption recording stopped with ${segments.length} segments`);
+    return segments;
+  }
+
+  // YouTube transcript extraction with debug logging
+  async function extractYouTubeTranscript(selection = {}) {
     const transcript = [];
     const startTime = performance.now();
     
@@ -280,11 +592,19 @@
     debugLog('DOM elements count:', document.querySelectorAll('*').length);
     
     // Check if we're on YouTube
-    if (!window.location.hostname.includes('youtube.com')) {
+    if (!YouTubeUrl.isYouTubeUrl(window.location.href)) {
       debugLog('❌ Not on YouTube domain');
       return transcript;
     }
     
+    // Method 0: Caption tracks from the player response (exact timing, no panel needed)
+    debugLog('🎯 Method 0: Player caption tracks');
+    const trackSegments = await extractFromCaptionTracks(selection);
+    if (trackSegments.length > 0) {
+      debugLog(`✅ Successfully extracted ${trackSegments.length} transcript segments from caption track`);
+      return trackSegments;
+    }
+    
     // Method 1: Try YouTube's transcript panel (attempt to open if not found)
     debugLog('🎯 Method 1: YouTube transcript panel');
     const transcriptSelectors = [
@@ -292,15 +612,18 @@
       '.ytd-transcript-segment-renderer',
       '[class*="transcript-segment"]',
       'ytd-transcript-body-renderer [class*="segment"]',
-      'ytd-transcript-renderer [class*="segment"]'
+      'ytd-transcript-renderer [class*="segment"]',
+      'ytm-transcript-segment-renderer'
     ];
     
     let transcriptItems = null;
+    let transcriptSelector = null;
     for (const selector of transcriptSelectors) {
       const elements = document.querySelectorAll(selector);
       debugLog(`  → Trying selector: '${selector}' - found ${elements.length} elements`);
       if (elements.length > 0) {
         transcriptItems = elements;
+        transcriptSelector = selector;
         debugLog(`  ✅ Using selector: '${selector}'`);
         break;
       }
@@ -315,11 +638,12 @@
         debugLog('  ⏳ Waiting for transcript panel to load...');
         // Wait for transcript panel to load and try again
         return new Promise(async (resolve) => {
-          const loadedElements = await waitForTranscriptPanel();
-          if (loadedElements && loadedElements.length > 0) {
-            // Recursively call extractTranscript to process the loaded elements
-            debugLog('  🔄 Retrying extraction with loaded transcript panel...');
-            const result = await extractTranscriptSync(loadedElements);
+          const firstElements = await waitForTranscriptPanel();
+          if (firstElements && firstElements.length > 0) {
+            debugLog('  🔄 Loading the rest of the transcript panel...');
+            const openedSelector = transcriptSelectors.find(selector => document.querySelector(selector)) || transcriptSelectors[0];
+            const loadedElements = await loadFullTranscriptPanel(openedSelector);
+            const result = extractTranscriptSync(loadedElements, openedSelector);
             resolve(result);
           } else {
             debugLog('  ❌ Transcript panel failed to load, continuing with other methods...');
@@ -331,7 +655,7 @@
     
     // Process transcript items if found
     if (transcriptItems && transcriptItems.length > 0) {
-      const extractedTranscript = extractTranscriptSync(transcriptItems);
+      const extractedTranscript = extractTranscriptSync(await loadFullTranscriptPanel(transcriptSelector), transcriptSelector);
       transcript.push(...extractedTranscript);
     } else {
       // If no transcript panel items, use fallback methods
@@ -345,9 +669,10 @@
     
     debugLog(`⏱️ Extraction completed in ${duration}ms`);
     debugLog(`🎬 Video info:`, {
-      title: document.querySelector('h1.ytd-watch-metadata yt-formatted-string, h1.title, .watch-title')?.textContent?.trim() || 'Unknown',
+      layout: getPageLayout(),
+      title: getVideoTitle()?.textContent?.trim() || 'Unknown',
       hasCC: !!document.querySelector('.ytp-subtitles-button[aria-pressed="true"]'),
-      playerState: document.querySelector('.html5-video-player')?.className || 'Unknown'
+      playerState: getPlayer()?.className || 'Unknown'
     });
     
     if (transcript.length === 0) {
@@ -364,10 +689,185 @@
     return transcript;
   }
 
+  // In-page sidebar (transcript-sidebar.js is injected before this script)
+  let transcriptSidebar = null;
+  let sidebarTabId = null;
+  let sidebarTranscriptSource = 'cleaned';
+
+  async function toggleSidebar() {
+    if (!transcriptSidebar) {
+      const { settings = {} } = await chrome.storage.local.get(['settings']);
+      transcriptSidebar = new TranscriptSidebar({
+        dock: settings.sidebarDock,
+        onSeek: seconds => {
+          try {
+            seekTo(seconds);
+          } catch (error) {
+            debugLog('❌ Sidebar seek failed:', error.message);
+          }
+        },
+        onDockChange: async dock => {
+          const { settings: current = {} } = await chrome.storage.local.get(['settings']);
+          await chrome.storage.local.set({ settings: { ...current, sidebarDock: dock } });
+        }
+      });
+      // Follow tab state written by the popup and background through TabManager
+      chrome.storage.onChanged.addListener(handleSidebarStorageChange);
+    }
+
+    const isOpen = transcriptSidebar.toggle();
+    if (isOpen) {
+      transcriptSidebar.attachVideo(getVideo());
+      await refreshSidebar();
+    }
+    debugLog(`📌 Sidebar ${isOpen ? 'opened' : 'closed'}`);
+    return isOpen;
+  }
+
+  // Load this tab's stored state (the background knows our tab ID)
+  async function refreshSidebar() {
+    if (!transcriptSidebar?.isOpen) return;
+
+    try {
+      const [response, { settings = {} }] = await Promise.all([
+        chrome.runtime.sendMessage({ type: 'GET_TAB_STATE' }),
+        chrome.storage.local.get(['settings'])
+      ]);
+      sidebarTabId = response?.tabId || null;
+      sidebarTranscriptSource = settings.transcriptSource || 'cleaned';
+      transcriptSidebar.setState(response?.tabState, sidebarTranscriptSource);
+    } catch (error) {
+      debugLog('❌ Could not load tab state for sidebar:', error.message);
+    }
+  }
+
+  function handleSidebarStorageChange(changes, areaName) {
+    if (areaName !== 'local' || !transcriptSidebar?.isOpen || !sidebarTabId) return;
+
+    if (changes.settings) {
+      sidebarTranscriptSource = changes.settings.newValue?.transcriptSource || 'cleaned';
+    }
+    if (changes.youtubeTabs || changes.settings) {
+      const tabs = changes.youtubeTabs ? changes.youtubeTabs.newValue : null;
+      if (tabs) {
+        transcriptSidebar.setState(tabs[sidebarTabId], sidebarTranscriptSource);
+      } else {
+        refreshSidebar();
+      }
+    }
+  }
+
+  // Site adapters (extractor-registry.js and html5-video-extractor.js are injected
+  // before this script). Site-specific adapters go first, the generic HTML5 one last.
+  // Built on first use, so pages nobody extracts from never create them
+  let extractorRegistry = null;
+
+  function getExtractorRegistry() {
+    if (extractorRegistry) return extractorRegistry;
+
+    extractorRegistry = new ExtractorRegistry();
+    extractorRegistry.register({
+      id: 'youtube',
+      name: 'YouTube',
+      matches: [url => YouTubeUrl.isYouTubeUrl(url)],
+      isReady: () => YouTubeUrl.isVideoUrl(window.location.href),
+      extract: async (selection) => {
+        const segments = await extractYouTubeTranscript(selection);
+        return { segments, track: lastCaptionTrack, source: lastExtractionSource };
+      },
+      listTracks: listCaptionTracks,
+      getMetadata: getYouTubeMetadata
+    });
+    extractorRegistry.register(new Html5VideoExtractor());
+    return extractorRegistry;
+  }
+
+  // Main transcript extraction: dispatch to the adapter for this page
+  async function extractTranscript(selection = {}) {
+    lastCaptionTrack = null;
+    lastPanelLoad = null;
+    lastExtractionSource = null;
+
+    const adapter = getExtractorRegistry().findAdapter(window.location.href);
+    if (!adapter) {
+      debugLog('❌ No extractor for this page', { url: window.location.href });
+      return [];
+    }
+
+    debugLog(`🧩 Using extractor: ${adapter.name}`);
+    try {
+      const result = await getExtractorRegistry().extract(window.location.href, selection);
+      lastCaptionTrack = result.track;
+      lastExtractionSource = result.source;
+      return result.segments;
+    } catch (error) {
+      debugLog(`❌ Extractor ${adapter.id} failed:`, error.message);
+      return [];
+    }
+  }
+
+  // Chapters from the open chapters panel, for videos whose player response and
+  // description carry none (e.g. the inline data went stale after SPA navigation)
+  function readChaptersPanel(durationSeconds = null) {
+    const items = document.querySelectorAll(
+      'ytd-engagement-panel-section-list-renderer[target-id*="macro-markers"] ytd-macro-markers-list-item-renderer'
+    );
+    const chapters = Array.from(items)
+      .map(item => ({
+        startSeconds: SegmentTiming.parseTimestamp(item.querySelector('#time')?.textContent),
+        title: item.querySelector('h4, #title')?.textContent?.trim()
+      }))
+      .filter(chapter => chapter.startSeconds !== null && chapter.title);
+
+    debugLog(`📑 Chapters panel: ${chapters.length} chapters`);
+    return VideoMetadata.withEndTimes(chapters, durationSeconds);
+  }
+
+  // Tag every segment with its chapter so the popup and AI can follow the creator's structure
+  function withChapters(segments, metadata) {
+    if (metadata && metadata.chapters.length === 0 && YouTubeUrl.isYouTubeUrl(window.location.href)) {
+      metadata.chapters = readChaptersPanel(metadata.durationSeconds);
+    }
+    return Chapters.assign(segments, metadata?.chapters || []);
+  }
+
+  // Metadata from the page's adapter; a failure here never fails the extraction
+  async function getPageMetadata() {
+    const adapter = getExtractorRegistry().findAdapter(window.location.href);
+    if (!adapter?.getMetadata) return null;
+
+    try {
+      return await adapter.getMetadata();
+    } catch (error) {
+      debugLog(`❌ Could not read metadata from ${adapter.id}:`, error.message);
+      return null;
+    }
+  }
+
+  // How much of the video the extracted transcript reaches. A panel that never settled
+  // is incomplete whatever its last timestamp says
+  function getTranscriptCoverage(segments) {
+    const coverage = segments ? SegmentTiming.coverage(segments, getVideoDuration()) : null;
+    const complete = lastPanelLoad ? lastPanelLoad.complete : true;
+    if (!coverage) {
+      return lastPanelLoad ? { fraction: null, lastSeconds: null, durationSeconds: null, complete } : null;
+    }
+    return { ...coverage, complete };
+  }
+
+  // Track list for the popup's language picker, from the page's adapter
+  async function listPageTracks() {
+    const adapter = getExtractorRegistry().findAdapter(window.location.href);
+    if (!adapter?.listTracks) {
+      return { tracks: [], translationLanguages: [] };
+    }
+    return adapter.listTracks();
+  }
+
   // Function to log transcript
-  async function logTranscript() {
+  async function logTranscript(selection = {}) {
     debugLog('🚀 logTranscript() called');
-    const transcript = await extractTranscript();
+    const transcript = await extractTranscript(selection);
     const timestamp = new Date().toISOString();
     
     if (transcript && transcript.length > 0) {
@@ -398,29 +898,78 @@
     }
   }
 
+  // Transcript plus everything stored with it: chapters, coverage, source and metadata
+  async function extractTranscriptDetails(selection = {}) {
+    // The page may move on to another video while extraction runs
+    const url = window.location.href;
+    const segments = await logTranscript(selection);
+    const metadata = segments ? await getPageMetadata() : null;
+    const transcript = segments ? withChapters(segments, metadata) : segments;
+    const coverage = getTranscriptCoverage(transcript);
+    return {
+      transcript,
+      track: lastCaptionTrack,
+      coverage,
+      source: transcript ? TranscriptQuality.assess(lastExtractionSource, transcript, coverage) : null,
+      metadata,
+      url
+    };
+  }
+
+  // Auto-extraction can be turned off in the popup's settings
+  async function getAutoExtractSettings() {
+    try {
+      const { settings = {} } = await chrome.storage.local.get(['settings']);
+      return { enabled: settings.autoExtract !== false, languageCode: settings.captionLanguage || null };
+    } catch (error) {
+      debugLog('❌ Could not read auto-extract settings:', error.message);
+      return { enabled: false, languageCode: null };
+    }
+  }
+
+  // Extract and hand the transcript to the background, which keeps it in this tab's state
+  async function autoExtractAndStore(languageCode) {
+    const details = await extractTranscriptDetails({ languageCode });
+    if (!details.transcript || details.transcript.length === 0) return false;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'TRANSCRIPT_EXTRACTED', ...details });
+      debugLog('📤 Auto-extracted transcript sent to background', response);
+    } catch (error) {
+      debugLog('❌ Could not send auto-extracted transcript to background:', error.message);
+    }
+    return true;
+  }
+
   // Auto-extract transcript on YouTube pages
-  window.autoExtractTranscript = function autoExtractTranscript() {
+  function autoExtractTranscript() {
     debugLog('🎬 autoExtractTranscript() called');
-    if (window.location.hostname.includes('youtube.com')) {
+    if (YouTubeUrl.isYouTubeUrl(window.location.href)) {
       debugLog('✅ On YouTube domain, checking if we should extract...');
       
-      // Check if we're on a watch page
-      if (window.location.pathname === '/watch') {
-        debugLog('📺 On YouTube watch page, scheduling extraction...');
+      // Check if we're on a video page (watch, Shorts, live, mobile, Music)
+      if (YouTubeUrl.isVideoUrl(window.location.href)) {
+        debugLog(`📺 On YouTube video page (${getPageLayout()}), scheduling extraction...`);
         // Wait for DOM to be ready before attempting extraction
         setTimeout(async () => {
+          const { enabled, languageCode } = await getAutoExtractSettings();
+          if (!enabled) {
+            debugLog('⏸️ Auto-extraction is turned off in settings');
+            return;
+          }
+
           debugLog('⏰ Waiting for YouTube DOM to be ready...');
           const isDOMReady = await waitForYouTubeDOMReady();
           
           if (isDOMReady) {
             debugLog('⏰ DOM ready, attempting extraction');
-            const transcript = await logTranscript();
-            if (!transcript || transcript.length === 0) {
+            const found = await autoExtractAndStore(languageCode);
+            if (!found) {
               debugLog('⏰ No transcript found, trying again in 2s...');
               // Try again after more loading time
               setTimeout(async () => {
                 debugLog('⏰ Second extraction attempt');
-                await logTranscript();
+                await autoExtractAndStore(languageCode);
               }, 2000);
             }
           } else {
@@ -433,15 +982,15 @@
     } else {
       debugLog('❌ Not on YouTube domain, skipping auto-extraction');
     }
-  };
+  }
 
   // Function to check if YouTube DOM is ready for transcript extraction
   function waitForYouTubeDOMReady() {
     return new Promise((resolve) => {
       const checkReady = () => {
-        const player = document.querySelector('#movie_player');
+        const player = getPlayer();
         const captionsBtn = document.querySelector('.ytp-subtitles-button, .ytp-cc-button');
-        const videoTitle = document.querySelector('h1.ytd-watch-metadata yt-formatted-string, #title h1');
+        const videoTitle = getVideoTitle();
         
         if (player && videoTitle) {
           debugLog('✅ YouTube DOM is ready for extraction');
@@ -468,12 +1017,12 @@
 
   // Check if content script is healthy and ready
   function checkContentScriptHealth() {
-    const isYouTubeWatch = window.location.pathname === '/watch';
-    const isYouTubeDomain = window.location.hostname.includes('youtube.com');
+    const isYouTubeWatch = YouTubeUrl.isVideoUrl(window.location.href);
+    const isYouTubeDomain = YouTubeUrl.isYouTubeUrl(window.location.href);
     
     // Content script is loaded if we can respond, but readiness depends on YouTube DOM
     const scriptLoaded = true; // If we can respond to this message, script is loaded
-    const player = document.querySelector('#movie_player');
+    const player = getPlayer();
     const domReady = player && isYouTubeWatch;
     
     debugLog('🏥 Content script health check:', { 
@@ -485,7 +1034,7 @@
     });
     
     // Return different status based on what's ready
-    if (!isYouTubeDomain) return false;
+    if (!isYouTubeDomain) return !!getExtractorRegistry().findAdapter(window.location.href);
     if (!isYouTubeWatch) return false;
     return domReady; // Only ready when YouTube DOM is ready
   }
@@ -497,7 +1046,75 @@
     if (message.type === 'HEALTH_CHECK') {
       debugLog('🏥 Processing HEALTH_CHECK request');
       const isReady = checkContentScriptHealth();
-      sendResponse({ status: isReady ? 'ready' : 'not_ready', url: window.location.href });
+      const extractor = ExtractorRegistry.describe(getExtractorRegistry().findAdapter(window.location.href));
+      sendResponse({ status: isReady ? 'ready' : 'not_ready', url: window.location.href, extractor });
+      return true;
+
+    } else if (message.type === 'START_CAPTION_RECORDING') {
+      debugLog('⏺️ Processing START_CAPTION_RECORDING request');
+      try {
+        startCaptionRecording();
+        sendResponse({ success: true, isRecording: true });
+      } catch (error) {
+        debugLog('❌ Could not start caption recording:', error);
+        sendResponse({ success: false, isRecording: false, error: error.message });
+      }
+      return true;
+
+    } else if (message.type === 'STOP_CAPTION_RECORDING') {
+      debugLog('⏹️ Processing STOP_CAPTION_RECORDING request');
+      const segments = stopCaptionRecording();
+      sendResponse({
+        success: segments !== null,
+        isRecording: false,
+        transcript: segments,
+        url: window.location.href
+      });
+      return true;
+
+    } else if (message.type === 'GET_RECORDING_STATUS') {
+      sendResponse({ isRecording: !!captionRecorder?.isRecording });
+      return true;
+
+    } else if (message.type === 'GET_PLAYLIST_VIDEOS') {
+      debugLog('📚 Processing GET_PLAYLIST_VIDEOS request');
+
+      (async () => {
+        try {
+          const playlist = await getPlaylistVideos();
+          sendResponse({ success: true, ...playlist });
+        } catch (error) {
+          debugLog('❌ Could not list playlist videos:', error.message);
+          sendResponse({ success: false, videos: [], error: error.message });
+        }
+      })();
+
+      return true;
+
+    } else if (message.type === 'TOGGLE_SIDEBAR') {
+      debugLog('📌 Processing TOGGLE_SIDEBAR request');
+
+      (async () => {
+        try {
+          const isOpen = await toggleSidebar();
+          sendResponse({ success: true, isOpen });
+        } catch (error) {
+          debugLog('❌ Could not toggle sidebar:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+
+      return true;
+
+    } else if (message.type === 'SEEK_TO') {
+      debugLog('⏩ Processing SEEK_TO request', { seconds: message.seconds });
+      try {
+        const currentTime = seekTo(message.seconds);
+        sendResponse({ success: true, currentTime });
+      } catch (error) {
+        debugLog('❌ Could not seek:', error.message);
+        sendResponse({ success: false, error: error.message });
+      }
       return true;
       
     } else if (message.type === 'EXTRACT_TRANSCRIPT') {
@@ -506,8 +1123,10 @@
       // Handle async extraction
       (async () => {
         try {
-          const transcript = await logTranscript();
-          const response = { transcript, url: window.location.href };
+          const response = await extractTranscriptDetails({
+            languageCode: message.languageCode,
+            vssId: message.vssId
+          });
           debugLog('📤 Sending response:', response);
           sendResponse(response);
         } catch (error) {
@@ -518,7 +1137,23 @@
       
       // Return true to indicate we'll send response asynchronously
       return true;
-      
+
+    } else if (message.type === 'LIST_CAPTION_TRACKS') {
+      debugLog('🌐 Processing LIST_CAPTION_TRACKS request');
+
+      (async () => {
+        try {
+          const trackList = await listPageTracks();
+          debugLog('📤 Sending caption tracks:', { count: trackList.tracks.length });
+          sendResponse({ ...trackList, url: window.location.href });
+        } catch (error) {
+          debugLog('❌ Error listing caption tracks:', error);
+          sendResponse({ tracks: [], translationLanguages: [], error: error.message });
+        }
+      })();
+
+      return true;
+
     } else if (message.type === 'GET_STORED_TRANSCRIPT') {
       debugLog('📋 Processing GET_STORED_TRANSCRIPT request');
       try {
@@ -538,6 +1173,7 @@
 
   // Handle YouTube SPA navigation
   let currentUrl = window.location.href;
+  let hasYouTubeNavigationEvents = false;
   
   function handleUrlChange() {
     const newUrl = window.location.href;
@@ -545,49 +1181,73 @@
       debugLog('🔄 YouTube SPA navigation detected', { from: currentUrl, to: newUrl });
       currentUrl = newUrl;
       
+      // A recording belongs to the video it started on
+      if (captionRecorder) {
+        debugLog('⏹️ Navigation during caption recording, stopping it');
+        stopCaptionRecording();
+      }
+      
+      // The sidebar follows the new video's player and tab state
+      if (transcriptSidebar?.isOpen) {
+        transcriptSidebar.attachVideo(getVideo());
+        refreshSidebar();
+      }
+      
       // Re-initialize for new video
-      if (window.location.hostname.includes('youtube.com') && window.location.pathname === '/watch') {
+      if (YouTubeUrl.isVideoUrl(window.location.href) && !isEmbeddedFrame) {
         debugLog('🎬 New video detected, re-initializing...');
         autoExtractTranscript();
       }
     }
   }
   
-  // Listen for URL changes (YouTube SPA navigation)
-  const observer = new MutationObserver(handleUrlChange);
-  observer.observe(document, { childList: true, subtree: true });
-  
-  // Also listen for popstate events (back/forward navigation)
-  window.addEventListener('popstate', handleUrlChange);
-  
-  // Listen for pushstate/replacestate events (programmatic navigation)
-  const originalPushState = history.pushState;
-  const originalReplaceState = history.replaceState;
-  
-  history.pushState = function(...args) {
-    originalPushState.apply(this, args);
-    setTimeout(handleUrlChange, 0);
-  };
-  
-  history.replaceState = function(...args) {
-    originalReplaceState.apply(this, args);
-    setTimeout(handleUrlChange, 0);
-  };
-
-  // Initialize transcript extraction for YouTube
-  debugLog('🚀 Initializing YouTube Transcript Extractor...');
-  debugLog('🌐 Current URL:', window.location.href);
-  debugLog('📄 Document ready state:', document.readyState);
-  
-  // Wait for DOM to be ready if needed
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', autoExtractTranscript);
-  } else {
-    // DOM is already ready, run immediately
-    autoExtractTranscript();
+  // YouTube fires yt-navigate-finish once the new page's data has been swapped in, which
+  // is when extraction should start. The Navigation API reports every other same-document
+  // navigation (pushState, back/forward), for layouts that don't fire YouTube's event
+  function handleYouTubeNavigateFinish() {
+    hasYouTubeNavigationEvents = true;
+    handleUrlChange();
   }
 
-  console.log('📝 YouTube Transcript Extractor initialized on:', window.location.href);
+  function handleNavigationSuccess() {
+    // The URL changes before YouTube has rendered the new page; wait for its own event
+    if (hasYouTubeNavigationEvents) return;
+    handleUrlChange();
+  }
+
+  function watchYouTubeNavigation() {
+    document.addEventListener('yt-navigate-finish', handleYouTubeNavigateFinish);
+
+    if (window.navigation && typeof window.navigation.addEventListener === 'function') {
+      window.navigation.addEventListener('navigatesuccess', handleNavigationSuccess);
+    } else {
+      window.addEventListener('popstate', handleNavigationSuccess);
+    }
+  }
+
+  // Nothing below runs off YouTube: no navigation tracking, no auto-extraction
+  if (isYouTubePage) {
+    // Exposed for retrying extraction from the page console
+    window.autoExtractTranscript = autoExtractTranscript;
+    watchYouTubeNavigation();
+
+    // Initialize transcript extraction for YouTube
+    debugLog('🚀 Initializing YouTube Transcript Extractor...');
+    debugLog('🌐 Current URL:', window.location.href);
+    debugLog('📄 Document ready state:', document.readyState);
+    
+    if (isEmbeddedFrame) {
+      debugLog('🖼️ Embedded player frame, skipping auto-extraction');
+    } else if (document.readyState === 'loading') {
+      // Wait for DOM to be ready if needed
+      document.addEventListener('DOMContentLoaded', autoExtractTranscript);
+    } else {
+      // DOM is already ready, run immediately
+      autoExtractTranscript();
+    }
+
+    console.log('📝 YouTube Transcript Extractor initialized on:', window.location.href);
+  }
   
   // Mark content script as loaded
   window.youtubeTranscriptExtractorLoaded = true;
@@ -312,9 +312,9 @@ class TestDataTemplates {
         title: 'Short Test Video',
         timestamp: new Date().toISOString(),
         segments: [
-          { timestamp: '0:00', text: 'Welcome to this short test video.' },
-          { timestamp: '0:05', text: 'This is just a brief example.' },
-          { timestamp: '0:10', text: 'Thank you for watching.' }
+          { startSeconds: 0, endSeconds: 5, timestamp: '0:00', text: 'Welcome to this short test video.' },
+          { startSeconds: 5, endSeconds: 10, timestamp: '0:05', text: 'This is just a brief example.' },
+          { startSeconds: 10, endSeconds: 15, timestamp: '0:10', text: 'Thank you for watching.' }
         ]
       },
       medium: {
@@ -322,6 +322,8 @@ class TestDataTemplates {
         title: 'Medium Length Test Video',
         timestamp: new Date().toISOString(),
         segments: Array.from({ length: 50 }, (_, i) => ({
+          startSeconds: i * 5,
+          endSeconds: (i + 1) * 5,
           timestamp: `${Math.floor(i * 5 / 60)}:${String(i * 5 % 60).padStart(2, '0')}`,
           text: `This is transcript segment number ${i + 1}. It contains some meaningful content about the topic being discussed.`
         }))
@@ -331,6 +333,8 @@ class TestDataTemplates {
         title: 'Long Test Video with Extensive Content',
         timestamp: new Date().toISOString(),
         segments: Array.from({ length: 500 }, (_, i) => ({
+          startSeconds: i * 3,
+          endSeconds: (i + 1) * 3,
           timestamp: `${Math.floor(i * 3 / 60)}:${String(i * 3 % 60).padStart(2, '0')}`,
           text: `Detailed transcript segment ${i + 1}. This segment discusses important concepts and provides comprehensive information about the subject matter. The content is rich and informative, suitable for testing longer transcripts.`
         }))
@@ -0,0 +1,102 @@
+// Extractor Registry - Site adapters for transcript extraction
+// Each adapter declares URL matchers, a readiness check and an extract function;
+// content.js dispatches to the first registered adapter that matches and is ready
+
+class ExtractorRegistry {
+  constructor() {
+    this.adapters = [];
+
+    // Initialize logger
+    if (typeof DebugLogger !== 'undefined') {
+      this.logger = new DebugLogger('ExtractorRegistry');
+    } else {
+      this.logger = {
+        info: (msg, data) => console.log(`[ExtractorRegistry] ${msg}`, data),
+        debug: (msg, data) => console.log(`[ExtractorRegistry DEBUG] ${msg}`, data),
+        warn: (msg, data) => console.warn(`[ExtractorRegistry WARN] ${msg}`, data),
+        error: (msg, error) => console.error(`[ExtractorRegistry ERROR] ${msg}`, error)
+      };
+    }
+  }
+
+  // Adapter shape:
+  //   id, name           - identifiers reported back to the popup
+  //   matches            - RegExps and/or (url) => boolean predicates
+  //   isReady()          - true when the page has what extract() needs
+  //   extract(selection) - resolves to { segments, track, source }; source is
+  //                        { method, selector, rejectedEmpty, rejectedShort } (TranscriptQuality)
+  //   listTracks()       - optional, resolves to { tracks, translationLanguages }
+  // Site-specific adapters must be registered before generic ones
+  register(adapter) {
+    if (!adapter || !adapter.id) {
+      throw new Error('Extractor adapter needs an id');
+    }
+    if (!Array.isArray(adapter.matches) || adapter.matches.length === 0) {
+      throw new Error(`Extractor adapter "${adapter.id}" needs at least one URL matcher`);
+    }
+    if (typeof adapter.isReady !== 'function' || typeof adapter.extract !== 'function') {
+      throw new Error(`Extractor adapter "${adapter.id}" needs isReady() and extract()`);
+    }
+    if (this.adapters.some(existing => existing.id === adapter.id)) {
+      throw new Error(`Extractor adapter "${adapter.id}" is already registered`);
+    }
+
+    this.adapters.push(adapter);
+    this.logger.debug('Extractor adapter registered', { id: adapter.id });
+    return this;
+  }
+
+  // Adapters whose URL matchers accept the URL, in registration order
+  getMatchingAdapters(url) {
+    return this.adapters.filter(adapter => ExtractorRegistry.matchesUrl(adapter, url));
+  }
+
+  // First matching adapter that reports ready, or null
+  findAdapter(url) {
+    for (const adapter of this.getMatchingAdapters(url)) {
+      try {
+        if (adapter.isReady()) return adapter;
+      } catch (error) {
+        this.logger.warn('Extractor readiness check failed', { id: adapter.id, error: error.message });
+      }
+    }
+    return null;
+  }
+
+  async extract(url, selection = {}) {
+    const adapter = this.findAdapter(url);
+    if (!adapter) {
+      this.logger.debug('No extractor adapter for page', { url });
+      return { adapter: null, segments: [], track: null };
+    }
+
+    this.logger.info('Extracting with adapter', { id: adapter.id });
+    const result = await adapter.extract(selection);
+    return {
+      adapter: ExtractorRegistry.describe(adapter),
+      segments: result?.segments || [],
+      track: result?.track || null,
+      source: result?.source || null
+    };
+  }
+
+  static matchesUrl(adapter, url) {
+    if (!url) return false;
+    return adapter.matches.some(matcher =>
+      matcher instanceof RegExp ? matcher.test(url) : !!matcher(url)
+    );
+  }
+
+  static describe(adapter) {
+    return adapter ? { id: adapter.id, name: adapter.name || adapter.id } : null;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.ExtractorRegistry = ExtractorRegistry;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ExtractorRegistry };
+}
@@ -0,0 +1,221 @@
+// HTML5 Video Extractor - Generic adapter for pages with a <video> element
+// Reads WebVTT caption/subtitle tracks declared with <track kind="captions">
+
+class Html5VideoExtractor {
+  constructor(options = {}) {
+    this.id = 'html5-video';
+    this.name = 'HTML5 video captions';
+    this.matches = [/^(https?|file):/i];
+    this.document = options.document || (typeof document !== 'undefined' ? document : null);
+    this.loadTimeout = options.loadTimeout ?? 5000; // Wait for the browser to load a track's cues
+
+    // Initialize logger
+    if (typeof DebugLogger !== 'undefined') {
+      this.logger = new DebugLogger('Html5VideoExtractor');
+    } else {
+      this.logger = {
+        info: (msg, data) => console.log(`[Html5VideoExtractor] ${msg}`, data),
+        debug: (msg, data) => console.log(`[Html5VideoExtractor DEBUG] ${msg}`, data),
+        warn: (msg, data) => console.warn(`[Html5VideoExtractor WARN] ${msg}`, data),
+        error: (msg, error) => console.error(`[Html5VideoExtractor ERROR] ${msg}`, error)
+      };
+    }
+  }
+
+  // Caption and subtitle <track> elements on every <video> in the page
+  getTrackElements() {
+    if (!this.document) return [];
+
+    return Array.from(this.document.querySelectorAll('video track'))
+      .filter(element => {
+        // A <track> without a kind is a subtitles track
+        const kind = (element.getAttribute('kind') || 'subtitles').toLowerCase();
+        return (kind === 'captions' || kind === 'subtitles') && element.getAttribute('src');
+      });
+  }
+
+  isReady() {
+    return this.getTrackElements().length > 0;
+  }
+
+  // Same track shape as the YouTube caption tracks so the popup picker can list them
+  async listTracks() {
+    return {
+      tracks: this.getTrackElements().map((element, index) => Html5VideoExtractor.describeTrack(element, index)),
+      translationLanguages: []
+    };
+  }
+
+  // Exact vssId first, then the requested language, then the track marked default
+  selectTrack(elements, selection = {}) {
+    if (elements.length === 0) return null;
+
+    const { languageCode, vssId } = selection || {};
+    const described = elements.map((element, index) => ({ element, track: Html5VideoExtractor.describeTrack(element, index) }));
+
+    return (vssId && described.find(item => item.track.vssId === vssId)) ||
+      (languageCode && described.find(item => item.track.languageCode === languageCode)) ||
+      described.find(item => item.element.hasAttribute('default')) ||
+      described.find(item => item.track.kind === 'captions') ||
+      described[0];
+  }
+
+  async extract(selection = {}) {
+    const selected = this.selectTrack(this.getTrackElements(), selection);
+    if (!selected) {
+      return { segments: [], track: null };
+    }
+
+    const { element, track } = selected;
+    this.logger.debug('Reading HTML5 caption track', track);
+
+    let segments = await this.readCues(element);
+    if (segments.length === 0) {
+      segments = await this.fetchTrack(element);
+    }
+
+    this.logger.info('HTML5 caption track parsed', { languageCode: track.languageCode, segments: segments.length });
+    return {
+      segments,
+      track,
+      source: { method: 'html5-track', selector: 'video track', rejectedEmpty: 0, rejectedShort: 0 }
+    };
+  }
+
+  // Title, author and dates from the page's meta tags; duration from the captioned video
+  getMetadata() {
+    if (!this.document || typeof VideoMetadata === 'undefined') return null;
+
+    const video = this.getTrackElements()[0]?.closest('video') || this.document.querySelector('video');
+    return VideoMetadata.fromDocument(this.document, video);
+  }
+
+  // Let the browser load and parse the track, then read its cues
+  async readCues(element) {
+    const textTrack = element.track;
+    if (!textTrack) return [];
+
+    const previousMode = textTrack.mode;
+    if (textTrack.mode === 'disabled') {
+      // Disabled tracks are never loaded; hidden loads them without showing them
+      textTrack.mode = 'hidden';
+    }
+
+    try {
+      await this.waitForTrackLoad(element);
+      const cues = Array.from(textTrack.cues || []);
+      return cues
+        .map(cue => SegmentTiming.createSegment(cue.startTime, cue.endTime, Html5VideoExtractor.cleanCueText(cue.text)))
+        .filter(segment => segment.text);
+    } catch (error) {
+      this.logger.warn('Could not read track cues', { error: error.message });
+      return [];
+    } finally {
+      textTrack.mode = previousMode;
+    }
+  }
+
+  waitForTrackLoad(element) {
+    // HTMLTrackElement.readyState: 2 = LOADED, 3 = ERROR
+    if (element.readyState === 2) return Promise.resolve();
+    if (element.readyState === 3) return Promise.reject(new Error('Track failed to load'));
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Track did not load within ${this.loadTimeout}ms`));
+      }, this.loadTimeout);
+
+      const onLoad = () => { cleanup(); resolve(); };
+      const onError = () => { cleanup(); reject(new Error('Track failed to load')); };
+      const cleanup = () => {
+        clearTimeout(timer);
+        element.removeEventListener('load', onLoad);
+        element.removeEventListener('error', onError);
+      };
+
+      element.addEventListener('load', onLoad);
+      element.addEventListener('error', onError);
+    });
+  }
+
+  // Download the WebVTT file ourselves when the browser did not expose cues
+  async fetchTrack(element) {
+    const src = element.src || element.getAttribute('src');
+    const response = await fetch(src, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`Caption track request failed: ${response.status}`);
+    }
+    return Html5VideoExtractor.parseWebVtt(await response.text());
+  }
+
+  static describeTrack(element, index) {
+    const languageCode = element.getAttribute('srclang') || null;
+    return {
+      languageCode,
+      name: element.getAttribute('label') || languageCode || `Track ${index + 1}`,
+      kind: (element.getAttribute('kind') || 'subtitles').toLowerCase(),
+      isAutoGenerated: false,
+      isTranslatable: false,
+      vssId: `track:${index}`,
+      translatedFrom: null
+    };
+  }
+
+  // Parse a WebVTT file into segments. Skips the header and NOTE/STYLE/REGION
+  // blocks, ignores cue identifiers and settings, and strips inline cue markup
+  static parseWebVtt(text) {
+    const segments = [];
+    const blocks = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+      const lines = block.split('\n').filter(line => line.trim() !== '');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1 || timingIndex > 1) continue;
+
+      const [startText, rest] = lines[timingIndex].split('-->');
+      const start = Html5VideoExtractor.parseTime(startText);
+      const end = Html5VideoExtractor.parseTime((rest || '').trim().split(/\s+/)[0]);
+      if (start === null) continue;
+
+      const cueText = Html5VideoExtractor.cleanCueText(lines.slice(timingIndex + 1).join('\n'));
+      if (!cueText) continue;
+
+      segments.push(SegmentTiming.createSegment(start, end ?? start, cueText));
+    }
+
+    return segments;
+  }
+
+  // "01:02:03.456" or "02:03.456" to seconds
+  static parseTime(value) {
+    const match = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/.exec((value || '').trim());
+    if (!match) return null;
+
+    const [, hours, minutes, seconds, millis] = match;
+    return (parseInt(hours || '0', 10) * 3600) + (parseInt(minutes, 10) * 60) +
+      parseInt(seconds, 10) + (parseInt(millis, 10) / 1000);
+  }
+
+  // Drop <v Speaker>, <c.class>, <i>, karaoke <00:00:01.000> tags and decode entities
+  static cleanCueText(text) {
+    return (text || '')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lrm;|&rlm;/g, '')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.Html5VideoExtractor = Html5VideoExtractor;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Html5VideoExtractor };
+}
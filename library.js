@@ -0,0 +1,106 @@
+// Library - AI results kept beyond any tab: video summaries and passage explanations made
+// from the context menu. Entries live in chrome.storage.local.library, newest first
+
+class Library {
+  constructor() {
+    this.storageKey = 'library';
+    // Writes are chained so two results finishing together can't overwrite each other
+    this.pendingWrite = Promise.resolve();
+
+    // Initialize logger
+    if (typeof DebugLogger !== 'undefined') {
+      this.logger = new DebugLogger('Library');
+    } else {
+      this.logger = {
+        info: (msg, data) => console.log(`[Library] ${msg}`, data),
+        debug: (msg, data) => console.log(`[Library DEBUG] ${msg}`, data),
+        warn: (msg, data) => console.warn(`[Library WARN] ${msg}`, data),
+        error: (msg, error) => console.error(`[Library ERROR] ${msg}`, error)
+      };
+    }
+  }
+
+  static get TYPES() {
+    return {
+      'video-summary': { label: 'Video summary', icon: '🎬' },
+      'passage-explanation': { label: 'Passage explanation', icon: '💡' }
+    };
+  }
+
+  // Oldest entries are dropped past this, so the library can't crowd out tab state
+  static get MAX_ENTRIES() {
+    return 200;
+  }
+
+  async getEntries() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || [];
+  }
+
+  // Read, change and save the entries; returns whatever change() returns
+  mutate(change) {
+    const write = this.pendingWrite.then(async () => {
+      const entries = await this.getEntries();
+      const value = change(entries);
+      await chrome.storage.local.set({ [this.storageKey]: entries.slice(0, Library.MAX_ENTRIES) });
+      return value;
+    });
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  async add(details) {
+    const entry = Library.createEntry(details);
+    await this.mutate(entries => {
+      entries.unshift(entry);
+    });
+    this.logger.info('Library entry added', { id: entry.id, type: entry.type, videoId: entry.videoId });
+    return entry;
+  }
+
+  async remove(id) {
+    return this.mutate(entries => {
+      const index = entries.findIndex(entry => entry.id === id);
+      if (index === -1) return false;
+      entries.splice(index, 1);
+      return true;
+    });
+  }
+
+  // passage: { text, startSeconds } for explanations, null for whole-video results
+  static createEntry({ type, videoId = null, url = null, title = null, channelName = null, content, passage = null, source = null }) {
+    if (!Library.TYPES[type]) {
+      throw new Error(`Unknown library entry type: ${type}`);
+    }
+
+    const now = Date.now();
+    return {
+      id: `lib-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      videoId,
+      url: url || (videoId ? YouTubeUrl.toWatchUrl(videoId) : null),
+      title: title || 'YouTube Video',
+      channelName,
+      content,
+      passage,
+      source,
+      createdAt: now
+    };
+  }
+
+  // Link back to the video, at the passage when there is one
+  static getEntryUrl(entry) {
+    const startSeconds = entry.passage?.startSeconds;
+    if (!entry.videoId || !Number.isFinite(startSeconds)) return entry.url;
+    return `${YouTubeUrl.toWatchUrl(entry.videoId)}&t=${Math.floor(startSeconds)}s`;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.Library = Library;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Library };
+}
@@ -0,0 +1,153 @@
+// Message Stream - Builds a Messages API response from its server-sent events
+// The result has the same shape as a non-streamed response ({ content, usage, stop_reason }),
+// so callers don't care which way it arrived
+
+class MessageStream {
+  // onText(delta, text) is called for every piece of text, with everything written so far
+  constructor(onText = null) {
+    this.onText = onText;
+    this.buffer = '';
+    this.text = '';
+    this.isComplete = false;
+    this.message = {
+      id: null,
+      type: 'message',
+      role: 'assistant',
+      model: null,
+      content: [],
+      stop_reason: null,
+      usage: {}
+    };
+  }
+
+  // Raw stream text as it arrives; complete events are applied, a partial one waits
+  push(chunk) {
+    const { blocks, rest } = MessageStream.splitEvents(this.buffer + chunk);
+    for (const block of blocks) {
+      const event = MessageStream.parseEvent(block);
+      if (event) this.apply(event);
+    }
+    this.buffer = rest;
+  }
+
+  // { blocks, rest }: the complete events in raw stream text, and what's left to wait for
+  // more. Shared with ChatCompletionStream
+  static splitEvents(raw) {
+    // A "\r" at the end may be half of a "\r\n" split across chunks, so it waits
+    const held = raw.endsWith('\r') ? '\r' : '';
+    let text = (held ? raw.slice(0, -1) : raw).replace(/\r\n?/g, '\n');
+
+    const blocks = [];
+    let boundary;
+    while ((boundary = text.indexOf('\n\n')) !== -1) {
+      blocks.push(text.slice(0, boundary));
+      text = text.slice(boundary + 2);
+    }
+    return { blocks, rest: text + held };
+  }
+
+  // The finished message; a stream cut off before message_stop is an error, not a short answer
+  finish() {
+    const event = MessageStream.parseEvent(this.buffer);
+    this.buffer = '';
+    if (event) this.apply(event);
+
+    if (!this.isComplete) {
+      throw new Error('The response stream ended before the answer was complete. Please try again.');
+    }
+    return this.message;
+  }
+
+  // "event: name" and "data: {...}" lines of one event; comments (": ping") are skipped
+  static parseEvent(block) {
+    const { event, data } = MessageStream.readFields(block);
+    if (data === null) return null;
+    try {
+      return { event, data: JSON.parse(data) };
+    } catch (error) {
+      throw new Error(`Malformed ${event} event in the response stream`);
+    }
+  }
+
+  // { event, data } as text; data is null for an event without any
+  static readFields(block) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of (block || '').split('\n')) {
+      if (!line || line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      if (field === 'data') data.push(value);
+    }
+
+    return { event, data: data.length > 0 ? data.join('\n') : null };
+  }
+
+  apply({ event, data }) {
+    switch (data.type || event) {
+      case 'message_start':
+        Object.assign(this.message, data.message, { content: [], usage: { ...data.message?.usage } });
+        break;
+
+      case 'content_block_start':
+        this.message.content[data.index] = { ...data.content_block };
+        break;
+
+      case 'content_block_delta': {
+        const block = this.message.content[data.index] || (this.message.content[data.index] = { type: 'text', text: '' });
+        if (data.delta?.type === 'text_delta') {
+          block.text = (block.text || '') + data.delta.text;
+          this.text += data.delta.text;
+          if (this.onText) this.onText(data.delta.text, this.text);
+        }
+        break;
+      }
+
+      case 'message_delta':
+        Object.assign(this.message, data.delta);
+        Object.assign(this.message.usage, data.usage);
+        break;
+
+      case 'message_stop':
+        this.isComplete = true;
+        break;
+
+      case 'error':
+        throw MessageStream.toError(data.error);
+
+      default:
+        // ping and content_block_stop carry nothing to keep
+        break;
+    }
+  }
+
+  // Errors sent inside a stream that has already started, with the HTTP status they stand for
+  static toError(details) {
+    const statuses = { overloaded_error: 529, rate_limit_error: 429, api_error: 500 };
+    const status = statuses[details?.type] || null;
+
+    let message = details?.message || 'The response stream failed';
+    if (status === 529) {
+      message = 'Anthropic API is currently overloaded. Please try again in a few minutes.';
+    } else if (status === 429) {
+      message = 'Rate limit exceeded. Please wait a moment and try again.';
+    }
+
+    const error = new Error(message);
+    error.status = status;
+    error.details = details || null;
+    return error;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.MessageStream = MessageStream;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MessageStream };
+}
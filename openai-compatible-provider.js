@@ -0,0 +1,174 @@
+// OpenAI-compatible Provider - Chat completions requests, responses and errors for AnthropicAPI
+// Covers servers that speak the OpenAI chat completions API, such as Ollama or llama.cpp's
+// server on this machine, so transcripts never have to leave it. Answers come back in the
+// same shape as AnthropicProvider's
+
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.id = 'openai-compatible';
+    this.name = 'OpenAI-compatible server';
+    this.defaultBaseURL = OpenAICompatibleProvider.DEFAULT_BASE_URL;
+    this.baseURL = config.baseURL || this.defaultBaseURL;
+    this.headers = config.headers || {}; // Custom headers from settings
+    // Context the server runs its models with, from settings; it can't be asked for
+    this.contextTokens = OpenAICompatibleProvider.isValidContextTokens(config.contextTokens)
+      ? config.contextTokens
+      : OpenAICompatibleProvider.DEFAULT_CONTEXT_TOKENS;
+    this.keyStorageKey = 'openai_compatible_api_key';
+    // Local servers usually don't check keys
+    this.requiresApiKey = false;
+    this.keyPlaceholder = 'Optional - most local servers need none';
+    this.defaultModel = 'llama3.1';
+    this.maxTemperature = 2;
+    this.maxStopSequences = 4;
+  }
+
+  // Ollama's OpenAI-compatible endpoint; llama.cpp's server is http://localhost:8080/v1
+  static get DEFAULT_BASE_URL() {
+    return 'http://localhost:11434/v1';
+  }
+
+  // A common context for local models; servers often start them with less than the model
+  // supports (Ollama's num_ctx, llama.cpp's --ctx-size)
+  static get DEFAULT_CONTEXT_TOKENS() {
+    return 8192;
+  }
+
+  // Anything smaller leaves no room for a transcript next to the prompt
+  static get MIN_CONTEXT_TOKENS() {
+    return 2048;
+  }
+
+  static isValidContextTokens(value) {
+    return Number.isInteger(value) && value >= OpenAICompatibleProvider.MIN_CONTEXT_TOKENS;
+  }
+
+  isLocal() {
+    const { hostname } = new URL(this.baseURL);
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+  }
+
+  isValidApiKey(apiKey) {
+    return !apiKey || !/\s/.test(apiKey);
+  }
+
+  // Models the server has installed, from its /models endpoint
+  async listModels(apiKey = null) {
+    let response;
+    try {
+      response = await fetch(`${this.baseURL}/models`, { headers: this.buildRequest(apiKey).headers });
+    } catch (error) {
+      throw new Error(this.getNetworkErrorMessage());
+    }
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(this.getErrorMessage(response.status, response.statusText, errorData));
+    }
+
+    const data = await response.json();
+    return (data.data || data.models || [])
+      .map(model => model.id || model.name)
+      .filter(Boolean)
+      .sort()
+      .map(id => ({ id, label: id, maxOutputTokens: null }));
+  }
+
+  // Whatever the server has installed can be used; it says so when a name is wrong
+  isKnownModel(model) {
+    return typeof model === 'string' && model.trim().length > 0;
+  }
+
+  // Depends on the model and how the server runs it, so no limit is checked here
+  getMaxOutputTokens() {
+    return null;
+  }
+
+  // The same for every model; transcripts longer than it allows are read in parts
+  getContextTokens() {
+    return this.contextTokens;
+  }
+
+  // Nothing is charged per token on this machine; other servers' prices aren't known
+  getCost() {
+    return this.isLocal() ? 0 : null;
+  }
+
+  // Chat completions body; usage is only sent at the end of a stream when asked for
+  buildBody({ model, messages, maxTokens, temperature, stopSequences, stream }) {
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      messages
+    };
+    if (temperature !== null) body.temperature = temperature;
+    if (stopSequences.length > 0) body.stop = stopSequences;
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    return body;
+  }
+
+  // Custom headers come last, so they can replace the key's Authorization header
+  buildRequest(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return { url: `${this.baseURL}/chat/completions`, headers: { ...headers, ...this.headers } };
+  }
+
+  parseResponse(data) {
+    const choice = data?.choices?.[0];
+    return {
+      text: choice?.message?.content || '',
+      model: data?.model || null,
+      usage: data?.usage ? { input_tokens: data.usage.prompt_tokens || 0, output_tokens: data.usage.completion_tokens || 0 } : null,
+      stopReason: choice?.finish_reason || null
+    };
+  }
+
+  createStream(onText) {
+    const stream = new ChatCompletionStream(onText);
+    return {
+      push: chunk => stream.push(chunk),
+      finish: () => this.parseResponse(stream.finish())
+    };
+  }
+
+  // Rate limits, and llama.cpp's 503 while the model is still loading
+  isRetryable(status) {
+    return status === 429 || status === 503;
+  }
+
+  // Servers put the reason in { error: { message } } or, like Ollama's own API, { error: "..." }
+  getErrorMessage(status, statusText, errorData) {
+    const detail = errorData?.error?.message || (typeof errorData?.error === 'string' ? errorData.error : '');
+
+    if (status === 401) {
+      return 'The server refused the API key. Please check the key saved for the OpenAI-compatible server in settings.';
+    } else if (status === 403) {
+      return 'The server refused the request. For Ollama, allow the extension by setting OLLAMA_ORIGINS=chrome-extension://* and restarting it.';
+    } else if (status === 404) {
+      return `Not found on the server${detail ? ` (${detail})` : ''}. Check the server URL in settings and that the model is installed (e.g. ollama pull <model>).`;
+    } else if (status === 429) {
+      return 'Rate limit exceeded. Please wait a moment and try again.';
+    } else if (status >= 500) {
+      return `The server failed to answer${detail ? `: ${detail}` : ` (${status})`}. Please try again later.`;
+    } else if (detail) {
+      return detail;
+    }
+    return `API request failed: ${status} ${statusText}`;
+  }
+
+  getNetworkErrorMessage() {
+    return `Network error: could not reach ${this.baseURL}. Check that the server is running and the URL in settings is right.`;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OpenAICompatibleProvider };
+}
@@ -0,0 +1,101 @@
+// Panel Loader - Make a lazily rendered transcript panel render all of its segments
+// Long videos render the panel in batches as it scrolls, so the first segments in the
+// DOM are not the whole transcript. Scroll to the end until the count stops growing
+
+class PanelLoader {
+  constructor(options = {}) {
+    this.interval = options.interval ?? 400; // Wait after each scroll for the next batch
+    this.settleChecks = options.settleChecks ?? 3; // Unchanged counts in a row that mean "done"
+    this.maxWait = options.maxWait ?? 60000;
+    this.isLoading = options.isLoading || (() => false); // e.g. a continuation spinner is visible
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.now = options.now || (() => Date.now());
+
+    // Initialize logger
+    if (typeof DebugLogger !== 'undefined') {
+      this.logger = new DebugLogger('PanelLoader');
+    } else {
+      this.logger = {
+        info: (msg, data) => console.log(`[PanelLoader] ${msg}`, data),
+        debug: (msg, data) => console.log(`[PanelLoader DEBUG] ${msg}`, data),
+        warn: (msg, data) => console.warn(`[PanelLoader WARN] ${msg}`, data),
+        error: (msg, error) => console.error(`[PanelLoader ERROR] ${msg}`, error)
+      };
+    }
+  }
+
+  // `queryItems` returns the segment elements currently in the DOM.
+  // Resolves to { items, complete, rounds }; complete is false when the count never
+  // settled before maxWait, so callers must not treat the result as the full transcript
+  async load(queryItems) {
+    const startedAt = this.now();
+    let items = Array.from(queryItems());
+    let stableRounds = 0;
+    let rounds = 0;
+    let complete = false;
+
+    const container = PanelLoader.findScrollContainer(items[0]);
+    const originalScrollTop = container ? container.scrollTop : 0;
+
+    while (this.now() - startedAt < this.maxWait) {
+      rounds++;
+      PanelLoader.scrollToEnd(container, items[items.length - 1]);
+      await this.sleep(this.interval);
+
+      const next = Array.from(queryItems());
+      if (next.length === items.length && !this.isLoading()) {
+        stableRounds++;
+      } else {
+        stableRounds = 0;
+      }
+      items = next;
+
+      if (stableRounds >= this.settleChecks) {
+        complete = true;
+        break;
+      }
+    }
+
+    if (container) {
+      container.scrollTop = originalScrollTop;
+    }
+
+    const result = { items, complete, rounds };
+    if (complete) {
+      this.logger.info('Transcript panel fully loaded', { segments: items.length, rounds });
+    } else {
+      this.logger.warn('Transcript panel did not settle before timeout', { segments: items.length, rounds, maxWait: this.maxWait });
+    }
+    return result;
+  }
+
+  // Nearest ancestor that scrolls vertically
+  static findScrollContainer(element) {
+    let node = element?.parentElement || null;
+    while (node && node !== document.body && node !== document.documentElement) {
+      const overflowY = typeof getComputedStyle === 'function' ? getComputedStyle(node).overflowY : '';
+      if (node.scrollHeight > node.clientHeight && (overflowY === 'auto' || overflowY === 'scroll')) {
+        return node;
+      }
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+  static scrollToEnd(container, lastItem) {
+    if (container) {
+      container.scrollTop = container.scrollHeight;
+    } else if (lastItem && typeof lastItem.scrollIntoView === 'function') {
+      lastItem.scrollIntoView({ block: 'end' });
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.PanelLoader = PanelLoader;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PanelLoader };
+}
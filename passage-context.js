@@ -0,0 +1,122 @@
+// Passage Context - Find a selected passage in a transcript and the transcript around it
+// The selection can come from the transcript panel (with its timestamps mixed in), the
+// in-page sidebar or the captions, so matching is on words rather than exact text
+
+class PassageContext {
+  // Seconds of transcript on each side of the passage given to the AI
+  static get CONTEXT_SECONDS() {
+    return 90;
+  }
+
+  // Segments on each side when the transcript has no timestamps
+  static get CONTEXT_SEGMENTS() {
+    return 15;
+  }
+
+  // Words the start of a selection is matched on
+  static get ANCHOR_WORDS() {
+    return 12;
+  }
+
+  // Shorter matches than this are too likely to be somewhere else in the video
+  static get MIN_MATCH_WORDS() {
+    return 3;
+  }
+
+  // Lowercased words, without timestamps like "1:23" that the transcript panel shows
+  static toWords(text) {
+    return (text || '')
+      .replace(/\b\d{1,2}(?::\d{2}){1,2}\b/g, ' ')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}']+/u)
+      .filter(Boolean);
+  }
+
+  // { startIndex, endIndex } of the segments the selection covers, or null
+  static locate(segments, selection) {
+    const selected = PassageContext.toWords(selection);
+    if (selected.length === 0 || !segments?.length) return null;
+
+    const words = [];
+    const owners = [];
+    segments.forEach((segment, index) => {
+      for (const word of PassageContext.toWords(segment.text)) {
+        words.push(word);
+        owners.push(index);
+      }
+    });
+
+    // The selection may start on text that isn't speech (a chapter heading, a button), so
+    // leading words are dropped until the rest matches
+    for (let skip = 0; skip <= PassageContext.ANCHOR_WORDS && selected.length - skip >= PassageContext.MIN_MATCH_WORDS; skip++) {
+      const rest = selected.slice(skip);
+      const at = PassageContext.indexOfWords(words, rest.slice(0, PassageContext.ANCHOR_WORDS));
+      if (at !== -1) {
+        const end = Math.min(at + rest.length - 1, words.length - 1);
+        return { startIndex: owners[at], endIndex: owners[end] };
+      }
+    }
+
+    return null;
+  }
+
+  static indexOfWords(words, sequence) {
+    outer: for (let i = 0; i <= words.length - sequence.length; i++) {
+      for (let j = 0; j < sequence.length; j++) {
+        if (words[i + j] !== sequence[j]) continue outer;
+      }
+      return i;
+    }
+    return -1;
+  }
+
+  // The passage's position and the segments around it. Raw captions are tried first, as
+  // that's what the page shows, then the cleaned paragraphs. A passage that can't be
+  // found gets the whole transcript as context
+  static find(transcript, selection, contextSeconds = PassageContext.CONTEXT_SECONDS) {
+    const candidates = [TranscriptCleaner.getSegments(transcript, 'raw'), TranscriptCleaner.getSegments(transcript, 'cleaned')];
+
+    for (const segments of candidates) {
+      const range = PassageContext.locate(segments, selection);
+      if (!range) continue;
+
+      const first = segments[range.startIndex];
+      const last = segments[range.endIndex];
+      return {
+        found: true,
+        startSeconds: Number.isFinite(first.startSeconds) ? first.startSeconds : null,
+        endSeconds: Number.isFinite(last.endSeconds) ? last.endSeconds : (Number.isFinite(last.startSeconds) ? last.startSeconds : null),
+        segments: PassageContext.around(segments, range, contextSeconds)
+      };
+    }
+
+    return { found: false, startSeconds: null, endSeconds: null, segments: transcript.segments };
+  }
+
+  // Segments within contextSeconds of the range, or a fixed count for untimed transcripts
+  static around(segments, range, contextSeconds = PassageContext.CONTEXT_SECONDS) {
+    const start = segments[range.startIndex].startSeconds;
+    const end = segments[range.endIndex].startSeconds;
+
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      const count = PassageContext.CONTEXT_SEGMENTS;
+      return segments.slice(Math.max(range.startIndex - count, 0), range.endIndex + count + 1);
+    }
+
+    return segments.filter((segment, index) => {
+      if (index >= range.startIndex && index <= range.endIndex) return true;
+      return Number.isFinite(segment.startSeconds) &&
+        segment.startSeconds >= start - contextSeconds &&
+        segment.startSeconds <= end + contextSeconds;
+    });
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.PassageContext = PassageContext;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PassageContext };
+}
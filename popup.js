@@ -22,19 +22,59 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // DOM elements
   const extractBtn = document.getElementById('extract-btn');
+  const captionTrackSelect = document.getElementById('caption-track-select');
+  const recordBtn = document.getElementById('record-btn');
+  const sidebarBtn = document.getElementById('sidebar-btn');
+  const playlistBtn = document.getElementById('playlist-btn');
+  const libraryBtn = document.getElementById('library-btn');
   const logsBtn = document.getElementById('logs-btn');
   const settingsBtn = document.getElementById('settings-btn');
   const extractPointsBtn = document.getElementById('extract-points-btn');
   const generateArticleBtn = document.getElementById('generate-article-btn');
+  const summarizeChaptersBtn = document.getElementById('summarize-chapters-btn');
+  const generateChaptersBtn = document.getElementById('generate-chapters-btn');
   const status = document.getElementById('status');
   
+  // Playlist batch job elements
+  const batchPanel = document.getElementById('batch-panel');
+  const batchJobsContainer = document.getElementById('batch-jobs');
+
+  // Library panel elements
+  const libraryPanel = document.getElementById('library-panel');
+  const libraryEntriesContainer = document.getElementById('library-entries');
+
   // Settings panel elements
   const settingsPanel = document.getElementById('settings-panel');
+  const providerSelect = document.getElementById('provider-select');
+  const providerUrlLabel = document.getElementById('provider-url-label');
+  const providerUrlInput = document.getElementById('provider-url-input');
+  const providerHeadersInput = document.getElementById('provider-headers-input');
+  const providerContextGroup = document.getElementById('provider-context-group');
+  const providerContextInput = document.getElementById('provider-context-input');
+  const providerStatus = document.getElementById('provider-status');
   const apiKeyInput = document.getElementById('api-key-input');
   const apiKeyStatus = document.getElementById('api-key-status');
   const saveApiKeyBtn = document.getElementById('save-api-key-btn');
   const testApiKeyBtn = document.getElementById('test-api-key-btn');
   const clearApiKeyBtn = document.getElementById('clear-api-key-btn');
+  const cleanupSoundTagsInput = document.getElementById('cleanup-sound-tags');
+  const cleanupSpeakerMarkersInput = document.getElementById('cleanup-speaker-markers');
+  const cleanupFillersInput = document.getElementById('cleanup-fillers');
+  const cleanupMergeInput = document.getElementById('cleanup-merge');
+  const transcriptSourceSelect = document.getElementById('transcript-source-select');
+  const autoExtractInput = document.getElementById('auto-extract-input');
+  const costLimitInput = document.getElementById('cost-limit-input');
+  const modelSelect = document.getElementById('model-select');
+  const maxTokensGrid = document.getElementById('max-tokens-grid');
+  const temperatureLabel = document.getElementById('temperature-label');
+  const temperatureInput = document.getElementById('temperature-input');
+  const stopSequencesInput = document.getElementById('stop-sequences-input');
+  const generationStatus = document.getElementById('generation-status');
+  const saveGenerationBtn = document.getElementById('save-generation-btn');
+  const resetGenerationBtn = document.getElementById('reset-generation-btn');
+  const costEstimate = document.getElementById('cost-estimate');
+  const shortcutsList = document.getElementById('shortcuts-list');
+  const changeShortcutsBtn = document.getElementById('change-shortcuts-btn');
   
   // Logs panel elements
   const logsPanel = document.getElementById('logs-panel');
@@ -53,6 +93,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   const transcriptData = document.getElementById('transcript-data');
   const copyTranscriptBtn = document.getElementById('copy-transcript-btn');
   const exportTranscriptBtn = document.getElementById('export-transcript-btn');
+  const copyChaptersBtn = document.getElementById('copy-chapters-btn');
   
   // Key points tab elements
   const keypointsEmpty = document.getElementById('keypoints-empty');
@@ -69,6 +110,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Current tab state variables
   let currentTabId = null;
   let currentTabState = null;
+  let isRecordingCaptions = false;
+  let cleanupOptions = {};
+  let transcriptSource = 'cleaned';
+  // Estimated cost (USD) above which an AI step asks first; null never asks
+  const DEFAULT_COST_LIMIT = 0.5;
+  let costLimit = DEFAULT_COST_LIMIT;
+  let activePlaylist = null; // { tabId, playlistId } of the active tab, video or not
 
   // Initialize on load
   logger.time('Extension Initialization');
@@ -89,6 +137,40 @@ document.addEventListener('DOMContentLoaded', async () => {
         logger.debug('Refreshing current tab context due to tab update');
         initializeCurrentTab();
       }
+    } else if (message.type === 'TRANSCRIPT_AUTO_EXTRACTED') {
+      // The background stored a transcript the page extracted on its own
+      if (message.tabId === currentTabId && !currentTabState?.isProcessing) {
+        logger.debug('Loading auto-extracted transcript');
+        loadCurrentTabState();
+      }
+    } else if (message.type === 'AI_STEP_UPDATE') {
+      // Streamed text and progress of an AI step the background is running
+      if (message.tabId === currentTabId) {
+        handleAiStepUpdate(message);
+      }
+    } else if (message.type === 'CAPTION_RECORDING_UPDATE') {
+      // Live caption recording streamed from the content script
+      if (sender.tab?.id === currentTabId) {
+        handleRecordingUpdate(message);
+      }
+    }
+  });
+
+  // Batch job progress is written to storage by the background service worker
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.batchJobs) {
+      renderBatchJobs(changes.batchJobs.newValue || {});
+    }
+    if (areaName === 'local' && changes.library) {
+      renderLibrary(changes.library.newValue || []);
+    }
+    // A step the background ran while this popup showed it as busy (e.g. a keyboard
+    // shortcut) has finished
+    if (areaName === 'local' && changes.youtubeTabs && currentTabState?.isProcessing) {
+      const storedState = (changes.youtubeTabs.newValue || {})[currentTabId];
+      if (storedState && !storedState.isProcessing) {
+        loadCurrentTabState();
+      }
     }
   });
 
@@ -102,15 +184,34 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Event Listeners
   extractBtn.addEventListener('click', handleExtractTranscript);
+  captionTrackSelect.addEventListener('change', handleCaptionTrackChange);
+  recordBtn.addEventListener('click', handleToggleRecording);
+  sidebarBtn.addEventListener('click', handleToggleSidebar);
+  playlistBtn.addEventListener('click', handleProcessPlaylist);
+  libraryBtn.addEventListener('click', toggleLibraryPanel);
   logsBtn.addEventListener('click', toggleLogsPanel);
   settingsBtn.addEventListener('click', toggleSettingsPanel);
   extractPointsBtn.addEventListener('click', handleExtractKeyPoints);
   generateArticleBtn.addEventListener('click', handleGenerateArticle);
+  summarizeChaptersBtn.addEventListener('click', handleSummarizeChapters);
+  generateChaptersBtn.addEventListener('click', handleGenerateChapters);
   
   // Settings panel events
+  providerSelect.addEventListener('change', handleProviderChange);
+  providerUrlInput.addEventListener('change', handleProviderChange);
+  providerHeadersInput.addEventListener('change', handleProviderChange);
+  providerContextInput.addEventListener('change', handleProviderChange);
   saveApiKeyBtn.addEventListener('click', handleSaveApiKey);
   testApiKeyBtn.addEventListener('click', handleTestApiKey);
   clearApiKeyBtn.addEventListener('click', handleClearApiKey);
+  [cleanupSoundTagsInput, cleanupSpeakerMarkersInput, cleanupFillersInput, cleanupMergeInput, transcriptSourceSelect].forEach(control => {
+    control.addEventListener('change', handleCleanupSettingsChange);
+  });
+  autoExtractInput.addEventListener('change', handleAutoExtractChange);
+  costLimitInput.addEventListener('change', handleCostLimitChange);
+  saveGenerationBtn.addEventListener('click', handleSaveGeneration);
+  resetGenerationBtn.addEventListener('click', handleResetGeneration);
+  changeShortcutsBtn.addEventListener('click', () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' }));
   
   // Logs panel events
   copyLogsBtn.addEventListener('click', handleCopyLogs);
@@ -123,8 +224,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     btn.addEventListener('click', () => switchTab(btn.dataset.tab));
   });
   
+  // Timestamps in the transcript, key points and article jump the video to that moment
+  [transcriptData, keypointsData, articleData].forEach(container => {
+    container.addEventListener('click', handleTimestampClick);
+  });
+  
   // Copy/Export button events
   copyTranscriptBtn.addEventListener('click', () => copyToClipboard(formatTranscriptAsText(currentTabState?.transcript)));
+  copyChaptersBtn.addEventListener('click', () => copyToClipboard(Chapters.toOutline(Chapters.get(currentTabState?.transcript))));
   exportTranscriptBtn.addEventListener('click', () => exportAsFile(formatTranscriptAsText(currentTabState?.transcript), `${sanitizeFileName(currentTabState?.transcript?.title || 'transcript')}.txt`));
   copyKeypointsBtn.addEventListener('click', () => copyToClipboard(currentTabState?.keyPoints));
   exportKeypointsBtn.addEventListener('click', () => exportAsFile(currentTabState?.keyPoints, `${sanitizeFileName(currentTabState?.transcript?.title || 'keypoints')}_keypoints.txt`));
@@ -135,11 +242,20 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function initializeExtension() {
     logger.debug('Starting extension initialization');
     
+    // Provider, API key and generation settings are read from storage first
+    await anthropicAPI.ready;
+    fillProviderForm();
+
     // Load API key and check status
     logger.time('API Key Status Check');
-    await updateApiKeyStatus();
+    await refreshApiKeyStatus();
     logger.timeEnd('API Key Status Check');
     
+    await loadCleanupSettings();
+    await loadGenerationSettings();
+    await loadShortcuts();
+    await loadBatchJobs();
+    
     // Set up current tab context
     logger.time('Tab Context Initialization');
     await initializeCurrentTab();
@@ -161,7 +277,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
-  // Get current active YouTube tab
+  // Non-YouTube pages are supported when a site adapter (e.g. HTML5 video captions) matches,
+  // or through an embedded YouTube player, whose frame already runs the content scripts.
+  // Otherwise they don't run there by themselves, so pages with a video get them first
+  async function hasPageExtractor(tabId) {
+    const checkHealth = () => chrome.tabs.sendMessage(tabId, { type: 'HEALTH_CHECK' })
+      .then(response => !!response?.extractor)
+      .catch(() => false);
+
+    if (await checkHealth()) return true;
+    try {
+      const injection = await chrome.runtime.sendMessage({ type: 'INJECT_PAGE_EXTRACTOR', tabId });
+      return !!injection?.hasVideo && await checkHealth();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Get current active YouTube tab, or another page the content script has an extractor for
   async function getCurrentActiveTab() {
     try {
       const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -172,6 +305,13 @@ document.addEventListener('DOMContentLoaded', async () => {
           title: activeTab.title || 'YouTube Video'
         };
       }
+      if (activeTab && /^https?:/.test(activeTab.url || '') && await hasPageExtractor(activeTab.id)) {
+        return {
+          tabId: activeTab.id,
+          url: activeTab.url,
+          title: activeTab.title || 'Video'
+        };
+      }
       return null;
     } catch (error) {
       console.error('Error getting current tab:', error);
@@ -184,6 +324,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function initializeCurrentTab() {
     logger.debug('Initializing current tab');
     
+    // Playlist pages have no video, so the playlist action doesn't depend on the tab context
+    await updatePlaylistButton();
+    
     // Try to get current active YouTube tab
     const activeTab = await getCurrentActiveTab();
     
@@ -205,6 +348,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Load the complete state from storage
         await loadCurrentTabState();
         
+        // Populate the language picker (content script may still be loading)
+        loadCaptionTracks();
+        refreshRecordingStatus();
+        
         logger.info('Successfully switched to YouTube tab', { 
           currentTabId, 
           previousTabId,
@@ -233,7 +380,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         showKeypointsEmptyState(); 
         showArticleEmptyState();
         updateButtonStates();
-        status.textContent = '📺 Open a YouTube video to get started';
+        status.textContent = '📺 Open a YouTube video or a page with a captioned video to get started';
       }
     }
   }
@@ -449,7 +596,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       // First try to send message to content script
       let response;
       try {
-        response = await chrome.tabs.sendMessage(currentTabId, { type: 'EXTRACT_TRANSCRIPT' });
+        response = await chrome.tabs.sendMessage(currentTabId, {
+          type: 'EXTRACT_TRANSCRIPT',
+          ...getSelectedCaptionTrack()
+        });
       } catch (messageError) {
         // Content script might not be loaded, try to initialize it
         logger.warn('Content script not responding, attempting initialization', messageError);
@@ -511,7 +661,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
             
             // Try the extraction again after initialization
-            response = await chrome.tabs.sendMessage(currentTabId, { type: 'EXTRACT_TRANSCRIPT' });
+            response = await chrome.tabs.sendMessage(currentTabId, {
+              type: 'EXTRACT_TRANSCRIPT',
+              ...getSelectedCaptionTrack()
+            });
             logger.info('Transcript extraction retry successful after auto-fix');
             
           } else {
@@ -560,27 +713,49 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
       
       if (response?.transcript && response.transcript.length > 0) {
-        const transcript = {
+        const transcript = cleanTranscript({
           url: response.url,
           timestamp: new Date().toISOString(),
           segments: response.transcript,
-          title: await getVideoTitle({ id: currentTabId }) || 'YouTube Video'
-        };
+          title: response.metadata?.title || await getVideoTitle({ id: currentTabId }) || 'YouTube Video',
+          languageCode: response.track?.languageCode || null,
+          captionTrack: response.track || null,
+          coverage: response.coverage || null,
+          source: response.source || null,
+          metadata: response.metadata || null
+        });
         
         // Save transcript to current tab state
+        // Chapter summaries belong to the previous transcript's chapters
         await tabManager.updateTabState(currentTabId, {
           transcript: transcript,
+          chapterSummaries: null,
           isProcessing: false,
           processingStep: null
         });
 
         // Update UI
         currentTabState.transcript = transcript;
+        currentTabState.chapterSummaries = null;
         displayTranscript(transcript);
-        status.textContent = `✅ Extracted ${response.transcript.length} segments`;
+        // A weak fallback or a panel that stopped after its first batches is not a successful extraction
+        if (TranscriptQuality.isWeak(transcript.source)) {
+          status.textContent = `⚠️ Weak transcript source (${TranscriptQuality.describe(transcript.source)}): ${response.transcript.length} segments - open the transcript panel or turn on captions and extract again`;
+          logger.warn('Transcript came from a weak source', { source: transcript.source });
+        } else if (SegmentTiming.isPartial(transcript.coverage)) {
+          status.textContent = `⚠️ Partial transcript: ${response.transcript.length} segments${formatCoverage(transcript.coverage, ' covering ')} - scroll the transcript panel and extract again`;
+          logger.warn('Transcript extraction incomplete', {
+            segments: response.transcript.length,
+            coverage: transcript.coverage
+          });
+        } else {
+          status.textContent = `✅ Extracted ${response.transcript.length} segments`;
+        }
         logger.info('Transcript extraction completed', { 
           segments: response.transcript.length,
-          title: transcript.title
+          title: transcript.title,
+          languageCode: transcript.languageCode,
+          coverage: transcript.coverage
         });
         
         // Enable AI buttons if API key is available
@@ -601,11 +776,104 @@ document.addEventListener('DOMContentLoaded', async () => {
     resetExtractButton();
   }
 
+  // Live caption recording: start/stop in the content script, segments stream back as messages
+  async function handleToggleRecording() {
+    if (!currentTabId) {
+      status.textContent = '❌ Open a YouTube video first';
+      return;
+    }
+
+    recordBtn.disabled = true;
+
+    try {
+      if (isRecordingCaptions) {
+        logger.info('Stopping caption recording', { currentTabId });
+        const response = await chrome.tabs.sendMessage(currentTabId, { type: 'STOP_CAPTION_RECORDING' });
+        setRecordingState(false);
+
+        if (response?.transcript && response.transcript.length > 0) {
+          await saveRecordedTranscript(response.transcript, response.url, false);
+          status.textContent = `✅ Recorded ${response.transcript.length} caption segments`;
+        } else {
+          status.textContent = '⚠️ Recording stopped - no captions were captured';
+        }
+      } else {
+        logger.info('Starting caption recording', { currentTabId });
+        const response = await chrome.tabs.sendMessage(currentTabId, { type: 'START_CAPTION_RECORDING' });
+
+        if (!response?.success) {
+          throw new Error(response?.error || 'Could not start recording');
+        }
+
+        setRecordingState(true);
+        status.textContent = '⏺ Recording captions - play the video, then press Stop';
+      }
+    } catch (error) {
+      logger.error('Caption recording toggle failed', error);
+      status.textContent = `❌ ${error.message}`;
+    }
+
+    recordBtn.disabled = false;
+  }
+
+  async function handleRecordingUpdate(message) {
+    if (!message.segments || message.segments.length === 0) return;
+
+    const transcript = buildRecordedTranscript(message.segments, message.url, !message.isFinal, message.startedAt);
+    currentTabState.transcript = transcript;
+    displayTranscript(transcript);
+    updateButtonStates();
+
+    if (message.isFinal) {
+      setRecordingState(false);
+    } else {
+      status.textContent = `⏺ Recording captions... ${message.segments.length} segments`;
+    }
+  }
+
+  async function saveRecordedTranscript(segments, url, isRecording) {
+    const transcript = buildRecordedTranscript(segments, url, isRecording, currentTabState?.transcript?.timestamp);
+    await tabManager.updateTabState(currentTabId, { transcript });
+    currentTabState.transcript = transcript;
+    displayTranscript(transcript);
+    updateButtonStates();
+  }
+
+  function buildRecordedTranscript(segments, url, isRecording, startedAt) {
+    return cleanTranscript({
+      url: url || currentTabState?.url,
+      timestamp: startedAt || new Date().toISOString(),
+      segments,
+      title: currentTabState?.title || 'YouTube Video',
+      languageCode: null,
+      captionTrack: null,
+      source: TranscriptQuality.assess({ method: 'caption-recording' }, segments),
+      isRecording
+    });
+  }
+
+  async function refreshRecordingStatus() {
+    if (!currentTabId) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(currentTabId, { type: 'GET_RECORDING_STATUS' });
+      setRecordingState(!!response?.isRecording);
+    } catch (error) {
+      setRecordingState(false);
+    }
+  }
+
+  function setRecordingState(isRecording) {
+    isRecordingCaptions = isRecording;
+    recordBtn.textContent = isRecording ? '⏹ Stop' : '⏺ Record';
+    extractBtn.disabled = isRecording;
+  }
+
   async function handleExtractKeyPoints() {
     logger.info('Starting key points extraction', { 
       hasCurrentTab: !!currentTabId,
       hasTranscript: !!(currentTabState?.transcript),
-      hasApiKey: !!anthropicAPI.apiKey
+      isConfigured: anthropicAPI.isConfigured()
     });
     
     if (!currentTabId || !currentTabState?.transcript) {
@@ -615,8 +883,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    if (!anthropicAPI.apiKey) {
-      const errorMsg = '❌ Please configure your Anthropic API key first';
+    if (!anthropicAPI.isConfigured()) {
+      const errorMsg = `❌ ${AnthropicAPI.NOT_CONFIGURED_MESSAGE}`;
       status.textContent = errorMsg;
       logger.warn('Key points extraction failed: no API key configured');
       switchTab('transcript');
@@ -624,62 +892,17 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
+    if (!confirmTranscriptSource()) return;
+    if (!confirmEstimatedCost('Extracting key points', anthropicAPI.estimateKeyPoints(currentTabState.transcript))) return;
+
     extractPointsBtn.disabled = true;
     extractPointsBtn.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Extracting Points...</div>';
     status.textContent = '🧠 AI is analyzing the transcript...';
 
-    // Mark tab as processing
-    await tabManager.setProcessingStatus(currentTabId, true, 'extracting key points');
-    logger.time('Key Points Extraction API Call');
-
-    try {
-      // Monitor for retry attempts
-      const originalMakeRequest = anthropicAPI.makeRequest.bind(anthropicAPI);
-      anthropicAPI.makeRequest = async function(apiKey, messages, maxTokens, retryCount = 0) {
-        if (retryCount > 0) {
-          status.textContent = `🔄 API busy, retrying... (attempt ${retryCount + 1}/4)`;
-        }
-        return originalMakeRequest(apiKey, messages, maxTokens, retryCount);
-      };
-
-      const keyPoints = await anthropicAPI.extractKeyPoints(currentTabState.transcript);
-      
-      // Save key points to current tab state
-      await tabManager.updateTabState(currentTabId, {
-        keyPoints: keyPoints,
-        isProcessing: false,
-        processingStep: null
-      });
-
-      // Update UI
-      currentTabState.keyPoints = keyPoints;
-      displayKeyPoints(keyPoints);
-      status.textContent = '✅ Key points extracted successfully';
-      logger.timeEnd('Key Points Extraction API Call');
-      logger.info('Key points extraction completed successfully');
-      
-      // Switch to key points tab and enable generate article button
-      switchTab('keypoints');
-      updateButtonStates();
-      
-    } catch (error) {
-      console.error('Error extracting key points:', error);
-      
-      // Provide specific guidance based on error type
-      let statusMessage = `❌ ${error.message}`;
-      if (error.message.includes('overloaded')) {
-        statusMessage += ' - Try again in 2-3 minutes.';
-      } else if (error.message.includes('Rate limit')) {
-        statusMessage += ' - Wait a moment before trying again.';
-      }
-      
-      status.textContent = statusMessage;
-      await tabManager.setError(currentTabId, error.message);
-      showKeypointsEmptyState();
-    }
-
-    extractPointsBtn.disabled = false;
-    extractPointsBtn.textContent = '🧠 Extract Key Points';
+    // The key points are written into the tab as they stream in
+    showKeypointsEmptyState();
+    switchTab('keypoints');
+    await startAiStep('keyPoints');
   }
 
   async function handleGenerateArticle() {
@@ -688,63 +911,229 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    if (!anthropicAPI.apiKey) {
-      status.textContent = '❌ Please configure your Anthropic API key first';
+    if (!anthropicAPI.isConfigured()) {
+      status.textContent = `❌ ${AnthropicAPI.NOT_CONFIGURED_MESSAGE}`;
       return;
     }
 
+    if (!confirmEstimatedCost('Generating the article', anthropicAPI.estimateArticle(currentTabState.keyPoints, currentTabState.transcript))) return;
+
     generateArticleBtn.disabled = true;
     generateArticleBtn.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Generating Article...</div>';
     status.textContent = '📝 AI is writing your article...';
 
-    // Mark tab as processing
-    await tabManager.setProcessingStatus(currentTabId, true, 'generating article');
+    showArticleEmptyState();
+    switchTab('article');
+    await startAiStep('article');
+  }
+
+  // AI steps run in the background service worker, so they carry on (and are saved) with the
+  // popup closed; AI_STEP_UPDATE messages bring streamed text and progress here
+  function getAiStepView(field) {
+    switch (field) {
+      case 'keyPoints':
+        return {
+          button: extractPointsBtn,
+          label: '🧠 Extract Key Points',
+          tab: 'keypoints',
+          progress: description => `🧩 Long transcript: ${description}...`,
+          done: () => '✅ Key points extracted successfully',
+          display: displayKeyPoints
+        };
+      case 'article':
+        return {
+          button: generateArticleBtn,
+          label: '📝 Generate Article',
+          tab: 'article',
+          done: () => '✅ Article generated successfully',
+          display: displayArticle
+        };
+      case 'chapterSummaries':
+        // The summaries are shown in the transcript's chapter outline once they're all in
+        return {
+          button: summarizeChaptersBtn,
+          label: '📑 Chapter Summaries',
+          tab: 'transcript',
+          progress: description => `📑 Summarizing ${description}`,
+          done: state => `✅ Summarized ${state.chapterSummaries.length} chapters`
+        };
+      case 'generatedChapters':
+        return {
+          button: generateChaptersBtn,
+          label: '🪄 Generate Chapters',
+          tab: 'transcript',
+          done: state => `✅ Generated ${state.transcript.generatedChapters.length} chapters - "Copy Chapters" for the description`
+        };
+    }
+  }
 
+  async function startAiStep(field) {
+    logger.time(`AI step: ${field}`);
     try {
-      // Monitor for retry attempts
-      const originalMakeRequest = anthropicAPI.makeRequest.bind(anthropicAPI);
-      anthropicAPI.makeRequest = async function(apiKey, messages, maxTokens, retryCount = 0) {
-        if (retryCount > 0) {
-          status.textContent = `🔄 API busy, retrying... (attempt ${retryCount + 1}/4)`;
-        }
-        return originalMakeRequest(apiKey, messages, maxTokens, retryCount);
-      };
+      const response = await chrome.runtime.sendMessage({ type: 'START_AI_STEP', tabId: currentTabId, field });
+      if (!response?.success) {
+        throw new Error(response?.error || 'The background service worker did not respond');
+      }
+    } catch (error) {
+      logger.error('Could not start AI step', { field, error: error.message });
+      await finishAiStep({ field, error: error.message });
+    }
+  }
 
-      const article = await anthropicAPI.generateArticle(currentTabState.keyPoints, currentTabState.transcript);
-      
-      // Save article to current tab state
-      await tabManager.updateTabState(currentTabId, {
-        article: article,
-        isProcessing: false,
-        processingStep: null
-      });
+  function handleAiStepUpdate(message) {
+    if (message.progress) {
+      // Described by the background, e.g. a long transcript's parts or the chapter in hand
+      status.textContent = getAiStepView(message.field).progress(message.progress);
+      return;
+    }
+    if (message.retry) {
+      status.textContent = `🔄 API busy, retrying... (attempt ${message.retry.attempt}/${message.retry.attempts})`;
+      return;
+    }
+    if (message.done) {
+      finishAiStep(message);
+      return;
+    }
+    getAiStepView(message.field).display(message.text);
+  }
 
-      // Update UI
-      currentTabState.article = article;
-      displayArticle(article);
-      status.textContent = '✅ Article generated successfully';
-      
-      // Switch to article tab
-      switchTab('article');
-      
-    } catch (error) {
-      console.error('Error generating article:', error);
-      
-      // Provide specific guidance based on error type
-      let statusMessage = `❌ ${error.message}`;
-      if (error.message.includes('overloaded')) {
-        statusMessage += ' - Try again in 2-3 minutes.';
-      } else if (error.message.includes('Rate limit')) {
-        statusMessage += ' - Wait a moment before trying again.';
-      }
-      
-      status.textContent = statusMessage;
-      await tabManager.setError(currentTabId, error.message);
-      showArticleEmptyState();
+  async function finishAiStep({ field, error = null, usage = null }) {
+    const view = getAiStepView(field);
+    logger.timeEnd(`AI step: ${field}`);
+
+    // The tab state has the final text, or the previous one back after a failure
+    await loadCurrentTabState();
+    view.button.textContent = view.label;
+    updateButtonStates();
+
+    if (error) {
+      logger.error('AI step failed', { field, error });
+      status.textContent = formatApiError(error);
+      return;
+    }
+
+    status.textContent = `${view.done(currentTabState)}${formatUsage(usage)}`;
+    logger.info('AI step completed', { field, usage });
+    switchTab(view.tab);
+  }
+
+  // Specific guidance for the errors worth waiting out
+  function formatApiError(message) {
+    let statusMessage = `❌ ${message}`;
+    if (message.includes('overloaded')) {
+      statusMessage += ' - Try again in 2-3 minutes.';
+    } else if (message.includes('Rate limit')) {
+      statusMessage += ' - Wait a moment before trying again.';
     }
+    return statusMessage;
+  }
+
+  // " (1,234 tokens in, 567 out)"; empty when the API didn't report usage
+  function formatUsage(usage) {
+    if (!Number.isFinite(usage?.input_tokens)) return '';
+    const cost = Number.isFinite(usage.cost) ? `, ${formatCost(usage.cost)}` : '';
+    return ` (${usage.input_tokens.toLocaleString()} tokens in, ${(usage.output_tokens || 0).toLocaleString()} out${cost})`;
+  }
 
-    generateArticleBtn.disabled = false;
-    generateArticleBtn.textContent = '📝 Generate Article';
+  // Cents for most steps, fractions of a cent for small ones
+  function formatCost(usd) {
+    return `$${usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+  }
+
+  // "~12,345 tokens in, up to $0.16"
+  function formatEstimate(estimate) {
+    const requests = estimate.requests > 1 ? ` over ${estimate.requests} requests` : '';
+    const cost = estimate.maxCost === null ? `cost unknown for ${estimate.model}` : `up to ${formatCost(estimate.maxCost)}`;
+    return `~${estimate.inputTokens.toLocaleString()} tokens in${requests}, ${cost}`;
+  }
+
+  // Steps estimated above the limit in Settings → AI Cost ask first
+  function confirmEstimatedCost(label, estimate) {
+    logger.info('AI step estimate', { label, estimate });
+    if (costLimit === null || estimate.maxCost === null || estimate.maxCost <= costLimit) return true;
+
+    if (confirm(`${label} will send ${formatEstimate(estimate)} (your limit is ${formatCost(costLimit)}). Continue?`)) {
+      return true;
+    }
+    status.textContent = 'Cancelled - the estimated cost is above your limit';
+    return false;
+  }
+
+  // What the next AI steps would cost, and what this video has cost so far
+  function updateCostEstimate() {
+    const transcript = currentTabState?.transcript;
+    if (!transcript?.segments?.length || transcript.isRecording || !anthropicAPI.isConfigured()) {
+      costEstimate.style.display = 'none';
+      return;
+    }
+
+    const lines = [`🧠 Key points: ${formatEstimate(anthropicAPI.estimateKeyPoints(transcript))}`];
+    if (currentTabState.keyPoints && !currentTabState.isProcessing) {
+      lines.push(`📝 Article: ${formatEstimate(anthropicAPI.estimateArticle(currentTabState.keyPoints, transcript))}`);
+    }
+
+    const spent = Object.values(currentTabState.usage || {}).filter(usage => Number.isFinite(usage?.cost));
+    if (spent.length > 0) {
+      lines.push(`Spent on this video: ${formatCost(spent.reduce((sum, usage) => sum + usage.cost, 0))}`);
+    }
+
+    costEstimate.textContent = lines.join(' · ');
+    costEstimate.style.display = 'block';
+  }
+
+  // Transcripts scraped by a weak fallback are often page text or a few on-screen lines;
+  // ask before spending API credits on them
+  function confirmTranscriptSource() {
+    const source = currentTabState?.transcript?.source;
+    if (!TranscriptQuality.isWeak(source)) return true;
+
+    logger.warn('AI step requested on a weak transcript', { source });
+    if (confirm(`This transcript came from a weak source (${TranscriptQuality.describe(source)}) and may be incomplete or not speech at all. Send it to the AI anyway?`)) {
+      return true;
+    }
+    status.textContent = 'Cancelled - extract the transcript again from a better source first';
+    return false;
+  }
+
+  // Chapter summaries mode: one AI summary per creator chapter, shown in the chapter outline
+  async function handleSummarizeChapters() {
+    if (!currentTabId || !currentTabState?.transcript) {
+      status.textContent = '❌ No transcript available';
+      return;
+    }
+
+    if (!anthropicAPI.isConfigured()) {
+      status.textContent = `❌ ${AnthropicAPI.NOT_CONFIGURED_MESSAGE}`;
+      return;
+    }
+
+    if (!confirmTranscriptSource()) return;
+
+    summarizeChaptersBtn.disabled = true;
+    summarizeChaptersBtn.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Summarizing...</div>';
+    status.textContent = '📑 Summarizing chapters...';
+    await startAiStep('chapterSummaries');
+  }
+
+  // AI chapters for videos without creator chapters; validated in AnthropicAPI and
+  // stored on the transcript so the outline, summaries and article pick them up
+  async function handleGenerateChapters() {
+    if (!currentTabId || !currentTabState?.transcript) {
+      status.textContent = '❌ No transcript available';
+      return;
+    }
+
+    if (!anthropicAPI.isConfigured()) {
+      status.textContent = `❌ ${AnthropicAPI.NOT_CONFIGURED_MESSAGE}`;
+      return;
+    }
+
+    if (!confirmTranscriptSource()) return;
+
+    generateChaptersBtn.disabled = true;
+    generateChaptersBtn.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Generating Chapters...</div>';
+    status.textContent = '🪄 AI is proposing chapters...';
+    await startAiStep('generatedChapters');
   }
 
   function toggleSettingsPanel() {
@@ -781,8 +1170,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   async function handleTestApiKey() {
-    const apiKey = apiKeyInput.value.trim() || anthropicAPI.apiKey;
-    if (!apiKey) {
+    // The masked placeholder stands for the saved key
+    const typedKey = apiKeyInput.value.trim();
+    const apiKey = typedKey && !/^•+$/.test(typedKey) ? typedKey : anthropicAPI.apiKey;
+    if (!apiKey && anthropicAPI.provider.requiresApiKey) {
       updateApiKeyStatus('No API key to test', false);
       return;
     }
@@ -792,7 +1183,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     try {
       await anthropicAPI.testApiKey(apiKey);
-      updateApiKeyStatus('API key is working!', true);
+      updateApiKeyStatus(anthropicAPI.provider.requiresApiKey ? 'API key is working!' : 'The server is answering!', true);
     } catch (error) {
       updateApiKeyStatus(error.message, false);
     }
@@ -832,7 +1223,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
-  async function updateApiKeyStatus() {
+  async function refreshApiKeyStatus() {
     await anthropicAPI.loadApiKey();
     const hasKey = !!anthropicAPI.apiKey;
     
@@ -840,6 +1231,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Mask the API key in the input
       apiKeyInput.value = '••••••••••••••••••••';
       updateApiKeyStatus('API key configured', true);
+    } else if (!anthropicAPI.provider.requiresApiKey) {
+      apiKeyInput.value = '';
+      updateApiKeyStatus('No API key - most local servers need none', true);
     } else {
       apiKeyInput.value = '';
       updateApiKeyStatus('No API key configured', false);
@@ -855,17 +1249,24 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   function updateButtonStates() {
     const hasTranscript = !!(currentTabState?.transcript);
-    const hasApiKey = !!anthropicAPI.apiKey;
+    const hasApiKey = anthropicAPI.isConfigured();
     const hasKeyPoints = !!(currentTabState?.keyPoints);
     const hasArticle = !!(currentTabState?.article);
+    const hasChapters = Chapters.get(currentTabState?.transcript).length > 0;
+    const hasCreatorChapters = currentTabState?.transcript?.metadata?.chapters?.length > 0;
+    // Streamed key points or article text is partial until the step finishes
+    const isProcessing = !!(currentTabState?.isProcessing);
 
     // Transcript buttons
     copyTranscriptBtn.disabled = !hasTranscript;
     exportTranscriptBtn.disabled = !hasTranscript;
+    copyChaptersBtn.disabled = !hasChapters;
 
     // AI buttons
-    extractPointsBtn.disabled = !hasTranscript || !hasApiKey;
-    generateArticleBtn.disabled = !hasKeyPoints || !hasApiKey;
+    extractPointsBtn.disabled = !hasTranscript || !hasApiKey || isProcessing;
+    generateArticleBtn.disabled = !hasKeyPoints || !hasApiKey || isProcessing;
+    summarizeChaptersBtn.disabled = !hasTranscript || !hasApiKey || !hasChapters;
+    generateChaptersBtn.disabled = !hasTranscript || !hasApiKey || hasCreatorChapters;
 
     // Key points buttons
     copyKeypointsBtn.disabled = !hasKeyPoints;
@@ -874,6 +1275,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Article buttons
     copyArticleBtn.disabled = !hasArticle;
     exportArticleBtn.disabled = !hasArticle;
+
+    updateCostEstimate();
   }
 
   // Display Functions
@@ -891,30 +1294,80 @@ document.addEventListener('DOMContentLoaded', async () => {
     videoInfo.className = 'video-info';
     videoInfo.innerHTML = `
       <div class="video-title">${escapeHtml(data.title || 'YouTube Video')}</div>
-      <div class="video-url">${new URL(data.url).hostname}/watch?v=...</div>
+      <div class="video-url">${escapeHtml([data.metadata?.channelName, data.metadata?.publishDate].filter(Boolean).join(' • ') || `${new URL(data.url).hostname}/watch?v=...`)}</div>
     `;
 
     // Create stats
     const stats = document.createElement('div');
     stats.className = 'stats';
-    stats.textContent = `${data.segments.length} segments • Extracted ${formatDate(data.timestamp)}`;
+    const languageLabel = data.captionTrack?.name || data.languageCode;
+    const shownSegments = getShownSegments(data);
+    const cleanedLabel = shownSegments !== data.segments ? ` → ${shownSegments.length} cleaned` : '';
+    const coverageLabel = formatCoverage(data.coverage, ' • Coverage ');
+    const partialLabel = SegmentTiming.isPartial(data.coverage) ? ' ⚠️ partial' : '';
+    const sourceLabel = data.source ? ` • ${TranscriptQuality.describe(data.source)}${data.source.isWeak ? ' ⚠️' : ''}` : '';
+    stats.textContent = `${data.segments.length} segments${cleanedLabel}${languageLabel ? ` • ${languageLabel}` : ''}${coverageLabel}${partialLabel}${sourceLabel} • Extracted ${formatDate(data.timestamp)}`;
+    if (data.source?.selector) {
+      stats.title = `Selector: ${data.source.selector} • rejected ${data.source.rejectedEmpty} empty, ${data.source.rejectedShort} short`;
+    }
 
     // Create transcript segments
-    const segments = data.segments.map(segment => {
+    const createSegmentElement = segment => {
       const segmentDiv = document.createElement('div');
       segmentDiv.className = 'transcript-segment';
+      const seekable = Number.isFinite(segment.startSeconds);
       segmentDiv.innerHTML = `
-        <div class="timestamp">${escapeHtml(segment.timestamp)}</div>
+        <div class="timestamp"${seekable ? ` data-seconds="${segment.startSeconds}" title="Jump to this moment"` : ''}>${escapeHtml(SegmentTiming.label(segment) || '—')}</div>
         <div class="transcript-text">${escapeHtml(segment.text)}</div>
       `;
       return segmentDiv;
-    });
+    };
 
     // Clear and populate transcript data
     transcriptData.innerHTML = '';
     transcriptData.appendChild(videoInfo);
     transcriptData.appendChild(stats);
-    segments.forEach(segment => transcriptData.appendChild(segment));
+
+    const chapters = Chapters.get(data);
+    if (chapters.length > 0) {
+      Chapters.group(shownSegments, chapters).forEach(group => {
+        transcriptData.appendChild(createChapterElement(group, createSegmentElement));
+      });
+    } else {
+      shownSegments.forEach(segment => transcriptData.appendChild(createSegmentElement(segment)));
+    }
+  }
+
+  // Collapsible chapter: time link and title, its AI summary when there is one, then its segments
+  function createChapterElement({ index, chapter, segments }, createSegmentElement) {
+    const details = document.createElement('details');
+    details.className = 'chapter';
+    details.open = true;
+
+    const summary = document.createElement('summary');
+    summary.innerHTML = `
+      <span class="timestamp-link" data-seconds="${chapter.startSeconds}" title="Jump to this chapter">${escapeHtml(SegmentTiming.formatTimestamp(chapter.startSeconds))}</span>
+      ${escapeHtml(chapter.title)}
+      <span class="chapter-count">(${segments.length})</span>
+    `;
+    details.appendChild(summary);
+
+    const chapterSummary = currentTabState?.chapterSummaries?.[index]?.summary;
+    if (chapterSummary) {
+      const summaryDiv = document.createElement('div');
+      summaryDiv.className = 'chapter-summary';
+      renderWithTimestampLinks(summaryDiv, chapterSummary);
+      details.appendChild(summaryDiv);
+    }
+
+    segments.forEach(segment => details.appendChild(createSegmentElement(segment)));
+    return details;
+  }
+
+  // "62%" of the video reached by the transcript, with a prefix; empty when unknown
+  function formatCoverage(coverage, prefix = '') {
+    if (!Number.isFinite(coverage?.fraction)) return '';
+    return `${prefix}${Math.round(coverage.fraction * 100)}%`;
   }
 
   function displayKeyPoints(keyPoints) {
@@ -925,7 +1378,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     keypointsEmpty.style.display = 'none';
     keypointsData.style.display = 'block';
-    keypointsData.textContent = keyPoints;
+    renderWithTimestampLinks(keypointsData, keyPoints);
   }
 
   function displayArticle(article) {
@@ -936,7 +1389,269 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     articleEmpty.style.display = 'none';
     articleData.style.display = 'block';
-    articleData.textContent = article;
+    renderWithTimestampLinks(articleData, article);
+  }
+
+  // The in-page sidebar stays open while the user reads along with the video
+  async function handleToggleSidebar() {
+    if (!currentTabId) {
+      status.textContent = '❌ Open a YouTube video first';
+      return;
+    }
+
+    try {
+      const response = await chrome.tabs.sendMessage(currentTabId, { type: 'TOGGLE_SIDEBAR' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Page did not respond');
+      }
+      status.textContent = response.isOpen ? '📌 Sidebar opened on the page' : '📌 Sidebar closed';
+      logger.info('Sidebar toggled', { currentTabId, isOpen: response.isOpen });
+    } catch (error) {
+      logger.warn('Sidebar toggle failed', { error: error.message });
+      status.textContent = '❌ Could not open the sidebar - reload the page and try again';
+    }
+  }
+
+  async function updatePlaylistButton() {
+    try {
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const playlistId = YouTubeUrl.getPlaylistId(activeTab?.url);
+      activePlaylist = playlistId ? { tabId: activeTab.id, playlistId } : null;
+    } catch (error) {
+      activePlaylist = null;
+    }
+    playlistBtn.disabled = !activePlaylist;
+  }
+
+  // Queue every video of the playlist on the page; the background worker does the rest
+  async function handleProcessPlaylist() {
+    if (!activePlaylist) {
+      status.textContent = '❌ Open a YouTube playlist or Watch Later first';
+      return;
+    }
+
+    if (!anthropicAPI.isConfigured()) {
+      status.textContent = `❌ ${AnthropicAPI.NOT_CONFIGURED_MESSAGE}`;
+      return;
+    }
+
+    playlistBtn.disabled = true;
+    status.textContent = '📚 Listing playlist videos...';
+
+    try {
+      const playlist = await chrome.tabs.sendMessage(activePlaylist.tabId, { type: 'GET_PLAYLIST_VIDEOS' });
+      if (!playlist?.success) {
+        throw new Error(playlist?.error || 'Page did not respond');
+      }
+      if (playlist.videos.length === 0) {
+        throw new Error('No videos found in this playlist');
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        type: 'START_BATCH_JOB',
+        playlistId: playlist.playlistId,
+        title: playlist.title,
+        videos: playlist.videos
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Background worker did not respond');
+      }
+
+      status.textContent = `📚 Queued ${response.job.items.length} videos - progress is shown below and continues with the popup closed`;
+      logger.info('Playlist batch job started', { jobId: response.job.id, videos: response.job.items.length });
+    } catch (error) {
+      logger.warn('Could not start playlist job', { error: error.message });
+      status.textContent = error.message.includes('Receiving end does not exist')
+        ? '❌ Could not read the playlist - reload the page and try again'
+        : `❌ ${error.message}`;
+    }
+
+    playlistBtn.disabled = !activePlaylist;
+  }
+
+  async function loadBatchJobs() {
+    const result = await chrome.storage.local.get(['batchJobs']);
+    renderBatchJobs(result?.batchJobs || {});
+  }
+
+  function renderBatchJobs(jobs) {
+    const ordered = Object.values(jobs).sort((a, b) => b.createdAt - a.createdAt);
+    batchPanel.style.display = ordered.length > 0 ? 'block' : 'none';
+
+    // Keep expanded jobs expanded across progress updates
+    const openJobIds = new Set(Array.from(batchJobsContainer.querySelectorAll('details[open]')).map(details => details.dataset.jobId));
+    batchJobsContainer.textContent = '';
+    ordered.forEach(job => batchJobsContainer.appendChild(createBatchJobElement(job, openJobIds.has(job.id))));
+  }
+
+  function createBatchJobElement(job, isOpen) {
+    const counts = BatchQueue.summarize(job);
+    const details = document.createElement('details');
+    details.className = 'batch-job';
+    details.dataset.jobId = job.id;
+    details.open = isOpen;
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${job.title} - ${counts.finished}/${counts.total}`;
+    details.appendChild(summary);
+
+    const working = job.items.find(item => item.status === 'working');
+    const progress = document.createElement('div');
+    progress.className = 'batch-progress';
+    progress.textContent = [
+      `${counts.done} done`,
+      counts.error > 0 ? `${counts.error} failed` : null,
+      counts.cancelled > 0 ? `${counts.cancelled} cancelled` : null,
+      working ? `now ${working.step || 'working'}: ${working.title || working.videoId}` : null
+    ].filter(Boolean).join(' • ');
+    details.appendChild(progress);
+
+    const icons = { queued: '⏳', working: '⚙️', done: '✅', error: '❌', cancelled: '⏹️' };
+    job.items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'batch-item';
+      const weakLabel = TranscriptQuality.isWeak(item.result?.source) ? ' ⚠️ weak transcript' : '';
+      row.textContent = `${icons[item.status] || ''} ${item.title || item.videoId}${weakLabel}${item.error ? ` - ${item.error}` : ''}`;
+      row.title = item.error || item.title || item.videoId;
+      details.appendChild(row);
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'btn-group';
+    const isActive = job.status === 'queued' || job.status === 'running';
+    if (isActive) {
+      buttons.appendChild(createBatchButton('Cancel', () => chrome.runtime.sendMessage({ type: 'CANCEL_BATCH_JOB', jobId: job.id })));
+    }
+    if (counts.done > 0) {
+      buttons.appendChild(createBatchButton('Export Key Points', () => exportAsFile(formatBatchKeyPoints(job), `${sanitizeFileName(job.title)}_keypoints.txt`)));
+    }
+    if (!isActive) {
+      buttons.appendChild(createBatchButton('Remove', () => chrome.runtime.sendMessage({ type: 'REMOVE_BATCH_JOB', jobId: job.id })));
+    }
+    details.appendChild(buttons);
+
+    return details;
+  }
+
+  function createBatchButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'action-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // All finished videos' key points in playlist order, one section per video
+  function formatBatchKeyPoints(job) {
+    const sections = job.items
+      .filter(item => item.status === 'done' && item.result?.keyPoints)
+      .map(item => `## ${item.result.title || item.title || item.videoId}\n${item.result.url}\n\n${item.result.keyPoints}`);
+    return `# ${job.title}\n\n${sections.join('\n\n')}\n`;
+  }
+
+  // Library: context menu results, written by the background service worker
+  async function toggleLibraryPanel() {
+    const isVisible = libraryPanel.style.display !== 'none';
+    libraryPanel.style.display = isVisible ? 'none' : 'block';
+    if (!isVisible) {
+      const result = await chrome.storage.local.get(['library']);
+      renderLibrary(result?.library || []);
+    }
+  }
+
+  function renderLibrary(entries) {
+    libraryEntriesContainer.textContent = '';
+    if (entries.length === 0) {
+      libraryEntriesContainer.textContent = 'Nothing saved yet - right-click a YouTube link and choose "Summarize this video", or select text on a video page and choose "Explain this passage"';
+      return;
+    }
+    entries.forEach(entry => libraryEntriesContainer.appendChild(createLibraryEntryElement(entry)));
+  }
+
+  function createLibraryEntryElement(entry) {
+    const type = Library.TYPES[entry.type] || { label: entry.type, icon: '' };
+    const details = document.createElement('details');
+    details.className = 'batch-job';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${type.icon} ${entry.title}`;
+    summary.title = `${type.label} - ${new Date(entry.createdAt).toLocaleString()}`;
+    details.appendChild(summary);
+
+    if (entry.passage?.text) {
+      const passage = document.createElement('div');
+      passage.className = 'library-passage';
+      const time = SegmentTiming.formatTimestamp(entry.passage.startSeconds);
+      passage.textContent = `${time ? `[${time}] ` : ''}"${entry.passage.text}"`;
+      details.appendChild(passage);
+    }
+
+    const content = document.createElement('div');
+    content.className = 'library-content';
+    content.textContent = entry.content;
+    details.appendChild(content);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'btn-group';
+    buttons.appendChild(createBatchButton('Copy', () => copyToClipboard(entry.content)));
+    if (entry.url) {
+      buttons.appendChild(createBatchButton('Open Video', () => chrome.tabs.create({ url: Library.getEntryUrl(entry) })));
+    }
+    buttons.appendChild(createBatchButton('Remove', () => chrome.runtime.sendMessage({ type: 'REMOVE_LIBRARY_ENTRY', entryId: entry.id })));
+    details.appendChild(buttons);
+
+    return details;
+  }
+
+  // Plain text with every timestamp turned into a clickable link
+  function renderWithTimestampLinks(container, text) {
+    container.textContent = '';
+    let position = 0;
+
+    SegmentTiming.findTimestamps(text).forEach(({ index, length, label, seconds }) => {
+      container.appendChild(document.createTextNode(text.slice(position, index)));
+      const link = document.createElement('span');
+      link.className = 'timestamp-link';
+      link.dataset.seconds = seconds;
+      link.title = 'Jump to this moment';
+      link.textContent = label;
+      container.appendChild(link);
+      position = index + length;
+    });
+
+    container.appendChild(document.createTextNode(text.slice(position)));
+  }
+
+  async function handleTimestampClick(event) {
+    const target = event.target.closest('[data-seconds]');
+    if (!target) return;
+
+    // A chapter's time link seeks without also collapsing the chapter
+    if (target.closest('summary')) {
+      event.preventDefault();
+    }
+
+    const seconds = parseFloat(target.dataset.seconds);
+    await seekTo(seconds);
+  }
+
+  async function seekTo(seconds) {
+    if (!currentTabId) {
+      status.textContent = '❌ Open a YouTube video first';
+      return;
+    }
+
+    try {
+      logger.debug('Seeking video', { currentTabId, seconds });
+      const response = await chrome.tabs.sendMessage(currentTabId, { type: 'SEEK_TO', seconds });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Video did not respond');
+      }
+      status.textContent = `⏩ Jumped to ${SegmentTiming.formatTimestamp(seconds)}`;
+    } catch (error) {
+      logger.warn('Seek failed', { seconds, error: error.message });
+      status.textContent = `❌ Could not jump to ${SegmentTiming.formatTimestamp(seconds)} - reload the page and try again`;
+    }
   }
 
   function showTranscriptEmptyState() {
@@ -1007,6 +1722,383 @@ document.addEventListener('DOMContentLoaded', async () => {
     status.textContent = `✅ Exported as ${fileName}`;
   }
 
+  // Language picker: list the video's caption tracks and translation targets
+  async function loadCaptionTracks() {
+    if (!currentTabId) return;
+
+    const tabId = currentTabId;
+    let trackList;
+    try {
+      trackList = await chrome.tabs.sendMessage(tabId, { type: 'LIST_CAPTION_TRACKS' });
+    } catch (error) {
+      logger.debug('Could not list caption tracks (content script not ready)', error);
+      return;
+    }
+
+    // The user may have switched tabs while the list was loading
+    if (tabId !== currentTabId || !trackList) return;
+
+    const { tracks = [], translationLanguages = [] } = trackList;
+    logger.debug('Caption tracks listed', {
+      tracks: tracks.length,
+      translationLanguages: translationLanguages.length
+    });
+
+    captionTrackSelect.innerHTML = '<option value="">🌐 Default language</option>';
+
+    tracks.forEach(track => {
+      const option = document.createElement('option');
+      option.value = track.vssId || track.languageCode;
+      option.dataset.languageCode = track.languageCode;
+      if (track.vssId) option.dataset.vssId = track.vssId;
+      option.textContent = `${track.name}${track.isAutoGenerated ? ' (auto-generated)' : ''}${track.isTranslatable ? '' : ' • no translation'}`;
+      captionTrackSelect.appendChild(option);
+    });
+
+    const trackLanguages = new Set(tracks.map(track => track.languageCode));
+    const translationTargets = translationLanguages.filter(language => !trackLanguages.has(language.languageCode));
+    if (tracks.some(track => track.isTranslatable) && translationTargets.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'Translate to';
+      translationTargets.forEach(language => {
+        const option = document.createElement('option');
+        option.value = `translate:${language.languageCode}`;
+        option.dataset.languageCode = language.languageCode;
+        option.textContent = language.name;
+        group.appendChild(option);
+      });
+      captionTrackSelect.appendChild(group);
+    }
+
+    // Prefer the language of the stored transcript, then the user's default
+    const settings = await tabManager.getSettings();
+    const languageCode = currentTabState?.transcript?.languageCode || settings.captionLanguage;
+    const vssId = currentTabState?.transcript?.captionTrack?.vssId;
+    const options = Array.from(captionTrackSelect.options);
+    const match = (vssId && options.find(option => option.dataset.vssId === vssId)) ||
+      (languageCode && options.find(option => option.dataset.languageCode === languageCode));
+    captionTrackSelect.value = match ? match.value : '';
+  }
+
+  function getSelectedCaptionTrack() {
+    const option = captionTrackSelect.selectedOptions[0];
+    if (!option || !option.value) return {};
+    return {
+      languageCode: option.dataset.languageCode || null,
+      vssId: option.dataset.vssId || null
+    };
+  }
+
+  // Remember the picked language as the user's default for future videos
+  async function handleCaptionTrackChange() {
+    const { languageCode } = getSelectedCaptionTrack();
+    await tabManager.updateSettings({ captionLanguage: languageCode || null });
+    logger.info('Caption language preference saved', { languageCode: languageCode || null });
+  }
+
+  // Model, answer lengths, temperature and stop sequences live in settings.generation; the
+  // background reads them for shortcuts, playlists and the right-click actions too
+  async function loadGenerationSettings() {
+    maxTokensGrid.innerHTML = '';
+    for (const [step, label] of Object.entries(AnthropicAPI.STEP_LABELS)) {
+      const field = document.createElement('label');
+      field.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '1';
+      input.step = '100';
+      input.dataset.step = step;
+      field.appendChild(input);
+      maxTokensGrid.appendChild(field);
+    }
+
+    const settings = await tabManager.getSettings();
+    const errors = anthropicAPI.updateSettings(settings.generation || null);
+    if (errors.length > 0) {
+      showGenerationStatus(`Saved settings ignored: ${errors.join('; ')}`, false);
+    }
+    fillModelOptions(await listProviderModels());
+    fillGenerationForm({
+      model: anthropicAPI.model,
+      maxTokens: anthropicAPI.stepMaxTokens,
+      temperature: anthropicAPI.temperature,
+      stopSequences: anthropicAPI.stopSequences
+    });
+  }
+
+  // The selected provider's models; a local server is asked which ones it has installed.
+  // Resolves to [] when it can't be reached, with the reason shown
+  async function listProviderModels() {
+    try {
+      return await anthropicAPI.listModels();
+    } catch (error) {
+      logger.warn('Could not list models', { provider: anthropicAPI.provider.id, error: error.message });
+      showGenerationStatus(`Could not list models: ${error.message}`, false);
+      return [];
+    }
+  }
+
+  // The model in use stays listed even when the server didn't report it
+  function fillModelOptions(models) {
+    const options = models.some(model => model.id === anthropicAPI.model)
+      ? models
+      : [{ id: anthropicAPI.model, label: anthropicAPI.model }, ...models];
+
+    modelSelect.innerHTML = '';
+    for (const model of options) {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.label;
+      modelSelect.appendChild(option);
+    }
+  }
+
+  function fillGenerationForm(generation) {
+    modelSelect.value = generation.model;
+    maxTokensGrid.querySelectorAll('input').forEach(input => {
+      input.value = String(generation.maxTokens[input.dataset.step]);
+    });
+    temperatureInput.value = generation.temperature === null ? '' : String(generation.temperature);
+    stopSequencesInput.value = generation.stopSequences.join('\n');
+  }
+
+  // Empty fields fall back to the defaults; blank lines aren't stop sequences
+  function readGenerationForm() {
+    const maxTokens = {};
+    maxTokensGrid.querySelectorAll('input').forEach(input => {
+      if (input.value.trim() !== '') maxTokens[input.dataset.step] = Number(input.value);
+    });
+
+    return {
+      model: modelSelect.value,
+      maxTokens,
+      temperature: temperatureInput.value.trim() === '' ? null : Number(temperatureInput.value),
+      stopSequences: stopSequencesInput.value.split('\n').filter(line => line.trim() !== '')
+    };
+  }
+
+  async function handleSaveGeneration() {
+    const { generation, errors } = AnthropicAPI.validateGeneration(readGenerationForm(), anthropicAPI.provider);
+    if (errors.length > 0) {
+      showGenerationStatus(errors.join('; '), false);
+      return;
+    }
+
+    await tabManager.updateSettings({ generation });
+    anthropicAPI.updateSettings(generation);
+    fillGenerationForm(generation);
+    showGenerationStatus(`Saved - using ${modelSelect.selectedOptions[0]?.textContent || generation.model}`, true);
+    logger.info('Generation settings saved', generation);
+    updateButtonStates();
+  }
+
+  // No saved settings means the provider's default model, so a server without it installed
+  // keeps the defaults with the first model it lists instead
+  async function handleResetGeneration() {
+    const { provider } = anthropicAPI;
+    const models = await listProviderModels();
+    const model = AnthropicAPI.getDefaultModel(provider, models);
+    const { generation } = AnthropicAPI.validateGeneration({ model }, provider);
+
+    await tabManager.updateSettings({ generation: model === provider.defaultModel ? null : generation });
+    anthropicAPI.updateSettings(generation);
+    fillModelOptions(models);
+    fillGenerationForm(generation);
+    showGenerationStatus('Reset to defaults', true);
+    logger.info('Generation settings reset to defaults', { model });
+    updateButtonStates();
+  }
+
+  function showGenerationStatus(message, isValid) {
+    generationStatus.textContent = message;
+    generationStatus.className = `api-key-status ${isValid ? 'valid' : 'invalid'}`;
+  }
+
+  // The provider in settings.provider: Anthropic (directly or through a gateway), or an
+  // OpenAI-compatible server such as Ollama or llama.cpp. An empty URL is the provider's
+  // default. The form's limits follow the provider
+  function fillProviderForm() {
+    const { provider } = anthropicAPI;
+    providerSelect.value = provider.id;
+    providerUrlLabel.textContent = provider.id === 'anthropic' ? 'Gateway URL (empty to call Anthropic directly):' : 'Server URL:';
+    providerUrlInput.placeholder = provider.defaultBaseURL;
+    providerUrlInput.value = provider.baseURL === provider.defaultBaseURL ? '' : provider.baseURL;
+    providerHeadersInput.value = AnthropicAPI.formatHeaders(provider.headers);
+    // Only servers need their context size entered; Claude models' are known
+    providerContextGroup.style.display = provider.contextTokens ? '' : 'none';
+    providerContextInput.value = provider.contextTokens && provider.contextTokens !== OpenAICompatibleProvider.DEFAULT_CONTEXT_TOKENS
+      ? String(provider.contextTokens)
+      : '';
+    apiKeyInput.placeholder = provider.keyPlaceholder;
+    temperatureLabel.textContent = `Temperature (0-${provider.maxTemperature}):`;
+    temperatureInput.max = String(provider.maxTemperature);
+  }
+
+  // Switching provider (or server) keeps the answer lengths and stop sequences where the new
+  // one accepts them, with a model it offers. Each provider has its own saved key; the URL,
+  // custom headers and context size belong to the provider they were entered for
+  async function handleProviderChange(event) {
+    if (event?.target === providerSelect) {
+      providerUrlInput.value = '';
+      providerHeadersInput.value = '';
+      providerContextInput.value = '';
+    }
+
+    const id = providerSelect.value;
+    const typedURL = providerUrlInput.value.trim();
+    const baseURL = typedURL ? AnthropicAPI.normalizeBaseURL(typedURL) : null;
+    if (typedURL && !baseURL) {
+      showProviderStatus('Enter an http:// or https:// address, e.g. https://llm-gateway.example.com/anthropic', false);
+      return;
+    }
+    const { headers, errors: headerErrors } = AnthropicAPI.parseHeaders(providerHeadersInput.value);
+    if (headerErrors.length > 0) {
+      showProviderStatus(headerErrors.join('; '), false);
+      return;
+    }
+    const typedContext = providerContextInput.value.trim();
+    const contextTokens = typedContext ? Number(typedContext) : null;
+    if (contextTokens !== null && !OpenAICompatibleProvider.isValidContextTokens(contextTokens)) {
+      showProviderStatus(`The context size must be a whole number of at least ${OpenAICompatibleProvider.MIN_CONTEXT_TOKENS} tokens`, false);
+      return;
+    }
+
+    // Anything but api.anthropic.com needs a host permission, asked first while the change
+    // still counts as the user's gesture
+    const provider = AnthropicAPI.createProvider({ id, baseURL, headers });
+    if (provider.baseURL !== AnthropicProvider.DEFAULT_BASE_URL) {
+      const pattern = AnthropicAPI.getPermissionPattern(provider.baseURL);
+      const granted = await chrome.permissions.request({ origins: [pattern] }).catch(error => {
+        logger.warn('Host permission request failed', { pattern, error: error.message });
+        return false;
+      });
+      if (!granted) {
+        fillProviderForm();
+        showProviderStatus(`The extension needs access to ${new URL(provider.baseURL).host} to reach it`, false);
+        return;
+      }
+    }
+
+    const previous = {
+      maxTokens: anthropicAPI.stepMaxTokens,
+      temperature: anthropicAPI.temperature,
+      stopSequences: anthropicAPI.stopSequences
+    };
+    const config = { id };
+    if (baseURL) config.baseURL = baseURL;
+    if (Object.keys(headers).length > 0) config.headers = headers;
+    if (contextTokens) config.contextTokens = contextTokens;
+    await anthropicAPI.useProvider(config);
+
+    const models = await listProviderModels();
+    const model = AnthropicAPI.getDefaultModel(anthropicAPI.provider, models);
+    let { generation, errors } = AnthropicAPI.validateGeneration({ ...previous, model }, anthropicAPI.provider);
+    if (errors.length > 0) {
+      generation = AnthropicAPI.validateGeneration({ model }, anthropicAPI.provider).generation;
+    }
+
+    await tabManager.updateSettings({ provider: config, generation });
+    anthropicAPI.updateSettings(generation);
+    fillProviderForm();
+    fillModelOptions(models);
+    fillGenerationForm(generation);
+    await refreshApiKeyStatus();
+    showProviderStatus(`Using ${anthropicAPI.provider.name} at ${anthropicAPI.provider.baseURL}`, true);
+    // Header values may be secrets, so only their names are logged
+    logger.info('AI provider changed', { provider: id, baseURL, headers: Object.keys(headers), contextTokens, model: generation.model });
+  }
+
+  function showProviderStatus(message, isValid) {
+    providerStatus.textContent = message;
+    providerStatus.className = `api-key-status ${isValid ? 'valid' : 'invalid'}`;
+  }
+
+  // An empty limit turns the question off
+  async function handleCostLimitChange() {
+    const value = costLimitInput.value.trim();
+    const limit = value === '' ? null : Number(value);
+    if (limit !== null && (!Number.isFinite(limit) || limit < 0)) {
+      costLimitInput.value = costLimit === null ? '' : String(costLimit);
+      status.textContent = '❌ The cost limit must be a positive amount in USD, or empty';
+      return;
+    }
+
+    costLimit = limit;
+    await tabManager.updateSettings({ costLimit });
+    logger.info('Cost limit saved', { costLimit });
+  }
+
+  // Transcript cleanup: options and the AI's transcript source live in settings
+  async function loadCleanupSettings() {
+    const settings = await tabManager.getSettings();
+    cleanupOptions = settings.cleanup || {};
+    transcriptSource = settings.transcriptSource === 'raw' ? 'raw' : 'cleaned';
+
+    const defaults = TranscriptCleaner.DEFAULT_OPTIONS;
+    cleanupSoundTagsInput.checked = cleanupOptions.stripSoundTags ?? defaults.stripSoundTags;
+    cleanupSpeakerMarkersInput.checked = cleanupOptions.stripSpeakerMarkers ?? defaults.stripSpeakerMarkers;
+    cleanupFillersInput.checked = cleanupOptions.removeFillers ?? defaults.removeFillers;
+    cleanupMergeInput.checked = cleanupOptions.mergeSentences ?? defaults.mergeSentences;
+    transcriptSourceSelect.value = transcriptSource;
+    anthropicAPI.transcriptSource = transcriptSource;
+    autoExtractInput.checked = settings.autoExtract !== false;
+    costLimit = settings.costLimit === undefined ? DEFAULT_COST_LIMIT : settings.costLimit;
+    costLimitInput.value = costLimit === null ? '' : String(costLimit);
+  }
+
+  // Shortcuts run in the background (see COMMAND_FLOWS in background.js); Chrome owns the keys
+  async function loadShortcuts() {
+    const commands = await chrome.commands.getAll();
+    shortcutsList.innerHTML = '';
+
+    for (const command of commands.filter(command => command.description)) {
+      const row = document.createElement('div');
+      const key = document.createElement('kbd');
+      key.textContent = command.shortcut || 'not set';
+      row.append(key, ` ${command.description}`);
+      shortcutsList.appendChild(row);
+    }
+  }
+
+  // Video pages extract their transcript on their own unless this is turned off
+  async function handleAutoExtractChange() {
+    await tabManager.updateSettings({ autoExtract: autoExtractInput.checked });
+    logger.info('Auto-extract setting saved', { autoExtract: autoExtractInput.checked });
+  }
+
+  async function handleCleanupSettingsChange() {
+    cleanupOptions = {
+      stripSoundTags: cleanupSoundTagsInput.checked,
+      stripSpeakerMarkers: cleanupSpeakerMarkersInput.checked,
+      removeFillers: cleanupFillersInput.checked,
+      mergeSentences: cleanupMergeInput.checked
+    };
+    transcriptSource = transcriptSourceSelect.value;
+    anthropicAPI.transcriptSource = transcriptSource;
+
+    await tabManager.updateSettings({ cleanup: cleanupOptions, transcriptSource });
+    logger.info('Transcript cleanup settings saved', { cleanupOptions, transcriptSource });
+
+    // Re-clean the current transcript from its raw segments
+    if (currentTabId && currentTabState?.transcript) {
+      const transcript = cleanTranscript(currentTabState.transcript);
+      await tabManager.updateTabState(currentTabId, { transcript });
+      currentTabState.transcript = transcript;
+      displayTranscript(transcript);
+    }
+  }
+
+  // Store the cleaned version next to the raw segments
+  function cleanTranscript(transcript) {
+    return TranscriptCleaner.withCleaned(transcript, cleanupOptions);
+  }
+
+  // The popup shows the same version the AI receives
+  function getShownSegments(data) {
+    if (transcriptSource === 'raw') return data.segments;
+    return (data.cleaned || TranscriptCleaner.clean(data.segments, cleanupOptions)).segments;
+  }
+
   function resetExtractButton() {
     extractBtn.disabled = false;
     extractBtn.textContent = 'Extract Transcript';
@@ -1022,9 +2114,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     output += `Segments: ${data.segments.length}\n\n`;
     output += '='.repeat(50) + '\n\n';
 
-    data.segments.forEach(segment => {
-      output += `[${segment.timestamp}] ${segment.text}\n\n`;
-    });
+    const formatSegment = segment => {
+      const label = SegmentTiming.label(segment);
+      return label ? `[${label}] ${segment.text}\n\n` : `${segment.text}\n\n`;
+    };
+
+    const chapters = Chapters.get(data);
+    if (chapters.length > 0) {
+      Chapters.group(getShownSegments(data), chapters).forEach(({ chapter, segments }) => {
+        output += `## ${SegmentTiming.formatTimestamp(chapter.startSeconds)} ${chapter.title}\n\n`;
+        segments.forEach(segment => { output += formatSegment(segment); });
+      });
+    } else {
+      getShownSegments(data).forEach(segment => { output += formatSegment(segment); });
+    }
 
     return output;
   }
@@ -1,28 +1,100 @@
 // Prompt Templates for YouTube AI Article Generator
 // These prompts can be customized to change AI behavior
+// Variables: {VIDEO_TITLE}, {TRANSCRIPT}, {KEY_POINTS} (article only), {VIDEO_METADATA}
+// (channel, date, duration, views, tags, chapters and description as one block, unknown
+// lines left out) and the single fields {CHANNEL_NAME}, {CHANNEL_ID}, {PUBLISH_DATE},
+// {DURATION}, {VIEW_COUNT}, {DESCRIPTION}, {TAGS} and {CHAPTERS}.
+// The article also gets {CHAPTER_STRUCTURE}, empty for videos without chapters;
+// the chapter summary prompt gets {CHAPTER_TITLE}, {CHAPTER_START} and {CHAPTER_END};
+// chapter generation gets a "[1:23] text" per line {TRANSCRIPT} and {MIN_CHAPTER_LENGTH};
+// passage explanation gets the selected {PASSAGE}, its {PASSAGE_TIME} and the timed
+// transcript around it as {TRANSCRIPT}.
+// Transcripts too long for one request are read in parts: each part gets {PART_NUMBER},
+// {PART_COUNT}, its {PART_RANGE} in the video and its own {TRANSCRIPT}, and the merge gets
+// every part's key points as {PART_KEY_POINTS} and {MERGE_SCOPE}, the whole video or, when
+// there are too many to merge at once, the stretch a group of them covers. The article then
+// gets LONG_TRANSCRIPT_NOTE as its {TRANSCRIPT}
 
 const KEY_POINTS_PROMPT = `You can divide the transcript into smaller sections based on the themes being discussed. Extract all the points from these sections, with a good enough understanding of what is being discussed. Pay attention to the intention of the speaker when extracting the points and try to understand the insights, subtleties and nuances. Also pay attention to the delivery and the potential impact to understand the intention of the speaker, especially in terms of the analogies, examples and references to other concepts, events, and phenomena. Try not to explain; focus on presenting the facts with enough context. I would also like to let you know that I am actually interested in the content than the speakers. I would rather have facts and insights rather than what each speaker says and the flow of the conversation. I would appreciate it if you keep this in mind when you do this
 
 Video Title: {VIDEO_TITLE}
+{VIDEO_METADATA}
+
 Transcript:
 {TRANSCRIPT}`;
 
 const ARTICLE_GENERATION_PROMPT = `Write an easy to read article without losing the impactful insights from this. Focus on presenting facts with context than explaining. Try to incorporate all the relevant insights, nuances and subtleties. The language should be plain so that we can convey more facts and contexts with their subtleties, nuances and insights than opinions or inferences
 
 Video Title: {VIDEO_TITLE}
+{VIDEO_METADATA}
 
 Key Points to Base Article On:
 {KEY_POINTS}
 
 Transcript:
 {TRANSCRIPT}
-
+{CHAPTER_STRUCTURE}
 Please structure the article with:
 # Title
 ## Introduction
 ## Main Content Sections (with appropriate headings)
 ## Conclusion`;
 
-// Export for use in other files
-window.KEY_POINTS_PROMPT = KEY_POINTS_PROMPT;
-window.ARTICLE_GENERATION_PROMPT = ARTICLE_GENERATION_PROMPT;
+const CHAPTER_SUMMARY_PROMPT = `Summarize this chapter of a video in a short paragraph. Keep the facts, insights and nuances the speaker brings up in this chapter, with enough context to stand on its own. Don't describe the rest of the video and don't repeat the chapter title
+
+Video Title: {VIDEO_TITLE}
+{VIDEO_METADATA}
+
+Chapter: {CHAPTER_TITLE} ({CHAPTER_START} - {CHAPTER_END})
+Chapter Transcript:
+{TRANSCRIPT}`;
+
+const CHAPTER_GENERATION_PROMPT = `Divide this video into chapters for its YouTube description, the way its creator would. Each chapter should cover one topic or section and last at least {MIN_CHAPTER_LENGTH} seconds. The first chapter starts at 0:00 and every chapter starts at one of the timestamps in the transcript. Titles are short (2-6 words), specific and in the language of the video
+
+Reply with only a JSON array in playback order, like:
+[{"start": "0:00", "title": "Introduction"}, {"start": "2:15", "title": "Why caches go stale"}]
+
+Video Title: {VIDEO_TITLE}
+{VIDEO_METADATA}
+
+Timed Transcript:
+{TRANSCRIPT}`;
+
+const PASSAGE_EXPLANATION_PROMPT = `Explain this passage from a video to someone who is watching it. Say what the speaker means, why it matters at this point in the video, and any terms, references or assumptions the passage relies on. Use the surrounding transcript for context, but explain the passage itself rather than summarizing the video. Keep it to a few short paragraphs
+
+Video Title: {VIDEO_TITLE}
+{VIDEO_METADATA}
+
+Passage ({PASSAGE_TIME}):
+{PASSAGE}
+
+Transcript Around the Passage:
+{TRANSCRIPT}`;
+
+const KEY_POINTS_PART_PROMPT = `Extract all the points from this part of a video's transcript. The transcript is too long to read at once, so it has been split into {PART_COUNT} parts and this is part {PART_NUMBER}{PART_RANGE}. Pay attention to the intention of the speaker and keep the insights, subtleties and nuances, including the analogies, examples and references to other concepts, events, and phenomena, with enough context to stand on their own. Focus on the facts and insights rather than the speakers and the flow of the conversation. Don't guess at what the other parts contain
+
+Video Title: {VIDEO_TITLE}
+{VIDEO_METADATA}
+
+Transcript Part {PART_NUMBER} of {PART_COUNT}:
+{TRANSCRIPT}`;
+
+const KEY_POINTS_MERGE_PROMPT = `These key points were extracted from the {PART_COUNT} consecutive parts of one video's transcript. Merge them into a single set of key points for {MERGE_SCOPE}: group them by theme rather than by part, combine points that repeat or continue across parts, and keep every distinct fact, insight and nuance with its context. Don't add anything that isn't in the points
+
+Video Title: {VIDEO_TITLE}
+{VIDEO_METADATA}
+
+Key Points by Part:
+{PART_KEY_POINTS}`;
+
+const LONG_TRANSCRIPT_NOTE = `(The transcript is too long to include here. The key points above were extracted from all of it, so base the article on them.)`;
+
+// Export for use in other files (globalThis is window in the popup, self in the service worker)
+globalThis.KEY_POINTS_PROMPT = KEY_POINTS_PROMPT;
+globalThis.ARTICLE_GENERATION_PROMPT = ARTICLE_GENERATION_PROMPT;
+globalThis.CHAPTER_SUMMARY_PROMPT = CHAPTER_SUMMARY_PROMPT;
+globalThis.CHAPTER_GENERATION_PROMPT = CHAPTER_GENERATION_PROMPT;
+globalThis.PASSAGE_EXPLANATION_PROMPT = PASSAGE_EXPLANATION_PROMPT;
+globalThis.KEY_POINTS_PART_PROMPT = KEY_POINTS_PART_PROMPT;
+globalThis.KEY_POINTS_MERGE_PROMPT = KEY_POINTS_MERGE_PROMPT;
+globalThis.LONG_TRANSCRIPT_NOTE = LONG_TRANSCRIPT_NOTE;
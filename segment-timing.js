@@ -0,0 +1,151 @@
+// Segment Timing - Shared transcript segment model for content, popup and tab state
+// Every segment is { startSeconds, endSeconds, timestamp, text } where `timestamp` is
+// only the display label; startSeconds/endSeconds are null when the source has no timing
+
+class SegmentTiming {
+  static createSegment(startSeconds, endSeconds, text) {
+    const start = SegmentTiming.toSeconds(startSeconds);
+    const end = SegmentTiming.toSeconds(endSeconds);
+
+    return {
+      startSeconds: start,
+      endSeconds: end,
+      timestamp: SegmentTiming.formatTimestamp(start),
+      text
+    };
+  }
+
+  // Close open-ended segments at the next segment's start, or at the video's end for the last one
+  static fillEndTimes(segments, durationSeconds = null) {
+    const duration = SegmentTiming.toSeconds(durationSeconds);
+
+    return segments.map((segment, index) => {
+      if (segment.startSeconds === null || segment.endSeconds !== null) {
+        return segment;
+      }
+
+      const next = segments.slice(index + 1).find(candidate => candidate.startSeconds !== null);
+      let endSeconds = next ? next.startSeconds : duration;
+      if (endSeconds === null || endSeconds < segment.startSeconds) {
+        endSeconds = segment.startSeconds;
+      }
+
+      return { ...segment, endSeconds };
+    });
+  }
+
+  // Convert a segment from an older shape to the current model:
+  //   { timestamp: '12:34', text }              - transcript panel, label only
+  //   { timestamp: '3', text }                  - caption fallback, array index as label
+  //   { timestamp, text, start, duration }      - caption tracks before this model
+  static migrateSegment(segment) {
+    if (SegmentTiming.isCurrent(segment)) return segment;
+
+    if (typeof segment.start === 'number') {
+      const end = typeof segment.duration === 'number' ? segment.start + segment.duration : null;
+      return SegmentTiming.createSegment(segment.start, end, segment.text);
+    }
+
+    return SegmentTiming.createSegment(SegmentTiming.parseTimestamp(segment.timestamp), null, segment.text);
+  }
+
+  // Migrate a stored transcript in place of its segments; returns the same object when current
+  static migrateTranscript(transcript) {
+    if (!transcript || !Array.isArray(transcript.segments)) return transcript;
+    if (transcript.segments.every(segment => SegmentTiming.isCurrent(segment))) return transcript;
+
+    const segments = SegmentTiming.fillEndTimes(transcript.segments.map(segment => SegmentTiming.migrateSegment(segment)));
+    return { ...transcript, segments };
+  }
+
+  static isCurrent(segment) {
+    return !!segment && 'startSeconds' in segment && 'endSeconds' in segment;
+  }
+
+  // "12:34" -> 754, "1:02:03" -> 3723; index-only labels like "3" are not times
+  static parseTimestamp(label) {
+    const match = String(label ?? '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const [, hours, minutes, seconds] = match;
+    return (parseInt(hours || '0', 10) * 3600) + (parseInt(minutes, 10) * 60) + parseInt(seconds, 10);
+  }
+
+  // Timestamps written inside free text ("at 1:15", "[12:30]", "1:02:03").
+  // Returns [{ index, length, label, seconds }] in order of appearance
+  static findTimestamps(text) {
+    const found = [];
+    const pattern = /(?<![\d:.])(?:\d{1,2}:)?\d{1,2}:[0-5]\d(?![\d:])/g;
+    let match;
+
+    while ((match = pattern.exec(text || '')) !== null) {
+      const seconds = SegmentTiming.parseTimestamp(match[0]);
+      if (seconds !== null) {
+        found.push({ index: match.index, length: match[0].length, label: match[0], seconds });
+      }
+    }
+
+    return found;
+  }
+
+  // 75.3 -> "1:15", 3723 -> "1:02:03", null -> ""
+  static formatTimestamp(seconds) {
+    if (seconds === null || seconds === undefined || Number.isNaN(seconds)) return '';
+
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  // Share of the video reached by the transcript, from the last timed segment's start
+  // (not its end: fillEndTimes stretches the last segment to the duration). Null when unknown
+  static coverage(segments, durationSeconds) {
+    const duration = SegmentTiming.toSeconds(durationSeconds);
+    if (!duration || !Array.isArray(segments)) return null;
+
+    const starts = segments.map(segment => segment.startSeconds).filter(start => start !== null && start !== undefined);
+    if (starts.length === 0) return null;
+
+    const lastSeconds = Math.max(...starts);
+    return {
+      fraction: Math.min(lastSeconds / duration, 1),
+      lastSeconds,
+      durationSeconds: duration
+    };
+  }
+
+  // A transcript that stopped loading, or whose last line is well short of the end
+  // (outros without speech are common, hence the margin)
+  static isPartial(coverage) {
+    if (!coverage) return false;
+    if (coverage.complete === false) return true;
+    return coverage.fraction !== null && coverage.fraction < SegmentTiming.MIN_COVERAGE;
+  }
+
+  static get MIN_COVERAGE() {
+    return 0.75;
+  }
+
+  // Display label for a segment, derived from its numeric start
+  static label(segment) {
+    return SegmentTiming.formatTimestamp(segment?.startSeconds);
+  }
+
+  static toSeconds(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.SegmentTiming = SegmentTiming;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SegmentTiming };
+}
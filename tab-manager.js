@@ -29,6 +29,13 @@ class TabManager {
       const result = await chrome.storage.local.get([this.storageKey]);
       const tabs = result[this.storageKey] || {};
       this.logger.debug('Retrieved all tabs', { count: Object.keys(tabs).length });
+
+      // Upgrade transcripts saved before the numeric segment timing model
+      if (this.migrateTabStates(tabs)) {
+        await chrome.storage.local.set({ [this.storageKey]: tabs });
+        this.logger.info('Migrated stored transcripts to numeric segment timing');
+      }
+
       return tabs;
     } catch (error) {
       this.logger.error('Error loading tab data', error);
@@ -36,6 +43,24 @@ class TabManager {
     }
   }
 
+  // Migrate stored transcripts in place; returns true when anything changed
+  migrateTabStates(tabs) {
+    if (typeof SegmentTiming === 'undefined') return false;
+
+    let hasChanges = false;
+    for (const tabState of Object.values(tabs)) {
+      if (!tabState?.transcript) continue;
+
+      const migrated = SegmentTiming.migrateTranscript(tabState.transcript);
+      if (migrated !== tabState.transcript) {
+        tabState.transcript = migrated;
+        hasChanges = true;
+      }
+    }
+
+    return hasChanges;
+  }
+
   // Get specific tab state
   async getTabState(tabId) {
     const allTabs = await this.getAllTabs();
@@ -144,6 +169,7 @@ class TabManager {
       title: '',
       transcript: null,
       keyPoints: null,
+      chapterSummaries: null,
       article: null,
       isProcessing: false,
       processingStep: null,
@@ -153,33 +179,19 @@ class TabManager {
     };
   }
 
-  // Check if URL is YouTube
+  // Check if URL is a YouTube video page (watch, Shorts, live, embed, mobile, Music)
   isYouTubeUrl(url) {
-    return url && (url.includes('youtube.com/watch') || url.includes('youtu.be/'));
+    return YouTubeUrl.isVideoUrl(url);
   }
 
   // Extract YouTube video ID from URL
   extractVideoId(url) {
     if (!url) return null;
     
-    // Handle different YouTube URL formats
-    const patterns = [
-      // youtube.com/watch?v=VIDEO_ID
-      /(?:youtube\.com\/watch\?v=)([a-zA-Z0-9_-]{11})/,
-      // youtu.be/VIDEO_ID
-      /(?:youtu\.be\/)([a-zA-Z0-9_-]{11})/,
-      // youtube.com/embed/VIDEO_ID
-      /(?:youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
-      // youtube.com/v/VIDEO_ID
-      /(?:youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/
-    ];
-    
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match && match[1]) {
-        this.logger?.debug('Extracted video ID', { url, videoId: match[1] });
-        return match[1];
-      }
+    const videoId = YouTubeUrl.extractVideoId(url);
+    if (videoId) {
+      this.logger?.debug('Extracted video ID', { url, videoId });
+      return videoId;
     }
     
     this.logger?.warn('Could not extract video ID from URL', { url });
@@ -190,7 +202,7 @@ class TabManager {
   normalizeYouTubeUrl(url) {
     const videoId = this.extractVideoId(url);
     if (videoId) {
-      return `https://www.youtube.com/watch?v=${videoId}`;
+      return YouTubeUrl.toWatchUrl(videoId);
     }
     return url;
   }
@@ -392,6 +404,31 @@ class TabManager {
     }
   }
 
+  // Get user settings (shared across tabs)
+  async getSettings() {
+    try {
+      const result = await chrome.storage.local.get([this.settingsKey]);
+      return result[this.settingsKey] || {};
+    } catch (error) {
+      this.logger.error('Error loading settings', error);
+      return {};
+    }
+  }
+
+  // Merge updates into user settings
+  async updateSettings(updates) {
+    try {
+      const settings = await this.getSettings();
+      const newSettings = { ...settings, ...updates };
+      await chrome.storage.local.set({ [this.settingsKey]: newSettings });
+      this.logger.debug('Settings updated', { keys: Object.keys(updates) });
+      return newSettings;
+    } catch (error) {
+      this.logger.error('Error saving settings', error);
+      return null;
+    }
+  }
+
   // Get storage usage statistics
   async getStorageStats() {
     const allTabs = await this.getAllTabs();
@@ -62,8 +62,8 @@ class TabPersistenceTest {
         url: baseUrl,
         title: 'Test Video',
         segments: [
-          { timestamp: '0:00', text: 'Test transcript segment 1' },
-          { timestamp: '0:05', text: 'Test transcript segment 2' }
+          { startSeconds: 0, endSeconds: 5, timestamp: '0:00', text: 'Test transcript segment 1' },
+          { startSeconds: 5, endSeconds: 10, timestamp: '0:05', text: 'Test transcript segment 2' }
         ]
       }
     });
@@ -130,8 +130,8 @@ class TabPersistenceTest {
           url: tab.url,
           title: tab.title,
           segments: [
-            { timestamp: '0:00', text: `Test transcript for ${tab.title} - segment 1` },
-            { timestamp: '0:05', text: `Test transcript for ${tab.title} - segment 2` }
+            { startSeconds: 0, endSeconds: 5, timestamp: '0:00', text: `Test transcript for ${tab.title} - segment 1` },
+            { startSeconds: 5, endSeconds: 10, timestamp: '0:05', text: `Test transcript for ${tab.title} - segment 2` }
           ]
         },
         keyPoints: `Test key points for ${tab.title}`
@@ -0,0 +1,55 @@
+// Action Badge Tests
+// What the toolbar icon shows for a tab's stored state
+
+require('../youtube-url.js');
+require('../transcript-quality.js');
+const { ActionBadge } = require('../action-badge.js');
+
+const url = 'https://www.youtube.com/watch?v=aaaaaaaaaaa';
+const transcriptState = source => ({
+  url,
+  transcript: { url, segments: [{ text: 'Hello' }, { text: 'World' }], source }
+});
+
+describe('ActionBadge', () => {
+  test('should show a stored transcript as ready, or flag a weak source', () => {
+    const strong = ActionBadge.describe(transcriptState({ label: 'Caption track', score: 98, isWeak: false }), url);
+    const weak = ActionBadge.describe(transcriptState({ label: 'Page text', score: 10, isWeak: true }), url);
+
+    expect(strong).toEqual({
+      text: '✓',
+      color: ActionBadge.COLORS.ready,
+      title: 'Transcript ready: 2 segments (Caption track, quality 98/100)'
+    });
+    expect(weak.text).toBe('!');
+    expect(weak.title).toContain('weak source');
+    expect(ActionBadge.describe(transcriptState(undefined)).title).toBe('Transcript ready: 2 segments');
+  });
+
+  test('should show work in progress and errors, and nothing for an empty tab', () => {
+    expect(ActionBadge.describe({ url, isProcessing: true, processingStep: 'extracting transcript' })).toMatchObject({
+      text: '…',
+      title: 'Working: extracting transcript'
+    });
+    expect(ActionBadge.describe({ url, error: 'No transcript found' }).text).toBe('×');
+    expect(ActionBadge.describe({ ...transcriptState(null), error: 'Rate limit exceeded' })).toMatchObject({
+      text: '×',
+      title: 'Rate limit exceeded'
+    });
+    expect(ActionBadge.describe({ url, transcript: null })).toEqual({ text: '', color: null, title: '' });
+    expect(ActionBadge.describe(undefined).text).toBe('');
+  });
+
+  test('should not show a live recording as ready', () => {
+    const state = transcriptState(null);
+    state.transcript.isRecording = true;
+    expect(ActionBadge.describe(state).text).toBe('');
+  });
+
+  test('should clear once the tab moves on to another video', () => {
+    const state = transcriptState(null);
+    expect(ActionBadge.describe(state, 'https://youtu.be/aaaaaaaaaaa').text).toBe('✓');
+    expect(ActionBadge.describe(state, 'https://www.youtube.com/watch?v=bbbbbbbbbbb').text).toBe('');
+    expect(ActionBadge.isSame(ActionBadge.describe(state), ActionBadge.describe({ ...state }))).toBe(true);
+  });
+});
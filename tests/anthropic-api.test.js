@@ -0,0 +1,203 @@
+// Anthropic API Tests
+// Generation settings, cost estimates before a step is sent, the usage recorded from its
+// responses, and requests through a corporate gateway
+
+const { SegmentTiming } = require('../segment-timing.js');
+require('../transcript-cleaner.js');
+require('../video-metadata.js');
+require('../chapters.js');
+const { TranscriptChunker } = require('../transcript-chunker.js');
+const { AnthropicProvider } = require('../anthropic-provider.js');
+require('../openai-compatible-provider.js');
+const { AnthropicAPI } = require('../anthropic-api.js');
+require('../prompts.js');
+
+const makeTranscript = (count, text = 'a'.repeat(396)) => ({
+  title: 'Talk',
+  segments: Array.from({ length: count }, (_, index) => SegmentTiming.createSegment(index * 10, index * 10 + 10, `${index} ${text}`))
+});
+
+describe('AnthropicAPI', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = new AnthropicAPI();
+    await api.loadApiKey();
+    api.apiKey = 'sk-ant-REDACTED';
+    api.transcriptSource = 'raw';
+  });
+
+  test('should price models by the start of their name', () => {
+    expect(AnthropicProvider.getPricing('claude-sonnet-4-20250514')).toEqual({ input: 3, output: 15 });
+    expect(AnthropicProvider.getPricing('claude-opus-4-5-20251101')).toEqual({ input: 5, output: 25 });
+    expect(AnthropicProvider.getPricing('claude-opus-4-1-20250805')).toEqual({ input: 15, output: 75 });
+    expect(AnthropicProvider.getPricing('my-local-model')).toBeNull();
+
+    expect(api.provider.getCost('claude-sonnet-4-20250514', 1000000, 100000)).toBeCloseTo(4.5);
+    expect(api.provider.getCost('my-local-model', 1000, 1000)).toBeNull();
+  });
+
+  test('should estimate a short transcript as one request, input from the prompt itself', () => {
+    const transcript = makeTranscript(100);
+    const estimate = api.estimateKeyPoints(transcript);
+    const promptTokens = TranscriptChunker.estimateTokens(api.getKeyPointsPrompt(transcript));
+
+    expect(estimate).toEqual({
+      model: api.model,
+      requests: 1,
+      inputTokens: promptTokens,
+      maxOutputTokens: api.maxTokens,
+      inputCost: promptTokens * 3 / 1000000,
+      maxCost: (promptTokens * 3 + api.maxTokens * 15) / 1000000
+    });
+    expect(promptTokens).toBeGreaterThan(100 * 100);
+  });
+
+  test('should count every part and the merge for a transcript read in parts', () => {
+    const estimate = api.estimateKeyPoints(makeTranscript(1300));
+    const parts = TranscriptChunker.split(makeTranscript(1300), 'raw');
+
+    expect(estimate.requests).toBe(parts.length + 1);
+    expect(estimate.inputTokens).toBeGreaterThan(1300 * 100 + parts.length * api.maxTokens);
+    expect(estimate.maxOutputTokens).toBe((parts.length + 1) * api.maxTokens);
+  });
+
+  test('should estimate the article from its prompt and answer limit', () => {
+    const estimate = api.estimateArticle('- a point', makeTranscript(10));
+
+    expect(estimate.requests).toBe(1);
+    expect(estimate.maxOutputTokens).toBe(api.stepMaxTokens.article);
+    expect(estimate.inputTokens).toBe(TranscriptChunker.estimateTokens(api.getArticlePrompt('- a point', makeTranscript(10))));
+
+    api.model = 'my-local-model';
+    expect(api.estimateArticle('- a point', makeTranscript(10))).toMatchObject({ inputCost: null, maxCost: null });
+  });
+
+  test('should record the usage block and cost of each response', async () => {
+    const usage = { input_tokens: 2000, output_tokens: 500 };
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ model: 'claude-sonnet-4-20250514', content: [{ type: 'text', text: '- point' }], usage })
+    });
+
+    try {
+      await api.extractKeyPoints(makeTranscript(5));
+    } finally {
+      delete global.fetch;
+    }
+
+    expect(api.lastUsage).toEqual({
+      input_tokens: 2000,
+      output_tokens: 500,
+      model: 'claude-sonnet-4-20250514',
+      cost: (2000 * 3 + 500 * 15) / 1000000,
+      requests: [usage]
+    });
+  });
+
+  test('should fill in defaults and reject values the API would refuse', () => {
+    expect(AnthropicAPI.validateGeneration({})).toEqual({ generation: AnthropicAPI.DEFAULT_GENERATION, errors: [] });
+
+    const { generation, errors } = AnthropicAPI.validateGeneration({
+      model: 'claude-3-5-haiku-20241022',
+      maxTokens: { article: 9000, keyPoints: 2.5 },
+      temperature: 1.5,
+      stopSequences: ['END', '   ']
+    });
+    expect(generation.maxTokens.chapterSummary).toBe(1000);
+    expect(errors).toEqual([
+      'Key points max tokens must be a whole number from 1 to 8,192',
+      'Article max tokens must be a whole number from 1 to 8,192',
+      'Temperature must be between 0 and 1',
+      'Stop sequences must each contain some text other than spaces'
+    ]);
+    expect(AnthropicAPI.validateGeneration({ model: 'gpt-4' }).errors).toEqual(['Unknown model: gpt-4']);
+  });
+
+  test('should apply saved generation settings to each request', async () => {
+    const generation = {
+      model: 'claude-haiku-4-5-20251001',
+      maxTokens: { keyPoints: 3000, article: 2500, chapterSummary: 400, chapterGeneration: 900, passageExplanation: 700 },
+      temperature: 0.2,
+      stopSequences: ['## Sources']
+    };
+    global.chrome.storage.local.get.mockResolvedValue({ settings: { generation } });
+    const configured = new AnthropicAPI();
+    await configured.loadSettings();
+    configured.apiKey = 'sk-ant-REDACTED';
+
+    expect(configured.model).toBe('claude-haiku-4-5-20251001');
+    expect(configured.maxTokens).toBe(3000);
+
+    const bodies = [];
+    global.fetch = jest.fn(async (url, options) => {
+      bodies.push(JSON.parse(options.body));
+      return { ok: true, json: async () => ({ content: [{ type: 'text', text: 'Answer' }], usage: {} }) };
+    });
+    try {
+      await configured.extractKeyPoints(makeTranscript(5));
+      await configured.generateArticle('- a point', makeTranscript(5));
+    } finally {
+      delete global.fetch;
+    }
+
+    expect(bodies.map(body => body.max_tokens)).toEqual([3000, 2500]);
+    expect(bodies[0]).toMatchObject({ model: 'claude-haiku-4-5-20251001', temperature: 0.2, stop_sequences: ['## Sources'] });
+
+    // Invalid settings are rejected whole; null goes back to the defaults
+    expect(configured.updateSettings({ ...generation, temperature: 3 })).toEqual(['Temperature must be between 0 and 1']);
+    expect(configured.temperature).toBe(0.2);
+    expect(configured.updateSettings(null)).toEqual([]);
+    expect(configured.model).toBe(AnthropicAPI.DEFAULT_GENERATION.model);
+    expect(configured.buildRequestBody([])).toEqual({ model: configured.model, max_tokens: 8000, messages: [] });
+  });
+
+  test('should send requests through a configured gateway with its headers and keys', async () => {
+    global.chrome.storage.local.get.mockResolvedValue({
+      settings: {
+        provider: {
+          id: 'anthropic',
+          baseURL: 'https://llm-gateway.example.com/anthropic/',
+          headers: { 'X-Gateway-Auth': 'team-token' }
+        }
+      }
+    });
+    const gateway = new AnthropicAPI();
+    await gateway.ready;
+
+    // Gateway keys don't look like Anthropic's
+    expect(gateway.provider.usesGateway).toBe(true);
+    expect(gateway.isValidApiKey('gw-0123')).toBe(true);
+    expect(gateway.isValidApiKey('gw 0123')).toBe(false);
+    expect(api.isValidApiKey('gw-0123')).toBe(false);
+    gateway.apiKey = 'gw-0123';
+
+    const requests = [];
+    global.fetch = jest.fn(async (url, options) => {
+      requests.push({ url, headers: options.headers });
+      return { ok: true, json: async () => ({ content: [{ type: 'text', text: '- point' }], usage: {} }) };
+    });
+    try {
+      await gateway.extractKeyPoints(makeTranscript(5));
+    } finally {
+      delete global.fetch;
+    }
+
+    expect(requests[0].url).toBe('https://llm-gateway.example.com/anthropic/v1/messages');
+    expect(requests[0].headers).toMatchObject({ 'x-api-key': 'gw-0123', 'anthropic-version': '2023-06-01', 'X-Gateway-Auth': 'team-token' });
+    expect(AnthropicAPI.getPermissionPattern(gateway.provider.baseURL)).toBe('https://llm-gateway.example.com/*');
+  });
+
+  test('should read custom headers as typed in settings', () => {
+    expect(AnthropicAPI.parseHeaders('X-Gateway-Auth: team-token\n\n  X-Team :  data: science ')).toEqual({
+      headers: { 'X-Gateway-Auth': 'team-token', 'X-Team': 'data: science' },
+      errors: []
+    });
+    expect(AnthropicAPI.parseHeaders('no colon here\nX-Name: café').errors).toEqual([
+      'Headers must be written as "Name: value": no colon here',
+      'The X-Name header may only contain plain ASCII characters'
+    ]);
+    expect(AnthropicAPI.formatHeaders({ 'X-Gateway-Auth': 'team-token', 'X-Team': 'a' })).toBe('X-Gateway-Auth: team-token\nX-Team: a');
+    expect(AnthropicAPI.normalizeBaseURL('not a url')).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+// Batch Queue Tests
+// Playlist jobs in storage: ordering, progress, failures, cancelling and worker restarts
+
+require('../youtube-url.js');
+const { BatchQueue } = require('../batch-queue.js');
+
+const video = (letter, title = `Video ${letter}`) => ({ videoId: letter.repeat(11), title });
+
+describe('BatchQueue', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    global.chrome.storage.local.get.mockImplementation(async keys => {
+      return Object.fromEntries(keys.filter(key => key in stored).map(key => [key, JSON.parse(JSON.stringify(stored[key]))]));
+    });
+    global.chrome.storage.local.set.mockImplementation(async values => {
+      Object.assign(stored, JSON.parse(JSON.stringify(values)));
+    });
+  });
+
+  test('should queue each valid video once', async () => {
+    const queue = new BatchQueue();
+    const job = await queue.addJob({
+      playlistId: 'PLabc',
+      videos: [video('a'), video('b'), video('a', 'Duplicate'), { videoId: 'short' }, null]
+    });
+
+    expect(job.items.map(item => [item.videoId, item.title, item.status])).toEqual([
+      ['aaaaaaaaaaa', 'Video a', 'queued'],
+      ['bbbbbbbbbbb', 'Video b', 'queued']
+    ]);
+    expect(job.title).toBe('Playlist PLabc');
+    expect(stored.batchJobs[job.id].items).toHaveLength(2);
+    await expect(queue.addJob({ videos: [] })).rejects.toThrow('No videos to process');
+  });
+
+  test('should process videos in order, persist each step and keep going after a failure', async () => {
+    const steps = [];
+    const queue = new BatchQueue({
+      processItem: async (item, job, setStep) => {
+        await setStep('extracting transcript');
+        steps.push([item.videoId[0], stored.batchJobs[job.id].items.find(entry => entry.videoId === item.videoId).step]);
+        if (item.videoId[0] === 'b') throw new Error('No captions');
+        return { keyPoints: `points for ${item.title}` };
+      }
+    });
+    const job = await queue.addJob({ videos: [video('a'), video('b'), video('c')] });
+
+    expect(await queue.run()).toBe(true);
+
+    expect(steps).toEqual([['a', 'extracting transcript'], ['b', 'extracting transcript'], ['c', 'extracting transcript']]);
+    const saved = stored.batchJobs[job.id];
+    expect(saved.items.map(item => item.status)).toEqual(['done', 'error', 'done']);
+    expect(saved.items[0].result).toEqual({ keyPoints: 'points for Video a' });
+    expect(saved.items[1].error).toBe('No captions');
+    expect(saved.status).toBe('done');
+    expect(BatchQueue.summarize(saved)).toMatchObject({ total: 3, done: 2, error: 1, finished: 3 });
+  });
+
+  test('should stop a cancelled job after the current video', async () => {
+    let job;
+    const queue = new BatchQueue({
+      processItem: async item => {
+        if (item.videoId[0] === 'a') await queue.cancelJob(job.id);
+        return { keyPoints: 'points' };
+      }
+    });
+    job = await queue.addJob({ videos: [video('a'), video('b')] });
+
+    await queue.run();
+
+    const saved = stored.batchJobs[job.id];
+    expect(saved.items.map(item => item.status)).toEqual(['done', 'cancelled']);
+    expect(saved.status).toBe('cancelled');
+    expect(BatchQueue.hasPending(stored.batchJobs)).toBe(false);
+  });
+
+  test('should resume videos left working by a stopped service worker, and only run once at a time', async () => {
+    const first = new BatchQueue();
+    const job = await first.addJob({ videos: [video('a'), video('b')] });
+    await first.updateItem(job.id, 'aaaaaaaaaaa', { status: 'working', step: 'extracting key points' });
+    expect(BatchQueue.hasPending(stored.batchJobs)).toBe(true);
+
+    let release;
+    const processItem = jest.fn(() => new Promise(resolve => { release = resolve; }));
+    const restarted = new BatchQueue({ processItem });
+    const running = restarted.run();
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(await restarted.run()).toBe(false);
+    expect(processItem.mock.calls[0][0].videoId).toBe('aaaaaaaaaaa');
+
+    release({});
+    await new Promise(resolve => setTimeout(resolve, 0));
+    release({});
+    await running;
+
+    expect(processItem).toHaveBeenCalledTimes(2);
+    expect(stored.batchJobs[job.id].items.map(item => item.status)).toEqual(['done', 'done']);
+    expect(BatchQueue.hasPending(stored.batchJobs)).toBe(false);
+  });
+});
@@ -0,0 +1,56 @@
+// Caption Recorder Tests
+// Rolling caption de-duplication and segment ordering
+
+require('../segment-timing.js');
+const { CaptionRecorder } = require('../caption-recorder.js');
+
+describe('CaptionRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    recorder = new CaptionRecorder();
+  });
+
+  test('should merge rolling captions into one segment per line', () => {
+    recorder.addLines(['so today we'], 10);
+    recorder.addLines(['so today we are going'], 11);
+    recorder.addLines(['so today we are going to build'], 12);
+    // The finished line scrolls up while the next one starts below it
+    recorder.addLines(['so today we are going to build', 'a small'], 13.5);
+    recorder.addLines(['so today we are going to build', 'a small extension'], 14);
+    recorder.addLines(['a small extension', 'for the browser'], 16);
+
+    expect(recorder.getSegments()).toEqual([
+      { startSeconds: 10, endSeconds: 13.5, timestamp: '0:10', text: 'so today we are going to build' },
+      { startSeconds: 13.5, endSeconds: 16, timestamp: '0:13', text: 'a small extension' },
+      { startSeconds: 16, endSeconds: 16, timestamp: '0:16', text: 'for the browser' }
+    ]);
+  });
+
+  test('should ignore blank lines and report when nothing changed', () => {
+    expect(recorder.addLines(['  hello   world '], 1)).toBe(true);
+    expect(recorder.addLines(['hello world', '', '   '], 2)).toBe(false);
+    expect(recorder.getSegments()).toHaveLength(1);
+  });
+
+  test('should order segments by playback time after seeking back', () => {
+    recorder.addLines(['later part'], 120);
+    recorder.addLines(['earlier part'], 30);
+
+    expect(recorder.getSegments().map(segment => segment.text)).toEqual(['earlier part', 'later part']);
+  });
+
+  test('should send a final update when stopped', () => {
+    const onUpdate = jest.fn();
+    recorder = new CaptionRecorder({ onUpdate });
+    const container = document.createElement('div');
+    container.innerHTML = '<span class="ytp-caption-segment">on screen now</span>';
+
+    recorder.start({ currentTime: 5 }, container);
+    const segments = recorder.stop();
+
+    expect(recorder.isRecording).toBe(false);
+    expect(segments).toEqual([{ startSeconds: 5, endSeconds: 5, timestamp: '0:05', text: 'on screen now' }]);
+    expect(onUpdate).toHaveBeenCalledWith(segments, expect.objectContaining({ isFinal: true }));
+  });
+});
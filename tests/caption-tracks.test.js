@@ -0,0 +1,181 @@
+// Caption Track Parser Tests
+// Parses saved timedtext fixtures (json3, srv1 XML, srv3 XML) and a watch page player response
+
+const fs = require('fs');
+const path = require('path');
+require('../segment-timing.js');
+const { CaptionTracks } = require('../caption-tracks.js');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'caption-tracks', name), 'utf8');
+
+describe('CaptionTracks', () => {
+  describe('parseJson3', () => {
+    test('should parse events into timed segments and skip empty or newline-only events', () => {
+      const segments = CaptionTracks.parseJson3(JSON.parse(fixture('en.json3.json')));
+
+      expect(segments).toHaveLength(4);
+      expect(segments[0]).toEqual({
+        startSeconds: 0.16,
+        endSeconds: 4.16,
+        timestamp: '0:00',
+        text: 'Welcome back to the channel'
+      });
+      expect(segments[1].text).toBe("today we're talking about caching");
+      expect(segments[2]).toMatchObject({ timestamp: '1:15', startSeconds: 75.3 });
+      expect(segments[2].endSeconds).toBeCloseTo(77.45);
+      expect(segments[3]).toMatchObject({ timestamp: '1:02:03', startSeconds: 3723, endSeconds: 3724.5 });
+    });
+
+    test('should return no segments for a response without events', () => {
+      expect(CaptionTracks.parseJson3({})).toEqual([]);
+      expect(CaptionTracks.parseJson3(null)).toEqual([]);
+    });
+  });
+
+  describe('parseTimedTextXml', () => {
+    test('should parse format 1 XML and decode double-escaped entities', () => {
+      const segments = CaptionTracks.parseTimedTextXml(fixture('en.srv1.xml'));
+
+      expect(segments).toHaveLength(3);
+      expect(segments[0]).toEqual({
+        startSeconds: 0.16,
+        endSeconds: 4.16,
+        timestamp: '0:00',
+        text: 'Welcome back to the channel'
+      });
+      expect(segments[1]).toMatchObject({ text: "today we're talking about caching", startSeconds: 2.4 });
+      expect(segments[1].endSeconds).toBeCloseTo(6.08);
+      expect(segments[2].text).toBe('rock & roll "forever"');
+    });
+
+    test('should parse format 3 XML with millisecond timing', () => {
+      const segments = CaptionTracks.parseTimedTextXml(fixture('en.srv3.xml'));
+
+      expect(segments).toHaveLength(3);
+      expect(segments[0]).toMatchObject({ text: 'Welcome back to the channel', startSeconds: 0.16, endSeconds: 4.16 });
+      expect(segments[1].text).toBe("today we're talking about");
+      expect(segments[2]).toEqual({ startSeconds: 61, endSeconds: 63, timestamp: '1:01', text: 'caching' });
+    });
+  });
+
+  describe('player response', () => {
+    test('should extract the player response object despite braces and quotes inside strings', () => {
+      const playerResponse = CaptionTracks.extractJsonObject(fixture('watch-page.html'), 'ytInitialPlayerResponse');
+
+      expect(playerResponse.videoDetails.videoId).toBe('abcdefghijk');
+      expect(playerResponse.videoDetails.title).toBe('Caching Talk {with braces} "quoted"');
+    });
+
+    test('should list caption tracks with language and auto-generated flags', () => {
+      const playerResponse = CaptionTracks.extractJsonObject(fixture('watch-page.html'), 'ytInitialPlayerResponse');
+      const tracks = CaptionTracks.getTracks(playerResponse);
+
+      expect(tracks.map(track => track.languageCode)).toEqual(['en', 'de', 'en-GB']);
+      expect(tracks[0]).toMatchObject({ name: 'English (auto-generated)', isAutoGenerated: true, isTranslatable: true });
+      expect(tracks[1]).toMatchObject({ name: 'German', isAutoGenerated: false });
+      expect(tracks[2].isTranslatable).toBe(false);
+    });
+
+    test('should return no tracks when the video has no captions', () => {
+      expect(CaptionTracks.getTracks({ playabilityStatus: { status: 'OK' } })).toEqual([]);
+      expect(CaptionTracks.getTracks(null)).toEqual([]);
+    });
+  });
+
+  describe('selectTrack', () => {
+    const tracks = [
+      { languageCode: 'en', isAutoGenerated: true },
+      { languageCode: 'de', isAutoGenerated: false },
+      { languageCode: 'fr', isAutoGenerated: true }
+    ];
+
+    test('should prefer a manual track over an auto-generated one', () => {
+      expect(new CaptionTracks().selectTrack(tracks).languageCode).toBe('de');
+    });
+
+    test('should prefer the requested language even when it is auto-generated', () => {
+      expect(new CaptionTracks().selectTrack(tracks, 'fr').languageCode).toBe('fr');
+    });
+
+    test('should return null when there are no tracks', () => {
+      expect(new CaptionTracks().selectTrack([])).toBeNull();
+    });
+
+    test('should pick an exact track by vssId', () => {
+      const playerResponse = CaptionTracks.extractJsonObject(fixture('watch-page.html'), 'ytInitialPlayerResponse');
+      const track = new CaptionTracks().selectTrack(CaptionTracks.getTracks(playerResponse), { languageCode: 'en', vssId: 'a.en' });
+
+      expect(track).toMatchObject({ languageCode: 'en', isAutoGenerated: true });
+    });
+
+    test('should serve a language without its own track as a translation', () => {
+      const playerResponse = CaptionTracks.extractJsonObject(fixture('watch-page.html'), 'ytInitialPlayerResponse');
+      const track = new CaptionTracks().selectTrack(
+        CaptionTracks.getTracks(playerResponse),
+        { languageCode: 'fr' },
+        CaptionTracks.getTranslationLanguages(playerResponse)
+      );
+
+      expect(track).toMatchObject({
+        languageCode: 'fr',
+        name: 'French (translated from German)',
+        translatedFrom: 'de'
+      });
+      expect(track.baseUrl).toContain('lang=de');
+      expect(track.baseUrl).toContain('tlang=fr');
+      expect(CaptionTracks.describeTrack(track)).not.toHaveProperty('baseUrl');
+    });
+  });
+
+  describe('extract', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should fall back to the XML track when json3 comes back empty', async () => {
+      document.querySelectorAll = jest.fn(() => [{ textContent: fixture('watch-page.html') }]);
+      global.fetch = jest.fn(async (url) => ({
+        ok: true,
+        status: 200,
+        text: async () => (url.includes('fmt=json3') ? '' : fixture('en.srv1.xml'))
+      }));
+
+      const result = await new CaptionTracks().extract('abcdefghijk');
+
+      expect(result.track.languageCode).toBe('de');
+      expect(result.segments).toHaveLength(3);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[0][0]).toContain('lang=de');
+    });
+
+    test('should fall back to the XML track when json3 isn\'t JSON', async () => {
+      document.querySelectorAll = jest.fn(() => [{ textContent: fixture('watch-page.html') }]);
+      global.fetch = jest.fn(async (url) => ({
+        ok: true,
+        status: 200,
+        text: async () => (url.includes('fmt=json3') ? '<html><body>Before you continue</body></html>' : fixture('en.srv1.xml'))
+      }));
+
+      const result = await new CaptionTracks().extract('abcdefghijk');
+
+      expect(result.segments).toHaveLength(3);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fetch the watch page when the inline player response belongs to another video', async () => {
+      document.querySelectorAll = jest.fn(() => [{ textContent: fixture('watch-page.html') }]);
+      global.fetch = jest.fn(async (url) => ({
+        ok: true,
+        status: 200,
+        text: async () => (url.includes('/watch?v=') ? '<html></html>' : '')
+      }));
+
+      const result = await new CaptionTracks().extract('zzzzzzzzzzz');
+
+      expect(result).toBeNull();
+      expect(global.fetch.mock.calls[0][0]).toBe('https://www.youtube.com/watch?v=zzzzzzzzzzz');
+    });
+  });
+});
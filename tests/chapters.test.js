@@ -0,0 +1,188 @@
+// Chapters Tests
+// Segment-to-chapter assignment, per-chapter transcripts and the chapter summaries mode
+
+const { SegmentTiming } = require('../segment-timing.js');
+const { TranscriptCleaner } = require('../transcript-cleaner.js');
+require('../video-metadata.js');
+const { Chapters } = require('../chapters.js');
+require('../anthropic-provider.js');
+require('../openai-compatible-provider.js');
+require('../anthropic-api.js');
+require('../prompts.js');
+const { AnthropicAPI } = window;
+
+const seg = (start, end, text) => SegmentTiming.createSegment(start, end, text);
+
+const chapters = [
+  { startSeconds: 0, endSeconds: 60, title: 'Intro' },
+  { startSeconds: 60, endSeconds: 120, title: 'Music break' },
+  { startSeconds: 120, endSeconds: 300, title: 'Main topic' }
+];
+
+const transcript = {
+  title: 'Caching Talk',
+  segments: [
+    seg(0, 5, 'Welcome everyone.'),
+    seg(null, null, 'untimed aside'),
+    seg(125, 130, 'Caches trade memory for speed.'),
+    seg(200, 210, 'Invalidation is the hard part.')
+  ],
+  metadata: { channelName: 'Systems Talks', chapters }
+};
+
+describe('Chapters', () => {
+  test('should find the chapter playing at a time', () => {
+    expect(Chapters.findIndex(chapters, 0)).toBe(0);
+    expect(Chapters.findIndex(chapters, 59.9)).toBe(0);
+    expect(Chapters.findIndex(chapters, 60)).toBe(1);
+    expect(Chapters.findIndex(chapters, 999)).toBe(2);
+    expect(Chapters.findIndex(chapters, null)).toBeNull();
+    expect(Chapters.findIndex([], 10)).toBeNull();
+  });
+
+  test('should assign every segment a chapter, keeping untimed ones with the segment before', () => {
+    const assigned = Chapters.assign(transcript.segments, chapters);
+    expect(assigned.map(segment => segment.chapterIndex)).toEqual([0, 0, 2, 2]);
+    expect(transcript.segments[0].chapterIndex).toBeUndefined();
+    expect(Chapters.assign(transcript.segments, [])).toBe(transcript.segments);
+  });
+
+  test('should group segments by chapter, including chapters without speech', () => {
+    const groups = Chapters.group(transcript.segments, chapters);
+    expect(groups.map(group => [group.chapter.title, group.segments.length])).toEqual([
+      ['Intro', 2],
+      ['Music break', 0],
+      ['Main topic', 2]
+    ]);
+  });
+
+  test('should cut raw and cleaned segments to one chapter', () => {
+    const cleanedTranscript = TranscriptCleaner.withCleaned(transcript);
+    const main = Chapters.getChapterTranscript(cleanedTranscript, 2);
+
+    expect(main.segments.map(segment => segment.text)).toEqual(['Caches trade memory for speed.', 'Invalidation is the hard part.']);
+    expect(TranscriptCleaner.getText(main)).not.toContain('Welcome');
+    expect(main.metadata).toBe(transcript.metadata);
+    expect(Chapters.toOutline(chapters)).toBe('0:00 Intro\n1:00 Music break\n2:00 Main topic');
+  });
+
+  describe('generated chapters', () => {
+    const timed = [seg(0.2, 40, 'Hi.'), seg(40, 95.6, 'Setup.'), seg(95.6, 200, 'Demo.'), seg(200, 260, 'Wrap-up.')];
+
+    test('should parse a JSON reply or plain description lines', () => {
+      expect(Chapters.parse('Here you go:\n[{"start": "0:00", "title": "Intro"}, {"start": 97, "title": " Demo "}, {"start": "soon", "title": "Bad"}]')).toEqual([
+        { startSeconds: 0, title: 'Intro' },
+        { startSeconds: 97, title: 'Demo' }
+      ]);
+      expect(Chapters.parse('0:00 Intro\n- 1:36 - Demo\nnot a chapter\n1:02:03: Late')).toEqual([
+        { startSeconds: 0, title: 'Intro' },
+        { startSeconds: 96, title: 'Demo' },
+        { startSeconds: 3723, title: 'Late' }
+      ]);
+      expect(Chapters.parse('')).toEqual([]);
+    });
+
+    test('should snap starts back to the segment they fall in, in whole seconds', () => {
+      const snapped = Chapters.snapToSegments([{ startSeconds: 0, title: 'a' }, { startSeconds: 100, title: 'b' }], timed);
+      expect(snapped.map(chapter => chapter.startSeconds)).toEqual([0, 95]);
+    });
+
+    test('should report chapters YouTube would reject', () => {
+      const chapter = (startSeconds, title = 'Part') => ({ startSeconds, title });
+
+      expect(Chapters.validate([chapter(0), chapter(40), chapter(95)], { durationSeconds: 260 })).toEqual([]);
+      expect(Chapters.validate([chapter(0), chapter(40)])).toEqual(['Needs at least 3 chapters, got 2']);
+      expect(Chapters.validate([chapter(5, 'Late'), chapter(40), chapter(95)])).toEqual(['First chapter must start at 0:00, not 0:05']);
+      expect(Chapters.validate([chapter(0), chapter(95, 'Back'), chapter(40)])).toEqual(['"Back" (1:35) is not followed by a later chapter']);
+      expect(Chapters.validate([chapter(0), chapter(40, 'Blip'), chapter(45)], { durationSeconds: 260 })).toEqual(['"Blip" (0:40) is shorter than 10 seconds']);
+      expect(Chapters.validate([chapter(0), chapter(40), chapter(255, 'End')], { durationSeconds: 260 })).toEqual(['"End" (4:15) is shorter than 10 seconds']);
+    });
+
+    test('should export in the exact description format', () => {
+      const { chapters: proposed, errors } = Chapters.fromProposal('[{"start":"0:00","title":"Intro"},{"start":"0:41","title":"Setup"},{"start":"1:40","title":"Demo"}]', timed, 260);
+      expect(errors).toEqual([]);
+      expect(proposed[2]).toEqual({ startSeconds: 95, endSeconds: 260, title: 'Demo' });
+      expect(Chapters.toOutline(proposed)).toBe('0:00 Intro\n0:40 Setup\n1:35 Demo');
+    });
+
+    test('should prefer creator chapters over generated ones', () => {
+      expect(Chapters.get({ generatedChapters: chapters.slice(0, 1), metadata: { chapters: [] } })).toEqual(chapters.slice(0, 1));
+      expect(Chapters.get({ generatedChapters: chapters.slice(0, 1), metadata: { chapters } })).toBe(chapters);
+    });
+  });
+
+  describe('AnthropicAPI chapter summaries', () => {
+    let api;
+
+    beforeEach(async () => {
+      api = new AnthropicAPI();
+      await api.loadApiKey();
+      api.apiKey = 'sk-ant-test';
+      api.transcriptSource = 'raw';
+      api.makeRequest = jest.fn(async (apiKey, messages) => ({
+        text: `Summary of ${(/Chapter: (.+) \(/.exec(messages[0].content) || [])[1]}`,
+        usage: { input_tokens: 100, output_tokens: 20 }
+      }));
+    });
+
+    test('should summarize each chapter with only its own transcript', async () => {
+      const onProgress = jest.fn();
+      const summaries = await api.summarizeChapters(transcript, onProgress);
+
+      expect(summaries.map(({ title, summary }) => [title, summary])).toEqual([
+        ['Intro', 'Summary of Intro'],
+        ['Music break', ''],
+        ['Main topic', 'Summary of Main topic']
+      ]);
+      expect(api.makeRequest).toHaveBeenCalledTimes(2);
+
+      const mainPrompt = api.makeRequest.mock.calls[1][1][0].content;
+      expect(mainPrompt).toContain('Chapter: Main topic (2:00 - 5:00)');
+      expect(mainPrompt).toContain('Invalidation is the hard part.');
+      expect(mainPrompt).not.toContain('Welcome everyone.');
+      expect(onProgress).toHaveBeenCalledTimes(3);
+      expect(onProgress).toHaveBeenLastCalledWith({ index: 2, total: 3, chapter: chapters[2] });
+      expect(api.lastUsage).toMatchObject({ input_tokens: 200, output_tokens: 40 });
+    });
+
+    test('should refuse videos without chapters', async () => {
+      await expect(api.summarizeChapters({ ...transcript, metadata: null })).rejects.toThrow('no chapters');
+    });
+
+    test('should generate chapters from the timed transcript and correct an invalid first reply', async () => {
+      const untitled = { ...transcript, metadata: { durationSeconds: 300, chapters: [] } };
+      api.makeRequest = jest.fn()
+        .mockResolvedValueOnce({ text: '[{"start":"0:00","title":"Hello"},{"start":"3:20","title":"Invalidation"},{"start":"2:05","title":"Caches"}]', usage: { input_tokens: 300, output_tokens: 50 } })
+        .mockResolvedValueOnce({ text: '[{"start":"0:00","title":"Hello"},{"start":"2:05","title":"Caches"},{"start":"3:20","title":"Invalidation"}]', usage: { input_tokens: 400, output_tokens: 50 } });
+
+      const generated = await api.generateChapters(untitled);
+
+      expect(Chapters.toOutline(generated)).toBe('0:00 Hello\n2:05 Caches\n3:20 Invalidation');
+      expect(generated[2].endSeconds).toBe(300);
+      const firstPrompt = api.makeRequest.mock.calls[0][1][0].content;
+      expect(firstPrompt).toContain('[2:05] Caches trade memory for speed.');
+      expect(firstPrompt).not.toContain('untimed aside');
+      const correction = api.makeRequest.mock.calls[1][1];
+      expect(correction).toHaveLength(3);
+      expect(correction[2].content).toContain('"Invalidation" (3:20) is not followed by a later chapter');
+      expect(api.lastUsage).toMatchObject({ input_tokens: 700, output_tokens: 100 });
+    });
+
+    test('should give up when the corrected chapters are still invalid', async () => {
+      api.makeRequest = jest.fn().mockResolvedValue({ text: '0:00 Only one' });
+      await expect(api.generateChapters(transcript)).rejects.toThrow('Generated chapters failed validation: Needs at least 3 chapters, got 1');
+      expect(api.makeRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('should ask the article to follow the creator chapters', async () => {
+      await api.generateArticle('- point', transcript);
+      const prompt = api.makeRequest.mock.calls[0][1][0].content;
+      expect(prompt).toContain('Use them, in this order, as the main content sections');
+      expect(prompt).toContain('1:00 Music break');
+
+      api.makeRequest.mockClear();
+      await api.generateArticle('- point', { ...transcript, metadata: null });
+      expect(api.makeRequest.mock.calls[0][1][0].content).not.toContain('chapters');
+    });
+  });
+});
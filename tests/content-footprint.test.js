@@ -0,0 +1,162 @@
+// Content Script Footprint Tests
+// Other sites get no content scripts until the popup or a shortcut injects them into a page
+// with a video: check the manifest keeps it that way, measure what they leave behind off
+// YouTube, and check that YouTube navigation is followed through events instead of DOM mutations
+
+const fs = require('fs');
+const path = require('path');
+const { TextEncoder, TextDecoder } = require('util');
+
+// jsdom itself needs these, which the jsdom test environment doesn't provide
+Object.assign(global, { TextEncoder, TextDecoder });
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// Same files, same order as manifest.json content_scripts
+const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+const contentScripts = manifest.content_scripts[0].js.map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+// Load the content scripts into a fresh page and count everything they hook into
+function loadPage(url, { navigation = false, settings = {} } = {}) {
+  const output = [];
+  const virtualConsole = new VirtualConsole();
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+    virtualConsole.on(level, (...args) => output.push(args.map(String).join(' ')));
+  });
+
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url,
+    runScripts: 'outside-only',
+    virtualConsole
+  });
+  const { window } = dom;
+
+  const footprint = { listeners: [], mutationObservers: 0, storageWrites: 0, messageListeners: 0 };
+  [window, window.document].forEach(target => {
+    const addEventListener = target.addEventListener.bind(target);
+    target.addEventListener = (type, ...rest) => {
+      footprint.listeners.push(type);
+      return addEventListener(type, ...rest);
+    };
+  });
+  const NativeMutationObserver = window.MutationObserver;
+  window.MutationObserver = class extends NativeMutationObserver {
+    constructor(...args) {
+      super(...args);
+      footprint.mutationObservers++;
+    }
+  };
+  if (navigation) {
+    window.navigation = new window.EventTarget();
+  }
+
+  window.chrome = {
+    runtime: {
+      onMessage: { addListener: () => { footprint.messageListeners++; } },
+      sendMessage: async () => ({})
+    },
+    storage: {
+      local: {
+        get: async () => ({ settings }),
+        set: async () => { footprint.storageWrites++; },
+        remove: async () => {}
+      },
+      onChanged: { addListener: () => {} }
+    }
+  };
+
+  const { pushState, replaceState } = window.history;
+  contentScripts.forEach(source => window.eval(source));
+  footprint.patchedHistory = window.history.pushState !== pushState || window.history.replaceState !== replaceState;
+
+  return { window, output, footprint };
+}
+
+describe('content script footprint', () => {
+  let page;
+
+  test('should only load content scripts on YouTube hosts', () => {
+    const matches = manifest.content_scripts.flatMap(entry => entry.matches);
+    expect(matches.length).toBeGreaterThan(0);
+    matches.forEach(pattern => {
+      expect(pattern).toMatch(/^(https|\*):\/\/(\*\.)?(youtube\.com|youtube-nocookie\.com)\//);
+    });
+
+    // Nothing is loaded on every site; the generic adapter is injected on demand
+    const everySite = manifest.content_scripts.filter(entry =>
+      entry.matches.some(pattern => pattern === '<all_urls>' || /^(\*|https?):\/\/\*\//.test(pattern)));
+    expect(everySite.flatMap(entry => entry.js)).toEqual([]);
+
+    // Embedded players (also inside other sites' pages) get the same scripts
+    const embeds = manifest.content_scripts.find(entry => entry.all_frames);
+    expect(embeds.matches).toContain('https://*.youtube-nocookie.com/embed/*');
+    expect(embeds.js).toEqual(manifest.content_scripts[0].js);
+  });
+
+  afterEach(() => {
+    page?.window.close();
+    page = null;
+  });
+
+  test('should only listen for popup messages on other sites', () => {
+    page = loadPage('https://news.example.com/article');
+
+    expect(page.footprint).toEqual({
+      listeners: [],
+      mutationObservers: 0,
+      storageWrites: 0,
+      messageListeners: 1,
+      patchedHistory: false
+    });
+    expect(page.output).toEqual([]);
+    expect(page.window.youtubeTranscriptExtractorLoaded).toBe(true);
+    expect(page.window.autoExtractTranscript).toBeUndefined();
+  });
+
+  test('should follow YouTube navigation through yt-navigate-finish without observing the DOM', () => {
+    page = loadPage('https://www.youtube.com/watch?v=aaaaaaaaaaa');
+    const { window, output, footprint } = page;
+
+    expect(footprint.mutationObservers).toBe(0);
+    expect(footprint.patchedHistory).toBe(false);
+    expect(footprint.listeners).toContain('yt-navigate-finish');
+
+    window.history.pushState({}, '', '/watch?v=bbbbbbbbbbb');
+    expect(output.some(line => line.includes('YouTube SPA navigation detected'))).toBe(false);
+
+    window.document.dispatchEvent(new window.Event('yt-navigate-finish'));
+    expect(output.filter(line => line.includes('YouTube SPA navigation detected'))).toHaveLength(1);
+
+    // A second event for the same URL is not another navigation
+    window.document.dispatchEvent(new window.Event('yt-navigate-finish'));
+    expect(output.filter(line => line.includes('YouTube SPA navigation detected'))).toHaveLength(1);
+  });
+
+  test('should fall back to the Navigation API until YouTube\'s own event is seen', () => {
+    page = loadPage('https://music.youtube.com/watch?v=aaaaaaaaaaa', { navigation: true });
+    const { window, output, footprint } = page;
+    const navigations = () => output.filter(line => line.includes('YouTube SPA navigation detected')).length;
+
+    expect(footprint.listeners).not.toContain('popstate');
+
+    window.history.pushState({}, '', '/watch?v=bbbbbbbbbbb');
+    window.navigation.dispatchEvent(new window.Event('navigatesuccess'));
+    expect(navigations()).toBe(1);
+
+    window.document.dispatchEvent(new window.Event('yt-navigate-finish'));
+    window.history.pushState({}, '', '/watch?v=ccccccccccc');
+    window.navigation.dispatchEvent(new window.Event('navigatesuccess'));
+    expect(navigations()).toBe(1);
+
+    window.document.dispatchEvent(new window.Event('yt-navigate-finish'));
+    expect(navigations()).toBe(2);
+  });
+
+  test('should not extract on video pages when auto-extraction is turned off', async () => {
+    page = loadPage('https://www.youtube.com/watch?v=aaaaaaaaaaa', { settings: { autoExtract: false } });
+
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    expect(page.output.some(line => line.includes('Auto-extraction is turned off'))).toBe(true);
+    expect(page.output.some(line => line.includes('Waiting for YouTube DOM'))).toBe(false);
+  });
+});
@@ -0,0 +1,127 @@
+// HTML5 Video Extractor and Extractor Registry Tests
+// WebVTT parsing, <track> selection and adapter dispatch
+
+const fs = require('fs');
+const path = require('path');
+
+require('../segment-timing.js');
+const { ExtractorRegistry } = require('../extractor-registry.js');
+const { Html5VideoExtractor } = require('../html5-video-extractor.js');
+
+const lectureVtt = fs.readFileSync(path.join(__dirname, 'fixtures', 'html5-video', 'lecture.vtt'), 'utf8');
+
+// A standalone document, since jest.setup.js mocks the global document's query methods
+function createPage(html) {
+  const page = document.implementation.createHTMLDocument('Lecture');
+  page.body.innerHTML = html;
+  return page;
+}
+
+describe('Html5VideoExtractor', () => {
+  describe('parseWebVtt', () => {
+    test('should parse cues and skip the header, NOTE and STYLE blocks', () => {
+      expect(Html5VideoExtractor.parseWebVtt(lectureVtt)).toEqual([
+        { startSeconds: 0.5, endSeconds: 3, timestamp: '0:00', text: 'Welcome back to the course.' },
+        { startSeconds: 3, endSeconds: 7.25, timestamp: '0:03', text: 'Today we cover gradient descent and why it works.' },
+        { startSeconds: 62, endSeconds: 65.5, timestamp: '1:02', text: 'Q&A follows <after> the break.' },
+        { startSeconds: 3600, endSeconds: 3602, timestamp: '1:00:00', text: 'That is all.' }
+      ]);
+    });
+
+    test('should handle CRLF line endings and a byte order mark', () => {
+      const segments = Html5VideoExtractor.parseWebVtt('\uFEFFWEBVTT\r\n\r\n00:05.000 --> 00:06.000\r\nShort form time\r\n');
+      expect(segments).toEqual([{ startSeconds: 5, endSeconds: 6, timestamp: '0:05', text: 'Short form time' }]);
+    });
+  });
+
+  describe('tracks', () => {
+    const page = createPage(`
+      <video src="lecture.mp4">
+        <track kind="chapters" src="chapters.vtt" srclang="en">
+        <track kind="subtitles" src="de.vtt" srclang="de" label="Deutsch">
+        <track kind="captions" src="en.vtt" srclang="en" label="English CC" default>
+        <track kind="captions" srclang="fr">
+      </video>
+    `);
+    const extractor = new Html5VideoExtractor({ document: page });
+
+    test('should list caption and subtitle tracks that have a source', async () => {
+      const { tracks } = await extractor.listTracks();
+      expect(tracks.map(track => [track.vssId, track.languageCode, track.name])).toEqual([
+        ['track:0', 'de', 'Deutsch'],
+        ['track:1', 'en', 'English CC']
+      ]);
+      expect(extractor.isReady()).toBe(true);
+    });
+
+    test('should select by vssId, then language, then the default track', () => {
+      const elements = extractor.getTrackElements();
+      expect(extractor.selectTrack(elements, { vssId: 'track:0' }).track.languageCode).toBe('de');
+      expect(extractor.selectTrack(elements, { languageCode: 'de' }).track.languageCode).toBe('de');
+      expect(extractor.selectTrack(elements, { languageCode: 'ja' }).track.languageCode).toBe('en');
+      expect(extractor.selectTrack(elements).track.languageCode).toBe('en');
+    });
+
+    test('should not be ready on pages without caption tracks', () => {
+      const plain = new Html5VideoExtractor({ document: createPage('<video src="clip.mp4"></video>') });
+      expect(plain.isReady()).toBe(false);
+    });
+  });
+
+  describe('extract', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should download the WebVTT file when the browser exposes no cues', async () => {
+      const page = createPage('<video><track kind="captions" src="https://lectures.example.edu/en.vtt" srclang="en"></video>');
+      global.fetch = jest.fn(async () => ({ ok: true, text: async () => lectureVtt }));
+
+      const result = await new Html5VideoExtractor({ document: page }).extract({ languageCode: 'en' });
+
+      expect(global.fetch).toHaveBeenCalledWith('https://lectures.example.edu/en.vtt', { credentials: 'include' });
+      expect(result.track).toMatchObject({ languageCode: 'en', vssId: 'track:0' });
+      expect(result.segments).toHaveLength(4);
+    });
+  });
+});
+
+describe('ExtractorRegistry', () => {
+  const adapter = (id, overrides = {}) => ({
+    id,
+    name: id,
+    matches: [/^https:\/\/video\.example\.com\//],
+    isReady: () => true,
+    extract: async () => ({ segments: [{ text: id }], track: null }),
+    ...overrides
+  });
+
+  test('should dispatch to the first matching adapter that is ready', async () => {
+    const registry = new ExtractorRegistry()
+      .register(adapter('site', { isReady: () => false }))
+      .register(adapter('other-site', { matches: [url => url.includes('elsewhere')] }))
+      .register(adapter('generic', { matches: [/^https?:/] }));
+
+    const result = await registry.extract('https://video.example.com/talk/1');
+
+    expect(result.adapter).toEqual({ id: 'generic', name: 'generic' });
+    expect(result.segments).toEqual([{ text: 'generic' }]);
+  });
+
+  test('should return no segments when nothing matches', async () => {
+    const registry = new ExtractorRegistry().register(adapter('site'));
+
+    expect(registry.findAdapter('https://unrelated.example.org/')).toBeNull();
+    expect(await registry.extract('https://unrelated.example.org/')).toEqual({ adapter: null, segments: [], track: null });
+  });
+
+  test('should reject incomplete or duplicate adapters', () => {
+    const registry = new ExtractorRegistry().register(adapter('site'));
+
+    expect(() => registry.register(adapter('site'))).toThrow('already registered');
+    expect(() => registry.register(adapter('no-matchers', { matches: [] }))).toThrow('URL matcher');
+    expect(() => registry.register(adapter('no-extract', { extract: undefined }))).toThrow('isReady() and extract()');
+  });
+});
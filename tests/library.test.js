@@ -0,0 +1,51 @@
+// Library Tests
+// Context menu results kept in storage, newest first
+
+require('../youtube-url.js');
+const { Library } = require('../library.js');
+
+describe('Library', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    global.chrome.storage.local.get.mockImplementation(async keys => {
+      return Object.fromEntries(keys.filter(key => key in stored).map(key => [key, JSON.parse(JSON.stringify(stored[key]))]));
+    });
+    global.chrome.storage.local.set.mockImplementation(async values => {
+      Object.assign(stored, JSON.parse(JSON.stringify(values)));
+    });
+  });
+
+  test('should keep entries from results that finish together, newest first', async () => {
+    const library = new Library();
+    await Promise.all([
+      library.add({ type: 'video-summary', videoId: 'aaaaaaaaaaa', title: 'First', content: 'points' }),
+      library.add({ type: 'passage-explanation', videoId: 'bbbbbbbbbbb', title: 'Second', content: 'meaning', passage: { text: 'a passage', startSeconds: 75.5 } })
+    ]);
+
+    expect(stored.library.map(entry => entry.title)).toEqual(['Second', 'First']);
+    expect(stored.library[1].url).toBe('https://www.youtube.com/watch?v=aaaaaaaaaaa');
+    expect(Library.getEntryUrl(stored.library[0])).toBe('https://www.youtube.com/watch?v=bbbbbbbbbbb&t=75s');
+    expect(Library.getEntryUrl(stored.library[1])).toBe('https://www.youtube.com/watch?v=aaaaaaaaaaa');
+  });
+
+  test('should remove entries and reject unknown types', async () => {
+    const library = new Library();
+    const entry = await library.add({ type: 'video-summary', videoId: 'aaaaaaaaaaa', content: 'points' });
+
+    expect(await library.remove('missing')).toBe(false);
+    expect(await library.remove(entry.id)).toBe(true);
+    expect(stored.library).toEqual([]);
+    expect(() => Library.createEntry({ type: 'article', content: 'x' })).toThrow('Unknown library entry type');
+  });
+
+  test('should drop the oldest entries past the limit', async () => {
+    stored.library = Array.from({ length: Library.MAX_ENTRIES }, (_, index) => ({ id: `old-${index}` }));
+    await new Library().add({ type: 'video-summary', content: 'newest' });
+
+    expect(stored.library).toHaveLength(Library.MAX_ENTRIES);
+    expect(stored.library[0].content).toBe('newest');
+    expect(stored.library[Library.MAX_ENTRIES - 1].id).toBe(`old-${Library.MAX_ENTRIES - 2}`);
+  });
+});
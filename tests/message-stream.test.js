@@ -0,0 +1,211 @@
+// Message Stream Tests
+// Rebuilding a Messages API answer from server-sent events, and streaming one from a local
+// stub server through AnthropicAPI
+
+const http = require('http');
+const { Readable } = require('stream');
+const { TextEncoder, TextDecoder } = require('util');
+Object.assign(global, { TextEncoder, TextDecoder });
+
+const { SegmentTiming } = require('../segment-timing.js');
+require('../transcript-cleaner.js');
+require('../video-metadata.js');
+require('../prompts.js');
+const { MessageStream } = require('../message-stream.js');
+require('../anthropic-provider.js');
+require('../openai-compatible-provider.js');
+const { AnthropicAPI } = require('../anthropic-api.js');
+
+const API_KEY = 'sk-ant-REDACTED';
+
+const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`;
+
+// The events of one streamed answer, with the text split into the given pieces
+function answerEvents(pieces, { outputTokens = 42 } = {}) {
+  return [
+    sse('message_start', { message: { id: 'msg_1', model: 'claude-test', content: [], usage: { input_tokens: 120, output_tokens: 1 } } }),
+    sse('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+    ': keep-alive\n\n',
+    sse('ping', {}),
+    ...pieces.map(text => sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text } })),
+    sse('content_block_stop', { index: 0 }),
+    sse('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: outputTokens } }),
+    sse('message_stop', {})
+  ];
+}
+
+describe('MessageStream', () => {
+  test('should rebuild the answer, text and usage from its events', () => {
+    const updates = [];
+    const stream = new MessageStream((delta, text) => updates.push([delta, text]));
+    answerEvents(['## Key', ' points', '\n- one']).forEach(event => stream.push(event));
+
+    const message = stream.finish();
+    expect(message.content).toEqual([{ type: 'text', text: '## Key points\n- one' }]);
+    expect(message).toMatchObject({ id: 'msg_1', model: 'claude-test', stop_reason: 'end_turn' });
+    expect(message.usage).toEqual({ input_tokens: 120, output_tokens: 42 });
+    expect(updates).toEqual([
+      ['## Key', '## Key'],
+      [' points', '## Key points'],
+      ['\n- one', '## Key points\n- one']
+    ]);
+  });
+
+  test('should not depend on how the network splits the stream', () => {
+    const raw = answerEvents(['Caches ', 'trade memory ', 'for speed.']).join('').replace(/\n/g, '\r\n');
+    const stream = new MessageStream();
+    for (let i = 0; i < raw.length; i += 7) {
+      stream.push(raw.slice(i, i + 7));
+    }
+
+    expect(stream.finish().content[0].text).toBe('Caches trade memory for speed.');
+  });
+
+  test('should turn an error event into an error with its HTTP status', () => {
+    const stream = new MessageStream();
+    stream.push(answerEvents(['Half an answer'])[0]);
+
+    let error;
+    try {
+      stream.push(sse('error', { error: { type: 'overloaded_error', message: 'Overloaded' } }));
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.status).toBe(529);
+    expect(error.message).toMatch(/overloaded/);
+  });
+
+  test('should treat a stream that ends before message_stop as a failure', () => {
+    const stream = new MessageStream();
+    answerEvents(['Cut', ' off']).slice(0, -2).forEach(event => stream.push(event));
+
+    expect(() => stream.finish()).toThrow('The response stream ended before the answer was complete');
+    expect(MessageStream.parseEvent(': ping')).toBeNull();
+    expect(() => MessageStream.parseEvent('event: message_delta\ndata: {oops')).toThrow('Malformed message_delta event');
+  });
+});
+
+describe('AnthropicAPI streaming', () => {
+  let server;
+  let requests;
+  let respond;
+
+  // Just enough fetch for the client, over a real HTTP connection to the stub
+  const fetchOverHttp = (url, { method, headers, body }) => new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers }, response => {
+      const body = Readable.toWeb(response);
+      resolve({
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        status: response.statusCode,
+        statusText: response.statusMessage,
+        json: async () => {
+          let text = '';
+          for await (const chunk of body) text += Buffer.from(chunk).toString();
+          return JSON.parse(text);
+        },
+        body
+      });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        requests.push({ headers: request.headers, body: JSON.parse(body) });
+        respond(response);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    global.fetch = fetchOverHttp;
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  // Writes the events one by one, as the API does while the answer is generated
+  const streamEvents = events => async response => {
+    response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of events) {
+      response.write(event);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    response.end();
+  };
+
+  const createApi = async () => {
+    const api = new AnthropicAPI();
+    await api.loadApiKey();
+    api.apiKey = API_KEY;
+    api.provider.baseURL = `http://127.0.0.1:${server.address().port}`;
+    return api;
+  };
+
+  test('should stream key points to onText as they arrive and keep the usage', async () => {
+    respond = streamEvents(answerEvents(['## Main', ' Topics\n', '- Caching [1:00]']));
+    const api = await createApi();
+    const transcript = { title: 'Caching', segments: [SegmentTiming.createSegment(60, 65, 'Caches trade memory for speed')] };
+
+    const seen = [];
+    const keyPoints = await api.extractKeyPoints(transcript, (delta, text) => seen.push(text));
+
+    expect(keyPoints).toBe('## Main Topics\n- Caching [1:00]');
+    expect(seen).toEqual(['## Main', '## Main Topics\n', '## Main Topics\n- Caching [1:00]']);
+    expect(api.lastUsage).toEqual({
+      input_tokens: 120,
+      output_tokens: 42,
+      model: 'claude-test',
+      cost: null,
+      requests: [{ input_tokens: 120, output_tokens: 42 }]
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body).toMatchObject({ stream: true, model: api.model });
+    expect(requests[0].headers['x-api-key']).toBe(API_KEY);
+  });
+
+  test('should fail when the stream reports an error part way through', async () => {
+    respond = streamEvents([
+      ...answerEvents(['Half an answer']).slice(0, 5),
+      sse('error', { error: { type: 'overloaded_error', message: 'Overloaded' } })
+    ]);
+    const api = await createApi();
+
+    const seen = [];
+    await expect(api.makeStreamingRequest(API_KEY, [{ role: 'user', content: 'Hi' }], null, (delta, text) => seen.push(text)))
+      .rejects.toMatchObject({ status: 529 });
+    expect(seen).toEqual(['Half an answer']);
+  });
+
+  test('should fail when the connection closes before the answer is complete', async () => {
+    respond = streamEvents(answerEvents(['Cut', ' off']).slice(0, 6));
+    const api = await createApi();
+
+    await expect(api.makeStreamingRequest(API_KEY, [{ role: 'user', content: 'Hi' }]))
+      .rejects.toThrow('The response stream ended before the answer was complete');
+  });
+
+  test('should report HTTP errors the same way as a non-streamed request', async () => {
+    respond = response => {
+      response.writeHead(401, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }));
+    };
+    const api = await createApi();
+
+    await expect(api.makeStreamingRequest(API_KEY, [{ role: 'user', content: 'Hi' }]))
+      .rejects.toThrow('Invalid API key. Please check your Anthropic API key in settings.');
+    expect(api.lastUsage).toBeNull();
+  });
+});
@@ -0,0 +1,203 @@
+// OpenAI-compatible Provider Tests
+// Chat completions rebuilt from server-sent events, and key points from a local server
+// (Ollama, llama.cpp) through AnthropicAPI with the provider's own key, models and errors
+
+const { TextEncoder, TextDecoder } = require('util');
+Object.assign(global, { TextEncoder, TextDecoder });
+
+const { SegmentTiming } = require('../segment-timing.js');
+require('../transcript-cleaner.js');
+require('../video-metadata.js');
+require('../prompts.js');
+require('../transcript-chunker.js');
+require('../message-stream.js');
+const { ChatCompletionStream } = require('../chat-completion-stream.js');
+require('../anthropic-provider.js');
+require('../openai-compatible-provider.js');
+const { AnthropicAPI } = require('../anthropic-api.js');
+
+const data = chunk => `data: ${JSON.stringify(chunk)}\n\n`;
+const delta = content => data({ id: 'chatcmpl-1', model: 'llama3.1', choices: [{ index: 0, delta: { content }, finish_reason: null }] });
+
+// The chunks of one streamed answer, usage last as stream_options.include_usage asks
+function completionChunks(pieces) {
+  return [
+    data({ id: 'chatcmpl-1', model: 'llama3.1', choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }] }),
+    ...pieces.map(delta),
+    data({ id: 'chatcmpl-1', model: 'llama3.1', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }),
+    data({ id: 'chatcmpl-1', model: 'llama3.1', choices: [], usage: { prompt_tokens: 90, completion_tokens: 12, total_tokens: 102 } }),
+    'data: [DONE]\n\n'
+  ];
+}
+
+const transcript = { title: 'Caching', segments: [SegmentTiming.createSegment(60, 65, 'Caches trade memory for speed')] };
+
+describe('ChatCompletionStream', () => {
+  test('should rebuild the completion from chunks split anywhere', () => {
+    const seen = [];
+    const stream = new ChatCompletionStream((piece, text) => seen.push(text));
+    const raw = completionChunks(['## Main', ' Topics']).join('').replace(/\n/g, '\r\n');
+    for (let index = 0; index < raw.length; index += 7) {
+      stream.push(raw.slice(index, index + 7));
+    }
+
+    const completion = stream.finish();
+    expect(seen).toEqual(['## Main', '## Main Topics']);
+    expect(completion.model).toBe('llama3.1');
+    expect(completion.choices[0]).toMatchObject({ message: { role: 'assistant', content: '## Main Topics' }, finish_reason: 'stop' });
+    expect(completion.usage).toMatchObject({ prompt_tokens: 90, completion_tokens: 12 });
+  });
+
+  test('should fail on a stream cut off early or an error chunk', () => {
+    const cut = new ChatCompletionStream();
+    completionChunks(['Cut']).slice(0, 2).forEach(chunk => cut.push(chunk));
+    expect(() => cut.finish()).toThrow('The response stream ended before the answer was complete');
+
+    // Servers that end with the finish reason but no [DONE] still complete
+    const undone = new ChatCompletionStream();
+    completionChunks(['Done']).slice(0, -1).forEach(chunk => undone.push(chunk));
+    expect(undone.finish().choices[0].message.content).toBe('Done');
+
+    const failing = new ChatCompletionStream();
+    expect(() => failing.push(data({ error: { message: 'model is out of memory' } }))).toThrow('model is out of memory');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  let api;
+
+  beforeEach(async () => {
+    const stored = {
+      settings: { provider: { id: 'openai-compatible', baseURL: 'http://localhost:8080/v1/' } },
+      anthropic_api_key: 'sk-ant-REDACTED'
+    };
+    global.chrome.storage.local.get.mockImplementation(async keys =>
+      Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])));
+    api = new AnthropicAPI();
+    await api.ready;
+    api.transcriptSource = 'raw';
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should use the saved server with its own key, which it can do without', async () => {
+    expect(api.provider.id).toBe('openai-compatible');
+    expect(api.provider.baseURL).toBe('http://localhost:8080/v1');
+    expect(api.model).toBe('llama3.1');
+    // The Anthropic key stays with the Anthropic provider
+    expect(api.apiKey).toBeNull();
+    expect(api.isConfigured()).toBe(true);
+
+    await api.saveApiKey('local-secret');
+    expect(global.chrome.storage.local.set).toHaveBeenCalledWith({ openai_compatible_api_key: 'local-secret' });
+    expect(AnthropicAPI.normalizeBaseURL('ftp://localhost/v1')).toBeNull();
+    expect(AnthropicAPI.getPermissionPattern('http://localhost:11434/v1')).toBe('http://localhost/*');
+  });
+
+  test('should send chat completions and read the answer and usage from them', async () => {
+    const requests = [];
+    global.fetch = jest.fn(async (url, options) => {
+      requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+      return {
+        ok: true,
+        json: async () => ({
+          model: 'llama3.1',
+          choices: [{ index: 0, message: { role: 'assistant', content: '- Caching [1:00]' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 90, completion_tokens: 12 }
+        })
+      };
+    });
+    api.updateSettings({ model: 'qwen2.5:7b', temperature: 1.5, stopSequences: ['## Sources'] });
+
+    await expect(api.extractKeyPoints(transcript)).resolves.toBe('- Caching [1:00]');
+    expect(requests[0].url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(requests[0].headers.Authorization).toBeUndefined();
+    expect(requests[0].body).toMatchObject({ model: 'qwen2.5:7b', max_tokens: 8000, temperature: 1.5, stop: ['## Sources'] });
+    // Nothing is charged for a server on this machine
+    expect(api.lastUsage).toEqual({
+      input_tokens: 90,
+      output_tokens: 12,
+      model: 'llama3.1',
+      cost: 0,
+      requests: [{ input_tokens: 90, output_tokens: 12 }]
+    });
+  });
+
+  test('should stream the answer to onText', async () => {
+    const encoder = new TextEncoder();
+    const chunks = completionChunks(['## Main', ' Topics']).map(chunk => encoder.encode(chunk));
+    let body;
+    global.fetch = jest.fn(async (url, options) => {
+      body = JSON.parse(options.body);
+      return { ok: true, body: { getReader: () => ({ read: async () => chunks.length ? { done: false, value: chunks.shift() } : { done: true } }) } };
+    });
+
+    const seen = [];
+    await expect(api.extractKeyPoints(transcript, (piece, text) => seen.push(text))).resolves.toBe('## Main Topics');
+    expect(body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(seen).toEqual(['## Main', '## Main Topics']);
+    expect(api.lastUsage).toMatchObject({ input_tokens: 90, output_tokens: 12 });
+  });
+
+  test('should list the installed models and explain what the server refused', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ object: 'list', data: [{ id: 'qwen2.5:7b' }, { id: 'llama3.1:latest' }] }) }));
+    await expect(api.listModels()).resolves.toEqual([
+      { id: 'llama3.1:latest', label: 'llama3.1:latest', maxOutputTokens: null },
+      { id: 'qwen2.5:7b', label: 'qwen2.5:7b', maxOutputTokens: null }
+    ]);
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:8080/v1/models', expect.anything());
+
+    global.fetch = jest.fn(async () => ({ ok: false, status: 404, statusText: 'Not Found', json: async () => ({ error: { message: 'model "mistral" not found, try pulling it first' } }) }));
+    await expect(api.extractKeyPoints(transcript)).rejects.toThrow('Not found on the server (model "mistral" not found, try pulling it first)');
+
+    global.fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+    await expect(api.extractKeyPoints(transcript)).rejects.toThrow('Network error: could not reach http://localhost:8080/v1');
+  });
+
+  test('should read transcripts longer than the server\'s context in parts', async () => {
+    // 40 segments of 100 tokens; a 4096 context takes 1572 transcript tokens per request
+    const long = {
+      title: 'Caching',
+      segments: Array.from({ length: 40 }, (_, index) => SegmentTiming.createSegment(index * 10, index * 10 + 10, 'word '.repeat(80).trim()))
+    };
+    await api.useProvider({ id: 'openai-compatible', baseURL: 'http://localhost:8080/v1', contextTokens: 4096 });
+    expect(api.provider.getContextTokens()).toBe(4096);
+    expect(api.getChunkLimits()).toEqual({ maxTranscriptTokens: 1572, partTokens: 1572 });
+    api.makeRequest = jest.fn(async () => ({ text: '- point', usage: null }));
+
+    await api.extractKeyPoints(long);
+    expect(api.makeRequest).toHaveBeenCalledTimes(4);
+    expect(api.makeRequest.mock.calls[0][1][0].content).toContain('split into 3 parts');
+
+    // Without a context size the server gets the default, and a bad one is ignored
+    expect(AnthropicAPI.createProvider({ id: 'openai-compatible' }).contextTokens).toBe(8192);
+    expect(AnthropicAPI.createProvider({ id: 'openai-compatible', contextTokens: 100 }).contextTokens).toBe(8192);
+    // Claude models read the same transcript at once
+    expect(AnthropicAPI.createProvider().getContextTokens('claude-sonnet-4-20250514')).toBe(200000);
+  });
+
+  test('should reset to an installed model when the default isn\'t one', () => {
+    const installed = [{ id: 'qwen2.5:7b', label: 'qwen2.5:7b' }, { id: 'mistral', label: 'mistral' }];
+    expect(AnthropicAPI.getDefaultModel(api.provider, installed)).toBe('qwen2.5:7b');
+    expect(AnthropicAPI.getDefaultModel(api.provider, [...installed, { id: 'llama3.1', label: 'llama3.1' }])).toBe('llama3.1');
+    // A server that couldn't be asked leaves the default
+    expect(AnthropicAPI.getDefaultModel(api.provider, [])).toBe('llama3.1');
+  });
+
+  test('should check generation settings against what the provider accepts', () => {
+    const { errors } = AnthropicAPI.validateGeneration({
+      model: 'mistral',
+      maxTokens: { keyPoints: 100000, article: 0 },
+      temperature: 1.5,
+      stopSequences: ['a', 'b', 'c', 'd', 'e']
+    }, api.provider);
+
+    expect(errors).toEqual([
+      'Article max tokens must be a whole number of at least 1',
+      'Use at most 4 stop sequences'
+    ]);
+    expect(AnthropicAPI.validateGeneration({ temperature: 1.5 }).errors).toEqual(['Temperature must be between 0 and 1']);
+  });
+});
@@ -0,0 +1,84 @@
+// Panel Loader Tests
+// Scrolling a lazily rendered transcript panel until its segment count settles
+
+const { PanelLoader } = require('../panel-loader.js');
+
+// Fake panel that renders one more batch of `batchSize` items each time it's scrolled
+function createLazyPanel(total, batchSize) {
+  const doc = document.implementation.createHTMLDocument('panel');
+  const container = doc.createElement('div');
+  doc.body.appendChild(container);
+
+  let scrollTop = 0;
+  let rendered = 0;
+  const renderBatch = () => {
+    for (let count = 0; count < batchSize && rendered < total; count++, rendered++) {
+      const item = doc.createElement('div');
+      item.className = 'segment';
+      container.appendChild(item);
+    }
+  };
+
+  Object.defineProperty(container, 'clientHeight', { get: () => 100 });
+  Object.defineProperty(container, 'scrollHeight', { get: () => rendered * 40 });
+  Object.defineProperty(container, 'scrollTop', {
+    get: () => scrollTop,
+    set: value => {
+      scrollTop = value;
+      if (value > 0) renderBatch();
+    }
+  });
+  container.style.overflowY = 'auto';
+
+  renderBatch();
+  return { container, query: () => container.querySelectorAll('.segment'), getScrollTop: () => scrollTop };
+}
+
+// Virtual clock so timeouts don't take real time
+function createClock() {
+  let time = 0;
+  return {
+    now: () => time,
+    sleep: async ms => { time += ms; }
+  };
+}
+
+describe('PanelLoader', () => {
+  test('should scroll until every batch has rendered', async () => {
+    const panel = createLazyPanel(250, 50);
+    const loader = new PanelLoader({ ...createClock(), settleChecks: 2 });
+
+    const result = await loader.load(panel.query);
+
+    expect(result.complete).toBe(true);
+    expect(result.items).toHaveLength(250);
+    expect(panel.getScrollTop()).toBe(0);
+  });
+
+  test('should not settle while the continuation spinner is showing', async () => {
+    const panel = createLazyPanel(10, 10);
+    let spinnerRounds = 3;
+    const loader = new PanelLoader({
+      ...createClock(),
+      settleChecks: 2,
+      isLoading: () => spinnerRounds-- > 0
+    });
+
+    const result = await loader.load(panel.query);
+
+    expect(result.complete).toBe(true);
+    expect(result.rounds).toBe(5);
+  });
+
+  test('should report an incomplete load when the count never settles', async () => {
+    let count = 0;
+    const query = () => new Array(++count).fill(null);
+    const loader = new PanelLoader({ ...createClock(), interval: 1000, maxWait: 5000 });
+
+    const result = await loader.load(query);
+
+    expect(result.complete).toBe(false);
+    expect(result.rounds).toBe(5);
+    expect(result.items.length).toBeGreaterThan(1);
+  });
+});
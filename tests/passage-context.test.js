@@ -0,0 +1,71 @@
+// Passage Context Tests
+// Finding a selected passage in the transcript and the prompt that explains it
+
+const { SegmentTiming } = require('../segment-timing.js');
+const { TranscriptCleaner } = require('../transcript-cleaner.js');
+require('../video-metadata.js');
+const { PassageContext } = require('../passage-context.js');
+require('../anthropic-provider.js');
+require('../openai-compatible-provider.js');
+require('../anthropic-api.js');
+require('../prompts.js');
+const { AnthropicAPI } = window;
+
+const seg = (start, text) => SegmentTiming.createSegment(start, null, text);
+
+// One line every 30 seconds for ten minutes
+const segments = Array.from({ length: 20 }, (_, index) => seg(index * 30, `line ${index} of the talk`));
+segments[10] = seg(300, 'Caches trade memory for speed,');
+segments[11] = seg(330, "but invalidation is the hard part.");
+const transcript = { title: 'Caching', segments };
+
+describe('PassageContext', () => {
+  test('should find a selection copied from the transcript panel, timestamps and all', () => {
+    const selection = '5:00\nCaches trade memory for speed,\n5:30\nbut invalidation is the hard part.';
+    expect(PassageContext.locate(segments, selection)).toEqual({ startIndex: 10, endIndex: 11 });
+    expect(PassageContext.locate(segments, 'CACHES TRADE memory')).toEqual({ startIndex: 10, endIndex: 10 });
+    expect(PassageContext.locate(segments, 'the talk')).toBeNull();
+  });
+
+  test('should match on the end of a selection that starts on non-speech text', () => {
+    const selection = 'Chapter 3: Caching\nbut invalidation is the hard part';
+    expect(PassageContext.locate(segments, selection)).toEqual({ startIndex: 11, endIndex: 11 });
+    expect(PassageContext.locate(segments, 'never said in this talk')).toBeNull();
+    expect(PassageContext.locate(segments, '  ')).toBeNull();
+  });
+
+  test('should give the AI the transcript within the context window around the passage', () => {
+    const context = PassageContext.find(transcript, 'invalidation is the hard part', 60);
+
+    expect(context).toMatchObject({ found: true, startSeconds: 330 });
+    expect(context.segments.map(segment => segment.startSeconds)).toEqual([270, 300, 330, 360, 390]);
+  });
+
+  test('should fall back to the whole transcript for a passage it cannot find', () => {
+    const context = PassageContext.find(transcript, 'something from the description');
+    expect(context).toMatchObject({ found: false, startSeconds: null });
+    expect(context.segments).toBe(segments);
+  });
+
+  test('should take a fixed number of segments around passages without timestamps', () => {
+    const untimed = Array.from({ length: 40 }, (_, index) => seg(null, `sentence number ${index}`));
+    const range = PassageContext.locate(untimed, 'sentence number 20');
+    expect(PassageContext.around(untimed, range)).toHaveLength(2 * PassageContext.CONTEXT_SEGMENTS + 1);
+  });
+
+  test('should explain the passage with its time and the timed transcript around it', async () => {
+    const api = new AnthropicAPI();
+    await api.loadApiKey();
+    api.apiKey = 'sk-ant-test';
+    api.makeRequest = jest.fn().mockResolvedValue({ text: 'It means stale data.' });
+
+    const result = await api.explainPassage(TranscriptCleaner.withCleaned(transcript), 'invalidation is the hard part');
+
+    expect(result).toEqual({ explanation: 'It means stale data.', startSeconds: 330 });
+    const prompt = api.makeRequest.mock.calls[0][1][0].content;
+    expect(prompt).toContain('Passage (at 5:30):\ninvalidation is the hard part');
+    expect(prompt).toContain('[5:00] Caches trade memory for speed,');
+    expect(prompt).not.toContain('line 0 of the talk');
+    await expect(api.explainPassage(transcript, ' ')).rejects.toThrow('No passage selected');
+  });
+});
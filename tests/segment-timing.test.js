@@ -0,0 +1,129 @@
+// Segment Timing Model Tests
+// Numeric start/end times, display labels and migration of stored segment shapes
+
+require('../youtube-url.js');
+const { SegmentTiming } = require('../segment-timing.js');
+require('../tab-manager.js');
+
+describe('SegmentTiming', () => {
+  describe('labels', () => {
+    test('should format minutes and hours', () => {
+      expect(SegmentTiming.formatTimestamp(0)).toBe('0:00');
+      expect(SegmentTiming.formatTimestamp(59.9)).toBe('0:59');
+      expect(SegmentTiming.formatTimestamp(754)).toBe('12:34');
+      expect(SegmentTiming.formatTimestamp(3723)).toBe('1:02:03');
+      expect(SegmentTiming.formatTimestamp(null)).toBe('');
+    });
+
+    test('should parse panel labels and reject index-only labels', () => {
+      expect(SegmentTiming.parseTimestamp('0:05')).toBe(5);
+      expect(SegmentTiming.parseTimestamp('12:34')).toBe(754);
+      expect(SegmentTiming.parseTimestamp(' 1:02:03 ')).toBe(3723);
+      expect(SegmentTiming.parseTimestamp('3')).toBeNull();
+      expect(SegmentTiming.parseTimestamp('')).toBeNull();
+      expect(SegmentTiming.parseTimestamp(undefined)).toBeNull();
+    });
+  });
+
+  describe('findTimestamps', () => {
+    test('should find timestamps in AI output for deep links', () => {
+      const found = SegmentTiming.findTimestamps('Intro at 0:00, the demo [12:30] and Q&A from 1:02:03.');
+      expect(found.map(({ label, seconds }) => [label, seconds])).toEqual([
+        ['0:00', 0],
+        ['12:30', 750],
+        ['1:02:03', 3723]
+      ]);
+      expect('Intro at 0:00, the demo [12:30]'.slice(found[1].index, found[1].index + found[1].length)).toBe('12:30');
+    });
+
+    test('should ignore ratios, versions and invalid seconds', () => {
+      expect(SegmentTiming.findTimestamps('ratio 16:9, version 1.2:30, value 3:75, 1:2:3:4')).toEqual([]);
+      expect(SegmentTiming.findTimestamps(null)).toEqual([]);
+    });
+  });
+
+  describe('fillEndTimes', () => {
+    test('should end each segment where the next timed segment starts and the last at the video end', () => {
+      const segments = SegmentTiming.fillEndTimes([
+        SegmentTiming.createSegment(0, null, 'first'),
+        SegmentTiming.createSegment(null, null, 'untimed'),
+        SegmentTiming.createSegment(4, null, 'second'),
+        SegmentTiming.createSegment(9, null, 'last')
+      ], 12.5);
+
+      expect(segments.map(segment => segment.endSeconds)).toEqual([4, null, 9, 12.5]);
+    });
+
+    test('should keep the last segment zero-length when the duration is unknown', () => {
+      const [segment] = SegmentTiming.fillEndTimes([SegmentTiming.createSegment(30, null, 'only')]);
+      expect(segment.endSeconds).toBe(30);
+    });
+  });
+
+  describe('coverage', () => {
+    test('should measure coverage from the last segment start, not the filled-in end', () => {
+      const segments = SegmentTiming.fillEndTimes([
+        SegmentTiming.createSegment(0, null, 'first'),
+        SegmentTiming.createSegment(null, null, 'untimed'),
+        SegmentTiming.createSegment(150, null, 'end of first batch')
+      ], 600);
+
+      expect(SegmentTiming.coverage(segments, 600)).toEqual({ fraction: 0.25, lastSeconds: 150, durationSeconds: 600 });
+      expect(SegmentTiming.coverage(segments, null)).toBeNull();
+      expect(SegmentTiming.coverage([SegmentTiming.createSegment(null, null, 'untimed')], 600)).toBeNull();
+    });
+
+    test('should treat unsettled or short transcripts as partial', () => {
+      expect(SegmentTiming.isPartial({ fraction: 0.25, complete: true })).toBe(true);
+      expect(SegmentTiming.isPartial({ fraction: 0.98, complete: false })).toBe(true);
+      expect(SegmentTiming.isPartial({ fraction: null, complete: false })).toBe(true);
+      expect(SegmentTiming.isPartial({ fraction: 0.9, complete: true })).toBe(false);
+      expect(SegmentTiming.isPartial(null)).toBe(false);
+    });
+  });
+
+  describe('migrateTranscript', () => {
+    test('should migrate label-only, index-only and start/duration segments', () => {
+      const stored = {
+        title: 'Old transcript',
+        segments: [
+          { timestamp: '0:00', text: 'From the panel' },
+          { timestamp: '0:07', text: 'Also from the panel' },
+          { timestamp: '2', text: 'From the old caption fallback' },
+          { timestamp: '1:00', text: 'From a caption track', start: 60.2, duration: 3 }
+        ]
+      };
+
+      const migrated = SegmentTiming.migrateTranscript(stored);
+
+      expect(migrated.title).toBe('Old transcript');
+      expect(migrated.segments[0]).toEqual({ startSeconds: 0, endSeconds: 7, timestamp: '0:00', text: 'From the panel' });
+      expect(migrated.segments[1]).toMatchObject({ startSeconds: 7, endSeconds: 60.2 });
+      expect(migrated.segments[2]).toEqual({ startSeconds: null, endSeconds: null, timestamp: '', text: 'From the old caption fallback' });
+      expect(migrated.segments[3]).toMatchObject({ startSeconds: 60.2, endSeconds: 63.2, timestamp: '1:00' });
+    });
+
+    test('should return current transcripts untouched', () => {
+      const current = { segments: [SegmentTiming.createSegment(1, 2, 'done')] };
+      expect(SegmentTiming.migrateTranscript(current)).toBe(current);
+      expect(SegmentTiming.migrateTranscript(null)).toBeNull();
+    });
+  });
+
+  describe('TabManager migration', () => {
+    test('should migrate stored tab transcripts once and write them back', async () => {
+      global.chrome.storage.local.get.mockResolvedValue({
+        youtubeTabs: {
+          7: { tabId: 7, transcript: { segments: [{ timestamp: '0:03', text: 'stored before timing' }] } },
+          8: { tabId: 8, transcript: null }
+        }
+      });
+
+      const tabs = await new window.TabManager().getAllTabs();
+
+      expect(tabs[7].transcript.segments[0]).toMatchObject({ startSeconds: 3, endSeconds: 3, timestamp: '0:03' });
+      expect(global.chrome.storage.local.set).toHaveBeenCalledTimes(1);
+      expect(global.chrome.storage.local.set.mock.calls[0][0].youtubeTabs[7].transcript.segments[0].startSeconds).toBe(3);
+    });
+  });
+});
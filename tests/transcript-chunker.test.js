@@ -0,0 +1,200 @@
+// Transcript Chunker Tests
+// Token estimates, parts split on chapter and segment boundaries, and key points extracted
+// from a long transcript in parts and merged
+
+const { SegmentTiming } = require('../segment-timing.js');
+const { TranscriptCleaner } = require('../transcript-cleaner.js');
+require('../video-metadata.js');
+require('../chapters.js');
+const { TranscriptChunker } = require('../transcript-chunker.js');
+require('../anthropic-provider.js');
+require('../openai-compatible-provider.js');
+require('../anthropic-api.js');
+require('../prompts.js');
+const { AnthropicAPI } = window;
+
+// One 400-character (100-token) line every 10 seconds
+const line = (index) => `Line ${index} ${Array.from({ length: 120 }, (_, word) => `w${word}`).join(' ')}`.slice(0, 400);
+const makeTranscript = (count, chapters = []) => ({
+  title: 'Long talk',
+  segments: Array.from({ length: count }, (_, index) => SegmentTiming.createSegment(index * 10, index * 10 + 10, line(index))),
+  metadata: { chapters }
+});
+
+describe('TranscriptChunker', () => {
+  test('should estimate tokens from characters, counting CJK characters as one each', () => {
+    expect(TranscriptChunker.estimateTokens('')).toBe(0);
+    expect(TranscriptChunker.estimateTokens('a'.repeat(400))).toBe(100);
+    expect(TranscriptChunker.estimateTokens('キャッシュ')).toBe(5);
+    expect(TranscriptChunker.isTooLong('a'.repeat(4 * 120000))).toBe(false);
+    expect(TranscriptChunker.isTooLong('a'.repeat(4 * 120000 + 4))).toBe(true);
+    expect(TranscriptChunker.isTooLong('a'.repeat(4 * 5000), 4644)).toBe(true);
+  });
+
+  test('should size transcripts and parts by the model\'s context and answer length', () => {
+    expect(TranscriptChunker.getLimits(200000, 8000)).toEqual({ maxTranscriptTokens: 120000, partTokens: 30000 });
+    expect(TranscriptChunker.getLimits(32768, 8000)).toEqual({ maxTranscriptTokens: 19660, partTokens: 19660 });
+    // An 8k context keeps a quarter for the answer and the prompt's room, not the whole 8000
+    expect(TranscriptChunker.getLimits(8192, 8000)).toEqual({ maxTranscriptTokens: 4644, partTokens: 4644 });
+    expect(TranscriptChunker.getLimits(8192, 1000)).toEqual({ maxTranscriptTokens: 4915, partTokens: 4915 });
+  });
+
+  test('should split between segments when there are no chapters', () => {
+    const parts = TranscriptChunker.split(makeTranscript(10), 'raw', 300);
+
+    expect(parts.map(part => part.segments.length)).toEqual([3, 3, 3, 1]);
+    expect(parts.map(part => [part.startSeconds, part.endSeconds])).toEqual([[0, 30], [30, 60], [60, 90], [90, 100]]);
+    expect(parts[1].text).toBe([line(3), line(4), line(5)].join(' '));
+    expect(TranscriptChunker.formatRange(parts[1])).toBe(' (0:30 - 1:00)');
+  });
+
+  test('should keep chapters whole where they fit and split the ones that do not', () => {
+    const chapters = [
+      { startSeconds: 0, endSeconds: 20, title: 'Intro' },
+      { startSeconds: 20, endSeconds: 40, title: 'Caching' },
+      { startSeconds: 40, endSeconds: 100, title: 'Invalidation' }
+    ];
+    const parts = TranscriptChunker.split(makeTranscript(10, chapters), 'raw', 300);
+
+    // Intro (2 segments) and Caching (2) don't share a part; Invalidation (6) is split
+    expect(parts.map(part => part.segments.map(segment => segment.startSeconds))).toEqual([
+      [0, 10],
+      [20, 30],
+      [40, 50, 60],
+      [70, 80, 90]
+    ]);
+  });
+
+  test('should give the AI the same text in parts as in one piece', () => {
+    const transcript = TranscriptCleaner.withCleaned(makeTranscript(12));
+    const parts = TranscriptChunker.split(transcript, 'cleaned', 500);
+
+    expect(parts.length).toBeGreaterThan(1);
+    expect(parts.map(part => part.text).join(' ').replace(/\s+/g, ' '))
+      .toBe(TranscriptCleaner.getText(transcript, 'cleaned').replace(/\s+/g, ' '));
+    expect(TranscriptChunker.describeProgress({ stage: 'parts', done: 2, total: 5 })).toBe('read 2 of 5 parts');
+    expect(TranscriptChunker.describeProgress({ stage: 'merge', total: 5 })).toBe('merging key points from 5 parts');
+  });
+});
+
+describe('TranscriptChunker merge groups', () => {
+  test('should group neighbours up to the limit, and at least two at a time', () => {
+    expect(TranscriptChunker.groupForMerge([5, 5, 5, 20, 1], tokens => tokens, 10)).toEqual([[5, 5], [5, 20], [1]]);
+    expect(TranscriptChunker.groupForMerge([3, 3, 3], tokens => tokens, 10)).toEqual([[3, 3, 3]]);
+  });
+});
+
+describe('AnthropicAPI key points in parts', () => {
+  // Over the single-request limit: 1,300 segments of 100 tokens each, 5 parts of 30,000
+  const longTranscript = makeTranscript(1300);
+
+  const createApi = async () => {
+    const api = new AnthropicAPI();
+    await api.loadApiKey();
+    api.apiKey = 'sk-ant-REDACTED';
+    api.transcriptSource = 'raw';
+    return api;
+  };
+
+  test('should extract key points per part, a few at a time, then merge them', async () => {
+    const api = await createApi();
+    let running = 0;
+    let mostRunning = 0;
+    api.makeRequest = jest.fn(async (apiKey, messages) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+
+      const prompt = messages[0].content;
+      const part = prompt.match(/this is part (\d+)/);
+      return {
+        model: 'claude-test',
+        text: part ? `- point from part ${part[1]}` : '- merged points',
+        usage: { input_tokens: 1000, output_tokens: 100 }
+      };
+    });
+
+    const progress = [];
+    const keyPoints = await api.extractKeyPoints(longTranscript, null, update => progress.push(update));
+
+    expect(keyPoints).toBe('- merged points');
+    expect(api.makeRequest).toHaveBeenCalledTimes(6);
+    expect(mostRunning).toBe(TranscriptChunker.CONCURRENCY);
+
+    const partPrompts = api.makeRequest.mock.calls.slice(0, 5).map(call => call[1][0].content);
+    expect(partPrompts[0]).toContain('split into 5 parts and this is part 1 (0:00 - 50:00)');
+    partPrompts.forEach(prompt => expect(TranscriptChunker.estimateTokens(prompt)).toBeLessThan(TranscriptChunker.PART_TOKENS + 1000));
+
+    const mergePrompt = api.makeRequest.mock.calls[5][1][0].content;
+    expect(mergePrompt).toContain('from the 5 consecutive parts');
+    expect(mergePrompt.indexOf('### Part 1 (0:00 - 50:00)\n- point from part 1'))
+      .toBeLessThan(mergePrompt.indexOf('### Part 5'));
+
+    expect(progress[0]).toEqual({ stage: 'parts', done: 0, total: 5 });
+    expect(progress.slice(-2)).toEqual([{ stage: 'parts', done: 5, total: 5 }, { stage: 'merge', total: 5 }]);
+    expect(api.lastUsage).toMatchObject({ input_tokens: 6000, output_tokens: 600, model: 'claude-test', cost: null });
+    expect(api.lastUsage.requests).toHaveLength(6);
+  });
+
+  test('should merge key points too long for one request in rounds of neighbouring parts', async () => {
+    const api = await createApi();
+    // Every part answers with about 30,000 tokens: four fit in one merge, the fifth waits for the last
+    api.makeRequest = jest.fn(async (apiKey, messages) => {
+      const prompt = messages[0].content;
+      const part = prompt.match(/this is part (\d+)/);
+      const text = part
+        ? `- part ${part[1]} ${'x'.repeat(4 * 30000 - 20)}`
+        : (prompt.includes('for the whole video') ? '- all merged' : '- parts 1 to 4 merged');
+      return { model: 'claude-test', text, usage: { input_tokens: 10, output_tokens: 1 } };
+    });
+
+    const progress = [];
+    await expect(api.extractKeyPoints(longTranscript, null, update => progress.push(update))).resolves.toBe('- all merged');
+    expect(api.makeRequest).toHaveBeenCalledTimes(7);
+
+    const groupPrompt = api.makeRequest.mock.calls[5][1][0].content;
+    expect(groupPrompt).toContain('from the 4 consecutive parts');
+    expect(groupPrompt).toContain('for the stretch of the video they cover (0:00 - ');
+    expect(groupPrompt).not.toContain('- part 5');
+
+    const finalPrompt = api.makeRequest.mock.calls[6][1][0].content;
+    expect(finalPrompt).toContain('from the 2 consecutive parts');
+    expect(finalPrompt).toContain('for the whole video');
+    expect(finalPrompt).toMatch(/### Part 1 \(0:00 - [\d:]+\)\n- parts 1 to 4 merged/);
+    expect(finalPrompt).toContain('- part 5 ');
+
+    expect(progress.filter(update => update.stage === 'merge')).toEqual([{ stage: 'merge', total: 5 }, { stage: 'merge', total: 2 }]);
+    expect(api.lastUsage.requests).toHaveLength(7);
+
+    // The estimate plans the same rounds for answers as long as max_tokens
+    api.maxTokens = 30000;
+    expect(api.estimateKeyPoints(longTranscript)).toMatchObject({ requests: 7, maxOutputTokens: 7 * 30000 });
+  });
+
+  test('should stop at the first part that fails', async () => {
+    const api = await createApi();
+    api.makeRequest = jest.fn(async (apiKey, messages) => {
+      if (messages[0].content.includes('this is part 2')) throw new Error('Rate limit exceeded. Please wait a moment and try again.');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { text: '- point', usage: null };
+    });
+
+    await expect(api.extractKeyPoints(longTranscript)).rejects.toThrow('Rate limit exceeded');
+    expect(api.makeRequest.mock.calls.length).toBeLessThan(6);
+  });
+
+  test('should send short transcripts in one request, and leave long ones out of the article', async () => {
+    const api = await createApi();
+    api.makeRequest = jest.fn(async () => ({ text: 'Answer', usage: null }));
+
+    await api.extractKeyPoints(makeTranscript(20));
+    expect(api.makeRequest).toHaveBeenCalledTimes(1);
+    expect(api.makeRequest.mock.calls[0][1][0].content).toContain(line(19));
+
+    await api.generateArticle('- merged points', longTranscript);
+    const articlePrompt = api.makeRequest.mock.calls[1][1][0].content;
+    expect(articlePrompt).toContain(globalThis.LONG_TRANSCRIPT_NOTE);
+    expect(articlePrompt).not.toContain(line(0));
+  });
+});
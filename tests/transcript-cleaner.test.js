@@ -0,0 +1,113 @@
+// Transcript Cleaner Tests
+// Sound tags, speaker markers, fillers, sentence/paragraph merging and source mapping
+
+const { SegmentTiming } = require('../segment-timing.js');
+const { TranscriptCleaner } = require('../transcript-cleaner.js');
+
+const seg = (start, end, text) => SegmentTiming.createSegment(start, end, text);
+
+describe('TranscriptCleaner', () => {
+  describe('cleanText', () => {
+    const defaults = TranscriptCleaner.DEFAULT_OPTIONS;
+
+    test('should strip sound tags and music notes', () => {
+      expect(TranscriptCleaner.cleanText('[Music] welcome back [Applause]', defaults).text).toBe('welcome back');
+      expect(TranscriptCleaner.cleanText('♪ la la la ♪', defaults).text).toBe('');
+      expect(TranscriptCleaner.cleanText('[Laughter]', defaults).text).toBe('');
+    });
+
+    test('should strip speaker markers and report a leading one as a speaker change', () => {
+      expect(TranscriptCleaner.cleanText('>> so what do you think', defaults)).toEqual({ text: 'so what do you think', speakerChange: true });
+      expect(TranscriptCleaner.cleanText('sure >> right', defaults)).toEqual({ text: 'sure right', speakerChange: false });
+    });
+
+    test('should strip sound tags and speaker markers independently', () => {
+      const text = '>> [Music] sure >> right';
+      expect(TranscriptCleaner.cleanText(text, { ...defaults, stripSpeakerMarkers: false }).text).toBe('>> sure >> right');
+      expect(TranscriptCleaner.cleanText(text, { ...defaults, stripSoundTags: false })).toEqual({ text: '[Music] sure right', speakerChange: true });
+    });
+
+    test('should keep short real words', () => {
+      expect(TranscriptCleaner.cleanText('OK', defaults).text).toBe('OK');
+      expect(TranscriptCleaner.cleanText('No.', defaults).text).toBe('No.');
+    });
+
+    test('should only remove fillers when asked', () => {
+      const text = 'um so uh, the idea is simple';
+      expect(TranscriptCleaner.cleanText(text, defaults).text).toBe(text);
+      expect(TranscriptCleaner.cleanText(text, { ...defaults, removeFillers: true }).text).toBe('so the idea is simple');
+      // Words that merely contain a filler stay
+      expect(TranscriptCleaner.cleanText('the umbrella was ahead', { ...defaults, removeFillers: true }).text).toBe('the umbrella was ahead');
+    });
+
+    test('should collapse repeated words', () => {
+      expect(TranscriptCleaner.collapseRepeats('I I I think the the plan works')).toBe('I think the plan works');
+      expect(TranscriptCleaner.collapseRepeats('that that is, that is')).toBe('that is, that is');
+    });
+  });
+
+  describe('clean', () => {
+    const raw = [
+      seg(0, 2, '[Music]'),
+      seg(2, 3.5, 'so today we are'),
+      seg(3.5, 5, 'going to talk about'),
+      seg(5, 6, 'caching.'),
+      seg(6.5, 8, 'It matters'),
+      seg(10, 11, 'because memory is slow'),
+      seg(16, 18, 'Next topic.'),
+      seg(18, 19, '>> Can I ask a question?'),
+      seg(19, 20, 'OK')
+    ];
+
+    test('should merge fragments into sentences mapped to their source segments', () => {
+      const { segments, stats } = TranscriptCleaner.clean(raw);
+
+      expect(segments.map(segment => [segment.text, segment.sourceIndexes, segment.paragraph])).toEqual([
+        ['so today we are going to talk about caching.', [1, 2, 3], 0],
+        ['It matters', [4], 0],
+        ['because memory is slow', [5], 0],
+        ['Next topic.', [6], 1],
+        ['Can I ask a question?', [7], 2],
+        ['OK', [8], 2]
+      ]);
+      expect(segments[0]).toMatchObject({ startSeconds: 2, endSeconds: 6, timestamp: '0:02' });
+      expect(stats).toMatchObject({ sourceSegments: 9, soundTags: 1, dropped: 1 });
+    });
+
+    test('should keep caption boundaries when merging is off', () => {
+      const { segments } = TranscriptCleaner.clean(raw, { mergeSentences: false });
+      expect(segments).toHaveLength(8);
+      expect(segments[0]).toMatchObject({ text: 'so today we are', sourceIndexes: [1] });
+    });
+
+    test('should end unpunctuated sentences at the length limit', () => {
+      const words = Array.from({ length: 30 }, (_, i) => seg(i, i + 1, 'word word'));
+      const { segments } = TranscriptCleaner.clean(words, { collapseRepeats: false, maxSentenceLength: 50 });
+      expect(segments.length).toBeGreaterThan(1);
+      expect(segments.every(segment => segment.text.length <= 50)).toBe(true);
+    });
+
+    test('should merge untimed segments by punctuation only', () => {
+      const { segments } = TranscriptCleaner.clean([seg(null, null, 'first part'), seg(null, null, 'ends here.'), seg(null, null, 'Second.')]);
+      expect(segments.map(segment => segment.text)).toEqual(['first part ends here.', 'Second.']);
+    });
+  });
+
+  describe('getText', () => {
+    const transcript = { segments: [seg(0, 1, '[Music]'), seg(1, 2, 'hello there.'), seg(10, 11, 'new paragraph.')] };
+
+    test('should give the AI paragraphs of cleaned text by default', () => {
+      expect(TranscriptCleaner.getText(transcript)).toBe('hello there.\n\nnew paragraph.');
+    });
+
+    test('should give the raw caption text when the user picks raw', () => {
+      expect(TranscriptCleaner.getText(transcript, 'raw')).toBe('[Music] hello there. new paragraph.');
+    });
+
+    test('should prefer the stored cleaned version', () => {
+      const stored = TranscriptCleaner.withCleaned(transcript, { stripSoundTags: false });
+      expect(stored.segments).toBe(transcript.segments);
+      expect(TranscriptCleaner.getText(stored)).toBe('[Music] hello there.\n\nnew paragraph.');
+    });
+  });
+});
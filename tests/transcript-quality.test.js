@@ -0,0 +1,73 @@
+// Transcript Quality Tests
+// Source method records and the score that decides when the popup warns before AI steps
+
+const { SegmentTiming } = require('../segment-timing.js');
+const { TranscriptQuality } = require('../transcript-quality.js');
+const { ExtractorRegistry } = require('../extractor-registry.js');
+
+const seg = (start, text = 'Some speech here') => SegmentTiming.createSegment(start, null, text);
+const timed = count => Array.from({ length: count }, (_, index) => seg(index * 10));
+
+describe('TranscriptQuality', () => {
+  test('should score a full caption track as trustworthy', () => {
+    const segments = timed(60);
+    const source = TranscriptQuality.assess({ method: 'caption-track' }, segments, SegmentTiming.coverage(segments, 600));
+
+    expect(source).toEqual({
+      method: 'caption-track',
+      label: 'Caption track',
+      selector: null,
+      segmentCount: 60,
+      rejectedEmpty: 0,
+      rejectedShort: 0,
+      timedFraction: 1,
+      coverageFraction: 590 / 600,
+      score: 98,
+      isWeak: false
+    });
+    expect(TranscriptQuality.describe(source)).toBe('Caption track, quality 98/100');
+  });
+
+  test('should mark a panel that stopped early as weak', () => {
+    const segments = timed(30);
+    const coverage = { ...SegmentTiming.coverage(segments, 1200), complete: false };
+    const source = TranscriptQuality.assess(
+      { method: 'transcript-panel', selector: 'ytd-transcript-segment-renderer', rejectedEmpty: 2 },
+      segments,
+      coverage
+    );
+
+    expect(source.selector).toBe('ytd-transcript-segment-renderer');
+    expect(source.rejectedEmpty).toBe(2);
+    expect(source.score).toBeLessThan(TranscriptQuality.WEAK_SCORE);
+    expect(source.isWeak).toBe(true);
+  });
+
+  test('should always treat page scraping fallbacks as weak', () => {
+    const captions = TranscriptQuality.assess({ method: 'on-screen-captions', selector: '.ytp-caption-segment', rejectedShort: 1 }, [seg(42), seg(42)], null);
+    const pageText = TranscriptQuality.assess({ method: 'page-text', selector: '[class*="transcript"] p' }, [seg(null), seg(null)], null);
+
+    expect(captions.isWeak).toBe(true);
+    expect(pageText).toMatchObject({ isWeak: true, timedFraction: 0, coverageFraction: null });
+    expect(pageText.score).toBeLessThan(captions.score);
+    expect(TranscriptQuality.assess(null, [seg(0)]).label).toBe('Unknown');
+    expect(TranscriptQuality.assess({ method: 'caption-track' }, []).score).toBe(0);
+  });
+
+  test('should not flag transcripts saved before sources were recorded', () => {
+    expect(TranscriptQuality.isWeak(undefined)).toBe(false);
+    expect(TranscriptQuality.describe(null)).toBe('');
+  });
+
+  test('should pass an adapter\'s source through the registry', async () => {
+    const registry = new ExtractorRegistry().register({
+      id: 'lectures',
+      matches: [/lectures\.example\.edu/],
+      isReady: () => true,
+      extract: async () => ({ segments: [seg(0)], track: null, source: { method: 'html5-track', selector: 'video track' } })
+    });
+
+    const result = await registry.extract('https://lectures.example.edu/talk');
+    expect(result.source).toEqual({ method: 'html5-track', selector: 'video track' });
+  });
+});
@@ -0,0 +1,108 @@
+// Transcript Sidebar Tests
+// Shadow DOM rendering, playback highlighting and seek links
+
+const { SegmentTiming } = require('../segment-timing.js');
+const { TranscriptSidebar } = require('../transcript-sidebar.js');
+
+const seg = (start, end, text) => SegmentTiming.createSegment(start, end, text);
+
+const tabState = {
+  transcript: {
+    segments: [seg(0, 4, 'raw one'), seg(4, 9, 'raw two'), seg(9, 15, 'raw three')],
+    cleaned: { segments: [{ ...seg(0, 9, 'Cleaned first.'), sourceIndexes: [0, 1], paragraph: 0 }, { ...seg(9, 15, 'Cleaned second.'), sourceIndexes: [2], paragraph: 0 }] }
+  },
+  keyPoints: '- Setup at 0:04\n- Wrap-up at 0:09',
+  article: null
+};
+
+function createVideo(currentTime = 0) {
+  const video = new EventTarget();
+  video.currentTime = currentTime;
+  return video;
+}
+
+describe('TranscriptSidebar', () => {
+  let sidebar;
+
+  afterEach(() => {
+    sidebar?.close();
+  });
+
+  test('should render inside a shadow root attached to the page', () => {
+    sidebar = new TranscriptSidebar();
+    sidebar.setState(tabState, 'raw');
+    sidebar.open();
+
+    expect(sidebar.isOpen).toBe(true);
+    expect(sidebar.host.parentNode).toBe(document.documentElement);
+    const rows = sidebar.root.querySelectorAll('.segment');
+    expect(Array.from(rows).map(row => row.querySelector('.text').textContent)).toEqual(['raw one', 'raw two', 'raw three']);
+
+    sidebar.close();
+    expect(sidebar.isOpen).toBe(false);
+  });
+
+  test('should show cleaned sentences unless the user picked raw captions', () => {
+    expect(TranscriptSidebar.getSegments(tabState.transcript).map(segment => segment.text)).toEqual(['Cleaned first.', 'Cleaned second.']);
+    expect(TranscriptSidebar.getSegments(tabState.transcript, 'raw')).toBe(tabState.transcript.segments);
+    expect(TranscriptSidebar.getSegments(null)).toEqual([]);
+  });
+
+  test('should highlight the segment playing now as the video advances', () => {
+    const video = createVideo(5);
+    sidebar = new TranscriptSidebar();
+    sidebar.setState(tabState, 'raw');
+    sidebar.open();
+    sidebar.attachVideo(video);
+
+    const current = () => Array.from(sidebar.root.querySelectorAll('.segment.current')).map(row => row.querySelector('.text').textContent);
+    expect(current()).toEqual(['raw two']);
+
+    video.currentTime = 12;
+    video.dispatchEvent(new Event('timeupdate'));
+    expect(current()).toEqual(['raw three']);
+
+    sidebar.attachVideo(null);
+    video.currentTime = 1;
+    video.dispatchEvent(new Event('timeupdate'));
+    expect(current()).toEqual(['raw three']);
+  });
+
+  test('should seek from transcript rows and key point timestamps', () => {
+    const onSeek = jest.fn();
+    sidebar = new TranscriptSidebar({ onSeek });
+    sidebar.setState(tabState, 'raw');
+    sidebar.open();
+
+    sidebar.root.querySelectorAll('.segment .text')[2].click();
+    expect(onSeek).toHaveBeenLastCalledWith(9);
+
+    sidebar.showTab('keyPoints');
+    const links = sidebar.root.querySelectorAll('.time-link');
+    expect(Array.from(links).map(link => link.textContent)).toEqual(['0:04', '0:09']);
+    links[0].click();
+    expect(onSeek).toHaveBeenLastCalledWith(4);
+  });
+
+  test('should show an empty message for missing content and switch docks', () => {
+    const onDockChange = jest.fn();
+    sidebar = new TranscriptSidebar({ onDockChange });
+    sidebar.setState(tabState);
+    sidebar.open();
+
+    sidebar.showTab('article');
+    expect(sidebar.root.querySelector('.empty').textContent).toContain('No article yet');
+
+    sidebar.setDock('left');
+    expect(sidebar.root.querySelector('.panel').classList.contains('left')).toBe(true);
+    expect(onDockChange).toHaveBeenCalledWith('left');
+  });
+
+  test('should find the last segment started at a time', () => {
+    const segments = [seg(0, 2, 'a'), seg(null, null, 'untimed'), seg(2, 5, 'b'), seg(5, 8, 'c')];
+    expect(TranscriptSidebar.findSegmentIndex(segments, 3)).toBe(2);
+    expect(TranscriptSidebar.findSegmentIndex(segments, 100)).toBe(3);
+    expect(TranscriptSidebar.findSegmentIndex([seg(1, 2, 'a')], 0.5)).toBe(-1);
+    expect(TranscriptSidebar.findSegmentIndex(segments, NaN)).toBe(-1);
+  });
+});
@@ -0,0 +1,127 @@
+// Video Metadata Tests
+// Player response and page meta tags to transcript.metadata, chapters and prompt variables
+
+const fs = require('fs');
+const path = require('path');
+const { SegmentTiming } = require('../segment-timing.js');
+const { CaptionTracks } = require('../caption-tracks.js');
+const { VideoMetadata } = require('../video-metadata.js');
+require('../transcript-cleaner.js');
+require('../anthropic-provider.js');
+require('../openai-compatible-provider.js');
+require('../anthropic-api.js');
+const { AnthropicAPI } = window;
+
+const watchPage = fs.readFileSync(path.join(__dirname, 'fixtures', 'video-metadata', 'watch-page.html'), 'utf8');
+const playerResponse = CaptionTracks.extractJsonObject(watchPage, 'ytInitialPlayerResponse');
+const initialData = CaptionTracks.extractJsonObject(watchPage, 'ytInitialData');
+
+describe('VideoMetadata', () => {
+  test('should read channel, dates, duration, views, tags and description from the player response', () => {
+    const metadata = VideoMetadata.fromPlayerResponse(playerResponse, initialData);
+
+    expect(metadata).toMatchObject({
+      source: 'player-response',
+      videoId: 'abcdefghijk',
+      title: 'Caching Talk',
+      channelName: 'Systems Talks',
+      channelId: 'UC1234567890abcdefghijkl',
+      publishDate: '2024-03-05',
+      durationSeconds: 3725,
+      viewCount: 123456,
+      tags: ['caching', 'redis'],
+      category: 'Science & Technology',
+      isLive: false
+    });
+    expect(metadata.description).toContain('A talk about caching.');
+    expect(metadata.chapters).toEqual([
+      { startSeconds: 0, endSeconds: 75, title: 'Intro' },
+      { startSeconds: 75, endSeconds: 2700, title: 'Cache invalidation' },
+      { startSeconds: 2700, endSeconds: 3725, title: 'Q&A' }
+    ]);
+    expect(VideoMetadata.fromPlayerResponse(null)).toBeNull();
+  });
+
+  test('should fall back to description chapters when the initial data is for another video', () => {
+    const staleData = { ...initialData, currentVideoEndpoint: { watchEndpoint: { videoId: 'zzzzzzzzzzz' } } };
+    const metadata = VideoMetadata.fromPlayerResponse(playerResponse, staleData);
+
+    expect(metadata.chapters.map(chapter => [chapter.startSeconds, chapter.title])).toEqual([
+      [0, 'Intro'],
+      [75, 'Cache invalidation'],
+      [2700, 'Q&A $1 costs']
+    ]);
+  });
+
+  test('should only accept description chapters that YouTube would show', () => {
+    expect(VideoMetadata.chaptersFromDescription('0:00 Intro\n- 2:00 - Middle\n(5:30) End', 600)).toEqual([
+      { startSeconds: 0, endSeconds: 120, title: 'Intro' },
+      { startSeconds: 120, endSeconds: 330, title: 'Middle' },
+      { startSeconds: 330, endSeconds: 600, title: 'End' }
+    ]);
+    expect(VideoMetadata.chaptersFromDescription('0:10 Late start\n2:00 Middle\n5:30 End')).toEqual([]);
+    expect(VideoMetadata.chaptersFromDescription('0:00 Intro\n5:30 End')).toEqual([]);
+    expect(VideoMetadata.chaptersFromDescription('0:00 Intro\n5:30 Middle\n2:00 Back')).toEqual([]);
+  });
+
+  test('should read generic pages from meta tags', () => {
+    const doc = document.implementation.createHTMLDocument('Lecture 4');
+    doc.head.innerHTML = `
+      <meta property="og:title" content="Lecture 4: Hash Tables">
+      <meta name="author" content="Prof. Rivera">
+      <meta property="article:published_time" content="2023-10-02">
+      <meta name="description" content="Open addressing and chaining">
+      <meta name="keywords" content="algorithms, hashing ,">
+      <meta itemprop="duration" content="PT1H2M3S">`;
+
+    expect(VideoMetadata.fromDocument(doc)).toMatchObject({
+      source: 'page',
+      title: 'Lecture 4: Hash Tables',
+      channelName: 'Prof. Rivera',
+      publishDate: '2023-10-02',
+      description: 'Open addressing and chaining',
+      tags: ['algorithms', 'hashing'],
+      durationSeconds: 3723,
+      chapters: []
+    });
+    expect(VideoMetadata.fromDocument(doc, { duration: 95.5 }).durationSeconds).toBe(95.5);
+    expect(VideoMetadata.parseIsoDuration('P')).toBeNull();
+  });
+
+  test('should build prompt variables and leave unknown lines out of the metadata block', () => {
+    const variables = VideoMetadata.toPromptVariables(VideoMetadata.fromPlayerResponse(playerResponse, initialData));
+
+    expect(variables).toMatchObject({
+      CHANNEL_NAME: 'Systems Talks',
+      PUBLISH_DATE: '2024-03-05',
+      DURATION: SegmentTiming.formatTimestamp(3725),
+      VIEW_COUNT: '123,456',
+      TAGS: 'caching, redis',
+      CHAPTERS: '0:00 Intro\n1:15 Cache invalidation\n45:00 Q&A'
+    });
+    expect(variables.VIDEO_METADATA).toMatch(/^Channel: Systems Talks\nPublished: 2024-03-05\nDuration: 1:02:05\n/);
+
+    const sparse = VideoMetadata.toPromptVariables({ channelName: 'Someone' });
+    expect(sparse.VIDEO_METADATA).toBe('Channel: Someone');
+    expect(VideoMetadata.toPromptVariables(null).VIDEO_METADATA).toBe('');
+  });
+
+  test('should put metadata into the key points prompt verbatim', async () => {
+    window.KEY_POINTS_PROMPT = 'Title: {VIDEO_TITLE}\n{VIDEO_METADATA}\nBy {CHANNEL_NAME}\n{TRANSCRIPT}';
+    const api = new AnthropicAPI();
+    await api.loadApiKey();
+    api.apiKey = 'sk-ant-test';
+    api.makeRequest = jest.fn().mockResolvedValue({ text: 'points' });
+
+    await api.extractKeyPoints({
+      title: 'Caching Talk',
+      segments: [SegmentTiming.createSegment(0, 2, 'hello')],
+      metadata: { channelName: 'Costs $1 & $& more', publishDate: '2024-03-05' }
+    });
+
+    const prompt = api.makeRequest.mock.calls[0][1][0].content;
+    expect(prompt).toContain('Channel: Costs $1 & $& more\nPublished: 2024-03-05');
+    expect(prompt).toContain('By Costs $1 & $& more');
+    delete window.KEY_POINTS_PROMPT;
+  });
+});
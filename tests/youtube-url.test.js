@@ -0,0 +1,115 @@
+// YouTube URL Parser Tests
+// Every URL form the extension recognizes, and the ones it must reject
+
+const { YouTubeUrl } = require('../youtube-url.js');
+require('../tab-manager.js');
+
+const ID = 'dQw4w9WgXcQ';
+
+describe('YouTubeUrl', () => {
+  describe('parse', () => {
+    test.each([
+      ['desktop watch', `https://www.youtube.com/watch?v=${ID}`, { type: 'watch', hostType: 'desktop' }],
+      ['watch with extra params', `https://www.youtube.com/watch?list=PL123&v=${ID}&t=42s`, { type: 'watch', hostType: 'desktop' }],
+      ['bare domain', `https://youtube.com/watch?v=${ID}`, { type: 'watch', hostType: 'desktop' }],
+      ['no scheme', `www.youtube.com/watch?v=${ID}`, { type: 'watch', hostType: 'desktop' }],
+      ['short link', `https://youtu.be/${ID}`, { type: 'short-link', hostType: 'short-link' }],
+      ['short link with time', `https://youtu.be/${ID}?t=10`, { type: 'short-link', hostType: 'short-link' }],
+      ['shorts', `https://www.youtube.com/shorts/${ID}`, { type: 'shorts', hostType: 'desktop' }],
+      ['shorts with share param', `https://youtube.com/shorts/${ID}?si=abc`, { type: 'shorts', hostType: 'desktop' }],
+      ['live', `https://www.youtube.com/live/${ID}`, { type: 'live', hostType: 'desktop' }],
+      ['embed', `https://www.youtube.com/embed/${ID}`, { type: 'embed', hostType: 'desktop', isEmbed: true }],
+      ['legacy /v/', `https://www.youtube.com/v/${ID}`, { type: 'embed', hostType: 'desktop', isEmbed: true }],
+      ['nocookie embed', `https://www.youtube-nocookie.com/embed/${ID}?rel=0`, { type: 'embed', hostType: 'nocookie', isEmbed: true }],
+      ['mobile watch', `https://m.youtube.com/watch?v=${ID}`, { type: 'watch', hostType: 'mobile', isMobile: true }],
+      ['mobile shorts', `https://m.youtube.com/shorts/${ID}`, { type: 'shorts', hostType: 'mobile', isMobile: true }],
+      ['music', `https://music.youtube.com/watch?v=${ID}&list=RDAMVM`, { type: 'watch', hostType: 'music', isMusic: true }]
+    ])('should recognize %s', (name, url, expected) => {
+      expect(YouTubeUrl.parse(url)).toEqual({
+        videoId: ID,
+        isMobile: false,
+        isMusic: false,
+        isEmbed: false,
+        ...expected
+      });
+    });
+
+    test.each([
+      ['home page', 'https://www.youtube.com/'],
+      ['channel', 'https://www.youtube.com/@somechannel'],
+      ['results', 'https://www.youtube.com/results?search_query=test'],
+      ['watch without v', 'https://www.youtube.com/watch'],
+      ['short id', 'https://www.youtube.com/watch?v=short'],
+      ['shorts feed', 'https://www.youtube.com/shorts/'],
+      ['music home', 'https://music.youtube.com/']
+    ])('should accept %s as YouTube without a video', (name, url) => {
+      expect(YouTubeUrl.parse(url)).toMatchObject({ videoId: null, type: null });
+      expect(YouTubeUrl.isYouTubeUrl(url)).toBe(true);
+      expect(YouTubeUrl.isVideoUrl(url)).toBe(false);
+    });
+
+    test.each([
+      ['other site', `https://example.com/watch?v=${ID}`],
+      ['lookalike host', `https://notyoutube.com/watch?v=${ID}`],
+      ['youtube in path', `https://example.com/youtube.com/watch?v=${ID}`],
+      ['extension page', 'chrome://extensions/'],
+      ['empty', ''],
+      ['null', null],
+      ['garbage', 'not a url at all']
+    ])('should reject %s', (name, url) => {
+      expect(YouTubeUrl.parse(url)).toBeNull();
+      expect(YouTubeUrl.isYouTubeUrl(url)).toBe(false);
+      expect(YouTubeUrl.extractVideoId(url)).toBeNull();
+    });
+  });
+
+  describe('normalize', () => {
+    test('should map every video form to the canonical watch URL', () => {
+      const canonical = `https://www.youtube.com/watch?v=${ID}`;
+      expect(YouTubeUrl.normalize(`https://m.youtube.com/watch?v=${ID}&feature=share`)).toBe(canonical);
+      expect(YouTubeUrl.normalize(`https://youtube.com/shorts/${ID}`)).toBe(canonical);
+      expect(YouTubeUrl.normalize(`https://www.youtube-nocookie.com/embed/${ID}`)).toBe(canonical);
+      expect(YouTubeUrl.normalize('https://www.youtube.com/feed/subscriptions')).toBe('https://www.youtube.com/feed/subscriptions');
+    });
+
+    test('should compare videos across URL forms', () => {
+      expect(YouTubeUrl.isSameVideo(`https://youtu.be/${ID}`, `https://music.youtube.com/watch?v=${ID}`)).toBe(true);
+      expect(YouTubeUrl.isSameVideo(`https://youtu.be/${ID}`, 'https://youtu.be/aaaaaaaaaaa')).toBe(false);
+      expect(YouTubeUrl.isSameVideo('https://www.youtube.com/', 'https://www.youtube.com/')).toBe(false);
+    });
+
+    test.each([
+      ['mobile', `https://m.youtube.com/watch?v=${ID}`, 'https://m.youtube.com'],
+      ['shorts', `https://www.youtube.com/shorts/${ID}`, 'https://www.youtube.com'],
+      ['bare domain', `https://youtube.com/watch?v=${ID}`, 'https://youtube.com'],
+      ['music', `https://music.youtube.com/watch?v=${ID}`, 'https://music.youtube.com'],
+      ['desktop embed', `https://www.youtube.com/embed/${ID}`, 'https://www.youtube.com'],
+      ['nocookie embed', `https://www.youtube-nocookie.com/embed/${ID}`, 'https://www.youtube.com'],
+      ['bare nocookie embed', `https://youtube-nocookie.com/embed/${ID}`, 'https://www.youtube.com'],
+      ['short link', `https://youtu.be/${ID}`, 'https://www.youtube.com'],
+      ['other site', 'https://example.com/watch?v=abc', 'https://www.youtube.com']
+    ])('should fetch watch pages from the right origin on %s pages', (name, url, origin) => {
+      expect(YouTubeUrl.getWatchOrigin(url)).toBe(origin);
+    });
+  });
+
+  describe('playlists', () => {
+    test('should read playlist IDs from playlist, watch-later and watch pages', () => {
+      expect(YouTubeUrl.getPlaylistId('https://www.youtube.com/playlist?list=PLabc123_-x')).toBe('PLabc123_-x');
+      expect(YouTubeUrl.getPlaylistId('https://m.youtube.com/playlist?list=WL')).toBe('WL');
+      expect(YouTubeUrl.getPlaylistId(`https://www.youtube.com/watch?v=${ID}&list=PLabc123&index=3`)).toBe('PLabc123');
+      expect(YouTubeUrl.getPlaylistId(`https://www.youtube.com/watch?v=${ID}`)).toBeNull();
+      expect(YouTubeUrl.getPlaylistId('https://example.com/playlist?list=PLabc123')).toBeNull();
+    });
+  });
+
+  describe('TabManager', () => {
+    test('should track Shorts, mobile and embed tabs as video tabs', () => {
+      const tabManager = new window.TabManager();
+      expect(tabManager.isYouTubeUrl(`https://www.youtube.com/shorts/${ID}`)).toBe(true);
+      expect(tabManager.isYouTubeUrl(`https://m.youtube.com/watch?v=${ID}`)).toBe(true);
+      expect(tabManager.isYouTubeUrl('https://www.youtube.com/')).toBe(false);
+      expect(tabManager.normalizeYouTubeUrl(`https://www.youtube.com/live/${ID}`)).toBe(`https://www.youtube.com/watch?v=${ID}`);
+    });
+  });
+});
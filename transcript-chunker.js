@@ -0,0 +1,162 @@
+// Transcript Chunker - Split transcripts too long for one request into parts
+// Parts end on chapter boundaries where the chapters fit, otherwise between segments, so
+// no sentence is cut in half. Key points are then extracted per part and merged (see
+// AnthropicAPI.extractKeyPointsInParts)
+
+class TranscriptChunker {
+  // Context window of models whose size isn't known (Claude's)
+  static get DEFAULT_CONTEXT_TOKENS() {
+    return 200000;
+  }
+
+  // Most of the context a transcript may take in one request; the rest is left for the
+  // prompt and the answer
+  static get TRANSCRIPT_SHARE() {
+    return 0.6;
+  }
+
+  // Room for the prompt around the transcript: instructions, title and metadata
+  static get PROMPT_TOKENS() {
+    return 1500;
+  }
+
+  // Largest part; smaller contexts get parts as big as they can hold
+  static get PART_TOKENS() {
+    return 30000;
+  }
+
+  // Parts sent to the API at the same time
+  static get CONCURRENCY() {
+    return 3;
+  }
+
+  // Rough count: about 4 characters per token for Latin text, but closer to one per
+  // character for CJK scripts, which would otherwise be badly underestimated
+  static estimateTokens(text) {
+    if (!text) return 0;
+    const wide = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+    return Math.ceil((text.length - wide) / 4 + wide);
+  }
+
+  // { maxTranscriptTokens, partTokens } for a model's context window and the longest answer
+  // asked of it: 120k and 30k for Claude's 200k. A local model's 8k can't also hold an
+  // 8000-token answer, so no more than a quarter of the context is kept for the answer
+  static getLimits(contextTokens = TranscriptChunker.DEFAULT_CONTEXT_TOKENS, maxOutputTokens = 0) {
+    const answerTokens = Math.min(maxOutputTokens || 0, Math.floor(contextTokens / 4));
+    const maxTranscriptTokens = Math.max(1, Math.min(
+      Math.floor(contextTokens * TranscriptChunker.TRANSCRIPT_SHARE),
+      contextTokens - answerTokens - TranscriptChunker.PROMPT_TOKENS
+    ));
+    return { maxTranscriptTokens, partTokens: Math.min(TranscriptChunker.PART_TOKENS, maxTranscriptTokens) };
+  }
+
+  static isTooLong(text, maxTokens = TranscriptChunker.getLimits().maxTranscriptTokens) {
+    return TranscriptChunker.estimateTokens(text) > maxTokens;
+  }
+
+  // Segments the AI receives, same as TranscriptCleaner.getText uses
+  static getSegments(transcript, source = 'cleaned') {
+    if (!transcript?.segments) return [];
+    if (source === 'raw') return transcript.segments;
+    return (transcript.cleaned || TranscriptCleaner.clean(transcript.segments)).segments;
+  }
+
+  static toText(segments, source = 'cleaned') {
+    return source === 'raw'
+      ? segments.map(segment => segment.text).join(' ')
+      : TranscriptCleaner.toText(segments);
+  }
+
+  // [{ index, segments, text, tokens, startSeconds, endSeconds }] in playback order
+  static split(transcript, source = 'cleaned', maxTokens = TranscriptChunker.PART_TOKENS) {
+    const segments = TranscriptChunker.getSegments(transcript, source);
+    const chapters = typeof Chapters !== 'undefined' ? Chapters.get(transcript) : [];
+    const groups = chapters.length > 0
+      ? Chapters.group(segments, chapters).map(group => group.segments).filter(group => group.length > 0)
+      : [segments];
+
+    const parts = [];
+    let current = [];
+    let currentTokens = 0;
+    const close = () => {
+      if (current.length > 0) parts.push(current);
+      current = [];
+      currentTokens = 0;
+    };
+
+    for (const group of groups) {
+      // A chapter that doesn't fit in what's left of this part starts the next one
+      const groupTokens = group.reduce((sum, segment) => sum + TranscriptChunker.estimateTokens(segment.text), 0);
+      if (currentTokens + groupTokens > maxTokens) close();
+
+      // Chapters longer than a whole part are split between segments
+      for (const segment of group) {
+        const tokens = TranscriptChunker.estimateTokens(segment.text);
+        if (currentTokens + tokens > maxTokens) close();
+        current.push(segment);
+        currentTokens += tokens;
+      }
+    }
+    close();
+
+    return parts.map((partSegments, index) => {
+      const text = TranscriptChunker.toText(partSegments, source);
+      const timed = partSegments.filter(segment => Number.isFinite(segment.startSeconds));
+      const last = timed[timed.length - 1];
+      return {
+        index,
+        segments: partSegments,
+        text,
+        tokens: TranscriptChunker.estimateTokens(text),
+        startSeconds: timed.length > 0 ? timed[0].startSeconds : null,
+        endSeconds: last ? (Number.isFinite(last.endSeconds) ? last.endSeconds : last.startSeconds) : null
+      };
+    });
+  }
+
+  // Consecutive items in groups of at most maxTokens, for merging key points in rounds. A
+  // group takes two items even past the limit, so every round leaves fewer to merge
+  static groupForMerge(items, getTokens, maxTokens) {
+    const groups = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const item of items) {
+      const tokens = getTokens(item);
+      if (current.length >= 2 && currentTokens + tokens > maxTokens) {
+        groups.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(item);
+      currentTokens += tokens;
+    }
+    if (current.length > 0) groups.push(current);
+    return groups;
+  }
+
+  // " (12:00 - 24:30)" for a part's place in the video; empty for untimed transcripts
+  static formatRange(part) {
+    if (!Number.isFinite(part.startSeconds) || !Number.isFinite(part.endSeconds)) return '';
+    return ` (${SegmentTiming.formatTimestamp(part.startSeconds)} - ${SegmentTiming.formatTimestamp(part.endSeconds)})`;
+  }
+
+  // Progress reported by extractKeyPointsInParts, for the popup status and the tab's
+  // processing step: { stage: 'parts', done, total } or, for every round of merging,
+  // { stage: 'merge', total }
+  static describeProgress(progress) {
+    if (progress?.stage === 'merge') {
+      return `merging key points from ${progress.total} parts`;
+    }
+    return `read ${progress?.done || 0} of ${progress?.total || 0} parts`;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.TranscriptChunker = TranscriptChunker;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TranscriptChunker };
+}
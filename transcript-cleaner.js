@@ -0,0 +1,202 @@
+// Transcript Cleaner - Normalize auto-generated captions before they reach the AI
+// Strips sound tags and speaker markers, optionally removes fillers, and merges caption
+// fragments into sentences and paragraphs using pauses in the timing. Every cleaned
+// sentence keeps the indexes of the raw segments it came from
+
+class TranscriptCleaner {
+  static get DEFAULT_OPTIONS() {
+    return {
+      stripSoundTags: true, // [Music], [Applause], ♪
+      stripSpeakerMarkers: true, // ">>" speaker changes (they still start a new paragraph)
+      removeFillers: false,
+      collapseRepeats: true, // "the the" -> "the"
+      mergeSentences: true,
+      sentenceGap: 1.5, // Pause in seconds that ends a sentence without punctuation
+      paragraphGap: 4, // Pause in seconds that starts a new paragraph
+      maxSentenceLength: 400, // Characters; unpunctuated captions would otherwise never end
+      maxParagraphSentences: 8
+    };
+  }
+
+  static get FILLERS() {
+    return ['um', 'umm', 'uh', 'uhh', 'uhm', 'erm', 'er', 'ah', 'hmm', 'mhm', 'mm'];
+  }
+
+  // Clean raw segments. Returns { segments, options, stats } where each cleaned
+  // segment is { startSeconds, endSeconds, timestamp, text, sourceIndexes, paragraph }
+  static clean(segments, options = {}) {
+    const settings = { ...TranscriptCleaner.DEFAULT_OPTIONS, ...options };
+    const stats = { sourceSegments: (segments || []).length, soundTags: 0, fillers: 0, dropped: 0 };
+
+    const pieces = [];
+    (segments || []).forEach((segment, index) => {
+      const piece = TranscriptCleaner.cleanText(segment?.text, settings, stats);
+      if (!piece.text) {
+        stats.dropped++;
+        return;
+      }
+      pieces.push({
+        index,
+        text: piece.text,
+        speakerChange: piece.speakerChange,
+        startSeconds: segment.startSeconds ?? null,
+        endSeconds: segment.endSeconds ?? segment.startSeconds ?? null
+      });
+    });
+
+    const cleaned = settings.mergeSentences
+      ? TranscriptCleaner.mergeSentences(pieces, settings)
+      : pieces.map(piece => ({ ...TranscriptCleaner.toSegment([piece], settings), paragraph: 0 }));
+
+    return { segments: cleaned, options: settings, stats };
+  }
+
+  // Clean one caption's text. Returns { text, speakerChange }
+  static cleanText(rawText, settings, stats = {}) {
+    let text = (rawText || '').replace(/\s+/g, ' ').trim();
+    let speakerChange = false;
+
+    if (settings.stripSpeakerMarkers && /(^|\s)(>>|&gt;&gt;)/.test(text)) {
+      speakerChange = /^(>>|&gt;&gt;)/.test(text);
+      text = text.replace(/(^|\s)(>>|&gt;&gt;)\s*/g, ' ');
+    }
+
+    if (settings.stripSoundTags) {
+      text = text.replace(/\[[^\]]*\]|♪+[^♪]*♪+|♪/g, () => {
+        stats.soundTags = (stats.soundTags || 0) + 1;
+        return ' ';
+      });
+    }
+
+    if (settings.removeFillers) {
+      const fillers = TranscriptCleaner.FILLERS.join('|');
+      text = text.replace(new RegExp(`(^|\\s)(?:${fillers})[,.]?(?=\\s|$)`, 'gi'), (match, leading) => {
+        stats.fillers = (stats.fillers || 0) + 1;
+        return leading;
+      });
+    }
+
+    text = text.replace(/\s+([,.!?;:])/g, '$1').replace(/\s+/g, ' ').trim();
+
+    // A caption left with only punctuation after stripping has nothing to say
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      text = '';
+    }
+
+    return { text, speakerChange };
+  }
+
+  // Group pieces into sentences (punctuation, pause or length limit ends one) and
+  // number paragraphs (long pause, speaker change or sentence limit starts one)
+  static mergeSentences(pieces, settings) {
+    const sentences = [];
+    let current = [];
+    let paragraph = 0;
+    let sentencesInParagraph = 0;
+
+    const closeSentence = () => {
+      if (current.length === 0) return;
+      sentences.push({ ...TranscriptCleaner.toSegment(current, settings), paragraph });
+      sentencesInParagraph++;
+      current = [];
+    };
+
+    pieces.forEach((piece, position) => {
+      const previous = pieces[position - 1];
+      const gap = previous ? TranscriptCleaner.gapBetween(previous, piece) : 0;
+      const breaksParagraph = !!previous && (piece.speakerChange || gap >= settings.paragraphGap);
+
+      if (breaksParagraph || gap >= settings.sentenceGap) {
+        closeSentence();
+      }
+      if (current.length === 0 && sentencesInParagraph > 0 &&
+        (breaksParagraph || sentencesInParagraph >= settings.maxParagraphSentences)) {
+        paragraph++;
+        sentencesInParagraph = 0;
+      }
+
+      current.push(piece);
+
+      const length = current.reduce((total, item) => total + item.text.length + 1, 0);
+      if (/[.!?…]["')\]]*$/.test(piece.text) || length >= settings.maxSentenceLength) {
+        closeSentence();
+      }
+    });
+
+    closeSentence();
+    return sentences;
+  }
+
+  static toSegment(pieces, settings) {
+    const first = pieces[0];
+    const last = pieces[pieces.length - 1];
+    let text = pieces.map(piece => piece.text).join(' ');
+
+    if (settings.collapseRepeats) {
+      text = TranscriptCleaner.collapseRepeats(text);
+    }
+
+    return {
+      ...SegmentTiming.createSegment(first.startSeconds, last.endSeconds, text),
+      sourceIndexes: pieces.map(piece => piece.index)
+    };
+  }
+
+  // Seconds of silence between two pieces, 0 when either side has no timing
+  static gapBetween(previous, next) {
+    const previousEnd = previous.endSeconds ?? previous.startSeconds;
+    if (previousEnd === null || next.startSeconds === null) return 0;
+    return Math.max(0, next.startSeconds - previousEnd);
+  }
+
+  // "the the" -> "the", "I I I think" -> "I think" (case-insensitive, punctuation kept)
+  static collapseRepeats(text) {
+    return text.replace(/(?<![\p{L}'])([\p{L}']+)(?:\s+\1(?![\p{L}']))+/giu, '$1');
+  }
+
+  // Paragraph text: sentences joined with spaces, paragraphs with blank lines
+  static toText(cleanedSegments) {
+    const paragraphs = [];
+    for (const segment of cleanedSegments || []) {
+      const index = segment.paragraph ?? paragraphs.length;
+      paragraphs[index] = paragraphs[index] ? `${paragraphs[index]} ${segment.text}` : segment.text;
+    }
+    return paragraphs.filter(Boolean).join('\n\n');
+  }
+
+  // Attach a cleaned copy to a stored transcript (raw segments are left untouched)
+  static withCleaned(transcript, options = {}) {
+    if (!transcript?.segments) return transcript;
+    return { ...transcript, cleaned: TranscriptCleaner.clean(transcript.segments, options) };
+  }
+
+  // Text the AI receives: 'cleaned' (default) or 'raw'
+  // Segments behind getText: cleaned sentences unless raw captions were asked for
+  static getSegments(transcript, source = 'cleaned') {
+    if (!transcript?.segments) return [];
+    if (source !== 'raw' && transcript.cleaned?.segments?.length > 0) {
+      return transcript.cleaned.segments;
+    }
+    return transcript.segments;
+  }
+
+  static getText(transcript, source = 'cleaned') {
+    if (!transcript?.segments) return '';
+
+    if (source === 'raw') {
+      return transcript.segments.map(segment => segment.text).join(' ');
+    }
+
+    const cleaned = transcript.cleaned || TranscriptCleaner.clean(transcript.segments);
+    return TranscriptCleaner.toText(cleaned.segments);
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.TranscriptCleaner = TranscriptCleaner;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TranscriptCleaner };
+}
@@ -0,0 +1,92 @@
+// Transcript Quality - Which extraction method produced a transcript, and how far to trust it
+// Stored as transcript.source: { method, label, selector, segmentCount, rejectedEmpty,
+// rejectedShort, timedFraction, coverageFraction, score, isWeak }
+
+class TranscriptQuality {
+  // weight is the best score a method can reach; fallbacks scrape whatever text the page
+  // happens to show and are always treated as weak
+  static get METHODS() {
+    return {
+      'caption-track': { label: 'Caption track', weight: 1 },
+      'html5-track': { label: 'HTML5 caption track', weight: 1 },
+      'transcript-panel': { label: 'Transcript panel', weight: 0.9 },
+      'caption-recording': { label: 'Caption recording', weight: 0.7 },
+      'on-screen-captions': { label: 'On-screen captions', weight: 0.3, isFallback: true },
+      'page-text': { label: 'Page text', weight: 0.2, isFallback: true }
+    };
+  }
+
+  // Scores below this are worth a warning before spending API credits
+  static get WEAK_SCORE() {
+    return 50;
+  }
+
+  // Assumed coverage when the video duration (or every timestamp) is unknown
+  static get UNKNOWN_COVERAGE() {
+    return 0.75;
+  }
+
+  // details: { method, selector, rejectedEmpty, rejectedShort } recorded by the extractor;
+  // coverage: SegmentTiming.coverage() plus the panel's complete flag
+  static assess(details, segments, coverage = null) {
+    const method = details?.method || null;
+    const known = TranscriptQuality.METHODS[method] || { label: method || 'Unknown', weight: 0.2, isFallback: true };
+    const segmentCount = segments?.length || 0;
+    const rejectedEmpty = details?.rejectedEmpty || 0;
+    const rejectedShort = details?.rejectedShort || 0;
+    const timed = (segments || []).filter(segment => Number.isFinite(segment.startSeconds)).length;
+    const timedFraction = segmentCount > 0 ? timed / segmentCount : 0;
+
+    const score = TranscriptQuality.score({
+      weight: known.weight,
+      segmentCount,
+      rejected: rejectedEmpty + rejectedShort,
+      timedFraction,
+      coverage
+    });
+
+    return {
+      method,
+      label: known.label,
+      selector: details?.selector || null,
+      segmentCount,
+      rejectedEmpty,
+      rejectedShort,
+      timedFraction,
+      coverageFraction: Number.isFinite(coverage?.fraction) ? coverage.fraction : null,
+      score,
+      isWeak: !!known.isFallback || score < TranscriptQuality.WEAK_SCORE
+    };
+  }
+
+  // 0-100: the method's weight, scaled by how much of the video is covered, how much of
+  // what the page offered was usable text, and how much of it carries timestamps
+  static score({ weight, segmentCount, rejected = 0, timedFraction = 0, coverage = null }) {
+    if (!segmentCount) return 0;
+
+    const accepted = segmentCount / (segmentCount + rejected);
+    const covered = Number.isFinite(coverage?.fraction) ? coverage.fraction : TranscriptQuality.UNKNOWN_COVERAGE;
+    const settled = coverage?.complete === false ? 0.8 : 1;
+    return Math.round(100 * weight * covered * settled * accepted * (0.5 + 0.5 * timedFraction));
+  }
+
+  // Transcripts saved before sources were recorded are not flagged
+  static isWeak(source) {
+    return !!source?.isWeak;
+  }
+
+  // "Transcript panel, quality 45/100"
+  static describe(source) {
+    if (!source) return '';
+    return `${source.label}, quality ${source.score}/100`;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.TranscriptQuality = TranscriptQuality;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TranscriptQuality };
+}
@@ -0,0 +1,334 @@
+// Transcript Sidebar - Dockable in-page panel for reading along with the video
+// Lives in a shadow root so page styles can't reach it and its styles can't leak out
+
+class TranscriptSidebar {
+  constructor(options = {}) {
+    this.onSeek = options.onSeek || null; // (seconds) => void
+    this.dock = options.dock === 'left' ? 'left' : 'right';
+    this.onDockChange = options.onDockChange || null;
+
+    this.host = null;
+    this.root = null;
+    this.elements = {};
+    this.activeTab = 'transcript';
+    this.tabState = null;
+    this.segments = [];
+    this.segmentElements = [];
+    this.currentIndex = -1;
+    this.video = null;
+    this.userScrolledAt = 0;
+    this.handleTimeUpdate = () => this.highlightTime(this.video?.currentTime);
+
+    // Initialize logger
+    if (typeof DebugLogger !== 'undefined') {
+      this.logger = new DebugLogger('TranscriptSidebar');
+    } else {
+      this.logger = {
+        info: (msg, data) => console.log(`[TranscriptSidebar] ${msg}`, data),
+        debug: (msg, data) => console.log(`[TranscriptSidebar DEBUG] ${msg}`, data),
+        warn: (msg, data) => console.warn(`[TranscriptSidebar WARN] ${msg}`, data),
+        error: (msg, error) => console.error(`[TranscriptSidebar ERROR] ${msg}`, error)
+      };
+    }
+  }
+
+  get isOpen() {
+    return !!this.host && this.host.isConnected;
+  }
+
+  open() {
+    if (this.isOpen) return;
+
+    if (!this.host) {
+      this.build();
+    }
+    document.documentElement.appendChild(this.host);
+    this.applyDock();
+    this.logger.info('Sidebar opened', { dock: this.dock });
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.host.remove();
+    this.attachVideo(null);
+    this.logger.info('Sidebar closed');
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+    return this.isOpen;
+  }
+
+  build() {
+    this.host = document.createElement('div');
+    this.host.id = 'yt-ai-transcript-sidebar';
+    this.root = this.host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = TranscriptSidebar.STYLES;
+
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+
+    const header = document.createElement('div');
+    header.className = 'header';
+    const tabs = document.createElement('div');
+    tabs.className = 'tabs';
+    [['transcript', '📺 Transcript'], ['keyPoints', '🧠 Key Points'], ['article', '📝 Article']].forEach(([id, label]) => {
+      const button = document.createElement('button');
+      button.className = 'tab';
+      button.dataset.tab = id;
+      button.textContent = label;
+      button.addEventListener('click', () => this.showTab(id));
+      tabs.appendChild(button);
+    });
+
+    const dockButton = document.createElement('button');
+    dockButton.className = 'icon';
+    dockButton.title = 'Move to the other side';
+    dockButton.textContent = '⇄';
+    dockButton.addEventListener('click', () => this.setDock(this.dock === 'right' ? 'left' : 'right'));
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'icon';
+    closeButton.title = 'Close';
+    closeButton.textContent = '✕';
+    closeButton.addEventListener('click', () => this.close());
+
+    header.append(tabs, dockButton, closeButton);
+
+    const body = document.createElement('div');
+    body.className = 'body';
+    body.addEventListener('click', event => {
+      const target = event.target.closest('[data-seconds]');
+      if (target && this.onSeek) {
+        this.onSeek(parseFloat(target.dataset.seconds));
+      }
+    });
+    // Manual scrolling pauses auto-scroll for a few seconds
+    ['wheel', 'touchmove', 'keydown'].forEach(type => {
+      body.addEventListener(type, () => { this.userScrolledAt = Date.now(); }, { passive: true });
+    });
+
+    panel.append(header, body);
+    this.root.append(style, panel);
+    this.elements = { panel, tabs, body };
+    this.showTab(this.activeTab);
+  }
+
+  setDock(dock) {
+    this.dock = dock === 'left' ? 'left' : 'right';
+    this.applyDock();
+    if (this.onDockChange) {
+      this.onDockChange(this.dock);
+    }
+  }
+
+  applyDock() {
+    if (this.elements.panel) {
+      this.elements.panel.classList.toggle('left', this.dock === 'left');
+    }
+  }
+
+  // Render a TabManager tab state ({ transcript, keyPoints, article })
+  setState(tabState, transcriptSource = 'cleaned') {
+    this.tabState = tabState || null;
+    this.segments = TranscriptSidebar.getSegments(this.tabState?.transcript, transcriptSource);
+    this.currentIndex = -1;
+    if (this.root) {
+      this.showTab(this.activeTab);
+    }
+  }
+
+  showTab(tab) {
+    this.activeTab = tab;
+    if (!this.root) return;
+
+    this.elements.tabs.querySelectorAll('.tab').forEach(button => {
+      button.classList.toggle('active', button.dataset.tab === tab);
+    });
+
+    const body = this.elements.body;
+    body.textContent = '';
+    this.segmentElements = [];
+
+    if (tab === 'transcript') {
+      this.renderTranscript(body);
+    } else {
+      this.renderText(body, this.tabState?.[tab], tab === 'keyPoints'
+        ? 'No key points yet - extract them from the extension popup'
+        : 'No article yet - generate one from the extension popup');
+    }
+  }
+
+  renderTranscript(body) {
+    if (this.segments.length === 0) {
+      body.appendChild(TranscriptSidebar.createEmpty('No transcript yet - extract one from the extension popup'));
+      return;
+    }
+
+    this.segmentElements = this.segments.map(segment => {
+      const row = document.createElement('div');
+      row.className = 'segment';
+
+      const time = document.createElement('span');
+      time.className = 'time';
+      time.textContent = SegmentTiming.label(segment) || '—';
+      if (Number.isFinite(segment.startSeconds)) {
+        row.dataset.seconds = segment.startSeconds;
+      }
+
+      const text = document.createElement('span');
+      text.className = 'text';
+      text.textContent = segment.text;
+
+      row.append(time, text);
+      body.appendChild(row);
+      return row;
+    });
+
+    this.currentIndex = -1;
+    this.highlightTime(this.video?.currentTime);
+  }
+
+  // Plain text with timestamps turned into seek links
+  renderText(body, text, emptyMessage) {
+    if (!text) {
+      body.appendChild(TranscriptSidebar.createEmpty(emptyMessage));
+      return;
+    }
+
+    const content = document.createElement('div');
+    content.className = 'content-text';
+    let position = 0;
+    SegmentTiming.findTimestamps(text).forEach(({ index, length, label, seconds }) => {
+      content.appendChild(document.createTextNode(text.slice(position, index)));
+      const link = document.createElement('span');
+      link.className = 'time-link';
+      link.dataset.seconds = seconds;
+      link.textContent = label;
+      content.appendChild(link);
+      position = index + length;
+    });
+    content.appendChild(document.createTextNode(text.slice(position)));
+    body.appendChild(content);
+  }
+
+  // Follow playback on this video element (null detaches)
+  attachVideo(video) {
+    if (this.video === video) return;
+
+    if (this.video) {
+      this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+      this.video.removeEventListener('seeked', this.handleTimeUpdate);
+    }
+    this.video = video || null;
+    if (this.video) {
+      this.video.addEventListener('timeupdate', this.handleTimeUpdate);
+      this.video.addEventListener('seeked', this.handleTimeUpdate);
+      this.highlightTime(this.video.currentTime);
+    }
+  }
+
+  highlightTime(currentTime) {
+    if (this.activeTab !== 'transcript' || this.segmentElements.length === 0) return;
+
+    const index = TranscriptSidebar.findSegmentIndex(this.segments, currentTime);
+    if (index === this.currentIndex) return;
+
+    this.segmentElements[this.currentIndex]?.classList.remove('current');
+    this.currentIndex = index;
+    const element = this.segmentElements[index];
+    if (!element) return;
+
+    element.classList.add('current');
+    if (Date.now() - this.userScrolledAt > TranscriptSidebar.SCROLL_PAUSE) {
+      const body = this.elements.body;
+      body.scrollTop = element.offsetTop - (body.clientHeight / 2) + (element.offsetHeight / 2);
+    }
+  }
+
+  // Same version the popup shows: cleaned sentences unless the user picked raw captions
+  static getSegments(transcript, transcriptSource = 'cleaned') {
+    if (!transcript?.segments) return [];
+    if (transcriptSource !== 'raw' && transcript.cleaned?.segments?.length > 0) {
+      return transcript.cleaned.segments;
+    }
+    return transcript.segments;
+  }
+
+  // Last segment starting at or before the time (segments are in playback order)
+  static findSegmentIndex(segments, currentTime) {
+    if (!Number.isFinite(currentTime)) return -1;
+
+    let found = -1;
+    for (let index = 0; index < segments.length; index++) {
+      const start = segments[index].startSeconds;
+      if (start === null || start === undefined) continue;
+      if (start > currentTime) break;
+      found = index;
+    }
+    return found;
+  }
+
+  static createEmpty(message) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = message;
+    return empty;
+  }
+
+  static get SCROLL_PAUSE() {
+    return 4000;
+  }
+
+  static get STYLES() {
+    return `
+      :host { all: initial; }
+      .panel {
+        position: fixed; top: 56px; right: 0; bottom: 0; width: 360px; z-index: 2147483000;
+        display: flex; flex-direction: column;
+        background: #1a1a2e; color: #fff; border-left: 1px solid rgba(255, 255, 255, 0.15);
+        box-shadow: -4px 0 16px rgba(0, 0, 0, 0.4);
+        font: 13px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      }
+      .panel.left {
+        right: auto; left: 0; border-left: none; border-right: 1px solid rgba(255, 255, 255, 0.15);
+        box-shadow: 4px 0 16px rgba(0, 0, 0, 0.4);
+      }
+      .header { display: flex; align-items: center; gap: 4px; padding: 8px; border-bottom: 1px solid rgba(255, 255, 255, 0.1); }
+      .tabs { display: flex; flex: 1; gap: 4px; }
+      button {
+        background: rgba(255, 255, 255, 0.08); color: #fff; border: none; border-radius: 4px;
+        padding: 6px 8px; font: inherit; font-size: 12px; cursor: pointer;
+      }
+      button:hover { background: rgba(255, 255, 255, 0.18); }
+      .tab.active { background: #00ff88; color: #1a1a2e; font-weight: 600; }
+      .body { flex: 1; overflow-y: auto; padding: 8px 12px; }
+      .segment { display: flex; gap: 8px; padding: 4px 6px; border-radius: 4px; }
+      .segment[data-seconds] { cursor: pointer; }
+      .segment[data-seconds]:hover { background: rgba(255, 255, 255, 0.06); }
+      .segment.current { background: rgba(0, 255, 136, 0.15); }
+      .time, .time-link { color: #00ff88; font-weight: 600; font-size: 11px; }
+      .time { flex: 0 0 48px; padding-top: 1px; }
+      .time-link { cursor: pointer; }
+      .time-link:hover { text-decoration: underline; }
+      .content-text { white-space: pre-wrap; }
+      .empty { opacity: 0.7; padding: 24px 8px; text-align: center; }
+    `;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.TranscriptSidebar = TranscriptSidebar;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TranscriptSidebar };
+}
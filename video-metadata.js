@@ -0,0 +1,205 @@
+// Video Metadata - Channel, publish date, duration, description, tags and chapters
+// Read from YouTube's player response and initial data, or from a generic page's meta tags.
+// Stored as transcript.metadata and exposed to the prompt templates
+
+class VideoMetadata {
+  // Build metadata from ytInitialPlayerResponse, with chapters from ytInitialData
+  // when it is for the same video, otherwise from the description's timestamp list
+  static fromPlayerResponse(playerResponse, initialData = null) {
+    const details = playerResponse?.videoDetails;
+    if (!details) return null;
+
+    const microformat = playerResponse.microformat?.playerMicroformatRenderer || {};
+    const durationSeconds = VideoMetadata.toNumber(details.lengthSeconds || microformat.lengthSeconds);
+    const description = details.shortDescription || VideoMetadata.readText(microformat.description) || '';
+
+    const dataChapters = VideoMetadata.getInitialDataVideoId(initialData) === details.videoId
+      ? VideoMetadata.chaptersFromInitialData(initialData, durationSeconds)
+      : [];
+
+    return {
+      source: 'player-response',
+      videoId: details.videoId || null,
+      title: details.title || VideoMetadata.readText(microformat.title) || null,
+      channelName: details.author || microformat.ownerChannelName || null,
+      channelId: details.channelId || microformat.externalChannelId || null,
+      channelUrl: microformat.ownerProfileUrl || null,
+      publishDate: microformat.publishDate || microformat.uploadDate || null,
+      durationSeconds,
+      viewCount: VideoMetadata.toNumber(details.viewCount || microformat.viewCount),
+      description,
+      tags: Array.isArray(details.keywords) ? details.keywords : [],
+      category: microformat.category || null,
+      isLive: !!details.isLiveContent,
+      chapters: dataChapters.length > 0
+        ? dataChapters
+        : VideoMetadata.chaptersFromDescription(description, durationSeconds)
+    };
+  }
+
+  // Generic pages: Open Graph, schema.org itemprops and standard meta tags
+  static fromDocument(doc, video = null) {
+    if (!doc) return null;
+
+    const meta = (...selectors) => {
+      for (const selector of selectors) {
+        const content = doc.querySelector(selector)?.getAttribute('content');
+        if (content && content.trim()) return content.trim();
+      }
+      return null;
+    };
+
+    const keywords = meta('meta[name="keywords"]');
+    const description = meta('meta[property="og:description"]', 'meta[name="description"]', 'meta[itemprop="description"]') || '';
+    const durationSeconds = VideoMetadata.toNumber(video?.duration) ||
+      VideoMetadata.parseIsoDuration(meta('meta[itemprop="duration"]'));
+
+    return {
+      source: 'page',
+      videoId: null,
+      title: meta('meta[property="og:title"]', 'meta[itemprop="name"]') || doc.title || null,
+      channelName: meta('meta[name="author"]', 'meta[property="article:author"]', 'meta[property="og:site_name"]'),
+      channelId: null,
+      channelUrl: null,
+      publishDate: meta('meta[itemprop="datePublished"]', 'meta[itemprop="uploadDate"]', 'meta[property="article:published_time"]', 'meta[property="video:release_date"]'),
+      durationSeconds,
+      viewCount: VideoMetadata.toNumber(meta('meta[itemprop="interactionCount"]')),
+      description,
+      tags: keywords ? keywords.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+      category: meta('meta[itemprop="genre"]'),
+      isLive: false,
+      chapters: VideoMetadata.chaptersFromDescription(description, durationSeconds)
+    };
+  }
+
+  // Chapter markers from the player bar in ytInitialData (creator or auto chapters)
+  static chaptersFromInitialData(initialData, durationSeconds = null) {
+    const markersMap = initialData?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+      ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap || [];
+    const entry = markersMap.find(marker => Array.isArray(marker?.value?.chapters) && marker.value.chapters.length > 0);
+    if (!entry) return [];
+
+    const chapters = entry.value.chapters
+      .map(chapter => chapter.chapterRenderer)
+      .filter(Boolean)
+      .map(renderer => ({
+        startMillis: VideoMetadata.toNumber(renderer.timeRangeStartMillis),
+        title: VideoMetadata.readText(renderer.title)
+      }))
+      .filter(chapter => chapter.startMillis !== null && chapter.title)
+      .map(chapter => ({ startSeconds: chapter.startMillis / 1000, title: chapter.title }));
+
+    return VideoMetadata.withEndTimes(chapters, durationSeconds);
+  }
+
+  // "0:00 Intro" lines in the description. YouTube only turns these into chapters when
+  // the first is at 0:00, there are at least three and they go forward, so the same rules apply
+  static chaptersFromDescription(description, durationSeconds = null) {
+    if (!description || typeof SegmentTiming === 'undefined') return [];
+
+    const chapters = [];
+    description.split('\n').forEach(line => {
+      const [found] = SegmentTiming.findTimestamps(line);
+      if (!found) return;
+
+      const title = (line.slice(0, found.index) + ' ' + line.slice(found.index + found.length))
+        .replace(/^[\s\-–—•*|:()[\]]+|[\s\-–—•*|:()[\]]+$/g, '')
+        .trim();
+      if (title) {
+        chapters.push({ startSeconds: found.seconds, title });
+      }
+    });
+
+    const increasing = chapters.every((chapter, index) => index === 0 || chapter.startSeconds > chapters[index - 1].startSeconds);
+    if (chapters.length < VideoMetadata.MIN_CHAPTERS || chapters[0].startSeconds !== 0 || !increasing) {
+      return [];
+    }
+    return VideoMetadata.withEndTimes(chapters, durationSeconds);
+  }
+
+  // Each chapter ends where the next starts; the last at the video's end when known
+  static withEndTimes(chapters, durationSeconds = null) {
+    return chapters.map((chapter, index) => ({
+      startSeconds: chapter.startSeconds,
+      endSeconds: index + 1 < chapters.length ? chapters[index + 1].startSeconds : (durationSeconds || null),
+      title: chapter.title
+    }));
+  }
+
+  static getInitialDataVideoId(initialData) {
+    return initialData?.currentVideoEndpoint?.watchEndpoint?.videoId || null;
+  }
+
+  // Template variables for prompts.js. Unknown values are empty strings; VIDEO_METADATA
+  // is a ready-made block that leaves out whatever is unknown
+  static toPromptVariables(metadata) {
+    const formatTime = seconds => (typeof SegmentTiming !== 'undefined' ? SegmentTiming.formatTimestamp(seconds) : String(seconds));
+    const chapters = (metadata?.chapters || []).map(chapter => `${formatTime(chapter.startSeconds)} ${chapter.title}`).join('\n');
+
+    const variables = {
+      CHANNEL_NAME: metadata?.channelName || '',
+      CHANNEL_ID: metadata?.channelId || '',
+      PUBLISH_DATE: metadata?.publishDate || '',
+      DURATION: metadata?.durationSeconds ? formatTime(metadata.durationSeconds) : '',
+      VIEW_COUNT: Number.isFinite(metadata?.viewCount) ? metadata.viewCount.toLocaleString('en-US') : '',
+      DESCRIPTION: metadata?.description || '',
+      TAGS: (metadata?.tags || []).join(', '),
+      CHAPTERS: chapters
+    };
+
+    const description = variables.DESCRIPTION.length > VideoMetadata.DESCRIPTION_LIMIT
+      ? `${variables.DESCRIPTION.slice(0, VideoMetadata.DESCRIPTION_LIMIT)}…`
+      : variables.DESCRIPTION;
+    const lines = [
+      ['Channel', variables.CHANNEL_NAME],
+      ['Published', variables.PUBLISH_DATE],
+      ['Duration', variables.DURATION],
+      ['Views', variables.VIEW_COUNT],
+      ['Tags', variables.TAGS],
+      ['Chapters', chapters ? `\n${chapters}` : ''],
+      ['Description', description ? `\n${description}` : '']
+    ].filter(([, value]) => value);
+
+    variables.VIDEO_METADATA = lines.map(([label, value]) => `${label}: ${value}`).join('\n');
+    return variables;
+  }
+
+  // "PT1H2M3S" (schema.org duration) to seconds
+  static parseIsoDuration(value) {
+    const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i.exec(value || '');
+    if (!match || match.slice(1).every(part => part === undefined)) return null;
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  }
+
+  // YouTube text objects are { simpleText } or { runs: [{ text }] }
+  static readText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    if (value.simpleText) return value.simpleText;
+    if (Array.isArray(value.runs)) return value.runs.map(run => run.text || '').join('');
+    return '';
+  }
+
+  static toNumber(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+  }
+
+  static get MIN_CHAPTERS() {
+    return 3;
+  }
+
+  static get DESCRIPTION_LIMIT() {
+    return 1500;
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.VideoMetadata = VideoMetadata;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VideoMetadata };
+}
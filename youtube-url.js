@@ -0,0 +1,145 @@
+// YouTube URL - One parser for every YouTube URL form the extension handles
+// Shared by the popup, TabManager, the background service worker and content scripts
+
+class YouTubeUrl {
+  // Hosts that serve YouTube pages, and what kind of site each one is
+  static getHostType(hostname) {
+    switch ((hostname || '').toLowerCase()) {
+      case 'youtube.com':
+      case 'www.youtube.com':
+        return 'desktop';
+      case 'm.youtube.com':
+        return 'mobile';
+      case 'music.youtube.com':
+        return 'music';
+      case 'youtube-nocookie.com':
+      case 'www.youtube-nocookie.com':
+        return 'nocookie';
+      case 'youtu.be':
+        return 'short-link';
+      default:
+        return null;
+    }
+  }
+
+  // Parse a URL into { videoId, type, hostType, isMobile, isMusic, isEmbed }.
+  // Returns null for non-YouTube URLs; videoId is null on YouTube pages without
+  // a video (home, channels, search)
+  static parse(url) {
+    const parsed = YouTubeUrl.toUrl(url);
+    if (!parsed) return null;
+
+    const hostType = YouTubeUrl.getHostType(parsed.hostname);
+    if (!hostType) return null;
+
+    const [first, second] = parsed.pathname.split('/').filter(Boolean);
+    let type = null;
+    let videoId = null;
+
+    if (hostType === 'short-link') {
+      type = 'short-link';
+      videoId = first;
+    } else if (first === 'watch') {
+      type = 'watch';
+      videoId = parsed.searchParams.get('v');
+    } else if (first === 'shorts' || first === 'live') {
+      type = first;
+      videoId = second;
+    } else if (first === 'embed' || first === 'v' || first === 'e') {
+      type = 'embed';
+      videoId = second;
+    }
+
+    if (!YouTubeUrl.isVideoId(videoId)) {
+      type = null;
+      videoId = null;
+    }
+
+    return {
+      videoId,
+      type,
+      hostType,
+      isMobile: hostType === 'mobile',
+      isMusic: hostType === 'music',
+      isEmbed: type === 'embed' || hostType === 'nocookie'
+    };
+  }
+
+  static extractVideoId(url) {
+    return YouTubeUrl.parse(url)?.videoId || null;
+  }
+
+  // Any page on a YouTube host
+  static isYouTubeUrl(url) {
+    return !!YouTubeUrl.parse(url);
+  }
+
+  // A YouTube page that plays a specific video
+  static isVideoUrl(url) {
+    return !!YouTubeUrl.extractVideoId(url);
+  }
+
+  static isVideoId(value) {
+    return typeof value === 'string' && /^[a-zA-Z0-9_-]{11}$/.test(value);
+  }
+
+  // Playlist ID from /playlist?list=... or a watch page playing a list (WL is Watch Later)
+  static getPlaylistId(url) {
+    const parsed = YouTubeUrl.toUrl(url);
+    if (!parsed || !YouTubeUrl.getHostType(parsed.hostname)) return null;
+
+    const list = parsed.searchParams.get('list');
+    return list && /^[a-zA-Z0-9_-]{2,}$/.test(list) ? list : null;
+  }
+
+  static toPlaylistUrl(playlistId) {
+    return `https://www.youtube.com/playlist?list=${playlistId}`;
+  }
+
+  static toWatchUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+  }
+
+  // Canonical watch URL for video pages; other URLs are returned unchanged
+  static normalize(url) {
+    const videoId = YouTubeUrl.extractVideoId(url);
+    return videoId ? YouTubeUrl.toWatchUrl(videoId) : url;
+  }
+
+  static isSameVideo(url1, url2) {
+    const videoId1 = YouTubeUrl.extractVideoId(url1);
+    const videoId2 = YouTubeUrl.extractVideoId(url2);
+    return !!videoId1 && videoId1 === videoId2;
+  }
+
+  // Origin to fetch watch pages and caption files from without leaving the page's
+  // origin (content script requests are subject to the page's CORS rules). Only desktop,
+  // mobile and Music hosts serve watch pages; nocookie embeds, youtu.be and non-YouTube
+  // URLs get www
+  static getWatchOrigin(url) {
+    const hostType = YouTubeUrl.parse(url)?.hostType;
+    if (!['desktop', 'mobile', 'music'].includes(hostType)) return 'https://www.youtube.com';
+    return YouTubeUrl.toUrl(url).origin;
+  }
+
+  // Accepts full URLs and scheme-less ones like "youtu.be/ID"
+  static toUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    const value = url.trim();
+    try {
+      return new URL(/^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.YouTubeUrl = YouTubeUrl;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { YouTubeUrl };
+}